@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * KeyWalk Analyzer - コマンドライン版
+ *
+ * 標準入力またはファイルから1行1パスワードで読み込み、
+ * 各行の KDS と詳細指標を JSON または CSV で標準出力に書き出す。
+ *
+ * --summary 指定時は各行を出力せず、KDS 分布などの集計（一括監査）のみを出力する。
+ *
+ * 使い方:
+ *   node bin/keywalk.mjs [--layout <name>] [--format json|csv] [file]
+ *   cat passwords.txt | node bin/keywalk.mjs --format csv > result.csv
+ *   node bin/keywalk.mjs --summary dump.txt > summary.json
+ *   node bin/keywalk.mjs --policy strict.json dump.txt > result.json
+ *   node bin/keywalk.mjs --shape shapes.txt > result.json
+ *   node bin/keywalk.mjs --layout-file my-layout.json passwords.txt > result.json
+ *   node bin/keywalk.mjs --romaji --layout jis_kana passwords.txt > result.json
+ */
+
+import { createReadStream, readFileSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { parseArgs } from 'node:util';
+import {
+  analyze, analyzeShape, parseShape, parseShapeFile, createAuditAggregator, listLayouts, hasLayout, HASH_RATES, crackSeconds,
+  importPolicy, setPolicy, importLayout, registerLayout, checkCompliance
+} from '../core/index.mjs';
+
+const USAGE = `使い方: keywalk [options] [file]
+
+  file                 入力ファイル（省略時は標準入力）。1行につき1パスワード
+  -l, --layout <name>  キーボードレイアウト: ${listLayouts().map(l=> l.id).join(' | ')}（既定: jis）
+      --layout-file <file>
+                       カスタムレイアウトの JSON（「レイアウト編集」タブでエクスポートしたもの、
+                       または keyboard-layout-editor.com の JSON）。指定すると --layout より優先
+  -f, --format <fmt>   出力形式: json | csv（既定: json）
+  -r, --rate <id>      解読時間の想定ハッシュ速度: ${HASH_RATES.map(h=> h.id).join(' | ')}（既定: fast_hash）
+  -p, --policy <file>  評価ポリシーの JSON（画面の「評価ポリシー」タブでエクスポートしたもの。既定: ABCE v1.1）
+  -s, --summary        各行の結果ではなく集計（KDS分布・頻出パターン）を JSON で出力
+      --shape          入力を形状データ（座標列 "x,y >dx,dy ..." または keywalk-shape の JSON）として読む。
+                       パスワードは伏せ字で出力し、推測回数は空欄。読めない行は標準エラーに出して飛ばす
+      --romaji         ローマ字で綴った日本語（sakura → 桜 等）も検出する
+  -h, --help           このヘルプを表示
+`;
+
+const CSV_COLUMNS = [
+  'password','layout','kds','label','guess_bits','crack_seconds','unique','adj_ratio','length','turns',
+  'entropy','step_cv','knight_ratio','modifier_toggles','layer_switches','modified_chars','walks','patterns','detections',
+  'rules_failed','policy','policy_id','rules_id'
+];
+
+/**
+ * 分析結果を出力用のレコードに整形する（座標列は含めない）
+ * compliance は評価ポリシーのパスワード規則の合否と書き換えの提案
+ * rate は解読時間（guess.crackSeconds）の計算に使うハッシュ速度（HASH_RATES の要素）
+ */
+function toRecord(r, rate){
+  return {
+    password: r.password,
+    layout: r.layout,
+    kds: r.kds,
+    label: r.label,
+    guess: r.guess && {
+      log10: round(r.guess.log10),
+      bits: round(r.guess.bits),
+      crackSeconds: Number(crackSeconds(r.guess.guesses, rate.perSecond).toPrecision(3)),
+      segments: r.guess.segments.map(({type, text, guesses})=>({type, text, log10: round(Math.log10(guesses))}))
+    },
+    metrics: {
+      unique: r.metrics.unique,
+      adjRatio: round(r.metrics.adjRatio),
+      length: round(r.metrics.length),
+      turns: r.metrics.turns,
+      entropy: round(r.metrics.entropy),
+      stepCV: round(r.metrics.stepCV),
+      knightRatio: round(r.metrics.knightRatio),
+      modifierToggles: r.metrics.modifierToggles,
+      layerSwitches: r.metrics.layerSwitches
+    },
+    modifiers: r.modifiers,
+    walks: r.walks,
+    patterns: r.patterns.map(({type, label, start, end, text, direction})=>({type, label, start, end, text, direction})),
+    repeats: r.repeats,
+    unknown: r.unknown,
+    romaji: r.romaji && r.romaji.map(({text, start, end, kana, words})=>({text, start, end, kana, words: words.map(w=> w.word)})),
+    detections: r.detections.map(d=> d.text),
+    compliance: checkCompliance(r),
+    policy: r.policy
+  };
+}
+
+function toCsvRow(rec){
+  const m = rec.metrics;
+  return [
+    rec.password, rec.layout, rec.kds, rec.label, rec.guess?.bits ?? '', rec.guess?.crackSeconds ?? '', m.unique, m.adjRatio, m.length, m.turns,
+    m.entropy, m.stepCV, m.knightRatio, m.modifierToggles, m.layerSwitches, rec.modifiers.map(x=>x.char).join(''),
+    rec.walks.join(' '), rec.patterns.map(p=>`${p.type}:${p.text}:${p.direction}`).join(' '), rec.detections.join(' / '),
+    rec.compliance.rules.filter(x=> x.pass===false).map(x=> x.id).join(' '),
+    rec.policy.name, rec.policy.id, rec.compliance.rulesId
+  ].map(csvCell).join(',');
+}
+
+// RFC 4180 形式のエスケープ
+function csvCell(v){
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g,'""')}"` : s;
+}
+
+const round = v => Math.round(v*1000)/1000;
+
+async function main(){
+  let args;
+  try{
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        layout: {type:'string', short:'l', default:'jis'},
+        'layout-file': {type:'string'},
+        format: {type:'string', short:'f', default:'json'},
+        rate:   {type:'string', short:'r', default:'fast_hash'},
+        policy: {type:'string', short:'p'},
+        summary:{type:'boolean', short:'s', default:false},
+        shape:  {type:'boolean', default:false},
+        romaji: {type:'boolean', default:false},
+        help:   {type:'boolean', short:'h', default:false}
+      }
+    });
+  }catch(err){
+    process.stderr.write(`${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  const {values, positionals} = args;
+  if(values.help){ process.stdout.write(USAGE); return; }
+  if(values['layout-file']!==undefined){
+    try{
+      const def = importLayout(readFileSync(values['layout-file'], 'utf8'));
+      values.layout = registerLayout(def.id, def);
+    }catch(err){
+      process.stderr.write(`レイアウトを読み込めません: ${err.message}\n`);
+      process.exit(2);
+    }
+  }
+  if(!hasLayout(values.layout)){
+    process.stderr.write(`未対応のレイアウトです: ${values.layout}\n`);
+    process.exit(2);
+  }
+  if(values.format!=='json' && values.format!=='csv'){
+    process.stderr.write(`未対応の出力形式です: ${values.format}\n`);
+    process.exit(2);
+  }
+
+  const rate = HASH_RATES.find(h=> h.id===values.rate);
+  if(!rate){
+    process.stderr.write(`未対応のハッシュ速度です: ${values.rate}\n`);
+    process.exit(2);
+  }
+
+  if(values.policy!==undefined){
+    try{
+      setPolicy(importPolicy(readFileSync(values.policy, 'utf8')));
+    }catch(err){
+      process.stderr.write(`評価ポリシーを読み込めません: ${err.message}\n`);
+      process.exit(2);
+    }
+  }
+
+  if(values.summary && values.shape){
+    process.stderr.write('--summary と --shape は同時に指定できません\n');
+    process.exit(2);
+  }
+
+  const input = positionals.length ? createReadStream(positionals[0], 'utf8') : process.stdin;
+  input.on('error', err=>{
+    process.stderr.write(`入力を読み込めません: ${err.message}\n`);
+    process.exit(1);
+  });
+
+  // 1行ずつ逐次処理し、大量入力でもメモリに全件を保持しない
+  // 入力エラー時に不完全な出力を残さないよう、ヘッダーは最初の行の読み込み後に書く
+  const rl = createInterface({input, crlfDelay: Infinity});
+  const out = process.stdout;
+
+  if(values.summary){
+    const agg = createAuditAggregator({layout: values.layout, romaji: values.romaji});
+    for await (const line of rl){ if(line.trim()) agg.add(line); }
+    out.write(JSON.stringify(agg.result(), null, 2)+'\n');
+    return;
+  }
+
+  const csv = values.format==='csv';
+  let count = 0;
+  const write = r=>{
+    const rec = toRecord(r, rate);
+    if(csv) out.write((count? '' : CSV_COLUMNS.join(',')+'\n')+toCsvRow(rec)+'\n');
+    else out.write((count? ',\n  ' : '[\n  ')+JSON.stringify(rec));
+    count++;
+  };
+
+  // 形状データ: JSON（keywalk-shape）なら全体を読んでから、それ以外は1行ずつ分析する
+  let json = null, lineNo = 0;
+  for await (const line of rl){
+    lineNo++;
+    if(json!==null){ json.push(line); continue; }
+    if(!line.trim()) continue;
+    if(!values.shape){ write(analyze(line, {layout: values.layout, romaji: values.romaji})); continue; }
+    if(!count && line.trimStart().startsWith('{')){ json = [line]; continue; }
+    if(line.trimStart().startsWith('#')) continue;
+    try{ write(analyzeShape(parseShape(line), {layout: values.layout})); }
+    catch(err){
+      process.stderr.write(`${lineNo}行目を飛ばしました: ${err.message}\n`);
+      process.exitCode = 1;
+    }
+  }
+  if(json!==null){
+    try{
+      const file = parseShapeFile(json.join('\n'));
+      for(const shape of file.items) write(analyzeShape(shape, {layout: file.layout || values.layout}));
+    }catch(err){
+      process.stderr.write(`形状データを読み込めません: ${err.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  if(csv){ if(!count) out.write(CSV_COLUMNS.join(',')+'\n'); }
+  else out.write(count? '\n]\n' : '[]\n');
+}
+
+main();
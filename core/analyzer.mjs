@@ -0,0 +1,380 @@
+/**
+ * KeyWalk Analyzer - 分析エンジン
+ *
+ * 入力文字列から座標列・メトリクス・検出パターン・KDS をまとめて算出し、
+ * 構造化された結果オブジェクトとして返す。DOM には一切触れない。
+ */
+
+import { getLayout, getCoordMap, textToPoints, resolveKey, pageSwitchCost } from './layouts.mjs';
+import {
+  THRESH, totalLength, turns, adjRatio, directionEntropy, stepCV, knightRatio, modifierToggles, layerSwitches,
+  adjacentWalkRanges, createMetricState, repeatedNgrams, kdsBreakdown, kdsScore, kdsLabel
+} from './metrics.mjs';
+import { topN, summarizeSuffixes, summarizePrefixes, summarizeZones } from './profile.mjs';
+import { analyzePin } from './pin.mjs';
+import { classifyPatterns } from './patterns.mjs';
+import { estimateGuesses } from './guess.mjs';
+import { matchWords, matchDates, pickMatches } from './dictionary.mjs';
+import { matchRomaji } from './japanese.mjs';
+import { policyInfo } from './policy.mjs';
+import { SHAPE_MASK, SHAPE_TOKEN_RE, shapeToPoints } from './shape.mjs';
+
+// PIN の形状判定（classifyPinShape）の表示文
+const PIN_SHAPE_TEXT = {
+  corners: '四隅だけをなぞる形',
+  plus: '十字（2・4・6・8）をなぞる形',
+  x: 'X字（対角線）をなぞる形'
+};
+
+/**
+ * 検出の種類ごとの固定の表示名（detections の type → 名前）
+ * 検出の text は入力の一部（歩き・辞書語・年号など）を含むことがあるため、パスワードを表示できない場面ではこちらを使う
+ */
+export const DETECTION_LABELS = {
+  unmapped: '非対象/未マップの文字', known: '定番パターン', walk: '連続隣接（歩き）',
+  dictionary: '辞書語', date: '年号・日付', romaji: 'ローマ字の日本語', ngram: '反復n-gram',
+  straight: '長い直線的な移動', high_adj: '高い隣接比率', low_entropy: '方向エントロピー低', low_cv: 'ステップ長が単調',
+  pin_line: '一直線の並び', pin_shape: '決まった形をなぞる', pin_repeat: '同じ数字の連続', pin_few: '使用キーが少ない',
+  knight: 'ナイトムーブ比率が高い'
+};
+
+/** 既知キーワード（キーボードの定番の並び。単語は辞書語の照合で扱う） */
+export const KNOWN_PATTERNS = ['qwerty','asdf','zxcv','1234'];
+
+/** 辞書語として検出する最小文字数（これより短い語は推測回数の見積もりにだけ使う） */
+const DICTIONARY_DETECT_MIN = 4;
+
+// 部分文字列の出現区間（文字位置、end を含む。重なる出現も数える）
+function occurrences(chars, needle){
+  const n = [...needle], res = [];
+  for(let i=0;i+n.length<=chars.length;i++){
+    if(n.every((c,k)=> chars[i+k]===c)) res.push({start:i, end:i+n.length-1});
+  }
+  return res;
+}
+
+// 辞書語の表示文（例: "P@ssw0rd"（password・よく使われるパスワード、読み替え2文字））
+function wordText(w){
+  const leet = w.leet.length ? `、読み替え${w.leet.length}文字` : '';
+  return `"${w.text}"（${w.word}・${w.dictionaryLabel}${leet}）`;
+}
+
+// 年号・日付の表示文（例: 1990年5月12日、5月12日、2024年）
+function dateText(d){
+  if(d.type==='year') return `${d.year}年`;
+  return `${d.year===null ? '' : `${d.year}年`}${d.month}月${d.day}日`;
+}
+
+// ローマ字の表示文（例: "Sakura"（さくら: 桜）、"nihonnosora"（にほんのそら: 日本・空））
+function romajiText(r){
+  const words = r.words.map(w=> w.word).filter(w=> w!==r.kana);
+  return `"${r.text}"（${r.kana}${words.length ? `: ${words.join('・')}` : ''}）`;
+}
+
+/**
+ * パスワード1件を分析する
+ *
+ * detections の各要素は { type, level, text, spans } を持つ。
+ * level は 'bad'（リスク要因）または 'good'（良好な特徴）で、
+ * 'bad' の件数が KDS のパターンフラグに反映される。
+ * spans は該当する入力文字の区間（文字位置、end を含む）で、経路全体の傾向（直線優勢など）では空。
+ * 文字位置は入力をコードポイント単位に分けた位置で、座標列の位置との対応は charIndex に入る。
+ * テンキー（kind: 'keypad'）のレイアウトでは PIN 向けの形状チェック（pin）も行う。
+ * ソフトウェアキーボード（kind: 'touch'）では各点に面の ID（page）が付き、metrics.layerSwitches に
+ * 面（文字・123・#+= 等）の切り替えキーを押す回数が入る（面のないレイアウトでは 0）。
+ * words は検出した辞書語の見出し語（leet 表記を読み替え、小文字にしたもの）。
+ * romaji はローマ字で綴った日本語の照合結果（matchRomaji）で、romaji オプションを付けたときだけ求める（既定 null）。
+ * guess は歩きを知る攻撃者モデルでの推測回数の見積もり（estimateGuesses）で、KDS には含めない。
+ * policy は分析に使った評価ポリシー（core/policy.mjs）の名前と ID。
+ *
+ * @param {string} password - 分析対象の文字列
+ * @param {{layout?: string, romaji?: boolean}} [options] - layout: レイアウト名（既定 'jis'）、
+ *   romaji: ローマ字で綴った日本語も検出する（既定 false）
+ * @returns {{
+ *   password: string, layout: string,
+ *   points: Array<{x: number, y: number, key: string, char: string, layer: string, page?: string}>, unknown: string[],
+ *   charIndex: number[],
+ *   metrics: {unique: number, length: number, turns: number, adjRatio: number,
+ *             entropy: number, stepCV: number, knightRatio: number, modifierToggles: number, layerSwitches: number},
+ *   modifiers: Array<{index: number, char: string, key: string, layer: string}>,
+ *   walks: string[], repeats: string[], known: string[], words: string[],
+ *   romaji: Array<{text: string, start: number, end: number, kana: string, words: Array<{romaji: string, word: string, reading: string}>}>|null,
+ *   patterns: Array<{type: string, label: string, family: string, start: number, end: number, text: string, direction: string}>,
+ *   pin: {lines: Array<{keys: string, dir: string}>, repeats: string[], shape: string|null, distinct: number}|null,
+ *   guess: {guesses: number, log10: number, bits: number,
+ *     segments: Array<{type: string, label: string, text: string, start: number, end: number, guesses: number}>},
+ *   detections: Array<{type: string, level: string, text: string, spans: Array<{start: number, end: number}>}>,
+ *   breakdown: Array<{id: string, label: string, weight: number, value: number, points: number}>,
+ *   kds: number, label: string, policy: {name: string, id: string}
+ * }} 分析結果
+ */
+export function analyze(password, {layout='jis', romaji=false}={}){
+  const raw = password || '';
+  const coordMap = getCoordMap(layout);
+  const {points, unknown, charIndex} = textToPoints(raw, coordMap);
+  return buildResult(raw, layout, coordMap, points, unknown, charIndex, batchMetrics(points), {romaji});
+}
+
+/**
+ * 形状データ（文字を含まない座標列）を分析する
+ *
+ * 結果は analyze と同じ形式で、メトリクス・検出パターン・KDS は同じ手順で求める。
+ * 文字の代わりに座標ごとの識別子を使い、返す前にすべて伏せ字（SHAPE_MASK）に置き換えるため、
+ * password・walks・repeats・detections などには伏せ字だけが入る（spans・charIndex は打鍵の位置）。
+ * 文字が必要な定番パターン（known）・辞書語・年号・日付は検出されず、推測回数（guess）は null。
+ * テンキーの四隅・十字などの形状（pin.shape）はキーを特定できないため null。shape: true が付く。
+ *
+ * @param {Array<{x: number, y: number, layer?: string}>} shape - parseShape の戻り値
+ * @param {{layout?: string}} [options] - layout: 表示・PIN チェックに使うレイアウト名（既定 'jis'）
+ * @returns {object} analyze と同じ形式の分析結果（guess: null, shape: true）
+ */
+export function analyzeShape(shape, {layout='jis'}={}){
+  const points = shapeToPoints(shape);
+  const tokens = points.map(p=> p.key).join('');
+  const r = buildResult(tokens, layout, getCoordMap(layout), points, [], points.map((_,i)=> i), batchMetrics(points), {guess:false});
+  const mask = s=> s.replace(SHAPE_TOKEN_RE, SHAPE_MASK);
+  return {
+    ...r,
+    password: mask(r.password),
+    modifiers: r.modifiers.map(m=> ({...m, key: SHAPE_MASK})),
+    walks: r.walks.map(mask), repeats: r.repeats.map(mask),
+    patterns: r.patterns.map(p=> ({...p, text: mask(p.text)})),
+    pin: r.pin && {...r.pin, lines: r.pin.lines.map(l=> ({...l, keys: mask(l.keys)})), repeats: r.pin.repeats.map(mask)},
+    detections: r.detections.map(d=> ({...d, text: mask(d.text)})),
+    shape: true
+  };
+}
+
+// 座標列からメトリクスをまとめて求める
+function batchMetrics(points){
+  return {
+    length: totalLength(points), turns: turns(points), adjRatio: adjRatio(points),
+    entropy: directionEntropy(points), stepCV: stepCV(points), knightRatio: knightRatio(points),
+    modifierToggles: modifierToggles(points), walkRanges: adjacentWalkRanges(points)
+  };
+}
+
+/**
+ * 入力のたびに分析し直す分析器を作る（ライブ分析・強度メーター用）
+ *
+ * 前回の入力と座標列の先頭が共通する部分はメトリクスの累積（createMetricState）を使い回し、
+ * 追加・削除・変更された打鍵だけを計算し直す。検出パターン・形状・推測回数は入力全体から求める。
+ * update の戻り値は analyze と同じ形式・同じ値。評価ポリシーが変わったときは累積を作り直す。
+ *
+ * @param {{layout?: string, romaji?: boolean}} [options] - layout: レイアウト名（既定 'jis'）、romaji: analyze と同じ
+ * @returns {{layout: string, romaji: boolean, update: (password: string) => object, reset: () => void}}
+ */
+export function createLiveAnalyzer({layout='jis', romaji=false}={}){
+  const coordMap = getCoordMap(layout);
+  let state = createMetricState();
+  let policy = policyInfo().id;
+
+  function update(password){
+    const raw = password || '';
+    const {points, unknown, charIndex} = textToPoints(raw, coordMap);
+    if(policyInfo().id!==policy){ state = createMetricState(); policy = policyInfo().id; }
+    // 座標列の点はレイアウトごとに共有されるため、同じ文字なら同じオブジェクト
+    const prev = state.points;
+    let k = 0;
+    while(k<prev.length && k<points.length && prev[k]===points[k]) k++;
+    state.truncate(k);
+    for(let i=k;i<points.length;i++) state.push(points[i]);
+    return buildResult(raw, layout, coordMap, points, unknown, charIndex, state.metrics(), {romaji});
+  }
+
+  return {layout, romaji, update, reset: ()=>{ state = createMetricState(); }};
+}
+
+// 座標列とメトリクスから分析結果を組み立てる（analyze・createLiveAnalyzer・analyzeShape で共通）
+// charIndex は座標列の位置 → 文字位置（textToPoints の戻り値）
+// guess: false なら推測回数を見積もらない（文字のない形状データ）、romaji: true ならローマ字の日本語も照合する
+function buildResult(raw, layout, coordMap, points, unknown, charIndex, m, {guess: withGuess=true, romaji: withRomaji=false}={}){
+  const chars = raw.split('');
+  const cps = [...raw];
+
+  // 物理キー単位で数える（Shift 違いの文字は同じキー）
+  const uniq = new Set([...points.map(p=>p.key), ...unknown]).size;
+  const {length:len, turns:trn, adjRatio:adjR, entropy:H, stepCV:cv, knightRatio:kRat, modifierToggles:mods, walkRanges} = m;
+
+  // Shift/AltGr が必要だった文字（座標列上の位置）
+  const modifiers = points
+    .map((p,index)=>({index, char:p.char, key:p.key, layer:p.layer}))
+    .filter(m=> m.layer!=='base');
+
+  // パターン検出
+  const detections = [];
+  const add = (type, level, text, spans=[])=> detections.push({type, level, text, spans});
+
+  if(unknown.length){
+    const mapped = new Set(charIndex);
+    add('unmapped', 'bad', `非対象/未マップ：${unknown.map(s=>JSON.stringify(s)).join(' ')}`,
+      cps.map((_,i)=>i).filter(i=> !mapped.has(i)).map(i=> ({start:i, end:i})));
+  }
+
+  // 既知キーワード
+  const sLower = raw.toLowerCase();
+  const lowerChars = cps.map(c=> c.toLowerCase());
+  const known = KNOWN_PATTERNS.filter(k=> sLower.includes(k));
+  known.forEach(k=> add('known', 'bad', `定番パターン: "${k}"`, occurrences(lowerChars, k)));
+
+  // 連続隣接（レイアウト非依存）
+  // 座標列上の区間を、未マップ文字を除いた実際の入力文字に戻す
+  const walks = walkRanges.map(r=> points.slice(r.start, r.end+1).map(p=>p.char).join(''));
+  const walkSpans = walkRanges.map(r=> ({start:charIndex[r.start], end:charIndex[r.end]}));
+  if(walks.length) add('walk', 'bad', `連続隣接（歩き）: ${walks.map(w=>`"${w}"`).join(', ')}`, walkSpans);
+
+  // 辞書語（leet 表記の読み替えを含む）・年号・日付。重なる一致は長いもの・順位の高いものを残す
+  // 歩きの区間に収まる語（qwerty 等）は歩きとして検出済みのため除く
+  const inWalk = w=> walkSpans.some(r=> r.start<=w.start && w.end-1<=r.end);
+  const words = pickMatches(matchWords(raw).filter(w=> w.end-w.start>=DICTIONARY_DETECT_MIN && !inWalk(w)), w=> w.rank);
+  if(words.length){
+    add('dictionary', 'bad', `辞書語: ${words.map(wordText).join(', ')}`,
+      words.map(w=> ({start:w.start, end:w.end-1})));
+  }
+  const dates = pickMatches(matchDates(raw), d=> d.type==='year' ? 0 : 1);
+  if(dates.length){
+    add('date', 'bad', `年号・日付: ${dates.map(d=> `"${d.text}"（${dateText(d)}）`).join(', ')}`,
+      dates.map(d=> ({start:d.start, end:d.end-1})));
+  }
+
+  // ローマ字で綴った日本語（オプション）
+  const romaji = withRomaji ? matchRomaji(raw) : null;
+  if(romaji?.length){
+    add('romaji', 'bad', `ローマ字の日本語: ${romaji.map(romajiText).join(', ')}`,
+      romaji.map(r=> ({start:r.start, end:r.end-1})));
+  }
+
+  // 形状パターン（区間ごとの分類。KDS には含めない）
+  const shapes = classifyPatterns(points);
+
+  // 直線優勢
+  if(chars.length>=4 && trn<=1) add('straight', 'bad', '長い直線的な移動（方向転換が少ない）');
+
+  // 高隣接
+  if(chars.length>=6 && adjR>THRESH.high_adj_ratio) add('high_adj', 'bad', '高い隣接比率（キーボード歩き）');
+
+  // 反復 n-gram
+  const repeats = repeatedNgrams(raw,2,4);
+  if(repeats.length){
+    const grams = repeats.map(r=> r.slice(0, r.lastIndexOf('×')));
+    add('ngram', 'bad', `反復n-gram: ${repeats.join(', ')}`, grams.flatMap(g=> occurrences(lowerChars, g)));
+  }
+
+  // 方向エントロピー低
+  if(H<THRESH.entropy_bad) add('low_entropy', 'bad', `方向エントロピー低 (H=${H.toFixed(2)})`);
+
+  // ステップ単調
+  if(cv<THRESH.stepcv_bad) add('low_cv', 'bad', `ステップ長が単調 (CV=${cv.toFixed(2)})`);
+
+  // PIN 向けチェック（テンキーのみ）
+  const pin = getLayout(layout)?.kind==='keypad' ? analyzePin(points, coordMap) : null;
+  if(pin){
+    if(pin.lines.length) add('pin_line', 'bad', `一直線の並び: ${pin.lines.map(l=>`"${l.keys}"（${l.dir}）`).join(', ')}`);
+    if(pin.shape) add('pin_shape', 'bad', PIN_SHAPE_TEXT[pin.shape]);
+    if(pin.repeats.length) add('pin_repeat', 'bad', `同じ数字の連続: ${pin.repeats.map(r=>`"${r}"`).join(', ')}`);
+    if(points.length>=4 && pin.distinct<=2) add('pin_few', 'bad', `使用キーが${pin.distinct}種類のみ`);
+  }
+
+  // ナイトムーブ（特徴）
+  if(kRat>=0.20) add('knight', 'good', `ナイトムーブ比率が高い (${(kRat*100).toFixed(0)}%)`);
+
+  // KDS
+  const patterns = detections.filter(d=> d.level==='bad').map(d=> d.text);
+  const breakdown = kdsBreakdown({adj:adjR, H, turns:trn, len:chars.length, cv, patterns});
+  const kds = kdsScore(breakdown);
+
+  // 推測回数の見積もり（KDS とは独立）
+  const guess = withGuess ? estimateGuesses(raw, {points, patterns: shapes, coordMap, charIndex}) : null;
+
+  return {
+    password: raw, layout,
+    points, unknown, charIndex,
+    metrics: {unique:uniq, length:len, turns:trn, adjRatio:adjR, entropy:H, stepCV:cv, knightRatio:kRat, modifierToggles:mods,
+      layerSwitches: layerSwitches(points, pageSwitchCost(layout))},
+    modifiers,
+    walks, repeats, known, words: [...new Set(words.map(w=> w.word))], romaji, patterns: shapes, pin,
+    guess,
+    detections,
+    breakdown,
+    kds, label: kdsLabel(kds),
+    policy: policyInfo()
+  };
+}
+
+/**
+ * 同一利用者の複数パスワードから癖プロファイルを抽出する
+ *
+ * keyFrequency は全キーの使用回数（多い順）、transitions はバイグラムを物理キーの組に
+ * 解決したキー間の遷移回数（同じキーの連打は除く、多い順）。policy は使った評価ポリシー。
+ *
+ * @param {string[]} lines - パスワードの配列（空行は除外される）
+ * @param {{layout?: string}} [options] - layout: レイアウト名（既定 'jis'）
+ * @returns {{
+ *   layout: string, count: number,
+ *   heatPoints: Array<{x: number, y: number, key: string}>,
+ *   metrics: {avgAdj: number, avgTurns: number, avgLength: number, uniqueKeys: number},
+ *   topKeys: Array<[string, number]>, topBigrams: Array<[string, number]>,
+ *   keyFrequency: Array<[string, number]>, transitions: Array<{from: string, to: string, count: number}>,
+ *   suffixes: string[], prefixes: string[],
+ *   zones: {left: number, right: number, top: number, mid: number, bottom: number},
+ *   policy: {name: string, id: string}
+ * }} プロファイル
+ */
+export function buildProfile(lines, {layout='jis'}={}){
+  const coordMap = getCoordMap(layout);
+  const list = (lines || []).map(s=>String(s).trim()).filter(Boolean);
+
+  const used = new Set(); const keyFreq=new Map(); const bigram=new Map();
+  let totalAdj=0,totalTurns=0,totalLen=0;
+  const heatPts=[];
+
+  for(const line of list){
+    const {points} = textToPoints(line, coordMap);
+    points.forEach(p=>{ heatPts.push(p); });
+    // metrics per line
+    totalLen += totalLength(points);
+    totalTurns += turns(points);
+    totalAdj += adjRatio(points);
+    // used keys & freq（座標列から数えるため、濁点付きの仮名は2打鍵として数える）
+    for(const {key:k} of points){
+      used.add(k);
+      keyFreq.set(k,(keyFreq.get(k)||0)+1);
+    }
+    // bigrams
+    for(let i=0;i<line.length-1;i++){
+      const g=line.slice(i,i+2).toLowerCase();
+      if(/\s/.test(g)) continue;
+      bigram.set(g,(bigram.get(g)||0)+1);
+    }
+  }
+
+  // キー間の遷移（バイグラムを物理キーに解決。Shift 違いの文字は同じキーにまとめる）
+  const trans=new Map();
+  for(const [g,c] of bigram){
+    const from=resolveKey(g[0], coordMap), to=resolveKey(g[1], coordMap);
+    if(!from || !to || from===to) continue;
+    const id=`${from}\u0000${to}`;
+    trans.set(id,(trans.get(id)||0)+c);
+  }
+  const transitions=topN(trans, trans.size).map(([id,count])=>{ const [from,to]=id.split('\u0000'); return {from,to,count}; });
+
+  const n=list.length;
+  return {
+    layout, count:n,
+    heatPoints: heatPts,
+    metrics: {
+      avgAdj: (totalAdj/n)||0,
+      avgTurns: (totalTurns/n)||0,
+      avgLength: (totalLen/n)||0,
+      uniqueKeys: used.size
+    },
+    topKeys: topN(keyFreq,8),
+    topBigrams: topN(bigram,5),
+    keyFrequency: topN(keyFreq, keyFreq.size),
+    transitions,
+    suffixes: summarizeSuffixes(list),
+    prefixes: summarizePrefixes(list),
+    zones: summarizeZones(heatPts),
+    policy: policyInfo()
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * KeyWalk Analyzer - 一括監査 Web Worker
+ *
+ * メインスレッドから File を受け取り、ストリームで少しずつ読み込みながら
+ * 1行1パスワードとして集計する。ページの描画をブロックしないための専用スレッド。
+ *
+ * 受信メッセージ:
+ *   {type:'start', file: File, layout: string, layoutDef?: object, policy?: object, romaji?: boolean}
+ *     （layoutDef: カスタムレイアウトの定義、policy: メインスレッドの評価ポリシー、romaji: analyze の romaji）
+ *   {type:'cancel'}
+ * 送信メッセージ:
+ *   {type:'progress', bytes, size, total}
+ *   {type:'done', result}
+ *   {type:'error', message}
+ */
+
+import { createAuditAggregator } from './audit.mjs';
+import { setPolicy, resetPolicy } from './policy.mjs';
+import { registerLayout } from './layouts.mjs';
+
+let cancelled = false;
+
+self.addEventListener('message', e=>{
+  const msg = e.data || {};
+  if(msg.type==='cancel'){ cancelled = true; return; }
+  if(msg.type==='start'){
+    cancelled = false;
+    // Worker はメインスレッドとモジュールの状態を共有しないため、ポリシーとカスタムレイアウトを受け取って設定する
+    try{
+      if(msg.policy) setPolicy(msg.policy); else resetPolicy();
+      if(msg.layoutDef) registerLayout(msg.layout, msg.layoutDef);
+    }catch(err){ self.postMessage({type:'error', message: err.message}); return; }
+    run(msg.file, msg.layout, !!msg.romaji).catch(err=> self.postMessage({type:'error', message: err.message}));
+  }
+});
+
+async function run(file, layout, romaji){
+  const agg = createAuditAggregator({layout, romaji});
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buf = '', bytes = 0, total = 0;
+
+  const feed = text=>{
+    const lines = text.split(/\r?\n/);
+    for(const line of lines){ if(line.trim()){ agg.add(line); total++; } }
+  };
+
+  for(;;){
+    const {value, done} = await reader.read();
+    if(done) break;
+    if(cancelled){ await reader.cancel(); return; }
+    bytes += value.byteLength;
+    buf += decoder.decode(value, {stream:true});
+    // 末尾の未完了行は次のチャンクに持ち越す
+    const cut = buf.lastIndexOf('\n');
+    if(cut>=0){ feed(buf.slice(0,cut)); buf = buf.slice(cut+1); }
+    self.postMessage({type:'progress', bytes, size:file.size, total});
+  }
+  buf += decoder.decode();
+  feed(buf);
+
+  self.postMessage({type:'done', result: agg.result()});
+}
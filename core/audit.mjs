@@ -0,0 +1,65 @@
+/**
+ * KeyWalk Analyzer - 一括監査（集計）
+ *
+ * 大量のパスワードを1件ずつ analyze() に通し、全件を保持せずに
+ * KDS 分布や頻出パターンだけを逐次集計する。
+ * Web Worker（core/audit-worker.mjs）と CLI（--summary）の双方から利用する。
+ */
+
+import { analyze } from './analyzer.mjs';
+import { topN } from './profile.mjs';
+import { KDS_CUTOFFS } from './metrics.mjs';
+import { policyInfo } from './policy.mjs';
+
+/** KDS ヒストグラムのビン幅（0-9, 10-19, ..., 90-100 の10ビン） */
+export const HIST_BIN = 10;
+
+/** kdsLabel の区切り（注意・要改善）。評価ポリシーの KDS_CUTOFFS と同じ配列 */
+export const AUDIT_CUTOFFS = KDS_CUTOFFS;
+
+/**
+ * 一括監査の集計器を生成する
+ *
+ * over40 / over60 は、集計時点の評価ポリシーの区切り（既定 40 / 60）以上の件数で、
+ * 使った区切りは cutoffs に、ポリシーは policy に記録する。
+ *
+ * @param {{layout?: string, top?: number, romaji?: boolean}} [options] - layout: レイアウト名、top: 頻出リストの件数（既定 20）、
+ *   romaji: ローマ字で綴った日本語も検出する（analyze の romaji。既定 false）
+ * @returns {{add: (password: string) => void, result: () => object}} 集計器
+ */
+export function createAuditAggregator({layout='jis', top=20, romaji=false}={}){
+  const bins = new Array(Math.ceil(100/HIST_BIN)).fill(0);
+  const labels = {'良好':0, '注意':0, '要改善':0};
+  const walkFreq = new Map(), knownFreq = new Map();
+  let total=0, sumKds=0, over40=0, over60=0;
+
+  function add(password){
+    if(!password) return;
+    const r = analyze(password, {layout, romaji});
+    total++;
+    sumKds += r.kds;
+    bins[Math.min(bins.length-1, Math.floor(r.kds/HIST_BIN))]++;
+    labels[r.label]++;
+    if(r.kds>=AUDIT_CUTOFFS[0]) over40++;
+    if(r.kds>=AUDIT_CUTOFFS[1]) over60++;
+    // 同一パスワード内の重複は1回として数える
+    new Set(r.walks.map(w=>w.toLowerCase())).forEach(w=> walkFreq.set(w,(walkFreq.get(w)||0)+1));
+    new Set([...r.known, ...r.words]).forEach(k=> knownFreq.set(k,(knownFreq.get(k)||0)+1));
+  }
+
+  function result(){
+    return {
+      layout, total,
+      policy: policyInfo(), cutoffs: [...AUDIT_CUTOFFS],
+      avgKds: total? sumKds/total : 0,
+      histogram: bins.map((count,i)=>({from:i*HIST_BIN, to:(i===bins.length-1? 100 : i*HIST_BIN+HIST_BIN-1), count})),
+      labels: {...labels},
+      over40: {count:over40, ratio: total? over40/total : 0},
+      over60: {count:over60, ratio: total? over60/total : 0},
+      topWalks: topN(walkFreq, top),
+      topKnown: topN(knownFreq, top)
+    };
+  }
+
+  return {add, result};
+}
@@ -0,0 +1,175 @@
+/**
+ * KeyWalk Analyzer - 次に選びそうなパスワードの予測
+ *
+ * 同一利用者のパスワード群から「年号の更新」「末尾の数字の更新」「歩きの平行移動」
+ * 「よく使う語 × いつもの飾り」の候補を作り、もっともらしい順に並べる。
+ * レッドチーム演習や、使い回し監査で予測しやすさを確かめるために使う。DOM には一切触れない。
+ */
+
+import { buildGeometry, getCoordMap, textToPoints } from './layouts.mjs';
+import { classifyPatterns } from './patterns.mjs';
+import { REFERENCE_YEAR } from './guess.mjs';
+
+/** 候補の種類（weight: スコアの基準値。変更の少ない予測ほど高い） */
+export const CANDIDATE_KINDS = {
+  year:       {label:'年号の更新',         weight:1.0},   // Tokyo2023! → Tokyo2026!
+  increment:  {label:'数字の更新',         weight:0.8},   // Pass01 → Pass02
+  walk_shift: {label:'歩きの平行移動',     weight:0.6},   // qwer!! → asdf!!
+  recombine:  {label:'語と飾りの組み替え', weight:0.5}    // Tokyo + 99! → Tokyo99!
+};
+
+/** 返す候補数の既定値 */
+export const CANDIDATE_LIMIT = 50;
+
+// 年号（前後に数字が続かない 19xx / 20xx）
+const YEAR_RE = /(?<!\d)(?:19|20)\d\d(?!\d)/g;
+
+// 歩きを動かす向き（キー単位u）と表示名。縦は段差を nearest で吸収する
+const SHIFTS = [
+  {dx:0,  dy:1,  text:'1段下へ', factor:1.0},
+  {dx:0,  dy:-1, text:'1段上へ', factor:1.0},
+  {dx:1,  dy:0,  text:'1キー右へ', factor:0.8},
+  {dx:-1, dy:0,  text:'1キー左へ', factor:0.8}
+];
+// 移動先のキーとみなす中心間距離の上限（行の段差 0.25〜0.5u を許容）
+const SHIFT_SNAP = 0.55;
+
+// 末尾の数字・記号を飾りとして切り出す（Tokyo2023! → ['Tokyo', '2023!']）
+function splitDecoration(s){
+  const m = s.match(/^(.*?)([^A-Za-z]*)$/);
+  return [m[1], m[2]];
+}
+
+function yearCandidates(s, add){
+  for(const m of s.matchAll(YEAR_RE)){
+    const y = Number(m[0]);
+    const targets = new Set([y+1, REFERENCE_YEAR, REFERENCE_YEAR+1]);
+    for(let t=y+2; t<REFERENCE_YEAR && t<=y+10; t++) targets.add(t);
+    for(const t of targets){
+      if(t<=y) continue;
+      const closeness = t===REFERENCE_YEAR ? 1 : t===REFERENCE_YEAR+1 ? 0.9 : t===y+1 ? 0.8 : 0.6;
+      add(s.slice(0,m.index)+t+s.slice(m.index+4), 'year', closeness, `"${s}" の年号 ${y}→${t}`);
+    }
+  }
+}
+
+function incrementCandidates(s, add){
+  const m = s.match(/(\d+)([^A-Za-z0-9]*)$/);
+  if(!m || /^(?:19|20)\d\d$/.test(m[1])) return;
+  const n = Number(m[1]);
+  [1,2].forEach((d,i)=>{
+    const next = String(n+d).padStart(m[1].length, '0');
+    add(s.slice(0, m.index)+next+m[2], 'increment', i ? 0.7 : 1, `"${s}" の末尾の数字 ${m[1]}→${next}`);
+  });
+}
+
+function walkShiftCandidates(s, keys, coordMap, add){
+  const chars = [...s];
+  const {points} = textToPoints(s, coordMap);
+  // 座標列の位置 → 文字位置
+  const pos = []; let j=0;
+  chars.forEach((ch,i)=>{ if(j<points.length && points[j].char===ch){ pos.push(i); j++; } });
+
+  for(const p of classifyPatterns(points)){
+    const seg = points.slice(p.start, p.end+1);
+    for(const sh of SHIFTS){
+      const moved = seg.map(pt=>{
+        let best=null, bd=Infinity;
+        for(const k of keys){
+          if(k.page!==pt.page) continue;
+          const d = Math.hypot(k.cx-(pt.x+sh.dx), k.cy-(pt.y+sh.dy));
+          if(d<bd){ bd=d; best=k; }
+        }
+        if(!best || bd>SHIFT_SNAP) return null;
+        const field = {base:'char', shift:'shift', altgr:'altgr'}[pt.layer];
+        return best[field] ?? best.char;
+      });
+      if(moved.some(c=> c===null)) continue;
+      const out = chars.slice();
+      moved.forEach((c,k)=>{ out[pos[p.start+k]] = c; });
+      add(out.join(''), 'walk_shift', sh.factor, `"${s}" の${p.label} "${p.text}" を${sh.text}`);
+    }
+  }
+}
+
+/**
+ * パスワード群から、同じ利用者が次に選びそうなパスワードを予測する
+ *
+ * スコアは種類の weight × 予測の近さ（例: 年号は基準年への更新が最も高い）で、
+ * 複数のパスワードから同じ候補が出た場合は1件ごとに 0.1 を加える。入力に含まれる文字列は除く。
+ *
+ * @param {string[]} lines - 同一利用者のパスワード群
+ * @param {{layout?: string, limit?: number}} [options] - layout: レイアウト ID（既定 'jis'）、limit: 件数（既定 CANDIDATE_LIMIT）
+ * @returns {Array<{password: string, score: number, kind: string, label: string, reason: string}>} スコアの高い順
+ */
+export function predictCandidates(lines, {layout='jis', limit=CANDIDATE_LIMIT}={}){
+  const list = (lines || []).map(s=>String(s).trim()).filter(Boolean);
+  const seen = new Set(list);
+  const coordMap = getCoordMap(layout);
+  // ソフトウェアキーボードは全部の面のキー（打鍵と同じ面のキーにだけずらす）
+  const geo = buildGeometry(layout);
+  const keys = (geo.pages.length ? geo.pages.flatMap(p=> p.keys) : geo.keys).filter(k=> k.char!==null);
+
+  const found = new Map();
+  const add = (password, kind, factor, reason)=>{
+    if(!password || seen.has(password)) return;
+    const score = CANDIDATE_KINDS[kind].weight*factor;
+    const c = found.get(password);
+    if(!c){ found.set(password, {password, score, kind, label:CANDIDATE_KINDS[kind].label, reason, support:1}); return; }
+    c.support++;
+    if(score>c.score) Object.assign(c, {score, kind, label:CANDIDATE_KINDS[kind].label, reason});
+  };
+
+  for(const s of list){
+    yearCandidates(s, add);
+    incrementCandidates(s, add);
+    walkShiftCandidates(s, keys, coordMap, add);
+  }
+
+  // よく使う語 × いつもの飾り（年号は基準年に更新した飾りも含める）
+  const bases = new Map(), decos = new Map();
+  const count = (m,k)=> m.set(k, (m.get(k)||0)+1);
+  for(const s of list){
+    const [base, deco] = splitDecoration(s);
+    if(base) count(bases, base);
+    if(deco){
+      count(decos, deco);
+      const updated = deco.replace(YEAR_RE, String(REFERENCE_YEAR));
+      if(updated!==deco) count(decos, updated);
+    }
+  }
+  const top = m=> [...m.entries()].sort((a,b)=> b[1]-a[1]).slice(0,10);
+  for(const [base, fb] of top(bases)){
+    for(const [deco, fd] of top(decos)){
+      add(base+deco, 'recombine', Math.sqrt(fb*fd)/list.length, `語 "${base}" + 飾り "${deco}"`);
+    }
+  }
+
+  const order = Object.keys(CANDIDATE_KINDS);
+  return [...found.values()]
+    .map(({support, ...c})=> ({...c, score: Math.round((c.score + 0.1*(support-1))*100)/100}))
+    .sort((a,b)=> (b.score-a.score) || (order.indexOf(a.kind)-order.indexOf(b.kind)) || (a.password<b.password ? -1 : 1))
+    .slice(0, limit);
+}
+
+/**
+ * 予測しやすさを確かめる（1件ずつ除き、残りから予測した候補に含まれるかを調べる）
+ *
+ * @param {string[]} lines - 同一利用者のパスワード群（2件以上で意味を持つ）
+ * @param {{layout?: string, limit?: number}} [options] - predictCandidates と同じ
+ * @returns {{total: number, hits: Array<{password: string, rank: number, kind: string, reason: string}>, ratio: number}}
+ *   hits: 他のパスワードから予測できたもの（rank は候補の順位、1始まり）
+ */
+export function checkPredictability(lines, options={}){
+  const list = (lines || []).map(s=>String(s).trim()).filter(Boolean);
+  const hits = [];
+  if(list.length>=2){
+    list.forEach((s,i)=>{
+      const others = list.filter((_,k)=> k!==i);
+      const cands = predictCandidates(others, options);
+      const rank = cands.findIndex(c=> c.password===s);
+      if(rank>=0) hits.push({password:s, rank:rank+1, kind:cands[rank].kind, reason:cands[rank].reason});
+    });
+  }
+  return {total: list.length, hits, ratio: list.length ? hits.length/list.length : 0};
+}
@@ -0,0 +1,80 @@
+/**
+ * KeyWalk Analyzer - 分析結果の比較
+ *
+ * 2件の分析結果（旧パスワードと新パスワード、同じパスワードを別のレイアウトで打った場合など）を並べ、
+ * KDS と詳細指標の差、検出パターンの増減を求める。DOM には一切触れない。
+ */
+
+import { REPORT_METRICS } from './report.mjs';
+
+// 良し悪しの向きがある指標（ほかは 0）
+const BETTER = {kds:-1, unique:1, adjRatio:-1, entropy:1, stepCV:1, knightRatio:1};
+
+/**
+ * 比較する指標（KDS と、単体分析の詳細指標を REPORT_METRICS と同じ並びで）
+ * better は差の良し悪しの向き（1: 大きいほど良い、-1: 小さいほど良い、0: どちらともいえない）
+ */
+export const COMPARE_METRICS = [
+  {key:'kds', label:'KDS', fmt: v=> String(v)},
+  ...REPORT_METRICS
+].map(m=> ({...m, better: BETTER[m.key] ?? 0}));
+
+/** 検出パターンの差の種類（表示順） */
+export const DETECTION_CHANGES = [
+  {id:'removed', label:'A のみ'},
+  {id:'added',   label:'B のみ'},
+  {id:'changed', label:'内容が変化'},
+  {id:'same',    label:'共通'}
+];
+
+const valueOf = (r, key)=> key==='kds' ? r.kds : r.metrics[key];
+
+/**
+ * 指標の差を符号付きの文字列にする（表示の桁で 0 になる差は ±0）
+ *
+ * @param {{fmt: Function}} metric - COMPARE_METRICS の要素
+ * @param {number} delta - B − A
+ * @returns {string} 例: '+12%'、'-0.35'、'±0'
+ */
+export function formatDelta(metric, delta){
+  const text = metric.fmt(Math.abs(delta));
+  if(text===metric.fmt(0)) return `±${text}`;
+  return (delta>0 ? '+' : '-')+text;
+}
+
+/**
+ * 2件の分析結果を比べる
+ *
+ * 指標は B − A の差と、better の向きでの判定（better / worse / same / neutral）を返す。
+ * 表示の桁で同じ値になる差は same とする。検出パターンは種類（type）ごとに対応させる
+ * （1件の結果に同じ種類の検出は1つまで）。文言が同じなら same、違えば changed とする。
+ *
+ * @param {Object} a - analyze / analyzeShape の戻り値
+ * @param {Object} b - 比べる相手の戻り値
+ * @returns {{
+ *   metrics: Array<{key: string, label: string, a: number, b: number, delta: number,
+ *     text: {a: string, b: string, delta: string}, verdict: string}>,
+ *   detections: Array<{type: string, change: string, a: Object|null, b: Object|null}>
+ * }}
+ */
+export function compareResults(a, b){
+  const metrics = COMPARE_METRICS.map(m=>{
+    const va = valueOf(a, m.key), vb = valueOf(b, m.key), delta = vb-va;
+    const text = {a: m.fmt(va), b: m.fmt(vb), delta: formatDelta(m, delta)};
+    const verdict = text.a===text.b ? 'same' : !m.better ? 'neutral' : delta*m.better>0 ? 'better' : 'worse';
+    return {key:m.key, label:m.label, a:va, b:vb, delta, text, verdict};
+  });
+
+  const byType = r=> new Map(r.detections.map(d=> [d.type, d]));
+  const da = byType(a), db = byType(b);
+  const detections = [];
+  for(const [type, d] of da){
+    const e = db.get(type) || null;
+    detections.push({type, change: !e ? 'removed' : e.text===d.text ? 'same' : 'changed', a:d, b:e});
+  }
+  for(const [type, e] of db) if(!da.has(type)) detections.push({type, change:'added', a:null, b:e});
+  const order = DETECTION_CHANGES.map(c=> c.id);
+  detections.sort((x,y)=> order.indexOf(x.change)-order.indexOf(y.change));
+
+  return {metrics, detections};
+}
@@ -0,0 +1,111 @@
+/**
+ * KeyWalk Analyzer - パスワード規則のチェック
+ *
+ * 評価ポリシーのパスワード規則（最小の長さ・KDS の上限・歩きの長さの上限・末尾の年号の禁止・
+ * 方向エントロピーの下限）を分析結果に当てはめ、規則ごとの合否と、検出結果（歩きの区間・年号・
+ * KDS の内訳・移動の向き）と接尾習慣（summarizeSuffixes）から作る書き換えの提案を返す。DOM には一切触れない。
+ */
+
+import { getPolicy, rulesId } from './policy.mjs';
+import { summarizeSuffixes } from './profile.mjs';
+import { DIRECTION_BINS, directionBin } from './metrics.mjs';
+
+// 年号の接尾習慣（summarizeSuffixes の表示名）
+const YEAR_SUFFIX = '年号';
+// 文字・数字（これより後ろに続けば末尾の年号とはみなさない）
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+// KDS の構成要素ごとの書き換えの方針（KDS_COMPONENTS の id）
+const KDS_ADVICE = {
+  normAdj:      '隣り合うキーへの移動を減らしてください（離れたキーの文字を挟む）',
+  lowH:         '打鍵の向きを散らしてください（上下・斜めに動く文字を混ぜる）',
+  straightFlag: '一方向に進み続ける並びを、途中で折り返すか別の列に移ってください',
+  patternFlag:  '検出されたパターン（歩き・辞書語・年号など）を取り除いてください',
+  lowCV:        '移動距離に変化を付けてください（近いキーと遠いキーを混ぜる）'
+};
+
+const len = s=> [...s].length;
+const detectionOf = (r, type)=> r.detections.find(d=> d.type===type);
+
+/**
+ * 規則の定義（POLICY_FIELDS の rules と同じ並び）
+ * check は {pass, detail, suggestions} を返す。pass が null の規則は判定できない（形状データで文字が要るもの）
+ */
+const RULES = [
+  {id:'minLength', label:'最小の長さ', check(r, min){
+    const n = len(r.password);
+    if(n>=min) return {pass:true, detail:`${n}文字（${min}文字以上）`, suggestions:[]};
+    return {pass:false, detail:`${n}文字（${min}文字以上）`,
+      suggestions:[`あと${min-n}文字以上足してください（歩き・年号・連番ではなく、関係のない語や記号を足す）`]};
+  }},
+
+  {id:'maxKds', label:'KDS の上限', check(r, max){
+    const detail = `KDS ${r.kds}（${max} 以下）`;
+    if(r.kds<=max) return {pass:true, detail, suggestions:[]};
+    // 寄与の大きい構成要素から2つまで
+    const top = [...r.breakdown].filter(b=> b.points>0).sort((a,b)=> b.points-a.points).slice(0,2);
+    return {pass:false, detail, suggestions: top.map(b=> `「${b.label}」（${b.points.toFixed(1)}点）: ${KDS_ADVICE[b.id]}`)};
+  }},
+
+  {id:'maxWalk', label:'歩きの長さの上限', check(r, max){
+    const d = detectionOf(r, 'walk');
+    const walks = d ? r.walks.map((text, i)=> ({text, keys: len(text), span: d.spans[i]})) : [];
+    const longest = Math.max(0, ...walks.map(w=> w.keys));
+    const detail = longest ? `最長の歩き ${longest}キー（${max}キー以下）` : `歩きなし（${max}キー以下）`;
+    const over = walks.filter(w=> w.keys>max);
+    if(!over.length) return {pass:true, detail, suggestions:[]};
+    return {pass:false, detail, suggestions: over.map(w=>{
+      // max キーごとに区切る位置（1始まりの文字位置。この文字の前に離れたキーを挟む）
+      const cuts = [];
+      for(let i=w.span.start+max; i<=w.span.end; i+=max) cuts.push(i+1);
+      return `歩き "${w.text}"（${w.span.start+1}〜${w.span.end+1}文字目）は${w.keys}キー続いています。`
+        + `${cuts.join('・')}文字目の前に離れたキーの文字を挟んで${max}キー以下に区切るか、別の語に置き換えてください`;
+    })};
+  }},
+
+  {id:'noYearSuffix', label:'末尾の年号・日付', check(r, on){
+    if(!on) return {pass:true, detail:'禁止しない', suggestions:[]};
+    if(r.shape) return {pass:null, detail:'形状データでは判定できません（文字が必要）', suggestions:[]};
+    const chars = [...r.password];
+    const habitsOf = s=> summarizeSuffixes([s]).map(h=> h.slice(0, h.lastIndexOf('×')));
+    // 後ろに記号の飾りしかない年号・日付（Sakura1990!!）も末尾とみなす
+    const span = detectionOf(r, 'date')?.spans.find(s=> chars.slice(s.end+1).every(c=> !WORD_CHAR.test(c)));
+    if(!span && !habitsOf(r.password).includes(YEAR_SUFFIX)) return {pass:true, detail:'末尾に年号・日付なし', suggestions:[]};
+    const year = span ? chars.slice(span.start, span.end+1).join('') : r.password.match(/\d+$/)[0];
+    const suggestions = [`末尾の "${year}" を外すか、年や日付と関係のない文字に置き換えてください（毎年の変更で数字だけを更新すると推測されやすい）`];
+    // 年号の後ろの飾りが当たる接尾習慣（!連続 など）
+    const others = span ? habitsOf(chars.slice(span.end+1).join('')) : [];
+    if(others.length) suggestions.push(`末尾の${others.map(h=> `「${h}」`).join('')}もよくある飾りです。飾りは末尾ではなく途中に入れてください`);
+    return {pass:false, detail:`末尾に "${year}"`, suggestions};
+  }},
+
+  {id:'minEntropy', label:'方向エントロピーの下限', check(r, min){
+    const H = r.metrics.entropy;
+    const detail = `H=${H.toFixed(2)}（${min.toFixed(2)} 以上）`;
+    if(H>=min) return {pass:true, detail, suggestions:[]};
+    // 最も多い移動の向き
+    const bins = new Array(DIRECTION_BINS.length).fill(0);
+    for(let i=1;i<r.points.length;i++){
+      const b = directionBin(r.points[i-1], r.points[i]);
+      if(b>=0) bins[b]++;
+    }
+    const total = bins.reduce((s,v)=> s+v, 0);
+    if(!total) return {pass:false, detail, suggestions:['打鍵の向きがありません。別のキーへ移る文字を足してください']};
+    const top = bins.indexOf(Math.max(...bins));
+    return {pass:false, detail,
+      suggestions:[`移動の向きが ${DIRECTION_BINS[top]} に偏っています（${total}回中${bins[top]}回）。上下・斜めなど別の向きに動く文字を挟んでください`]};
+  }}
+];
+
+/**
+ * 分析結果がパスワード規則を満たすかを調べる
+ *
+ * @param {Object} r - analyze / analyzeShape の戻り値
+ * @param {Object} [rules] - 規則の値（評価ポリシーの rules。省略時は現在のポリシー）
+ * @returns {{pass: boolean, rulesId: string, rules: Array<{id: string, label: string, pass: boolean|null, detail: string, suggestions: string[]}>}}
+ *   pass は判定できた規則がすべて満たされていれば true、rulesId は判定に使った規則の ID
+ */
+export function checkCompliance(r, rules=getPolicy().rules){
+  const results = RULES.map(rule=> ({id: rule.id, label: rule.label, ...rule.check(r, rules[rule.id])}));
+  return {pass: results.every(x=> x.pass!==false), rulesId: rulesId(rules), rules: results};
+}
@@ -0,0 +1,1791 @@
+/**
+ * KeyWalk Analyzer - 組み込み辞書
+ *
+ * 辞書語の照合（core/dictionary.mjs）に使う単語リスト。すべて小文字の ASCII で、
+ * 各リストは頻出順（先頭ほど推測されやすい。推測回数は順位そのもの）。
+ * 末尾の JAPANESE_WORDS はローマ字の照合（core/japanese.mjs）で語の表記を示すための表。
+ * 数字だけの列は年号・日付・接尾の飾りの判定で扱うため含めない。
+ *
+ * よく使われるパスワードと英単語は zxcvbn 4.4.2 の頻出リスト（MIT License,
+ * Copyright (c) 2012-2016 Dan Wheeler and Dropbox, Inc.）の上位から作ったもの。
+ * ローマ字の日本語・地名・人名は手で選んだ見本で、網羅はしていない（README の「辞書を増やす」を参照）。
+ */
+
+/*
+ * 辞書の一覧（照合順）
+ *
+ * id    … 照合結果の dictionary に入る値
+ * label … 検出・推測回数の内訳に出す表示名
+ * words … 単語（頻出順。3文字未満の語は照合しない）
+ */
+
+// 空白区切りの文字列を語の配列にする（大きなリストを1行1語にしないため）
+const words = (...lists)=> lists.flatMap(s=> s.trim().split(/\s+/));
+
+// よく使われるパスワード（zxcvbn の passwords の頻出順から、数字だけの列・3文字未満・空白や引用符を含むものを除いた上位 10,000 語）
+// キーボードの並び（qwerty 等）は歩きとしても検出されるが、定番として推測回数を小さく見積もるため入れる
+// 2つ目の文字列は上位に入らない定番（日本で多いキャラクター名・既定のアカウント名など）で、上位の後ろに続ける
+const COMMON = words(`
+password qwerty dragon baseball abc123 football monkey letmein shadow master mustang qwertyuiop
+pussy superman 1qaz2wsx fuckyou qazwsx jordan 123qwe killer trustno1 hunter harley zxcvbnm asdfgh
+buster batman soccer tigger charlie sunshine iloveyou fuckme ranger hockey computer starwars asshole
+pepper klaster zxcvbn freedom princess maggie pass ginger fuck love cheese summer chelsea dallas
+biteme matrix yankees corvette austin access thunder merlin secret diamond hello hammer fucker
+1234qwer silver gfhjkm internet samantha golfer scooter test orange cookie q1w2e3r4t5 maverick
+sparky phoenix mickey bigdog snoopy guitar whatever chicken camaro mercedes peanut ferrari falcon
+cowboy welcome sexy samsung steelers smokey dakota arsenal boomer eagles tigers marina nascar booboo
+gateway yellow porsche monster spider diablo hannah bulldog junior london purple compaq lakers
+iceman qwer1234 hardcore cowboys money banana ncc1701 boston tennis q1w2e3r4 coffee scooby nikita
+yamaha mother barney brandy chester fuckoff oliver player forever rangers midnight chicago bigdaddy
+redsox angel badboy fender jasper slayer rabbit natasha marine bigdick wizard marlboro raiders
+prince casper fishing flower jasmine iwantu panties adidas winter winner gandalf password1 enter
+ghbdtn 1q2w3e4r golden cocacola jordan23 winston madison angels panther blowme sexsex bigtits spanky
+bitch sophie asdfasdf horny thx1138 toyota tiger dick canada blowjob muffin liverpoo apples
+qwerty123 passw0rd abcd1234 pokemon 123abc slipknot qazxsw 123456a scorpion qwaszx butter startrek
+rainbow asdfghjkl razz newyork redskins gemini cameron qazwsxedc florida liverpool turtle sierra
+viking booger butthead doctor rocket dolphins captain bandit jaguar packers pookie peaches asdf
+dolphin helpme blue theman maxwell qwertyui shithead lovers maddog giants nirvana metallic hotdog
+rosebud mountain warrior stupid elephant suckit success bond007 jackass alexis porn lucky scorpio
+samson q1w2e3 azerty rush2112 driver freddy 1q2w3e4r5t sydney gators dexter red123 123456q 12345a
+bubba creative voodoo golf trouble america nissan gunner garfield bullshit asdfghjk fucking apollo
+1qazxsw2 eminem legend airborne bear beavis apple brooklyn godzilla skippy buddy qwert kitten magic
+shelby beaver phantom asdasd xavier braves darkness blink182 copper platinum qweqwe tomcat girls
+bigboy animal police online voyager lifehack 12qwaszx fish sniper trinity blazer heaven lover
+snowball playboy loveme bubbles hooters cricket willow donkey topgun nintendo saturn destiny
+pakistan pumpkin digital sergey redwings explorer tits private runner therock guinness lasvegas
+beatles fire cassie christin qwerty1 celtic asdf1234 andrey broncos babygirl eclipse fluffy cartman
+michigan carolina testing alexande birdie pantera cherry vampire mexico dickhead buffalo genius
+montana beer minecraft maximus flyers lovely stalker metallica doggie snickers speedy bronco lol123
+paradise yankee horses magnum dreams lacrosse ou812 goober enigma qwertyu scotty pimpin bollocks
+surfer cock poohbear genesis star asd123 qweasdzxc racing hello1 hawaii eagle1 viper poopoo einstein
+boobies 12345q bitches drowssap simple badger alaska action jester drummer spitfire forest maryjane
+champion diesel svetlana friday hotrod chevy lucky1 westside security google badass tester shorty
+thumper hitman mozart zaq12wsx boobs reddog lizard a123456 123456789a ruslan eagle 1232323q scarface
+qwerty12 a12345 buddha porno spirit money1 stargate qwe123 naruto mercury liberty 12345qwert
+semperfi suzuki popcorn spooky marley scotland kitty cherokee vikings simpsons rascal qweasd hummer
+loveyou michael1 patches russia jupiter penguin passion cumshot vfhbyf honda vladimir sandman
+passport raider bastard infinity assman bulldogs fantasy sucker horney domino budlight disney
+ironman usuckballz1 softball brutus redrum bigred mnbvcxz fktrcfylh karina marines digger kawasaki
+cougar fireman oksana monday cunt justice nigger super wildcats tinker logitech dancer swordfis
+avalon everton alexandr motorola patriots hentai madonna pussy1 ducati colorado connor juventus
+galore smooth freeuser warcraft boogie titanic wolverin elizabet arizona valentin saints asdfg
+accord test123 password123 christ yfnfif stinky slut spiderma naughty chopper hello123 ncc1701d
+extreme skyline poop zombie pearljam 123qweasd froggy awesome vision pirate fylhtq dreamer bullet
+predator empire 123123a kirill charlie1 panthers penis skipper nemesis rasdzv3 peekaboo rolltide
+cardinal psycho danger mookie happy1 wanker chevelle manutd goblue hobbes vegeta fyfcnfcbz picard
+windows loverboy victory vfrcbv bambam serega turkey tweety galina hiphop rooster changeme berlin
+taurus suckme polina electric avatar maksim raptor alpha1 hendrix newport bigcock brazil spring
+a1b2c3 madmax alpha britney sublime darkside bigman wolfpack classic hercules ronaldo letmein1
+1q2w3e spiderman blizzard 123456789q cheyenne cjkysirj tiger1 wombat bubba1 pandora zxc123 holiday
+wildcat devils horse alabama caesar buddy1 bondage pussycat pickle shaggy catch22 leather chronic
+a1b2c3d4 admin qqq111 qaz123 airplane kodiak freepass billybob sunset katana phpbb chocolat snowman
+angel1 stingray firebird wolves zeppelin detroit pontiac gundam panzer vagina outlaw redhead
+tarheels greenday nastya hardon engineer dragon1 hellfire serenity cobra fireball lickme darkstar
+mustang1 flash strike beauty pavilion bobafett dbrnjhbz bigmac bowling chris1 ytrewq natali pyramid
+rulez welcome1 dodgers apache swimming whynot teens trooper fuckit defender precious packard weasel
+popeye lucifer cancer icecream raven swordfish presario viktor rockstar blonde james1 wutang spike
+pimp atlanta airforce thailand casino lennon mouse hacker bluebird hawkeye theone catfish sailor
+goldfish nfnmzyf tattoo pervert barbie maxima nipples machine trucks wrangler rocks tornado lights
+cadillac bubble pegasus madman longhorn browns target eatme qazwsx123 microsoft dilbert christia
+baller lesbian shooter xfiles seattle qazqaz cthutq amateur prelude corona freaky malibu
+123qweasdzxc assassin atlantis integra pussies iloveu lonewolf dragons monkey1 unicorn software
+bobcat stealth peewee openup srinivas zaqwsx valentina shotgun trigger veronika bruins coyote
+babydoll joker dollar lestat rocky1 hottie random butterfly wordpass smiley sweety snake chipper
+woody samurai devildog gizmo maddie soso123aljg mistress freedom1 flipper express hjvfirf moose
+cessna piglet polaris teacher montreal cookies wolfgang scully fatboy wicked balls tickle bunny
+dfvgbh foobar transam pepsi fetish oicu812 basketba toshiba hotstuff sunday booty gambit impala
+stephani jessica1 hooker lancer knicks shamrock fuckyou2 stinger redneck deftones squirt siemens
+blaster trucker subaru renegade ibanez manson swinger reaper blondie mylove galaxy blahblah enterpri
+travel 1234abcd babylon5 indiana skeeter master1 sugar ficken smoke bigone sweetpea fucked trfnthbyf
+marino escort smitty bigfoot babes larisa trumpet spartan valera babylon asdfghj yankees1 bigboobs
+stormy mister hamlet aardvark butterfl marathon paladin cavalier manchester skater indigo hornet
+buckeyes indians karate hesoyam toronto diamonds chiefs buckeye 1qaz2wsx3edc highland hotsex charger
+redman passwor maiden drpepper storm pornstar garden pencil sherlock timber thuglife insane pizza
+jungle jesus1 aragorn 1a2b3c hamster david1 triumph techno lollol pioneer catdog fktrctq morpheus
+pascal shadow1 hobbit wetpussy erotic consumer blabla justme stones chrissy spartak goforit burger
+pitbull adgjmptw italia barcelona hunting colors kissme virgin overlord pebbles sundance emerald
+doggy racecar irina element zipper alpine basket goddess poison nipple sakura chichi huskers pussys
+q12345 ultimate ncc1701e blackie nicola rommel matthew1 caserta omega geronimo sammy1 trojan
+123qwe123 philips nugget tarzan chicks aleksandr bassman trixie portugal anakin dodger bomber
+superfly madness q1w2e3r4t5y6 loser 123asd fatcat ybrbnf soldier warlock wrinkle1 desire sexual babe
+seminole alejandr westham andrei concrete access14 weed letmein2 ladybug naked christop trombone
+tintin bluesky rhbcnbyf qazxswedc onelove cdtnkfyf whore vfvjxrf titans stallion truck hansolo
+blue22 smiles beagle panama kingkong flatron inferno mongoose connect poiuyt snatch qawsed juice
+blessed rocker snakes turbo bluemoon sex4me finger jamaica a1234567 mulder beetle fuckyou1 passat
+immortal plastic anthony1 whiskey dietcoke suck spunky magic1 monitor cactus exigen planet ripper
+teen spyder apple1 nolimit hollywoo sluts sticky trunks pickles sailing bonehead ghbdtnbr delta
+charlott rubber molly1 yomama hongkong jumper william1 ilovesex faster unreal cumming memphis nylons
+legion sebastia shalom pentium geheim werewolf funtime ferret orion curious niners cantona sprite
+philly pirates abgrtyu lollipop eternity boeing super123 sweets cooldude tottenha green1 jackoff
+stocking moomoo martini biscuit drizzt colt45 fossil makaveli snapper satan666 maniac salmon patriot
+verbatim nasty shasta asdzxc shaved blackcat raistlin qwerty12345 punkrock cjkywt waterloo crimson
+twister oxford musicman seinfeld biggie condor ravens megadeth wolfman cosmos sharks banshee keeper
+foxtrot gn56gn56 skywalke velvet black1 sesame dogs squirrel privet sunrise wolverine sucks legolas
+grendel ghost cats carrot frosty lvbnhbq blades stardust frog qazwsxed coolio brownie groovy
+twilight daytona vanhalen pikachu peanuts licker hershey jericho intrepid ninja 1234567a zaq123
+lobster goblin punisher strider shogun kansas amadeus seven7 jason1 neptune showtime muscle oldman
+ekaterina rfrfirf getsome showme obiwan skittles danni tanker maestro tarheel anubis hannibal anal
+newlife gothic shark fighter blue123 blues 123456z princes slick chaos thunder1 sabine 1q2w3e4r5t6y
+python test1 mirage devil clover tequila chelsea1 surfing delete potato chubby panasonic sandiego
+portland baggins fusion sooners blackdog buttons californ moscow playtime mature 1a2b3c4d dagger
+dima stimpy asdf123 gangster warriors iverson chargers byteme swallow liquid lucky7 dingdong nymets
+cracker mushroom crusader bigguy miami dkflbvbh bugger nimrod tazman stranger newpass doodle powder
+gotcha guardian dublin slapshot septembe pepsi1 milano grizzly woody1 knights photos nookie charly
+rammstein brasil scruffy munchkin poopie kittycat latino walnut thegame viper1 1passwor kolobok
+picasso robert1 barcelon bananas trance auburn coltrane eatshit goodluck starcraft wheels parrot
+postal blade wisdom pink gorilla katerina pass123 andrew1 shaney14 dumbass osiris fuck_inside
+oakland discover ranger1 spanking lonestar bingo meridian ping heather1 dookie stonecol megaman
+rjntyjr ledzep lowrider richard1 firefly griffey racerx paradox ghjcnj gangsta zaq1xsw2 tacobell
+weezer sirius halflife buffett shiloh vertigo sergei aliens sobaka keyboard kangaroo sinner soccer1
+0.0.000 bonjour socrates chucky hotboy sprint sarah1 scarlet celica shazam formula1 sommer trebor
+qwerasdf jeep mailcreated5240 bollox asshole1 fuckface honda1 rebels vacation lexmark penguins
+ragnarok formula tempest vfhecz tacoma qwertz colombia flames rockon duck prodigy wookie dodgeram
+mustangs 123qaz sithlord smoker server bang incubus scoobydo oblivion molson kitkat titleist rescue
+zxcv1234 carpet bigballs tardis jimbob xanadu blueeyes shaman mersedes pooper pussy69 golfing hearts
+mallard kenwood patrick1 dogg cowboys1 oracle 123zxc nuttertools topper shemale sleepy gremlin
+yourmom gateway1 printer monkeys peterpan mikey kingston cooler analsex jimbo pa55word asterix
+freckles birdman frank1 defiant aussie stud blondes tatyana aspirine mariners jackal deadhead katrin
+anime rootbeer frogger polo scooter1 hallo noodles thomas1 parola shaolin celine plymouth creampie
+justdoit ohyeah fatass assfuck amazon 1234567q kisses magnus camel nopass bosco harley1 putter
+champs massive spidey lightnin camelot letsgo gizmodo aezakmi bones caliente goodtime thankyou
+raiders1 brucelee redalert aquarius catherin smokin pooh mypass astros roller porkchop sapphire
+qwert123 kevin1 a1s2d3f4 beckham atomic rusty1 vanilla qazwsxedcrfv hunter1 kaktus cxfcnmt blacky
+elvis1 aggies blackjac bangkok scream 123321q iforgot power1 kasper abc12 buster1 slappy shitty
+veritas chevrole amber1 vader amsterdam jammer primus spectrum eduard granny horny1 sasha1 clancy
+usa123 satan diamond1 hitler avenger spankme 123456qwerty simba smudge scrappy labrador john316
+syracuse front242 falcons husker candyman commando gator pacman delta1 pancho krishna fatman
+clitoris pineappl lesbians 8j4ye3uz barkley vulcan punkin boner celtics monopoly flyboy romashka
+hamburg 123456aa lick gangbang area51 spartans aaa111 tricky snuggles drago homerun vectra homer1
+hermes topcat cuddles infiniti 1234567890q cosworth goose phoenix1 killer1 ivanov bossman qawsedrf
+peugeot exigent doberman durango brandon1 plumber telefon horndog laguna rbhbkk dawg webmaster
+breeze beast porsche9 beefcake leopard redbull oscar1 topdog godsmack theking pics omega1 speaker
+viktoria fuckers bowler starbuck gjkbyf valhalla anarchy blacks herbie kingpin starfish nokia loveit
+achilles labtec ncc1701a fitness jordan1 brando arsenal1 bull kicker napass desert sailboat bohica
+tractor hidden muppet jackson1 jimmy1 terminator phillies pa55w0rd terror farside swingers legacy
+frontier butthole doughboy jrcfyf tuesday sabbath daniel1 nebraska homers qwertyuio azamat fallen
+agent007 striker camels iguana looker pinkfloy moloko qwerty123456 dannyboy luckydog pistol whocares
+charmed skiing select franky puppy daniil vladik vette vfrcbvrf ihateyou nevada moneys vkontakte
+mandingo puppies mystic zidane kotenok dilligaf budman bunghole zvezda triton golfball technics
+trojans panda laptop rookie aberdeen gustav jethro enterprise igor stripper filter hurrican rfnthbyf
+lespaul gizmo1 butch dthjybrf excalibu nofear momoney possum cutter oilers moocow cupcake gbpltw
+batman1 splash svetik super1 soleil bogdan melissa1 vipers babyboy tdutybq lancelot ccbill keystone
+passwort flamingo firefox dogman vortex rebel noodle raven1 zaphod killme pokemon1 coolman danila
+designer skinny kamikaze deadman gopher doobie warhammer deeznuts freaks engage chevy1 steve1
+apollo13 poncho hammers azsxdc dracula sassy bitch1 boots deskjet macdaddy mighty rangers1 manchest
+sterlin casey1 meatball mailman sinatra cthulhu summer1 bubbas cartoon bicycle eatpussy truelove
+sentinel tolkien breast capone lickit summit 123456k peter1 daisy1 kitty1 123456789z crazy1 jamesbon
+texas1 sexygirl sonic billyboy redhot microsof microlab daddy1 rockets iloveyo fernand gordon24
+danie cutlass polska star69 titties pantyhos thekid aikido gofish mayday 1234qwe coke anfield sony
+lansing smut scotch sexx catman hustler saun dfkthbz passwor1 jenny1 azsxdcfv cheers irish1 gabrie
+tinman orioles charlton fortuna airbus rustam xtreme bigmoney zxcasd retard grumpy huskies boxing
+4runner kelly1 ultima warlord fordf150 oranges rotten asdfjkl superstar denali sultan bikini
+saratoga thor figaro sixers wildfire vladislav sparta mayhem greenbay chewie music1 number1 cancun
+fabie mellon poiuytrewq cloud9 crunch bigtime chicken1 piccolo bigbird billy1 mojo maradona sandro
+chester1 bizkit rjirfrgbde rightnow jasmine1 hyperion treasure meatloaf armani rovers jarhead cruise
+coconut dragoon utopia davids cosmo rfhbyf reebok charli giorgi sticks sayang pass1234 exodus
+anaconda zaqxsw illini woofwoof emily1 sandy1 packer poontang govols jedi tomato beaner cooter
+creamy lionking happy123 albatros poodle kenworth dinosaur greens goku happyday eeyore tsunami
+cabbage holyshit turkey50 memorex chaser bogart orgasm tommy1 volley whisper knopka ericsson walleye
+pepper1 katie1 chickens tyler1 corrado twisted zorro clemson zxcasdqwe tootsie milana zenith
+fktrcfylhf shania frisco polniypizdec0211 crazybab junebug fugazi rereirf vfvekz sausage vfczyz
+koshka clapton justin1 anhyeuem condom fubar hardrock skywalker tundra cocks gringo canon vitalik
+aspire stocks samsung1 applepie abc12345 arjay gandalf1 boob pillow sparkle gmoney rockhard lucky13
+samiam everest hellyeah bigsexy skorpion rfrnec hedgehog australi candle slacker dicks voyeur
+jazzman america1 bobby1 br0d3r wolfie vfksirf 1qa2ws3ed fright yosemite temp karolina fart barsik
+surf cheetah baddog deniska starship bootie milena hithere kume greatone dildo 50cent 0.0.0.000
+albion amanda1 midget lion maxell football1 cyclone freeporn nikola bonsai kenshin slider balloon
+roadkill killbill jerkoff dinamo tekken rambler goliath cinnamon malaka backdoor fiesta packers1
+rastaman fletch sojdlg123aljg stefano artemis calico nyjets damnit robotech duchess rctybz hooter
+keywest hal9000 mechanic pingpong operator presto sword rasputin spank bristol faggot shado amsterda
+wibble carrera alibaba majestic ramses duster route66 trident clipper steeler wrestlin divine kipper
+gotohell kingfish snake1 passwords buttman pompey viagra zxcvbnm1 spurs slutty lineage2 oleg macross
+pooter brian1 qwert1 charles1 slave jokers yzerman swimmer ne1469 nwo4life solnce seamus lolipop
+pupsik moose1 ivanova secret1 matador love69 ktyjxrf subway cinder vermont pussie chico florian
+magick guiness allsop ghetto flash1 a123456789 typhoon dfkthf depeche skydive dammit seeker fuckthis
+crysis kcj9wx5n umbrella r2d2c3po 123123q snoopdog critter theboss ding splinter kinky cyclops
+jayhawk caramel qwer123 underdog caveman onlyme grapes feather hotshot fuckher renault george1
+sex123 pippen floppy cunts megapass pornos usmc kickass great1 quattro wassup helloo p0015123
+nicole1 chivas shannon1 bullseye java fishes blackhaw jamesbond tunafish juggalo dkflbckfd dallas1
+translator beanie alucard gfhjkm123 supersta magicman ashley1 cohiba xbox360 caligula facial
+dfktynbyf cobra1 cigars fang klingon bob123 safari looser deepthroat malina tazmania gonzo goalie
+jacob1 monaco cruiser misfit vh5150 tommyboy marino13 yousuck sharky vfhufhbnf horizon absolut
+brighton 123456r death1 kungfu maxx forfun mamapapa enter1 budweise banker getmoney kostya qazwsx12
+bigbear vector fallout nudist gunners royals chainsaw scania trader blueboy walrus eastside kahuna
+qwerty1234 love123 steph cypress champ undertaker ybrjkfq europa snowboar sabres moneyman chrisbln
+minime nipper groucho whitey viewsonic penthous wolf359 fabric flounder coolguy whitesox passme
+smegma skidoo thanatos fucku2 snapple dalejr mondeo thesims mybaby panasoni sinbad thecat topher
+frodo sneakers q123456 z1x2c3 alfa chicago1 taylor1 ghjcnjnfr cat123 olivier cyber titanium madison1
+jabroni dang hambone intruder holly1 gargoyle sadie1 static poseidon studly newcastl sexxxx poppy
+johannes danzig beastie musica buckshot sunnyday adonis bluedog bonkers chrono compute spawn turbo1
+smelly wapbbs goldstar ferrari1 quantum pisces boomboom gunnar test1234 florida1 nike superman1
+multiplelo custom motherlode 1qwerty westwood usnavy apple123 daewoo korn stereo sasuke sunflowe
+watcher dharma mouse1 assholes babyblue 123qwerty marius walmart snoop starfire tigger1 paintbal
+knickers aaliyah lokomotiv theend winston1 sapper rover erotica scanner racer zeus sexy69 doogie
+bayern joshua1 newbie scott1 losers droopy outkast martin1 dodge1 wasser ufkbyf rjycnfynby thirteen
+12345z hotred deejay hotpussy jessic philippe scout panther1 cubbies havefun magpie fghtkm avalanch
+newyork1 pudding leonid harry1 cbr600 audia4 bimmer fucku idontknow vfvfgfgf aleksey builder
+zerocool godfather mylife donuts allmine redfish sascha nitram bounce smokes 1x2zkg8w rodman stunner
+zxasqw12 hoosier hairy beretta insert 123456s rtyuehe francesc tights cheese1 micron quartz hockey1
+gegcbr searay jewels bogey paintball celeron padres bing syncmaster ziggy simon1 beaches prissy
+diehard orange1 mittens aleksandra queens biggles thongs southpark artur twinkle gretzky rabota
+cambiami monalisa gollum chuckles spike1 gladiator whisky spongebob sexy1 mazafaka meathead ou8122
+barefoot 12345678q cfitymrf bigass a1s2d3 kosmos blessing titty clevelan terrapin ginger1 johnboy
+maggot clarinet deeznutz stumpy stoney footbal traveler volvo bucket snapon pianoman hawkeyes futbol
+casanova tango goodboy scuba honey1 sexyman warthog mustard abc1234 nickel meowmeow boricua prophet
+sauron 12qwas reefer andromeda crystal1 joker1 goofy loco lovesex triangle whatsup mellow bengals
+monster1 maste lover1 love1 123aaa sunshin smeghead hokies sting welder rambo cerberus bunny1
+rockford monke 1q2w3e4r5 goldwing gabriell buzzard crjhgbjy james007 rainman groove tiberius purdue
+nokia6300 hayabusa shou jagger diver zigzag poochie usarmy phish redwood redwing salamander silver1
+abcd123 sputnik boobie ripple eternal 12qw34er thegreat allstar slinky gesperrt mishka whiskers
+pinhead overkill sweet1 rhfcjnrf montgom240 sersolution jamie1 starman proxy swords nikolay bacardi
+rasta badgirl rebecca1 wildman penny1 spaceman logan1 hacked bulldog1 helmet windsor buffy1
+runescape trapper banane dbrnjh ripken 12345qwe frisky shun fester oasis lightning ib6ub9 cicero
+kool pony thedog megatron illusion edward1 napster squash roadking woohoo hoosiers tracker bagira
+midway leavemealone br549 menace rachel1 feng laser stoned realmadrid balloons tinkerbell maria1
+pobeda heineken sonics moonlight optimus comet orchid jaybird kashmir 12345678a chuang chunky peach
+mortgage rulezzz saleen chuckie zippy fishing1 gsxr750 doghouse maxim reader shai buddah benfica
+chou salomon meister eraser blackbir bigmike starter pissing angus deluxe eagles1 hardcock mian
+seahawks godfathe bookworm gregor intel talisman blackjack babyface hawaiian dogfood zhong sancho
+ludmila medusa mortimer roadrunn just4me stalin handyman alphabet pizzas calgary clouds password2
+cgfhnfr f**k cubswin gong lexus max123 xxx123 digital1 gfhjkm1 missy1 michae beautifu gator1 pacers
+buddie chinook heckfy dutchess sally1 breasts beowulf darkman jenn tiffany1 zhei quan qazwsx1 satana
+shang idontkno smiths puddin nasty1 teddybea valkyrie passwd chao boxster killers yoda cheater
+inuyasha beast1 wareagle foryou dragonball mermaid bhbirf teddy1 dolphin1 misty1 delphi gromit
+sponge qazzaq fytxrf gameover diao sergi beamer beemer kittykat rancid manowar adam12 diggler
+assword austin1 wishbone gonavy sparky1 fisting thedude sinister venera novell salsero jayden
+fuckoff1 linda1 vedder 1pussy redline lust jktymrf dfcbkbq dragon12 chrome gamecube titten cong
+bella1 leng eureka bitchass banner lakota 123321a mustafa preacher hotbox z1x2c3v4 playstation
+claymore electra checkers zheng qing armagedon wrestle svoboda bulls nimbus alenka madina newpass6
+onetime aa123456 bartman silverad electron 12345t devil666 oliver1 skylar rhtdtlrj gobucks johann
+milkman camper thunderb bigbutt jammin davide cheeks goaway lighter claudi thumbs pissoff ghostrider
+cocaine teng squall lotus hootie blackout doitnow subzero marine1 pothead 123456qw skate peng antoni
+neng miao bcfields marika musashi tulips nong piao chai ruan southpar nude mandarin ninjas cannabis
+jetski xerxes zhuang kleopatra dickie bilbo pinky morgan1 dieter baseball1 tottenham quest yfnfkmz
+dirtbike 1234567890a mango jackson5 ipswich iamgod tdutybz modena qiao slippery qweasd123 bluefish
+samtron toon iscool petrov fuzzy zhou mollydog deng pheonix zhun ghblehjr othello starcraf sanfran
+a11111 cameltoe badman vasilisa jiang 1qaz2ws luan sveta 12qw12 akira chuai cheech beatle pickup
+paloma caravan elizaveta gawker banzai pussey mullet seng bingo1 bearcat flexible farscape borussia
+zhuai templar guitar1 toolman yfcntymrf chloe1 xiang slave1 guai nuggets mantis slim scorpio1
+fyutkbyf thedoors 123qq123 zappa fergie 7ugd5hip2j huai asdfzxcv sunflower pussyman deadpool bigtit
+love12 lassie skyler gatorade carpedie jockey mancity spectre cameron1 artemka reng iomega jing
+moritz spice rhino spinner heater zhai hover talon grease qiong corleone ltybcrf tian cowboy1 hippie
+chimera ting alex123 mickey1 corsair sonoma aaron1 xxxpass bacchus webmaste chuo xyz123 chrysler
+spurs1 artem shei cosmic deutsch gabriel1 oceans binladen latinas a12345678 speedo buttercu merlot
+millwall ceng kotaku jiong dragonba stonecold snuffy hellos blaze maggie1 slapper istanbul bonjovi
+babylove mazda bullfrog phoeni meng porsche1 nomore bobdylan capslock orion1 zaraza teddybear
+ntktajy myname rong wraith mets niao smokie chevrolet dialog gfhjkmgfhjkm dotcom vadim monarch
+athlon mikey1 hamish pian liang coolness chui thoma ramones ciccio chippy eddie1 house1 ning marker
+cougars jackpot barbados reds pdtplf knockers cobalt amateurs dipshit napoli kilroy pulsar jayhawks
+daemon alexey weng shuang 9293709b13 shiner eldorado soulmate mclaren golfer1 andromed duan 50spanks
+sexyboy dogshit shuo kakashka syzygy 111111a yeahbaby qiang netscape fulham gooner zhui rainbow6
+laurent dog123 halifax freeway carlitos eastwood microphone monkey12 persik coldbeer geng nuan
+danny1 fgtkmcby entropy gadget just4fun sophi baggio carlito specialk piramida suan bigblue salasana
+hopeful mephisto bailey1 hack annie1 generic violetta spencer1 arcadia hondas trainer jones1
+smashing liao iceberg rebel1 snooker temp123 zang matteo fastball q2w3e4r5 bamboo fuckyo shutup
+astro buddyboy nikitos redbird maxxxx shitface kuai kissmyass sahara radiohea 1234asdf wildcard
+maxwell1 patric plasma heynow bruno1 shao bigfish misfits sassy1 sheng testpass nanook cygnus
+licking slavik pringles xing ninja1 submit dundee tiburon pinkfloyd yummy shuai guang chopin obelix
+insomnia stroker 1a2s3d4f playboy1 lazarus jorda spider1 homerj sleeper darklord cang tripod
+magician jelly telephon vsjasnel12 pasword iverson3 pavlov homeboy gamecock amigo brodie budapest
+yjdsqgfhjkm reckless pang tiger123 mason1 orient zong cdtnbr maksimka bushido taxman giorgio sphinx
+kazantip concorde verizon lovebug georg sam123 seadoo qazwsxedc123 jiao jezebel pharmacy abnormal
+jellybea maxime puffy islander bunnies jiggaman drakon pluto zhjckfd classics crusher mordor
+hooligan strawberry scrabble hawaii50 wg8e3wjf cthtuf premium arrow 123456qwe mazda626 ramrod tootie
+rhjrjlbk ghost1 bounty niang goat killer12 sweetnes porno1 masamune 426hemi corolla mariposa hjccbz
+doomsday bummer blue12 zhao bird33 excalibur samsun kirsty buttfuck kfhbcf zhuo marcello ozzy
+dynamite master12 lollypop stepan 1qa2ws spiker goirish callum michael2 moonbeam attila henry1
+lindros andrea1 sporty lantern nextel violin volcom water1 imation inspiron dynamo citadel placebo
+clowns tiao tripper dabears haggis merlin1 anthrax amerika iloveme vsegda burrito bombers snowboard
+forsaken katarina a1a2a3 woofer tigger2 fullmoon tiger2 spock hannah1 snoopy1 sexxxy sausages
+stanislav cobain robotics exotic green123 mobydick senators pumpkins fergus asddsa windsurf reddevil
+vfitymrf nevermind nang woodland mick shui q1q2q3 wingman superb zuan ganesh pecker zephyr
+anastasiya icu812 larry1 broker zalupa mihail vfibyf dogger paddle varvara schalke 1z2x3c presiden
+yankees2 tuning poopy concord vanguard stiffy rjhjktdf felix1 wrench firewall boxer bubba69 popper
+temppass gobears cuan tipper fuckme1 kamila thong puss bigcat drummer1 sowhat digimon tigers1 rang
+jingle bian uranus soprano mandy1 dusty1 fandango aloha pumpkin1 postman dogcat bombay pussy123
+onetwo highheel pippo julie1 laura1 pepito beng smokey1 stylus stratus reload duckie karen1 jimbo1
+krusty snappy asdf12 electro 111qqq kuang fishin clit abstr christma qqqqq1 carnage guyver boxers
+kittens zeng qwerty11 toaster cramps yugioh icehouse zxcvbnm123 pineapple namaste harrypotter mygirl
+falcon1 earnhard fender1 spikes nutmeg dogboy softail mypassword prowler bigboss harvest heng
+jubilee killjoy basset keng zaqxswcde redsox1 biao titan misfit99 robot wifey kidrock gameboy enrico
+1z2x3c4v broncos1 arrows havana banger cookie1 chriss 123qw platypus cindy1 lumber pinball foxy
+london1 password12 superma longbow radiohead nigga spongebo qwert12345 abrakadabra dodgers1 chillin
+niceguy pistons hookup santafe bigben jets vikings1 mankind viktoriya beardog hammer1 reddwarf
+magelan longjohn jennife gilles carmex2 stasik bumper doofus slamdunk pixies garion steffi
+alessandro beerman niceass warrior1 honolulu visa johndeer mother1 windmill boozer oatmeal aptiva
+busty delight tasty slick1 bergkamp badgers guitars puffin nikki1 irishman miller1 zildjian airwolf
+magnet anai install astra romans megan1 mudvayne freebird muscles dogbert snowflak mang joseph1
+nygiants playstat junior1 vjcrdf qwer12 webhompas giraffe pelican jefferso comanche bruiser monkeybo
+kjkszpj 123456l micro albany angel123 epsilon aladin death666 hounddog josephin altima chilly ultra
+gasman thisisit pavel idunno kimmie paulie ballin medion moondog manolo pallmall climber fishbone
+genesis1 toffee tbone clippers krypton jerry1 picturs compass 111111q sairam getout cobras bigblock
+severin booster norwich whiteout ctrhtn 123456m hewlett shocker fuckinside chase1 white1 versace
+123456789s basebal iloveyou2 bluebell anthon stubby foreve undertak werder saiyan mama123 medic
+chipmunk mike123 mazdarx7 qwe123qwe bowwow kjrjvjnbd celeb choochoo demo lovelife colnago lithium
+zzzxxx welcom anastasi fidelio franc roadster stone55 drifter hookem hellboy 1234qw cbr900rr sinned
+good123654 storm1 gypsy zebra zachary1 toejam buceta testing1 redfox lineage mike1 highbury koroleva
+nathan1 washingt vintage redbaron dalshe mykids macbeth julien james123 krasotka pipeline tatarin
+sensei codered komodo frogman nascar24 juicy redrose mydick pigeon tkbpfdtnf smirnoff spam winner1
+flyfish moskva 81fukkc olesya starligh summer99 fishhead freesex super12 azazel scoobydoo cabron
+yogibear sheba1 konstantin tranny chilli terminat ghbywtccf slowhand soccer12 cricket1 fuckhead
+seagull achtung blam bigbob bdsm nostromo survivor cnfybckfd lemonade boomer1 rainbow1 rober irinka
+cocksuck peaches1 itsme sugar1 zodiac upyours dinara sunny1 chiara johnson1 solitude habibi sushi
+markiz smoke1 rockies catwoman johnny1 qwerty7 bearcats username wanderer ohshit sigma stephen1
+paradigm flanker sanity jsbach spotty bologna fantasia chevys borabora cocker 123ewq gtnhjdbx
+sundevil 3000gt mustang6 gagging maggi armstron yfnfkb revolver trouble1 madcat jeremy1 jackass1
+volkswag corndog pool6123 marines1 pizza1 piggy sissy sunfire angelus undead wildbill shinobi
+45m2do5bs 123qwer cleopatr lasvega hornets amorcit coventry nirvana1 destin sidekick gbhfvblf sneaky
+bmw325 nfytxrf sekret kalina zanzibar hotone qazws wasabi heidi1 highlander blues1 hitachi paolo
+slayer1 simba1 tinkerbe kieran boiler bluesman waffle asdfgh01 threesom conan reflex nautilus
+everlast fatty vader1 cyborg ghbdtn123 birddog rubble suckers skyhawk 12qw12qw dakota1 joebob
+nokia6233 woodie longdong lamer troll ghjcnjgfhjkm boating nitro armada messiah penguin1 americ
+redeye asdqwe123 monty1 goten spikey sonata tokiohotel sonyericsson citroen compaq1 umpire belmont
+jonny pantera1 nudes palmtree fenway bighead razor gryphon andyod22 aaaaa1 taco enterme malachi
+dogface reptile dindom handball marseille candy1 torino tigge matthias viewsoni stinker evangelion
+rampage sandrine thecrow astral sprinter private1 seabee shibby fearless junkie aramis antelope
+draven fuck1 mazda6 eggman barselona buddy123 fyfnjkbq nancy1 sluggo kille hotties irishka
+zxcasdqwe123 shamus fairlane honeybee soccer10 fantomas gladiato karachi gambler gordo biatch matthe
+papito excite buffalo1 bobdole cheshire player1 thewho pinky1 mentor tomahawk brown1 bismillah
+bigpoppa ijrjkfl runaway skibum studman helper squeak holycow manfred harlem glock gideon yellow1
+wizard1 margarit success1 medved sf49ers lambda pasadena johngalt quasar coldplay amand playa
+bigpimp capricorn elefant sweetness bruce1 luca dominik biker datsun elcamino trinitro malice audi
+voyager1 joe123 carpente spartan1 mario1 glamour diaper winter1 asimov callisto nikolai pebble
+vendetta david123 boytoy iloveyou1 stupid1 cayman casper1 zippo yamahar1 wildwood foxylady calibra
+dungeon leedsutd bestbuy antares dominion skillet enforcer derparol f00tball purple1 mingus remingto
+giggles klaste 3x7pxr coolcat megane synergy macman iforget adgjmp vjqgfhjkm rfvfcenhf rogue mamamia
+carnival bolitas paris1 dmitriy dimas papillon knuckles hola tophat cutiepie devo ducks ghjuhfvvf
+asdqwe freefall parol zarina buste vitamin warez bigones baritone jamess twiggy mischief bitchy
+hetfield dontknow grinch sasha_007 calimero letmei acmilan alexandre whiteboy barney1 money123
+bigdawg cygnusx1 zoloto firefigh blowfish screamer lfybbk chelse harddick sexylady auditt pizdec
+kojak kfgjxrf 123456ru wp2003wp slugger kordell1 swinging rockie dimples 1dragon trucking rusty2
+roger1 marijuana kerouac paco thecure keepout kernel noname123 francisc bozo obsidian 12345qw spud
+tabasco jaguars dfktynby kokomo popova notused sevens magneto roswell lakeside bigbang aspen little1
+loki suckmydick strawber carlos1 nokian73 dirty1 joshu advent slimshady whistler stryker blueball
+ksusha bahamut robocop w_pass chris123 impreza prozac bookie bricks alice1 cassandr 11111q john123
+4ever korova paramedi eclipse1 salope darkangel nomad smackdow yoyoma argentin moonligh 57chevy
+bootys hardone capricor galant spanker dkflbr magpies krolik cevthrb cheddar bigbooty scuba1 qwedsa
+duffman bukkake acura johncena sexxy p@ssw0rd cherries 12345s asgard leopold fuck123 mopar lalakers
+dogpound matrix1 crusty spanner kestrel fenris universa peachy assasin lemmein eggplant hejsan
+canucks wendy1 doggy1 aikman tupac turnip godlike fussball golden1 april1 django petrova captain1
+vincent1 ratman taekwondo chocha serpent perfect1 capetown vampir amore gymnast timeout nbvjatq
+blue32 ksenia k.lvbkf nazgul budweiser clutch mariya sylveste beaker cartman1 q11111 sexxx forever1
+loser1 marseill magellan vehpbr sexgod jktxrf hallo123 liverpool1 southpaw seneca camden camero
+tenchi johndoe roofer vlad fktyrf zxcv123 wingnut wolfpac notebook pufunga7782 brandy1 biteme1
+goodgirl redhat challeng millenium hoops maveric noname angus1 gaell onion olympus sabrina1 ricard
+sixpack gratis gagged camaross hotgirls flasher bubba123 goldfing moonshin gerrard volkov sonyfuck
+mandrake tracer lakers1 asians susan1 money12 helmut boater diablo2 1234zxcv dogwood bubbles1 happy2
+randy1 aries beach1 marcius2 navigator goodie hellokitty fkbyjxrf earthlink lookout jumbo opendoor
+stanley1 marie1 12345m ashle wormix murzik lakewood bluejays loveya commande gateway2 peppe goth
+oreo slammer rasmus faith1 knight1 stone1 redskin ironmaiden gotmilk destiny1 dejavu 1master midnite
+timosha espresso delfin toriamos oberon ceasar markie 1a2s3d ghhh47hj7649 vjkjrj daddyo dougie disco
+auggie lekker therock1 ou8123 start1 noway p4ssw0rd shadow12 saigon 2fast4u capecod 23skidoo qazxcv
+beater bremen aaasss roadrunner peace1 12345qwer platon bordeaux vbkfirf test12 supernov beatles1
+qwert40 optimist vanessa1 prince1 ilovegod nightwish natasha1 alchemy bimbo blue99 patches1 gsxr1000
+richar hattrick hott solaris proton nevets enternow beavis1 amigos 159357a ambers lenochka suckdick
+shag intercourse blue1234 spiral tosser ilove cowgirl canuck q2w3e4 munch spoons waterboy evgeniy
+savior zasada redcar mamacita terefon globus doggies htubcnhfwbz cuervo suslik azertyui limewire
+houston1 stratfor steaua coors tennis1 12345qwerty stigmata derf klondike patrici marijuan hardball
+odyssey nineinch boston1 pass1 beezer sandr charon power123 a1234 vauxhall awesome1 reggae boulder
+funstuff iriska krokodil rfntymrf sterva champ1 bball peeper m123456 toolbox cabernet sheepdog
+magic32 pigpen holein1 lhfrjy banan dabomb natalie1 jennaj montana1 joecool funky steven1 ringo
+junio sammy123 qqqwww baltimor footjob geezer mash4077 cashmone pancake monic grandam bongo yessir
+gocubs nastia vancouve barley dragon69 watford ilikepie laddie 123456789m hairball toonarmy pimpdadd
+cvthnm hunte davinci lback sophie1 firenze q1234567 admin1 bonanza elway7 daman strap azert wxcvbn
+afrika theforce 123456t idefix wolfen houdini scheisse default beech maserati sigmachi dylan1
+bigdicks eskimo mizzou riccardo egghead kronos ghbrjk chaos1 jomama rfhnjirf rodeo dolemite cafc91
+nittany pathfind mikael password9 vqsablpzla purpl gabber modelsne myxworld hellsing punker rocknrol
+fishon fuck69 lolol twinkie tripleh cirrus redbone killer123 biggun allegro gthcbr smith1 wanking
+bootsy barry1 mohawk koolaid futurama samoht klizma lobo honeys peanut1 zxasqw joemama javelin samm
+sandra1 flicks montag nataly tasha1 dogbone poker1 p0o9i8u7 goodday smoothie toocool max333 metroid
+archange vagabond billabon tyson1 darkange skateboard evolutio morrowind wizards frodo1 rockin
+cumslut plastics zaqwsxcde doit outback bumble dominiqu persona nevermore alinka forgetit sexo
+all4one c2h5oh petunia sheeba kenny1 elisabet aolsucks woodstoc pumper fabio granada scrapper
+minimoni q123456789 breaker ncc74656 slimshad friendster austin31 wiseguy donner dilbert1 blackbird
+buffet jellybean barfly behappy carebear fireblad boxcar cheeky kiteboy hello12 panda1 elvisp
+opennow doktor alex12 pornking flamengo snowbird lonesome robin1 11111a weed420 baracuda bleach
+12345abc nokia1 metall singapor mariner herewego dingo tycoon cubs blunts proview 123456789d
+kamasutra lagnaf vipergts navyseal starwar masterbate wildone peterbil cucumber butkus 123qwert
+climax deniro gotribe cement scooby1 summer69 harrier shodan newyear starwars1 romeo1 sedona harald
+doubled sasha123 bigguns salami awnyce kiwi homemade pimping azzer bradley1 warhamme linkin dudeman
+qwe321 pinnacle maxdog flipflop lfitymrf fucker1 acidburn esquire sperma fellatio jeepster thedon
+sexybitch pookey spliff widget vfntvfnbrf trinity1 mutant samuel1 meliss gohome 1q2q3q mercede
+comein grin cartoons paragon henrik rainyday pacino senna bigdog1 alleycat 12345qaz narnia mustang2
+tanya1 gianni apollo11 wetter clovis escalade rainbows freddy1 smart1 daisydog s123456 cocksucker
+pushkin lefty sambo fyutkjxtr hiziad boyz whiplash orchard newark adrenalin bootsie chelle trustme
+chewy golfgti tuscl ambrosia 5wr2i7h8 penetration shonuf jughead payday stickman gotham kolokol
+johnny5 kolbasa stang puppydog charisma gators1 mone jakarta draco nightmar inlove laetitia tarpon
+nautica meadow luckyone chessie goldeney tarakan 69camaro bungle wordup interne fuckme2 dragonfl
+sprout gerbil bandit1 melanie1 phialpha camber kathy1 adriano gonzo1 bigjohn bismarck 7777777a
+scamper rabbits bynthytn dima123 alexander1 mallorca dragster favorite6 beethove burner cooper1
+fosters hello2 normandy sebring 1michael lauren1 blake1 killa nounours trumpet1 thumper1 playball
+xantia rugby1 rocknroll guillaum angela1 strelok prosper buttercup masterp dbnfkbr cambridg venom
+treefrog lumina supra sexybabe freee shen frogs driller pavement grace1 dicky checker smackdown
+pandas cannibal asdffdsa blue42 zyjxrf nthvbyfnjh melrose neon jabber gamma aprilia atticus
+benessere catcher skipper1 azertyuiop sixty9 thierry treetop jello melons 123456789qwe tantra buzzer
+catnip bouncer computer1 sexyone ananas young1 olenka sexman mooses kittys sephiroth contra hallowee
+skylark sparkles 1qazxsw23edc lucas1 q1w2e3r gofast hannes amethyst ploppy flower2 hotass amatory
+volleyba dixie1 bettyboo ticklish frenchy phish1 murphy1 trustno leinad mynameis spooge jupiter1
+hyundai frosch junkmail abacab marbles casio sunshine1 wayne1 longhair caster snicker gannibal
+skinhead hansol gatsby segblue2 montecar plato gumby kaboom matty bosco1 jazzy panter jesus123
+charlie2 giulia candyass sex69 travis1 farmboy special1 letsdoit password01 allison1 abcdefg1
+notredam ilikeit liberty1 rugger uptown alcatraz 123456w airman 007bond navajo kenobi terrier
+stayout grisha frankie1 fluff 1qazzaq1 virginie tango1 werdna octopus fitter dfcbkbcf blacklab
+montrose allen1 supernova frederik ilovepussy justice1 radeon playboy2 blubber sliver swoosh
+motocros lockdown pearls thebear istheman pinetree biit 1234rewq rustydog tampabay titts babycake
+jehovah vampire1 streaming collie camil fidelity calvin1 stitch gatit restart puppy1 budgie grunt
+capitals hiking dreamcas zorro1 riffraff makaka playmate napalm rollin amstel zxcvb123 samanth
+rumble fuckme69 jimmys pizzaman tralala delpiero alexi yamato itisme 1million vfndtq kahlua londo
+wonderboy carrots tazz ratboy rfgecnf nico fujitsu tujhrf sergbest blobby sonic1 smirnov video1
+panhead bucky duffer cashmoney left4dead bagpuss salman titfuck england1 malish dresden lemans
+darina zapper 123456as 123456qqq met2002 redstar blue23 pajero booyah please1 tetsuo semper finder
+hanuman sunlight 123456n treble cupoi password99 dimitri 3ip76k2 popcorn1 lol12345 stellar nympho
+shark1 keith1 saskia bigtruck revoluti rambo1 asd222 feelgood phat gogators bismark cola puck
+furball burnout slonik bowtie mommy1 icecube fabienn mouser papamama rolex giants1 blue11 trooper1
+momdad iklo morten rhubarb gareth 123456d blitz canada1 r2d2 brest tigercat usmarine lilbit benny1
+azrael lebowski 12345r madagaskar begemot loverman dragonballz italiano mazda3 naughty1 onions
+diver1 cyrano capcom asdfg123 forlife fisherman weare138 requiem mufasa alpha123 piercing hellas
+abracadabra duckman caracas macintos jordan2 crescent fduecn hogtied eatmenow ramjet kicksass
+whatthe discus rfhfvtkmrf rufus1 sqdwfe mantle vegitto trek dan123 paladin1 rudeboy liliya lunchbox
+riversid acapulco libero dnsadm maison toomuch boobear hemlock sextoy pugsley misiek athome migue
+altoids marcin rhfcfdbwf jeter2 rhinos rjhjkm mercury1 ronaldinho shampoo makayla kamilla
+masterbating tennesse holger john1 matchbox hores poptart parlament goodyear asdfgh1 hardwood alain
+erection hfytnrb highlife implants benjami dipper jeeper bendover supersonic babybear laserjet
+gotenks bama natedogg aol123 pokemo rabbit1 raduga sopranos cashflow menthol pharao hacking
+ghjcnbnenrf lizzy muffin1 pooky penis1 flyer gramma dipset becca ireland1 diana1 donjuan pong ziggy1
+alterego simple1 cbr900 logger claudia1 cantona7 matisse ljxtymrf victori harle mamas encore mangos
+iceman1 diamon alexxx tiamat desktop mafia smurf princesa shojou blueberr welkom maximka 123q123
+tammy1 bobmarley clips demon666 ismail termite laser1 missie altair donna1 bauhaus trinitron mogwai
+flyers88 juniper nokia5800 boroda jingles qwerasdfzxcv shakur legos mallrats 1qazxsw goldeneye
+tamerlan julia1 backbone spleen 49ers shady darkone medic1 justi giggle cloudy aisan douche parkour
+bluejay huskers1 redwine 1qw23er4 satchmo nineball stewart1 ballsack probes kappa amiga flipper1
+dortmund trigun homepage blinky screwy gizzmo belkin chemist coolhand chachi braves1 thebest
+greedisgood pro100 banana1 101091m 123456g wonderfu barefeet 8inches 1111qqqq kcchiefs qweasdzxc123
+metal1 jennifer1 xian asdasd123 pollux cheerleaers fruity mustang5 turbos shopper photon espana
+hillbill oyster macaroni gigabyte jesper motown tuxedo buster12 triplex cyclones estrell mortis
+holla fiddle sapphic jurassic thebeast ghjcnjq baura spock1 metallica1 karaoke nemrac58 love1234
+flvbybcnhfnjh frisbee diva ajax feathers flower1 soccer11 allday mierda pearl1 amature marauder
+redheads womans egorka godbless nimitz aaaa1111 sashka madcow socce greywolf baboon pimpdaddy
+123456789r reloaded lancia rfhfylfi dicker placid grimace olemiss whores culinary wannabe maxi
+1234567aa amelie riley1 trample phantom1 baberuth bramble asdfqwer vides 4you abc123456 taichi aztnm
+smother outsider hakr blackhawk bigblack girlie spook valeriya gianluca freedo 1q2q3q4q handbag
+lavalamp cumm pertinant whatup nokia123 redlight patrik 111aaa poppy1 dfytxrf aviator sweeps
+kristin1 cypher elway yinyang access1 poophead tucson noles1 monterey waterfal dank dougal suede
+minnesot legman bukowski ganja mammoth riverrat asswipe daredevi lian arizona1 kamikadze alex1234
+smile1 angel2 55bgates bellagio wanrltw stiletto lipton arsena biohazard bbking chappy tetris
+as123456 darthvad lilwayne nopassword natchez glitter mytime rubicon moto pyon wazzup tbird shane1
+nightowl getoff beckham7 trueblue hotgirl nevermin deathnote taffy bigal copenhag apricot gallaries
+dtkjcbgtl totoro onlyone civicsi jesse1 baby123 sierra1 festus abacus sickboy fishtank fungus charle
+golfpro teensex mario66 seaside aleksei rosewood blackberry bedlam schumi deerhunt contour darkelf
+surveyor deltas pitchers dipstick funny1 lizzard jupiter2 softtail titman greenman z1x2c3v4b5
+smartass notnow myworld nascar1 chewbacc nosferatu downhill dallas22 kuan blazers whales soldat
+craving powerman yfcntyf hotrats cfvceyu qweasdzx princess1 feline qqwwee chitown 1234qaz mastermind
+dingbat care1839 standby kismet atreides dogmeat icarus monkeyboy alex1 mouses nicetits sealteam
+chopper1 crispy winter99 rrpass1 myporn myspace1 corazo topolino ass123 lawman muffy orgy 1love
+passord hooyah ekmzyf pretzel amonra nestle jimbeam happyman z12345 stonewal helios manunited
+harcore dick1 gaymen 2hot4u light1 qwerty13 kakashi pjkjnj alcatel taylo allah buddydog ltkmaby
+mongo blonds start123 audia6 123456v civilwar bellaco turtles mustan deadspin aaa123 fynjirf
+lucky123 tortoise amor summe waterski zulu drag0n dtxyjcnm gizmos strife interacial pusyy goose1
+bear1 equinox matri jaguar1 tobydog sammys nachos traktor bryan1 morgoth dasani miami1 mashka
+xxxxxx1 ownage nightwin hotlips passmast cool123 skolko eldiablo manu screwyou badabing foreplay
+hydro kubrick seductive demon1 comeon galileo aladdin metoo happines mizuno caddy bizzare girls1
+redone ohmygod sable bonovox girlies hamper opus gizmodo1 aaabbb pizzahut rocky2 anton1 kikimora
+peavey ocelot a1a2a3a4 2wsx3edc jackie1 solace sprocket galary chuck1 volvo1 shurik poop123 locutus
+virago wdtnjxtr tequier bisexual doodles makeitso fishy nothing1 fishcake sentry libertad oaktree
+fivestar adidas1 vegitta mississi spiffy carme neutron vantage agassi boners 123456789v hilltop
+taipan barrage kenneth1 fister martian willem lfybkf bluestar moonman ntktdbpjh paperino bikers
+daffy benji quake dragonfly suckcock danilka lapochka belinea calypso asshol camero1 abraxas
+mike1234 womam q1q2q3q4q5 youknow maxpower audi80 sonora raymond1 tickler tadpole belair crazyman
+finalfantasy jonatha paisley kissmyas morgana monste mantra spunk magic123 jonesy mark1 alessand
+baddest ghbdtnrfrltkf zxccxz tictac augustin racers 7grout foxfire openit nathanie 1z2x3c4v5b seadog
+gangbanged lovehate hondacbr harpoon mamochka fisherma bismilla locust wally1 spiderman1 saffron
+utjhubq 20spanks safeway pisser bdfyjd kristen1 bigdick1 magenta vfhujif anfisa friday13 qaz123wsx
+0987654321q tyrant guan meggie kontol nurlan ayanami rocket1 yaroslav websol76 mutley hugoboss
+websolutions elpaso gagarin badboys sephirot newuser qian edcrfv booger1 lockout timoxa94 mazda323
+firedog sokolova skydiver jesus777 1234567890z soulfly canary malinka guillerm hookers dogfart
+surfer1 osprey india123 rhjkbr stoppedby nokia5530 123456789o blue1 werter divers 123456f alpina
+cali whoknows godspeed foreskin fuzzy1 heyyou didier slapnuts fresno rosebud1 sandman1 bears1 blade1
+honeybun queen1 baronn pakista philipp topsecret sniper1 slipper letsfuck pippen33 godawgs mousey
+qw123456 scrotum loveis lighthou bp2002 nancy123 jeffrey1 susieq buddy2 ralphie trout1 willi antonov
+sluttey rehbwf marty1 darian losangeles letme1n 12345d pusssy godiva ender golfnut leonidas
+a1b2c3d4e5 puffer general1 wizzard lehjxrf racer1 bigbucks cool12 buddys zinger esprit vbienrf josep
+tickling froggie 987654321a daddys crumbs gucci mikkel opiate tracy1 christophe came11 petrovich
+humbug dirtydog allstate horatio wachtwoord creepers squirts rotary bigd georgia1 fujifilm 2sweet
+dasha yorkie slimjim wiccan kenzie system1 skunk b12345 getit pommes daredevil sugars bucker piston
+lionheart 1bitch catfight recon icecold fantom vodafone kontakt boris1 vfcnth canine valleywa faraon
+chickenwing101 qq123456 livewire livelife roosters jeepers ilya1234 coochie pavlik dewalt dfhdfhf
+architec blackops 1qaz2wsx3edc4rfv rhfcjnf wsxedc teaser sebora rhino1 ankara swifty decimal redleg
+shanno nermal candies smirnova dragon01 photo1 ranetki a1s2d3f4g5 axio wertzu maurizio 6uldv8
+zxcvasdf punkass flowe graywolf peddler 3rjs1la7qe mpegs seawolf ladyboy pianos piggies vixen alexus
+orpheus gdtrfb z123456 macgyver hugetits ralph1 flathead maurici mailru goofball nissan1 nikon
+stopit odin big1 smooch reboot famil bullit anthony7 gerhard methos morena eagle2 jessica2 zebras
+getlost gfynthf sarajevo indon comets tatjana rfgbnjirf joystick batman12 123456c sabre beerme
+victory1 kitties badboy1 booboo1 comcast slava squid saxophon lionhear qaywsx bustle nastena roadway
+loader hillside starlight niggers access99 bazooka molly123 blackice bandi cocacol nfhfrfy timur
+muschi horse1 quant4307s squerting oscars mygirls flashman tangerin goofy1 p0o9i8 housewifes newness
+monkey69 escorpio password11 hippo warcraft3 qazxsw123 qpalzm ribbit ghbdtndctv bogota star123
+lincoln1 bigjim lacoste firestorm legenda indain ludacris milamber evangeli letmesee a111111
+hooters1 bigred1 shaker husky a4tech cnfkrth argyle rjhjdf nataha 0o9i8u7y gibson1 sooners1 glendale
+archery hoochie stooge aaaaaa1 scorpions school1 vegas1 rapier mike23 bassoon groupd2013 macaco
+baker1 labia freewill santiag silverado butch1 vflfufcrfh monica1 rugrat cornhole aerosmit bionicle
+gfgfvfvf daniel12 virgo fmale favorite2 detroit1 pokey shredder baggies wednesda cosmo1 mimosa
+sparhawk firehawk romario 911turbo funtimes fhntvrf nexus6 timothy1 bajingan terry1 frenchie raiden
+1mustang babemagnet nadejda truffles rapture douglas1 lamborghini motocross rjcvjc skeeter1 dante1
+angel666 telecom carsten pietro bmw318 astro1 carpediem samir orang helium scirocco fuzzball
+rushmore rebelz hotspur lacrimosa chevys10 madonna1 domenico yfnfirf jachin shelby1 bloke dawgs
+dunhill atlanta1 service1 mikado devilman angelit reznor euphoria lesbain checkmat browndog phreak
+blaze1 crash1 farida mutter luckyme horsemen vgirl jediknig asdas cesare allnight rockey starlite
+truck1 passfan close-up samue cazzo wrinkles homely eatme1 sexpot snapshot dima1995 asthma thetruth
+ducky blender priyanka gaucho dutchman sizzle kakarot passcode justinbieber elodie sanjay alex01
+lotus1 2300mj lakshmi zoomer quake3 teapot ramada pennywis striper pilot1 chingon optima nudity
+ethan1 euclid beeline loyola biguns zaq12345 bravo1 disney1 buffa assmunch vivid wellingt aqwzsx
+madala11 sigmar pictere tiptop bettyboop dinero tahiti gregory1 bionic speed1 fubar1 lexus1 denis1
+hawthorn saxman suntzu bernhard dominika camaro1 hunter12 balboa bmw2002 seville diablo1 vfhbyjxrf
+1234abc carling lockerroom punani darth baron1 vaness 1password libido picher karamba futyn007
+daydream dragon123 friends1 bopper rocky123 chooch asslover shimmer riddler openme tugboat sexy123
+midori gulnara christo swatch laker offroad puddles hackers mannheim manager1 horseman roman1
+dancer1 komputer pictuers nokia5130 ejaculation lioness 123456y evilone nastenka pushok javie lilman
+mjolnir toulouse pussy2 bigworm smoke420 fullback extensa dreamcast belize delboy willie1 casablanca
+csyjxtr ricky1 bonghit salvator basher pussylover rosie1 vivitron cobra427 meonly armageddon
+myfriend zardoz qwedsazxc kraken fzappa starfox illmatic capoeira weenie ramzes freedom2 toasty
+pupkin shinigami fhvfutljy nocturne churchil thumbnils tailgate neworder sexymama goarmy cerebus
+michelle1 vbifyz surfsup earthlin dabulls basketbal aligator mojojojo saibaba welcome2 wifes wdtnjr
+12345w slasher papabear terran footman hocke texans tom123 sfgiants billabong aassdd monolith xxx777
+l3tm31n ticktock newone hellno japanees contortionist admin123 scout1 alabama1 divx1 rochard privat
+radar1 bigdad fhctybq tortuga citrus avanti fantasy1 woodstock s12345 fireman1 embalmer woodwork
+bonzai konyor newstart jigga panorama goats smithy rugrats hotmama daedalus nonstop fruitbat lisenok
+quaker violator my3sons cajun fraggle gayboy oldfart vulva knickerless orgasms undertow binky litle
+kfcnjxrf masturbation bunnie alexis1 planner transexual sparty leeloo monies fozzie stinger1
+landrove anakonda scoobie yamaha1 henti star12 rfhlbyfk beyonce catfood cjytxrf zealots strat
+fordtruc archangel silvi sativa boogers miles1 bigjoe tulip petite greentea shitter jonboy voltron
+morticia evanescence 3edc4rfv longshot windows1 serge aabbcc starbucks sinful drywall prelude1
+www123 camel1 homebrew marlins letmeinn domini swampy plokij fordf350 webcam michele1 bolivi
+wingzero qawsedrftg shinji sverige jasper1 piper1 cummer iiyama gocats amour alfarome jumanji mike69
+fantasti 1monkey w00t88 shawn1 lorien 1a2s3d4f5g koleso murph natascha sunkist kennwort emine
+grinder m12345 q1q2q3q4 cheeba money2 qazwsxedc1 diamante prosto pdiddy stinky1 gabby1 luckys franci
+pornographic moochie gfhjdjp samdog empire1 comicbookdb emili motdepasse iphone braveheart reeses
+nebula sanjose bubba2 kickflip arcangel superbow porsche911 xyzzy nigger1 dagobert devil1 alatam
+monkey2 barbara1 12345v vfpfafrf alessio babemagn aceman arrakis kavkaz jasons berserk sublime1
+rogue1 myspace buckwhea csyekz pussy4me vette1 boots1 boingo arnaud budlite redstorm paramore becky1
+imtheman chango marley1 milkyway giveme mahalo lux2000 lucian paddy praxis shimano bigpenis creeper
+newproject2004 rammstei j3qq4h7h2v hfljcnm lambchop anthony2 bugman gfhjkm12 dreamer1 stooges
+cybersex diamant cowboyup maximus1 sentra goethe manhatta fastcar selmer yfnfitymrf denni chewey
+yankee1 elektra 123456789p trousers fishface topspin orwell vorona sodapop motherfu ibilltes forall
+kookie ronald1 balrog maximilian mypasswo sonny1 zzxxcc tkfkdg magoo mdogg heeled gitara lesbos
+marajade tippy morozova enter123 lesbean pounded asd456 fialka scarab sharpie spanky1 gstring sachin
+12345asd princeto hellohel ursitesux billows 1234kekc kombat cashew duracell kseniya sevenof9 kostik
+arthur1 corvet07 rdfhnbhf songoku tiberian needforspeed 1qwert dropkick kevin123 panache libra
+a123456a kjiflm vfhnsirf cntgfy iamcool narut buffer sk8ordie urlaub fireblade blanked marishka
+gemini1 altec gorillaz chief1 revival47 ironman1 space1 ramstein doorknob devilmaycry nemesis1
+sosiska pennstat monday1 pioner shevchenko detectiv evildead blessed1 aggie coffees tical scotts
+bullwink marsel krypto adrock rjitxrf asmodeus rapunzel theboys hotdogs deepthro maxpayne veronic
+fyyeirf otter cheste abbey1 thanos bedrock bartok google1 xxxzzz rodent montecarlo hernande mikayla
+123456789l bravehea 12locked ltymub pegasus1 ameteur saltydog faisal milfnew momsuck everques
+ytngfhjkz m0nkey businessbabe cooki custard 123456ab lbvjxrf outlaws qwerty78 udacha insider chees
+fuckmehard shotokan katya seahorse vtldtlm turtle1 mike12 beebop heathe everton1 darknes barnie
+rbcekz alisher toohot theduke reddog1 breezy bulldawg monkeyman baylee losangel mastermi apollo1
+aurelie zxcvb12345 cayenne bastet wsxzaq geibcnbr yello fucmy69 redwall ladybird bitchs cccccc1
+rktjgfnhf ghjdthrf quest1 oedipus linus impalass fartman 12345k fokker 159753a optiplex bbbbbb1
+realtor slipkno santacru rowdy jelena smeller ddddd1 sexyme janet1 eatme69 cazzone today1 poobear
+ignatius master123 newpass1 heather2 snoopdogg blondinka pass12 honeydew fuckthat lovem goldrush
+gecko biker1 llama pendejo avalanche fremont snowman1 gandolf chowder 1a2b3c4d5e flyguy magadan
+1fuck pingvin nokia5230 ab1234 lothar lasers bignuts renee1 royboy skynet dragrace lovely1 booter
+corvett 123456qq capital1 videoes funtik wyvern flange sammydog hulkster not4you vorlon omegared
+l58jkdjp! filippo 123mudar samadams petrus chris12 charlie123 icetea sunderla adrian1 123qweas
+kazanova aslan monkey123 fktyeirf goodsex 123ab lbtest banaan bluenose asd12345 waffenss whateve
+1a2a3a4a trailers vfhbirf bhbcrf klaatu turk182 monsoon beachbum sunbeam succes clyde1 viking1
+rawhide bubblegum princ mackenzi hershey1 dima55 niggaz manatee aquila anechka pamel bugsbunn lovel
+sestra newport1 althor hornyman wakeup zzz111 phishy cerber torrent thething solnishko babel
+buckeye1 peanu ethernet uncencored baraka chris2 rb26dett willy1 choppers texaco biggirl 123456b
+anna2614 sukebe caralho callofduty rt6ytere jesus7 angel12 1money timelord allblack pavlova romanov
+tequiero yitbos lookup bulls23 snowflake dickweed barks lever irisha firestar fred1234 ghjnjnbg
+danman gatito betty1 milhouse kbctyjr masterbaiting delsol papit doggys bdfyjdf invictus bloods
+kayla1 yourmama apple2 angelok bigboy1 pontiac1 verygood yeshua twins2 porn4me rasta69 james2
+bosshog candys adventur stripe djkjlz dokken austin316 skins hogwarts vbhevbh navigato desperado
+xxx666 cneltyn vasiliy hazmat daytek eightbal fred1 four20 fabia aerosmith manue wingchun boohoo
+hombre sanity72 goatboy fuckm partizan avrora utahjazz submarin pussyeat heinlein control1 costaric
+smarty chuan triplets snowy snafu teacher1 vangogh vandal evergree cochise qwerty99 pyramid1 saab900
+sniffer qaz741 lebron23 mark123 wolvie blackbelt yoshi feeder janeway nutella fuking asscock deepak
+poppie bigshow housewife grils tonto cynthia1 temptress irakli belle1 russell1 manders frank123
+seabass gforce songbird zippy1 naught brenda1 chewy1 hotshit topaz girfriend marinka jakester
+thatsme planeta falstaff patrizia reborn riptide cherry1 shuan nogard chino oasis1 qwaszx12 goodlife
+davis1 1911a1 harrys shitfuck russian7 bulls1 porshe danil dolphi river1 sabaka gobigred deborah1
+volkswagen miamo alkaline muffdive 1letmein fkbyrf goodguy hallo1 nirvan ozzie cannonda cvbhyjdf
+marmite germany1 joeblow radio1 love11 raindrop jacko newday fathead elvis123 caspe citibank sports1
+deuce boxter fakepass golfman snowdog birthday4 nonmembe niklas parsifal krasota theshit maganda
+nikita1 omicron cassie1 columbo buick sigma1 thistle bassin rickster apteka sienna skulls miamor
+coolgirl gravis 1qazxc virgini hunter2 akasha batma motorcyc bambino tenerife fordf250 zhuan
+iloveporn markiza hotbabes becool fynjybyf wapapapa forme mamont pizda dragonz sharon1 scrooge
+mrbill pfloyd leeroy natedog ishmael tecumseh carajo nfy.irf 0000000000o blackcock fedorov antigone
+feanor novikova bobert peregrin spartan117 pumkin rayman manuals tooltime bonethug marina1 bonnie1
+tonyhawk laracroft mahalkita terriers gamer hoser littlema molotok glennwei lemon1 caboose tater
+brians fritz1 mistral jigsaw fuckshit hornyguy southside edthom antonio1 bobmarle pitures ilikesex
+crafty nexus boarder fulcrum astonvil yanks1 yngwie account1 zooropa hotlegs sammi gumbo rover1
+perkele maurolarastefy lampard barracud dmband abcxyz pathfinder yuliya micky jayman asdfg12345
+halcyon rerfhtre feniks zaxscd gotyoass jaycee samson1 jamesb vibrate grandpri camino colossus
+davidb mamo4ka nicky1 homer123 pinguin watermelon shadow01 lasttime glider helen1 pyramids tulane
+osama rostov john12 scoote bhbyrf gohan galeries joyful bigpussy tonka mowgli astalavista zzz123
+leafs dalejr8 unicorn1 primal bigmama okmijn killzone qaz12345 snookie zxcvvcxz davidc epson rockman
+ceaser beanbag katten duckhunt segreto matros ragnar sexsexse 123123z fuckyeah bigbutts gbcmrf
+element1 marketin saratov elbereth blaster1 yamahar6 grime masha juneau pappy lindsay1 mooner
+seattle1 katzen lucent polly1 lagwagon pixie misiaczek 666666a smokedog lakers24 eyeball ironhors
+ametuer volkodav vepsrf kimmy gumby1 poi098 ovation 1q2w3 drinker penetrating summertime 1dallas
+prima modles takamine hardwork macintosh tahoe passthie chiks sundown flowers1 boromir music123
+phaedrus albert1 joung malakas gulliver parker1 balder sonne jessie1 domainlock2005 express1 vfkbyf
+youandme raketa koala dhjnvytyjub nhfrnjh testibil ybrbnjc 987654321q axeman pintail pokemon123
+dogggg shandy thesaint x72jhhu3z theclash raptors zappa1 djdjxrf hell666 friday1 vivaldi pluto1
+lance1 guesswho jeadmi corgan skillz skippy1 mango1 gymnastic satori theedge cxfcnkbdfz sparkey
+deicide bagels lololol lemmings r4e3w2q1 silve staind schnuffi dazzle basebal1 leroy1 bilbo1 luckie
+qwerty2 goodfell hermione peaceout davidoff yesterda killah flippy chrisb zelda1 headless muttley
+fuckof tittys catdaddy photog beeker reaver ram1500 yorktown bolero tryagain arman chicco learjet
+alexei jenna1 go2hell 12s3t4p55 momsanaladventure mustang9 protoss rooter ginola dingo1 mojave
+erica1 1qazse4 marvin1 redwolf sunbird dangerou maciek girsl hawks1 packard1 excellen dashka soleda
+toonces acetate nacked jbond007 alligator debbie1 wellhung monkeyma supers rigger larsson vaseline
+rjnzhf maripos 123456asd cbr600rr doggydog cronic jason123 trekker flipmode druid sonyvaio dodges
+mayfair mystuff fun4me samanta sofiya magics 1ranger arcane sixtynin omerta luscious gbyudby bobcats
+envision chance1 seaweed holdem tomate mensch slicer acura1 goochi qweewq punter repoman tomboy
+never1 cortina gomets dogma bhjxrf loglatin eragon strato gazelle growler klaudia payton34 fuckem
+butchie scorpi lugano 123456789k nichola chipper1 spide uhbujhbq rsalinas vfylfhby longhorns bugatti
+everquest !qaz2wsx blackass snakeman p455w0rd fanatic family1 pfqxbr 777vlad mysecret marat phoenix2
+october1 genghis panties1 cooker citron ace123 gramps blackcoc kodiak1 hickory ivanhoe blackboy
+escher sincity beaks meandyou spaniel canon1 timmy1 lancaste polaroid edinburg fuckedup hotman
+cueball golfclub gopack bookcase worldcup dkflbvbhjdbx twostep 17171717aa letsplay zolushka stella1
+pfkegf kingtut 67camaro barracuda wiggles gjhjkm prancer patata kjifhf theman1 romanova sexyass
+copper1 dobber sokolov pomidor algernon cadman amoremio william2 silly1 bobbys hercule
+hd764nw5d7e1vb1 defcon deutschland robinhood alfalfa machoman lesbens pandora1 easypay tomservo
+nadezhda goonies saab9000 jordyn f15eagle dbrecz 12qwerty greatsex thrawn blunted baywatch
+doggystyle loloxx chevy2 january1 kodak bushel ub6ib9 zz8807zpl briefs hawker first1 bonzo brent1
+erasure sidewind soccer13 mentos kolibri onepiece united1 ponyboy keksa12 wayer mypussy andrej
+mischa mille bruno123 garter bigpun talgat familia jazzy1 mustang8 newjob bobber blackbel hatteras
+ginge asdfjkl; camelot1 blue44 rebbyt34 ebony1 vegas123 myboys aleksander ijrjkflrf lopata pilsner
+lotus123 m0nk3y andreev freiheit balls1 drjynfrnt mazda1 waterpolo shibumi 123bbb cezer121 blondie1
+volkova rattler kleenex ben123 sanane happydog satellit qazplm qazwsxedcrfvtgb meowmix badguy
+facefuck spice1 blondy major1 anna123 654321a sober1 deathrow patterso china1 naruto1 hawkeye1
+waldo1 butchy crayon 5tgb6yhn klopik crocodil mothra imhorny pookie1 splatter slippy lizard1 router
+buratino yahweh dragon11 123qwe456 peepers trucker1 ganjaman 1hxboqg2 cheyanne storys sebastie zztop
+maddison 4rfv3edc darthvader jeffro iloveit victor1 hotty delphin lifeisgood gooseman shifty
+insertions dude123 abrupt 123masha boogaloo chronos stamford pimpster kthjxrf getmein amidala
+flubber fettish grapeape dantes oralsex jack1 foxcg33 winchest francis1 getin archon cliffy blueman
+1basebal sport1 emmitt22 porn123 bignasty morga 123hfjdk147 ferrar juanito fabiol caseydog steveo
+peternorth paroll kimchi bootleg gaijin secre acacia eatme2 amarillo monkey11 rfhfgep tylers
+a1a2a3a4a5 sweetass blower rodina babushka camilo cimbom tiffan vfnbkmlf ohbaby gotigers lindsey1
+dragon13 romulus qazxsw12 zxcvbn1 dropdead hitman47 snuggle eleven11 bloopers 357mag avangard bmw320
+ginscoot dshade masterkey voodoo1 rootedit caramba leahcim hannover 8phrowz622 tim123 cassius
+000000a angelito zzzzz1 badkarma star1 malaga glenwood footlove golf1 summer12 helpme1 fastcars
+titan1 police1 polinka k.jdm marusya augusto shiraz pantyhose donald1 blaise arabella brigada
+c3por2d2 peter01 marco1 hellow dillweed uzumymw geraldin loveyou2 toyota1 gophers indy500 slainte
+5hsu75kpot teejay renat racoon sabrin angie1 shiznit harpua sexyred latex tucker1 alexandru wahoo
+teamwork deepblue goodison rundmc r2d2c3p0 puppys samba ayrton boobed topsecre blowme1 123321z
+loudog random1 pantie drevil mandolin 121212q hottub brother1 failsafe spade1 matvey open1234
+carmen1 priscill schatzi kajak gooddog trojans1 gordon1 kayak calamity argent ufhvjybz seviyi
+penfold assface dildos hawkwind crowbar yanks ruffles rastus luv2epus open123 aquafina dawns jared1
+teufel 12345c vwgolf pepsi123 amores passwerd boliva smutty headshot password3 davidd zydfhm
+gbgbcmrf pornpass insertion ceckbr test2 car123 checkit dbnfkbq niggas nyyankee muskrat nbuhtyjr
+gunner1 ocean1 fabienne chrissy1 wendys loveme89 batgirl cerveza igorek steel1 ragman boris123
+novifarm sexy12 qwerty777 mike01 giveitup 123456abc fuckall crevice hackerz gspot eight8 assassins
+texass swallows baldur moonshine labatt modem sydney1 voland dbnfkz hotchick jacker princessa dawgs1
+holiday1 booper reliant miranda1 jamaica1 andre1 badnaamhere barnaby tiger7 david12 margaux corsica
+085tzzqi universi thewall nevermor martin6 qwerty77 cipher apples1 seraphim black123 imzadi gandon
+ducati99 1shadow dkflbvbhjdyf 44magnum bigbad feedme samantha1 ultraman redneck1 jackdog usmc0311
+fresh1 monique1 tigre alphaman cool1 greyhoun indycar crunchy 55chevy carefree willow1 063dyjuy
+xrated assclown federica hilfiger trivia bronco1 mamita simcity lexingky akatsuki retsam johndeere
+abudfv raster elgato businka satanas mattingl redwing1 shamil patate mannn moonstar evil666 b123456
+bowl300 tanechka carthage babygir santino bondarenko jesuss chico1 numlock shyguy sound1 kirby1
+needit mostwanted funky1 steve123 passions anduril kermit1 prospero lusty barakuda dream1 broodwar
+porky christy1 mahal yyyyyy1 allan1 1sexy flintsto capri cumeater heretic robert2 hippos blindax
+marykay collecti kasumi 1qaz!qaz 112233q chemistr coolboy 0o9i8u kabuki righton tigress nessie
+sergej andrew12 yfafyz ytrhjvfyn angel7 victo mobbdeep lemming transfor myhouse aeynbr muskie
+leno4ka westham1 cvbhyjd daffodil pussylicker pamela1 stuffer warehous tinker1 2w3e4r pluton louise1
+polarbea prime1 anatoliy januar wysiwyg cobraya ralphy whaler xterra cableguy 112233a porn69 jamesd
+aqualung jimmy123 lumpy luckyman kingsize golfing1 alpha7 leeds1 marigold lol1234 teabag alex11
+10sne1 saopaulo shanny roland1 basser carol1 year2005 morozov saturn1 joseluis bushed redrock
+memnoch lalaland indiana1 lovegod gulnaz buffalos loveyou1 anteater pattaya jaydee redshift bartek
+summerti coffee1 ricochet incest schastie rakkaus h2opolo suikoden perro dance1 loveme1 whoopass
+vladvlad boober flyers1 alessia gfcgjhn pipers papaya gunsling coolone blackie1 gonads gfhjkzytn
+foxhound qwert12 gangrel ghjvtntq bluedevi mywife summer01 hangman licorice patter vfr750 thorsten
+ninguna dakine strange1 mexic vergeten 8phrowz624 stampede floyd1 sailfish raziel ananda giacomo
+freeme crfprf allstars master01 solrac gfnhbjn bayliner bmw525 3465xxx catter single1 michael3
+pentium4 nitrox mapet123456 halibut killroy xxxxx1 phillip1 poopsie arsenalfc buffys kosova all4me
+arslan opensesame brutis charles2 pochta nadegda backspac mustang0 invis gogeta 654321q adam25
+niceday truckin gfdkbr biceps sceptre bigdave lauras user345 sandys shabba ratdog cristiano natha
+march13 gumball getsdown wasdwasd redhead1 dddddd1 longlegs starsky ducksoup bunnys omsairam whoami
+fred123 danmark flapper swanky lakings yfhenj asterios rainier searcher dapper ltdjxrf horsey
+seahawk shroom tkfkdgo aquaman tashkent number9 messi10 1asshole milenium illumina vegita jodeci
+buster01 bareback goldfinger fire1 33rjhjds sabian thinkpad smooth1 sully bonghits sushi1 magnavox
+colombi voiture limpone oldone aruba rooster1 zhenya nomar5 touchdow limpbizkit rhfcfdxbr baphomet
+afrodita bball1 madiso ladles lovefeet matthew2 theworld thunderbird dolly1 123rrr forklift alfons
+berkut speedy1 saphire oilman creatine pussylov bastard1 wicked1 filimon skyline1 fucing yfnfkbz
+hot123 abdulla nippon nolimits billiard booty1 buttplug westlife coolbean aloha1 lopas asasin
+october2 whodat good4u d12345 kostas ilya1992 regal pioneer1 volodya focus1 bastos nbvjif fenix
+anita1 vadimka nickle jesusc teste christ1 essendon evgenii celticfc adam1 forumwp lovesme 26exkp
+chillout burly thelast1 marcus1 metalgear test11 ronaldo7 socrate world1 franki mommie vicecity
+postov1000 charlie3 oldschool legoland antoshka counterstrike buggy mustang3 qwertzui toons chesty
+bigtoe tigger12 limpopo rerehepf diddle nokia3250 solidsnake conan1 rockroll titanic1 qwezxc cloggy
+prashant katharin maxfli takashi cumonme michael9 mymother pennstate khalid fightclub showboat
+mateusz elrond teenie arrow1 mammamia dustydog dominator erasmus zxcvb1 1a2a3a bones1 dennis1
+galaxie pleaseme whatever1 junkyard galadriel charlies 2wsxzaq1 crimson1 behemoth teres master11
+fairway shady1 pass99 1batman joshua12 baraban apelsin mousepad melon twodogs 123321qwe metalica
+ryjgrf pipiska rerfhfxf lugnut cretin iloveu2 powerade aaaaaaa1 omanko kovalenko isabe chobits
+151nxjmt shadow11 zcxfcnkbdf gy3yt2rgls vfhbyrf bladerunner goodone wonton doodie fuckyou123
+kitty123 chisox orlando1 skateboa red12345 destroye snoogans satan1 juancarlo goheels jetson scottt
+fuckup aleksa gfhfljrc passfind oscar123 derrick1 hateme viper123 pieman audi100 tuffy andover
+shooter1 makarov grant1 nighthaw browneye batigol nfvfhf chocolate1 7hrdnw23 petter bantam morlii
+jediknight brenden argonaut goodstuf wisconsi abigail1 dirtbag splurge k123456 lucky777 valdepen
+gsxr600 ghjnjrjk zaq1xsw2cde3 schwanz walter1 letmein22 nomads codeblue nokian70 fucke footbal1
+agyvorc aztecs passw0r smuggles femmes ballgag krasnodar tamuna schule sixtynine empires erfolg
+dvader ladygaga elite1 venezuel nitrous kochamcie olivia1 trustn01 arioch sting1 tristar maroon
+marsik fomoco natalka cwoui tartan davecole nosferat hotsauce dmitry horus dimasik skazka boss302
+bluebear vesper ultras tarantul asd123asd azteca theflash 8ball 1footbal titlover lucas123 number6
+sampson1 party1 dragon99 adonai carwash metropol psychnau vthctltc hounds firework blink18 wildcat1
+satchel rice80 ghtktcnm sailor1 cubano anderso rocks1 mike11 famili dfghjc besiktas roygbiv nikko
+bethan minotaur rakesh orange12 hfleuf jackel myangel favorite7 asssss agnieszka haley1 raisin
+htubyf 1buster cfiekz derevo 1a2a3a4a5a baltika raffles scruffy1 clitlick louis1 buddha1 fy.nrf
+walker1 makoto shadow2 redbeard vfvfvskfhfve mycock sandydog lineman network1 favorite8 longdick
+mustangg mavericks indica 1killer cisco1 angelofwar blue69 brianna1 bubbaa slayer666 level42
+baldrick brutus1 lowdown haribo lovesexy thissuck picker stephy 1fuckme characte telecast 1bigdog
+repytwjdf thematrix hammerhe chucha ganesha gunsmoke georgi sheltie 1harley knulla sallas westie
+dragon7 conker crappie margosha lisboa 3e2w1q shrike grifter ghjcnjghjcnj asdfg1 mnbvcxz1 myszka
+posture boggie rocketman flhtyfkby twiztid vostok pi314159 force1 televizor gtkmvtym samhain imcool
+jadzia dreamers strannik k2trix steelhea nikitin commodor brian123 chocobo whopper ibilljpf megafon
+ararat thomas12 ghbrjkbcn q1234567890 hibernia kings1 jim123 redfive 68camaro iawgk2 xavier1
+1234567u d123456 ndirish airborn halfmoon fluffy1 ranchero sneaker soccer2 passion1 cowman birthday1
+johnn razzle glock17 wsxqaz nubian lucky2 jelly1 henderso eric1 123123e boscoe01 fuck0ff simpson1
+sassie rjyjgkz nascar3 watashi loredana janus wilso conman david2 mothe iloveher snikers davidj
+fkmnthyfnbdf mettss ratfink 123456h lostsoul sweet16 brabus wobble petra1 fuckfest otters sable1
+svetka spartacu bigstick milashka 1lover pasport champagn papichul hrvatska hondacivic kevins tacit
+moneybag gohogs rasta1 ytyfdbcnm gubber darkmoon vitaliy playboys tristan1 joyce1 oriflame mugwump
+access2 autocad thematri qweqwe123 lolwut ibill01 multisyn pelikan rob123 chacal griffon pooch
+dagestan geisha satriani anjali rocketma gixxer pendrago vincen hellokit killyou ruger doodah
+bumblebe badlands galactic emachines foghorn jackso jerem avgust frontera daisymae hornyboy
+welcome123 tigger01 diabl angel13 interex iwantsex rockydog kukolka sawdust online1 bigpapa jewboy
+dave123 riches tony1 toggle farter tities balle brasilia southsid micke ghbdtn12 patit ctdfcnjgjkm
+olds442 zzzzzz1 nelso gremlins gypsy1 carter1 slut69 farcry michael8 birdie1 charl 123456789abc
+aztec sinjin bigpimpi closeup atlas1 nvidia doggone classic1 manana malcolm1 rfkbyf hotbabe rajesh
+dimebag ganjubas rodion jagr68 seren syrinx funnyman karapuz 123456789n bloomin admin18533362
+biggdogg ocarina poopy1 hellome internet1 booties blowjobs matt1 donkey1 swede 1jennife evgeniya
+lfhbyf coach1 green12 patryk pinewood justin12 notredame tuborg lemond sk8ter million1 wowser pablo1
+st0n3 jeeves funhouse hiroshi gobucs angeleye bereza winter12 catalin qazedc andros ramazan vampyre
+sweethea imperium murat jamest flossy sandeep morgen salamandra bigdogg stroller njdevils nutsack
+vittorio %%passwo playful rjyatnrf tookie ubnfhf michi shadow13 devils1 radiance toshiba1 beluga
+amormi dandfa trust1 killemall smallville polgara billyb landscap steves exploite zamboni damage11
+dzxtckfd trader12 pokey1 kobe08 damager egorov dragon88 ckfdbr lisa69 blade2 audis4 nelson1 nibbles
+23176djivanfros mutabor artofwar matvei metal666 hrfzlz schwinn poohbea seven77 thinker
+123456789qwerty sobriety jakers karamelka vbkfyf volodin iddqd dale03 roberto1 lizaveta qqqqqq1
+cathy1 davidm quixote bluenote tazdevil katrina1 bigfoot1 bublik marma olechka fatpussy marduk arina
+nonrev67 qqqq1111 camill wtpfhm truffle fairview mashina voltaire qazxswedcvfr dickface grassy
+lapdance bosstone crazy8 yackwin mobil danielit mounta1n player69 bluegill mewtwo reverb cnthdf
+pablito a123321 elena1 warcraft1 orland ilovemyself rfntyjr joyride schoo dthjxrf thetachi goodtimes
+blacksun humpty chewbacca guyute 123xyz lexicon blue45 qwe789 galatasaray centrino hendrix1 deimos
+saturn5 craig1 vlad1996 sarah123 tupelo ljrnjh hotwife bingos nicholas1 flamer pusher heart1 hun999
+jiggy giddyup oktober 123456zxc budda galahad glamur samwise oneton bugsbunny dominic1 scooby2
+freetime internat sc00ter wantit mazinger inflames laracrof greedo godofwar repytwjd water123
+fishnet venus1 wallace1 tenpin paula1 mania novikov qwertyasdfgh goldmine homies 8balls holeinon
+paper1 samael mansur nikit ak1234 blueline polska1 hotcock laredo windstar vbkbwbz raider1 newworld
+lfybkrf catfish1 shorty1 piranha treacle royale smurfs minion cadence flapjack 123456p sydne
+robinhoo nasdaq decatur cyberonline newage gemstone jabba touchme hooch pigdog indahous fonzie
+zebra1 juggle patrick2 nihongo hitomi oldnavy qwerfdsa ukraina shakti allure kingrich diane1 canad
+piramide hottie1 clarion college1 connect1 therion clubber velcro dave1 astra1 13579- astroboy
+skittle isgreat photoes cvzefh1gkc 2cool4u ginger12 2wsxcde3 camaro69 invader domenow asd1234
+colgate qwertasdfg jack123 pass01 maxman bronte whkzyc peter123 bogie yecgaa abc321 1qay2wsx enfield
+camaroz2 trashman bonefish system32 azsxdcfvgb peterose iwantyou dick69 temp1234 blastoff capa200
+connie1 blazin sexybaby 123456j brentfor pheasant hommer jerryg thunders august1 lager kapusta
+boobs1 nokia5300 rocco1 xytfu7 stars1 tugger 123sas blingbling 1bubba 0wnsyo0 1george baile richard2
+habana 1diamond sensatio 1golfer maverick1 1chris clinton1 michael7 dragons1 sunrise1 pissant fatim
+mopar1 levani rostik pizzapie oceans11 cum4me palmetto 4r3e2w1q paige1 muncher arsehole kratos
+gaffer banderas billys prakash crabby bungie silver12 caddis spawn1 xboxlive sylvania littlebi
+futura valdemar isacs155 prettygirl big123 slimer chicke newstyle skypilot sailormoon fatluvr69
+jetaime sitruc jesuschrist sameer bear12 hellion yendor country1 etnies conejo jedimast darkknight
+toobad yxcvbn snooks porn4life calvary alfaromeo ghostman yannick fnkfynblf vatoloco homebase barret
+1111111111zz odysseus edwardss favre4 jerrys crybaby xsw21qaz firestor spanks indians1 squish
+kingair babycakes haters sarahs teddyb xfactor cumload rhapsody death123 three3 raccoon thomas2
+slayer66 1q2q3q4q5q thebes mysterio thirdeye orkiox. nodoubt bugsy schweiz dima1996 angels1 darkwing
+jeronimo moonpie ronaldo9 peaches2 mack10 manish denise1 fellowes carioca taylor12 epaulson
+makemoney oc247ngucz kochanie 3edcvfr4 vulture 1qw23e 1234567z munchie picard1 xthtgfirf sportste
+psycho1 tahoe1 creativ perils slurred hermit scoob diesel1 cards1 wipeout weeble integra1 out3xf
+powerpc chrism kalle ariadne kailua phatty dexter1 fordman bungalow paul123 compa train1 thejoker
+jys6wz pussyeater eatmee sludge dominus denisa tagheuer yxcvbnm bill1 ghfdlf 300zx nikita123 carcass
+semaj ramone muenchen animal1 greeny annemari dbrf134 jeepcj7 mollys garten sashok ironmaid coyotes
+astoria george12 westcoast primetim 123456o panchito rafae japan1 framer auralo tooshort egorova
+qwerty22 callme medicina warhawk w1w2w3w4 cristia merli alex22 kawaii chatte wargames utvols muaddib
+trinket andreas1 jjjjj1 cleric scooters cuntlick gggggg1 slipknot1 handcuff stussy guess1 leiceste
+ppppp1 passe lovegun chevyman hugecock driver1 buttsex psychnaut1 cyber1 black2 alpha12 melbourn
+man123 metalman yjdsqujl blondi bungee freak1 stomper caitlin1 nikitina flyaway prikol begood
+desperad aurelius john1234 whosyourdaddy slimed123 bretagne den123 hotwheel king123 roodypoo izzicam
+save13tx warpten nokia3310 samolet ready1 coopers scott123 bonito 1aaaaa yomomma dawg1 rache itworks
+asecret fencer polka olivetti sysadmin zepplin sanjuan lickem hondacrx pulamea future1 naked1
+sexyguy w4g8at lollol1 declan runner1 rumple daddy123 4snz9g grandprix calcio whatthefuck nagrom
+asslick pennst negrit squiggy police22 giovann toronto1 tweet yardbird seagate truckers scimitar
+pescator slydog gaysex dogfish fuck777 qazxswed morkovka daniela1 imback horny69 123456789w jimmy2
+bagger ilove69 nikolaus atdhfkm rebirth 1111aaaa pervasive gjgeufq dte4uw gfhnbpfy skeletor whitney1
+walkman delorean disco1 as1234 ishikawa fuck12 reaper1 dmitrii bigshot morrisse purgen qwer4321
+itachi willys 123123qwe kisska roma123 trafford sk84life pedros idiom plover bebop jailbird arrowhea
+qwaszx123 zaxscdvf catlover bakers bones69 vermont1 helloyou simeon chevyz71 funguy stargaze
+parolparol steph1 bubby apathy poppet laxman kelly123 goodnews boner1 gaetano astonvilla virtua
+luckyboy rocheste hello2u elohim trigger1 cstrike pepsicola miroslav fistfuck cheval magyar
+svetlanka lbfyjxrf mamedov 123123123q ronaldo1 scotty1 1nicole pittbull fredd bbbbb1 dagwood
+gfhkfvtyn ghblehrb logan5 1jordan sexbomb omega2 montauk dtythf gibbon winamp thebomb millerli gemin
+baldy halflife2 dragon22 mulberry morrigan hotel6 zorglub surfin excell arhangel emachine moses1
+reklama bulldog2 cuties barca twingo saber elite11 redtruck casablan ashish moneyy pepper12 cnhtktw
+rjcnbr arschloch phenix cachorro sunita madoka joselui adams1 mymoney hemicuda fyutkjr jake12 chicas
+eeeee1 sonnyboy smarties birdy kitten1 cnfcbr island1 kurosaki taekwond konfetka bennett1 omega3
+jackson2 fresca minako octavian kban667 feyenoord muaythai jakedog fktrcfylhjdyf 1357911q phuket
+sexslave fktrcfylhjdbx asdfjk qwerty00 kindbud eltoro sex6969 nyknicks 12344321q caballo evenflow
+hoddle love22 metro1 mahalko lawdog tightass manitou buckie whiskey1 anton123 password4 primo ramair
+timbo brayden stewie pedro1 yorkshir ganster hellothe tippy1 direwolf genesi rodrig enkeli vaz21099
+sorcerer winky oneshot boggle serebro badger1 japanes comicbook kamehame alcat denis123 echo45
+sexboy gr8ful hondo voetbal blue33 2112rush geneviev danni1 moosey polkmn matthew7 ironhead hot2trot
+ashley12 sweeper imogen blue21 retep stealth1 guitarra bernard1 tatian frankfur vfnhbwf slacking
+haha123 asdasdas katenok airforce1 123456789qaz shotgun1 12qwasz reggie1 sharo pacifica dhip6a
+neptun kardon spooky1 beaut 555555a toosweet tiedup startac lover69 rediska
+`, `
+login michael jennifer doraemon jesus taylor chocolate sweetie root guest user
+`);
+
+// 英単語（zxcvbn の us_tv_and_film と english_wikipedia を順位ごとに交互に並べ、英小文字3文字以上の語の上位 10,000 語）
+// zxcvbn は語を最も順位の高いリストにだけ残すため、love・dragon などはよく使われるパスワードの側にある
+// 2つ目の文字列はパスワードに使われやすいのに上位に入らない語で、上位の後ろに続ける
+const ENGLISH = words(`
+you the and that was what for this know with have from just his not were are your which doc https
+also but all has well had first about one right their its get after here new out who going they like
+two yeah her she can been other want when think time during now there into him school how more got
+may did years why over see only come year good most really would look world will city okay some back
+where between mean later tell three state hey such then could national used yes made something known
+because under say many take university way united little while make part need season gonna team
+never these american too than film second sure born our south sorry became states let war thing
+through maybe being down including man both very before north should high anything however said
+people much family any early even history off album please area doing them thank series give against
+thought until help since talk district god county still name wait work find life nothing group again
+music things following number company call several told four great called better played ever
+released night career away league believe game feel government everything house each fine based last
+day keep same does won put use around station stop club international town guy located population
+always general listen college wanted east guys found huh age those march big end lot september
+happened began thanks home public trying church kind line wrong june talking river guess member care
+system bad place mom century remember band getting july york together january dad october leave song
+understand august best actually former hear british baby party nice named father held else village
+stay show done local november course took might service mind december every built enough another try
+major hell within came along someone members five whole single yourself due idea although ask small
+must old coming left looking final woman large room include knew building tonight served real
+president son received hope games went death hmm february happy main pretty third saw set girl
+children sir own friend order already species saying park next law job air problem published minute
+road thinking died book heard men honey women matter army myself often according exactly education
+having central probably country happen division english hurt top boy included dead development gotta
+french alone community excuse among start water kill play hard side list today times car near ready
+late without form wants original hold different wanna center yet power seen led deal students once
+german gone moved morning court supposed six friends land head council stuff island worry live
+record truth million face research forget art true established cause award soon street knows
+military telling television wife given region chance support run western move production anyone non
+person political bye point somebody cup heart period miss business making title meet started anyway
+various phone election reason using damn england lost role looks produced bring become case program
+turn works wish field tomorrow total kids office trust class check written change association
+anymore radio least union level working championship makes director taking few means force brother
+created hate department ago founded says services beautiful married gave though fact per crazy sit
+site afraid open important act rest short fun society kid version word royal watch present glad
+northern everyone worked sister professional minutes full everybody returned bit joined couple story
+whoa france either european mrs currently feeling language daughter social wow california gets india
+asked days break design promise door further close round hand australia easy wrote question san
+tried project far control walk southern needs railway mine board killed popular hospital continued
+anybody free alright battle wedding considered shut video able common die position perfect living
+stand half comes playing hit recorded waiting red dinner post funny described husband average almost
+records pay special answer modern cool appeared eyes announced news areas child rock release yours
+elected moment others sleep example read term opened sounds similar sonny formed pick route
+sometimes census bed current date schools plan originally hours lake lose developed hands race
+serious himself shit forces behind addition inside information ahead upon week province wonderful
+match fight event past songs cut result quite events win sick eastern track eat lead nobody teams
+goes science save human seems construction finally minister lives germany worried awards upset
+available carly throughout met training brought style seem body sort museum safe australian health
+leaving seven front signed shot chief loved eventually asking appointed running sea clear centre
+figure debut hot tour felt points parents media drink light absolutely range character daddy across
+sweet features alive families sense largest meant indian happens network bet less blood performance
+players kidding refer lie europe meeting sold dear festival seeing usually sound taken fault despite
+ten designed buy committee hour process speak return lady official jen episode thinks institute
+christmas stage outside followed hang performed possible japanese worse personal mistake thus ooh
+arts handle space spend low totally months giving includes china marriage study realize middle
+unless magazine sex leading send japan needed groups scared aircraft picture featured talked federal
+ass civil hundred rights changed model completely coach explain canadian certainly books sign
+remained boys eight relationship type loves independent hair completed lying capital choice academy
+anywhere instead future kingdom weird organization luck countries studies turned competition touch
+sports kiss size crane above questions section obviously finished wonder gold pain involved calling
+reported somewhere management throw systems straight industry cold directed fast market words fourth
+food movement none technology drive bank feelings ground campaign marry base drop lower cannot sent
+dream rather protect added twenty provided surprise coast sweetheart grand poor historic looked
+valley mad conference except bridge gun winning approximately dance films takes chinese appreciate
+awarded especially degree situation russian besides shows pull native female worth replaced sheridan
+municipality amazing square expect studio swear medical piece data busy african happening successful
+movie mid bay catch attack perhaps previous step operations fall spanish watching theatre kept
+student darling republic dog beginning honor provide moving ship till primary admit owned problems
+writing murder tournament culture evil introduced definitely texas feels related honest natural eye
+parts broke governor missed reached longer ireland dollars units tired senior evening decided
+starting italian entire whose trip higher niles africa suppose standard calm income imagine
+professor fair placed caught regional blame los sitting buildings favor championships apartment
+active terrible novel clean energy learn generally frasier interest relax via accident economic wake
+previously prove stated smart itself message channel missing below forgot operation interested
+leader table traditional nbsp trade mouth structure pregnant limited ring runs careful prior shall
+regular dude famous ride saint figured navy wear foreign shoot listed stick artist follow catholic
+angry airport write results stopped parliament ran collection standing unit forgive officer jail
+goal wearing attended ladies command kinda staff lunch commission cristian lived greenlee location
+gotten plays hoping commercial phoebe places thousand foundation ridge significant paper older tough
+medal tape self count scored boyfriend companies proud highway agree activities birthday programs
+wide share musical offer notable hurry library feet numerous wondering paris decision towards ones
+individual finish allowed voice plant herself property annual mess contract deserve whom evidence
+highest cute initially dress required interesting earlier hotel assembly enjoy artists quiet rural
+concerned seat staying practice beat defeated sweetie ended mention soviet clothes length fell spent
+neither manager mmm press fix associated respect author prison issues attention additional holding
+characters calls lord surprised zealand bar policy keeping engine gift township noted putting
+historical dark complete owe financial ice religious helping mission normal contains aunt nine
+lawyer recent apart represented plans pennsylvania jax administration girlfriend opening floor
+secretary whether lines report box executive judge youth upstairs closed sake theory mommy writer
+possibly italy worst angeles acting appearance accept feature blow queen strange launched saved
+legal conversation terms plane entered mama issue yesterday edition lied singer quick greek lately
+majority stuck background difference source store anti cultural bought complex doubt changes
+listening recording walking stadium cops islands deep operated dangerous particularly buffy
+basketball sleeping month chloe uses rafe port join castle card mostly crime names gentlemen fort
+willing selected window increased walked status guilty earth likes subsequently fighting pacific
+difficult cover soul variety joke certain favorite goals uncle remains promised upper bother
+congress seriously becoming cell studied knowing irish broken nature advice particular somehow loss
+paid caused losing chart push helped forced killing create boss era liked retired innocent material
+rules review learned rate thirty singles risk referred letting larger speaking individuals
+ridiculous shown afternoon provides apologize products nervous speed charge democratic patient
+poland boat parish olympics hide cities detective themselves planning temple huge wing breakfast
+genus horrible households awful serving pleasure cost driving wales hanging stations picked passed
+sell supported quit view apparently cases dying forms notice actor congratulations male visit
+matches males stars letter tracks decide females forward administrative fool median showed effect
+smell biography seemed train spell engineering memory camp pictures offered slow chairman seconds
+houses hungry mainly hearing kitchen surface therefore nearly realized score kick ancient grab
+subject discuss prime fifty seasons reading claimed idiot experience suddenly specific agent jewish
+destroy failed bucks overall shoes believed peace plot arms troops demon greater livvie spain
+consider consists papers broadcast incredible heavy witch increase drunk raised attorney separate
+tells campus knock ways appears gives presented nose lies skye composed turns recently keeps
+influence jealous fifth drug nations sooner creek cares references plenty elections extra britain
+outta double weekend cast matters meaning gosh earned opportunity carried impossible producer waste
+latter pretend housing jump brothers eating attempt proof article slept response arrest border
+breathe remaining perfectly nearby warm direct pulled ships twice value easier workers goin
+politician dating academic suit label romantic drugs commander comfortable rule finds fellow checked
+residents divorce authority begin editor ourselves transport closer dutch ruin projects smile
+responsible laugh covered treat territory fear flight races otherwise defense excited tower mail
+emperor hiding albums stole facilities pacey daily noticed stories fired assistant excellent managed
+bringing primarily bottom quality note function sudden proposed bathroom distribution honestly
+conditions sing prize foot journal remind code charges vice witness newspaper finding corps tree
+highly dare constructed hardly mayor critical steal secondary silly corporation contact rugby teach
+regiment shop ohio plus appearances colonel serve fresh allow trial nation invited multiple roll
+discovered reach directly dirty scene choose levels emergency growth dropped elements butt acquired
+credit obvious officers locked physical loving nuts latin agreed host prue jersey goodbye graduated
+condition arrived guard issued fuckin literature grow metal cake estate mood vote crap immediately
+crying quickly belong asian partner competed trick extended pressure produce dressed urban taste
+neck promoted nurse contemporary raise global lots formerly carry appear whoever industrial drinking
+types opera breaking ministry file soldiers lock commonly wine mass spot formation paying smaller
+assume typically asleep drama turning shortly viki density bedroom senate shower effects nikolas
+iran camera polish fill prominent reasons naval forty settlement bigger divided nope basis breath
+republican doctors languages pants distance freak treatment movies continue folks product cream mile
+wild sources truly footballer desk format convince clubs client leadership threw initial hurts
+offers spending operating answers avenue shirt officially chair columbia rough grade doin squadron
+sees fleet ought percent empty farm wind leaders aware agreement dealing likely pack equipment tight
+website hurting mount guest grew arrested method salem transferred confused intended surgery renamed
+expecting iron deacon asia unfortunately reserve goddamn capacity bottle politics beyond widely
+whenever activity pool advanced opinion relations starts scottish jerk dedicated secrets crew
+falling founder necessary episodes barely lack dancing amount tests build copy efforts cousin
+concept ahem follows twelve ordered tess leaves skin positive fifteen economy speech entertainment
+orders affairs complicated memorial nowhere ability escape illinois biggest communities restaurant
+color grateful text usual railroad burn scientific address focus someplace comedy screw serves
+everywhere exchange regret environment goodness cars mistakes direction details organized
+responsibility firm suspect description corner agency hero analysis dumb purpose terrific destroyed
+whoo reception hole planned memories revealed infantry teeth architecture ruined growing bite
+featuring stenbeck household liar candidate showing removed cards situated desperate models search
+knowledge pathetic solo spoke technical scare organizations marah assigned afford conducted settle
+participated stayed largely checking purchased hired register heads gained concern combined blew
+headquarters alcazar adopted champagne potential connection protection tickets scale happiness
+approach saving spread kissing independence hated mountains personally titled suggest geography
+prepared applied onto safety downstairs mixed ticket accepted continues loose captured holy rail
+duty defeat convinced principal throwing recognized kissed lieutenant legs mentioned loud semi
+saturday owner babies joint liberal warning actress miracle traffic carrying creation blind basic
+ugly notes shopping unique hates supreme sight declared bride simply coat plants clearly sales
+celebrate massachusetts brilliant designated wanting parties forrester jazz lips compared custody
+becomes screwed resources buying titles toast concert thoughts learning reality remain lexie
+teaching attitude versions advantage content grandfather alongside sami revolution grandma sons
+someday block roof premier marrying impact powerful champions grown districts grandmother generation
+fake estimated volume ideas image exciting sites familiar account bomb roles bout sport harmony
+quarter schedule providing capable zone practically yard correct scoring clue classes forgotten
+presence appointment performances deserves representatives threat hosted bloody split lonely taught
+shame origin jacket olympic hook claims scary critics investigation facility invite occurred
+shooting suffered lesson municipal criminal damage victim defined funeral resulted considering
+respectively burning expanded strength platform harder draft sisters opposition pushed expected
+shock educational pushing ontario heat climate chocolate reports miserable atlantic corinthos
+surrounding nightmare performing brings reduced zander ranked crash allows chances birth sending
+nominated recognize younger healthy newly boring kong feed positions engaged theater headed
+philadelphia treated heritage knife finals drag disease badly sixth hire laws paint reviews pardon
+constitution behavior tradition closet swedish warn theme gorgeous fiction milk rome survive
+medicine ends trains dump resulting rent existing remembered deputy thanksgiving environmental rain
+labour revenge classical prefer develop spare fans pray granted disappeared receive aside
+alternative statement begins sometime nuclear meat fame fantastic buried breathing connected
+laughing identified stood palace affair falls ours letters depends combat protecting sciences jury
+effort brave villages fingers inspired murdered regions explanation towns picking conservative blah
+chosen stronger animals handsome labor unbelievable attacks anytime materials shake yards oakdale
+steel wherever representative pulling orchestra facts peak waited entitled lousy officials
+circumstances returning disappointed reference weak northwest trusted imperial license convention
+nothin examples trash ocean understanding publication slip painting sounded subsequent awake
+frequently friendship religion stomach brigade weapon fully threatened sides mystery acts vegas
+cemetery understood relatively basically oldest switch suggested frankly succeeded cheap achieved
+lifetime application deny programme clock cells garbage votes promotion tear graduate ears armed
+indeed supply changing flying singing communist tiny figures decent literary avoid netherlands
+messed korea filled worldwide touched citizens disappear exact faculty pills draw kicked stock harm
+seats fortune occupied pretending methods insurance unknown fancy articles drove claim cared holds
+belongs authorities nights audience lorelai sweden lift interview timing obtained guarantee covers
+chest settled woke transfer burned marked watched allowing heading funding selfish challenge drinks
+southeast doll unlike committed crown elevator rise freeze portion noise transportation wasting
+sector ceremony phase uncomfortable properties staring edge files tropical bike standards stress
+institutions permission philosophy thrown legislative possibility hills borrow brand fabulous fund
+doors conflict screaming unable bone founding xander refused attempts meal metres apology permanent
+anger starring honeymoon applications bail creating parking effective fixed aired wash extensive
+stolen employed sensitive enemy stealing expansion photo billboard chose rank lets battalion comfort
+multi worrying vehicle pocket fought mateo alliance bleeding category shoulder perform ignore
+federation talent poetry tied bronze garage bands dies entry demons vehicles dumped bureau witches
+maximum rude billion crack trees bothering intelligence radar greatest soft screen meantime refers
+gimme commissioned kinds gallery fate injury concentrate confirmed throat setting prom treaty
+messages adult intend americans ashamed broadcasting somethin supporting manage pilot guilt mobile
+interrupt writers guts programming tongue existence shoe squad basement minnesota sentence copies
+purse korean glasses provincial cabin sets universe defence repeat offices mirror agricultural wound
+internal travers core tall northeast engagement retirement therapy factory emotional actions jeez
+prevent decisions communications soup ending thrilled weekly stake containing chef functions moves
+attempted extremely interior moments weight expensive bowl counting recognition shots incorporated
+kidnapped increasing cleaning ultimately shift documentary plate derived impressed attacked smells
+lyrics trapped mexican aidan external knocked churches charming centuries attractive metropolitan
+argue selling puts opposed whip personnel embarrassed mill package visited hitting presidential bust
+roads stairs pieces alarm norwegian pure controlled nail nerve rear incredibly influenced walks
+wrestling dirt weapons stamp launch terribly composer friendly locations damned developing jobs
+circuit suffering specifically disgusting studios stopping shared deliver canal riding wisconsin
+helps publishing disaster approved bars domestic crossed consisted trap determined talks comic eggs
+establishment chick exhibition threatening southwest spoken fuel introduce electronic confession
+cape embarrassing converted bags educated impression melbourne gate hits reputation wins presents
+producing chat norway suffer slightly argument occur talkin surname crowd identity homework
+represent coincidence constituency cancel funds pride proved solve links hopefully structures pounds
+athletic pine birds mate contest illegal users generous poet outfit institution maid display bath
+receiving punch rare freaked contained begging guns recall motion enjoying piano prepare temperature
+wheel publications defend passenger signs contributed painful toward yourselves cathedral maris
+inhabitants architect suspicious exist cooking athletics button muslim warned courses sixty
+abandoned pity signal yelling successfully awhile disambiguation confidence tennessee offering
+dynasty pleased heavily panic maryland hers jews gettin representing refuse budget grandpa weather
+testify missouri choices introduction cruel faced mental pair gentleman chapel coma reform cutting
+height proteus vietnam guests occurs expert motor benefit cambridge faces lands jumped focused
+toilet sought sneak patients halloween shape privacy invasion smoking chemical reminds importance
+twins communication swing selection solid regarding options homes commitment voivodeship crush
+maintained ambulance borough wallet failure gang aged eleven passing option agriculture laundry
+oregon assure teachers stays flow skip philippines fail trail discussion seventh clinic portuguese
+betrayed resistance sticking reaching bored negative mansion fashion soda scheduled sheriff downtown
+suite universities handled trained busted skills load scenes happier views studying notably romance
+typical procedure incident commit candidates assignment engines suicide decades minds composition
+swim commune yell chain llanview chasing austria proper sale believes values humor employees hopes
+chamber lawyers regarded giant winners latest registered escaped task parent investment tricks
+colonial insist swiss dropping user cheer entirely medication flag flesh stores routine closely
+sandwich entrance handed laid false journalist beating coal warrant equal awfully causes odds
+turkish treating quebec thin techniques suggesting promote fever junction sweat easily silent dates
+clever kentucky sweater singapore mall residence sharing violence assuming advance judgment survey
+goodnight humans divorced expressed surely passes steps streets confess distinguished math qualified
+listened folk comin establish answered egypt vulnerable artillery bless visual dreaming improved
+chip actual zero finishing pissed medium nate protein kills switzerland tears productions knees
+operate chill poverty brains neighborhood unusual organisation packed consisting dreamed consecutive
+cure sections lookin partnership grave extension cheating reaction breaks factor locker costs gifts
+bodies awkward device thursday ethnic joking racial reasonable flat dozen objects curse chapter
+quartermaine improve millions musicians dessert courts rolling controversy detail membership alien
+merged delicious wars closing expedition vampires interests wore arab tail comics secure gain salad
+describes murderer mining spit bachelor offense crisis dust joining conscience decade bread
+answering distributed lame habitat invitation routes grief arena smiling cycle pregnancy divisions
+prisoner briefly delivery vocals guards directors virus degrees shrink object freezing recordings
+wreck installed massimo adjacent wire demand technically voted blown causing anxious businesses cave
+ruled holidays grounds cleared starred wishes drawn caring opposite candles stands bound formal
+charm operates pulse persons jumping counties jokes compete boom wave occasion israeli silence ncaa
+nonsense resigned frightened brief slipped greece dimera combination blowing demographics
+relationships historian kidnapping contain spin commonwealth tool musician roxy collected packing
+argued blaming louisiana wrap session obsessed cabinet fruit parliamentary torture electoral
+personality loan profit fairy regularly necessarily conservation seventy islamic print purchase
+motel underwear charts grams residential exhausted earliest believing designs freaking paintings
+carefully survived trace moth touching items messing goods recovery grey intention anniversary
+consequences criticism belt images sacrifice discovery courage observed enjoyed underground
+attracted progress remove additionally testimony participate intense thousands heal reduce defending
+elementary unfair owners relieved stating loyal iraq slowly resolution buzz capture alcohol tank
+surprises rooms psychiatrist hollywood plain finance attic queensland reign uniform maintain
+terrified iowa cleaned landing zach broad threaten outstanding fella circle enemies path satisfied
+manufacturing imagination assistance hooked sequence headache gmina forgetting crossing counselor
+leads andie universal acted shaped badge kings naturally attached frozen medieval sakes ages
+appropriate metro trunk colony dunno affected costume scholars sixteen oklahoma impressive coastal
+kicking soundtrack junk painted grabbed attend understands definition describe meanwhile clients
+purposes owns trophy affect require witnesses marketing starving popularity instincts cable happily
+mathematics discussing mississippi deserved represents strangers scheme surveillance appeal admire
+distinct questioning factors dragged acid barn subjects deeply roughly wrapped terminal wasted
+economics tense senator hoped diocese fellas prix roommate contrast mortal argentina fascinating
+czech stops wings arrangements relief agenda stages literally duties propose honesty novels
+underneath accused sauce whilst promises equivalent lecture charged eighty measure torn documents
+shocked couples backup request differently danish ninety defensive deck guide biological devices
+pheebs statistics ease credited creep tries waitress passengers telephone allied ripped frame
+raising puerto scratch peninsula rings concluded prints instruments thee wounded arguing differences
+ephram associate asks forests oops afterwards diner replace annoying requirements taggert aviation
+sergeant solution blast offensive towel ownership clown inner habit legislation creature hungarian
+bermuda contributions snap actors react translated paranoid denmark handling steam eaten depending
+therapist aspects comment assumed sink injured reporter severe nurses admitted beats determine
+priority shore interrupting technique warehouse arrival loyalty measures inspector translation
+pleasant debuted excuses delivered threats returns guessing rejected tend separated praying visitors
+motive damaged unconscious storage mysterious accompanied unhappy markets tone industries switched
+losses rappaport gulf sookie charter neighbor strategy loaded corporate swore socialist piss
+somewhat balance significantly toss physics misery mounted thief satellite squeeze experienced lobby
+constant relative geez pattern exercise restored forth belgium booked connecticut sandburg partners
+poker harvard eighteen retained networks bury protected everyday mode digging artistic creepy
+parallel wondered collaboration liver debate hmmm involving magical journey fits linked discussed
+salt moral authors helpful components searching context flew occupation depressed requires aisle
+occasionally cris policies amen tamil vows ottoman neighbors revolutionary darn hungary cents poem
+arrange versus annulment gardens useless amongst adventure audio resist makeup fourteen frequency
+celebrating meters inch orthodox debt continuing violent suggests sand legislature coalition
+celebration guitarist reminded eighth phones classification paperwork practices emotions soil
+stubborn tokyo pound instance tension limit stroke coverage steady considerable overnight ranking
+chips colleges beef cavalry suits centers boxes daughters cassadine twin collect equipped tragedy
+broadway spoil narrow realm hosts wipe rates surgeon domain stretch boundary stepped arranged nephew
+neat whereas limo brazilian confident forming perspective rating climb strategic punishment
+competitions finest trading springfield covering hint baltimore furniture commissioner blanket
+infrastructure twist origins proceed replacement fries praised worries disc niece collections gloves
+expression soap ukraine signature driven disappoint edited crawl austrian convicted solar flip
+ensure counsel premiered doubts successor crimes wooden accusing operational shaking hispanic
+remembering concerns hallway rapid halfway prisoners bothered childhood madam meets gather
+influential cameras tunnel blackmail employment symptoms tribe rope qualifying ordinary adapted
+imagined temporary cigarette celebrated supportive appearing explosion increasingly trauma
+depression ouch adults furious cinema cheat entering avoiding laboratory whew script thick flows
+oooh romania boarding accounts approve fictional urgent pittsburgh shhh achieve misunderstanding
+monastery drawer franchise phony formally interfere tools catching newspapers bargain revival tragic
+sponsored respond processes punish vienna penthouse springs thou missions rach classified ohhh
+insult annually bugs branches beside lakes begged gender absolute manner strictly advertising socks
+normally senses maintenance sneaking adding reward characteristics polite integrated checks decline
+tale modified physically strongly instructions critic fooled victims blows malaysia tabby arkansas
+bitter nazi adorable restoration powered tested monument suggestion hundreds jewelry depth alike
+jacks controversial distracted admiral shelter criticized lessons brick constable honorary circus
+initiative audition output tune visiting shoulders birmingham mask progressive helpless existed
+feeding carbon explains sucked credits robbery colour objection rising behave hence valuable
+defeating shadows superior courtroom filmed confusing listing talented column smarter surrounded
+mistaken orleans customer principles bizarre territories scaring struck motherfucker participation
+alert indonesia vecchio movements reverend index foolish commerce compliment conduct bastards
+constitutional worker spiritual wheelchair ambassador protective vocal gentle completion reverse
+edinburgh picnic residing knee tourism cage finland wives bears wednesday medals voices resident
+toes themes stink visible scares indigenous pour involvement cheated basin slide electrical ruining
+ukrainian filling concerts exit boats cottage styles upside processing proves rival parked drawing
+diary vessels complaining experimental confessed declined pipe touring merely supporters massage
+compilation chop coaching spill cited prayer dated betray roots waiter string scam explained rats
+transit fraud traditionally brush poems tables minimum sympathy representation pill filthy releases
+seventeen effectively employee architectural bracelet triple pays indicated fairly greatly deeper
+elevation arrive clinical tracking printed spite shed proposal recommend peaked oughta producers
+nanny romanized menu rapidly diet stream corn innings roses meetings patch counter dime householder
+devastated honour subtle lasted bullets agencies beans document pile exists confirm surviving
+strings experiences parade honors borrowed landscape toys hurricane straighten harbor steak panel
+premonition competing planted profile honored vessel exam farmers convenient lists traveling revenue
+laying exception insisted customers dish aitoro participants kindly wildlife grandson utah donor
+bible temper gradually teenager preserved proven replacing mothers symphony denial begun backwards
+longest tent siege swell provinces noon mechanical happiest genre drives transmission thinkin agents
+spirits executed potion videos holes benefits fence funded whatsoever rated rehearsal instrumental
+overheard ninth lemme similarly hostage dominated bench destruction tryin passage taxi technologies
+shove thereafter moron outer impress facing needle affiliated intelligent opportunities instant
+instrument disagree governments stinks scholar rianna evolution recover channels groom shares
+gesture sessions constantly widespread bartender occasions suspects engineers sealed scientists
+legally signing hears battery dresses competitive sheet alleged psychic eliminated teenage supplies
+knocking judges judging hampshire accidentally regime waking portrayed rumor penalty manners taiwan
+homeless denied hollow submarine desperately scholarship tapes substantial referring transition item
+victorian genoa http gear nevertheless majesty filed cried supports tons continental spells tribes
+instinct ratio quote doubles motorcycle useful convincing honours fashioned blocks aids principle
+accomplished retail grip departure bump ranks upsetting patrol needing yorkshire invisible vancouver
+forgiveness inter feds extent compare afghanistan bothers strip tooth railways inviting component
+earn organ compromise symbol cocktail categories tramp encouraged jabot abroad intimate civilian
+dignity periods dealt traveled souls writes informed struggle gods immediate dressing recommended
+cigarettes adaptation alistair egyptian leak graduating fond assault corky drums seduce nomination
+liquor historically fingerprints voting enchantment allies butters detailed stuffed achievement
+stavros percentage emotionally arabic transplant assist tips frequent oxygen toured nicely apply
+lunatic drill intersection complain maine announcement touchdown unfortunate throne slap produces
+prayers contribution plug emerged opens obtain oath archbishop seek mutual researchers yacht
+remainder remembers populations fried clan extraordinary finnish bait overseas warton fifa sworn
+licensed stare chemistry safely festivals reunion mediterranean burst injuries animated dive seeking
+aboard publisher expose volumes buddies limits trusting venue booze jerusalem sweep generated sore
+trials scudder islam properly youngest parole ruling ditch glasgow canceled germans speaks
+songwriter glow persian wears municipalities thirsty donated skull viewed ringing belgian dorm
+cooperation dining posted bend tech unexpected dual pancakes volunteer harsh settlers flattered
+commanded ahhh claiming troubles approval fights delhi favourite usage eats terminus rage partly
+undercover electricity spoiled locally sloane editions shine premiere destroying absence
+deliberately belief conspiracy traditions thoughtful statue sandwiches indicate plates manor nails
+stable miracles attributed fridge possession drank managing contrary viewers beloved chile allergic
+overview washed seed stalking regulations solved essential sack minority misses cargo forgiven
+segment bent endemic maciver forum involve deaths dragging monthly cooked playoffs pointing erected
+foul practical dull machines beneath suburb heels relation faking deaf descent stunt indoor jealousy
+continuous hopeless characterized fears solutions cuts caribbean scenario rebuilt necklace serbian
+crashed summary accuse contested restraining psychology homicide pitch helicopter attending firing
+muhammad safer tenure auction drivers videotape diameter tore assets reservations venture pops punk
+appetite airlines wounds concentration vanquish athletes ironic volunteers fathers pages excitement
+mines anyhow influences tearing sculpture sends protest rape ferry laughed behalf belly drafted
+dealer apparent cooperate furthermore accomplish ranging wakes romanian spotted democracy sorts
+lanka reservation significance ashes linear tastes supposedly certified loft voters intentions
+recovered integrity tours wished demolished towels boundaries suspected assisted investigating
+identify inappropriate grades lipstick elsewhere lawn mechanism compassion cafeteria reportedly
+scarf aimed precisely conversion obsession suspended loses photography lighten departments infection
+beijing granddaughter locomotives explode publicly balcony dispute magazines spying resort publicity
+conventional depend platforms cracked internationally conscious capita ally settlements absurd
+dramatic vicious derby invented establishing forbid involves directions statistical defendant
+implementation bare immigrants announce exposed screwing diverse salesman layer robbed vast leap
+ceased lakeview connections insanity belonged reveal interstate possibilities uefa kidnap organised
+gown abuse chairs deployed wishing cattle setup partially punished filming criminals mainstream
+regrets reduction raped automatic quarters rarely lamp subsidiary dentist decides anyways merger
+anonymous comprehensive semester displayed risks amendment owes guinea lungs exclusively explaining
+manhattan delicate concerning tricked commons eager radical doomed serbia adoption baptist stab
+buses sickness initiated scum portrait floating harbour envelope choir vault citizen sorel sole
+pretended unsuccessful potatoes manufactured plea enforcement photograph connecting payback
+increases misunderstood patterns kiddo sacred healing muslims cascade clothing capeside hindu
+stabbed unincorporated remarkable sentenced brat advisory privilege tanks passionate campaigns
+nerves fled lawsuit repeated kidney remote disturbed rebellion cozy implemented tire texts shirts
+fitted oven tribute ordering writings delay sufficient risky ministers monsters honorable devoted
+grounded jurisdiction closest coaches breakdown interpretation bald pole abandon businessman scar
+peru collar sporting worthless prices sucking cuba enormous relocated disturbing opponent disturb
+arrangement distract elite deals manufacturer conclusions responded vodka suitable dishes
+distinction crawling calendar briefcase dominant wiped tourist whistle earning sits prefecture roast
+ties rented preparation pigs anglo flirting pursue deposit worship bottles archaeological topic
+chancellor riot bangladesh overreacting scores logical traded hostile lowest embarrass horror casual
+outdoor beacon biology amusing commented altar specialized claus loop survival arriving skirt
+farming shave housed porch historians ghosts favors patent drops pupils dizzy christianity chili
+opponents advise athens strikes northwestern rehab maps photographer promoting peaceful reveals
+leery flights heavens exclusive fortunately lions fooling norfolk expectations hebrew cigar
+extensively weakness eldest ranch shops practicing acquisition examine virtual cranes renowned bribe
+margin sail ongoing prescription essentially hush iranian fragile alternate forensics sailed expense
+reporting drugged conclusion cows originated bells temperatures visitor exposure suitcase secured
+sorta landed scan rifle manticore framework insecure identical imagining martial hardest focuses
+clerk topics wrist ballet fighters starters belonging silk wealthy pump negotiations pale evolved
+nicer bases haul oriented flies acres boot democrat thumb heights restricted vary elders graduation
+quietly aftermath pulls chess idiots illness erase participating denying vertical ankle collective
+amnesia immigration accepting demonstrated heartbeat leaf devane completing confront organic minus
+missile legitimate leeds fixing eligible arrogant grammar tuna confederate supper improvement
+slightest congressional sins wealth sayin cincinnati recipe spaces pier indicates paternity
+corresponding humiliating reaches genuine repair snack isolated rational taxes minded congregation
+guessed ratings weddings leagues tumor diplomatic humiliated submitted aspirin winds spray awareness
+picks photographs eyed maritime drowning nigeria contacts accessible ritual animation perfume
+restaurants hiring philippine hating inaugural docks dismissed creatures armenian visions
+illustrated thanking reservoir thankful speakers sock programmes nineteen resource fork genetic
+throws interviews teenagers camps stressed regulation slice computers rolls preferred plead
+travelled ladder comparison kicks distinctive detectives recreation assured requested tellin
+southeastern shallow dependent responsibilities brisbane repay breeding howdy playoff girlfriends
+expand deadly bonus comforting gauge ceiling departed verdict qualification insensitive inspiration
+spilled shipping respected slaves messy variations interrupted shield halliwell theories blond
+munich bleed recognised wardrobe emphasis takin favour murders variable backs seeds underestimate
+undergraduate justify territorial harmless intellectual frustrated qualify fold mini enzo banned
+communicate pointed bugging democrats arson assessment whack judicial salary examination rumors
+attempting obligation objective liking partial dearest characteristic congratulate hardware
+vengeance pradesh rack execution puzzle ottawa fires metre courtesy drum caller exhibitions blamed
+withdrew tops attendance quiz phrase prep journalism curiosity logo circles measured barbecue error
+sunnydale christians spinning trio psychotic protestant cough theology accusations respective resent
+atmosphere laughs buddhist freshman substitute envy curriculum drown fundamental bartlet outbreak
+asses rabbi sofa intermediate poster designation highness globe dock liberation apologies
+simultaneously theirs diseases stat experiments stall locomotive realizes difficulties psych
+mainland mmmm nepal fools relegated understandable contributing treats database succeed developments
+stir veteran relaxed carries makin ranges gratitude instruction faithful lodge accent protests
+witter obama wandering newcastle locate experiment inevitable physician gretel describing deed
+challenges crushed corruption controlling delaware smelled adventures robe ensemble gossip
+succession gambling renaissance cosmetics tenth accidents altitude surprising receives stiff
+approached sincere crosses rushed syria refrigerator croatia preparing warsaw nightmares
+professionals mijo improvements ignoring worn hunch airline fireworks compound drowned permitted
+brass preservation whispering reducing sophisticated printing luggage scientist hike activist
+explore comprises emotion sized crashing societies contacted enters complications ruler shining
+gospel rolled earthquake righteous extend reconsider autonomous goody croatian geek serial
+frightening decorated ethics relevant creeps ideal courthouse grows camping grass affection tier
+smythe towers haircut wider essay welfare baked columns apologized alumni vibe descendants respects
+interface receipt reserves mami banking hats colonies destructive manufacturers adore magnetic adopt
+closure tracked pitched shorts vocalist reminding preserve dough enrolled creations cancelled cabot
+equation barrel snuck nickname slight bulgaria reporters heroes pressing exile magnificent
+mathematical madame demands lazy input glorious structural fiancee tube bits stem visitation
+approaches sane argentine kindness axis shoulda manuscript rescued inherited mattress depicted
+lounge targets lifted visits importantly veterans glove regard enterprises removal disappointment
+efficiency condo organisations beings concepts admitting lebanon yelled manga waving petersburg
+spoon rally screech supplied satisfaction amounts reads yale nailed tournaments worm broadcasts tick
+signals resting pilots marvelous azerbaijan fuss architects cortlandt enzyme chased literacy pockets
+declaration luckily placing lilith batting filing incumbent conversations bulgarian consideration
+consistent consciousness poll worlds defended innocence landmark forehead southwestern aggressive
+raid trailer resignation slam travels quitting casualties inform prestigious delighted namely
+daylight aims danced recipient confidential warfare aunts readers washing collapse tossed coached
+spectra controls marrow volleyball lined coup implying lesser hatred verse grill pairs corpse
+exhibited clues proteins sober molecular offended abilities morgue integration infected consist
+humanity aspect distraction advocate cart administered wired governing violation hospitals promising
+commenced harassment coins glue lords variation cursed resumed brutal canton warlocks artificial
+wagon elevated unpleasant palm proving difficulty priorities civic efficient lease northeastern
+flame inducted disappearance radiation depressing affiliate thrill boards sitter stakes ribs
+byzantine flush consumption earrings freight deadline interaction corporal oblast collapsed numbered
+update seminary snapped contracts smack extinct melt predecessor figuring bearing delusional
+cultures coulda functional burnt neighboring tender revised sperm cylinder realise grants pork
+narrative popped reforms interrogation athlete esteem tales choosing reflect undo presidency pres
+compositions prayed specialist plague cricketer manipulate founders insulting sequel detention widow
+delightful disbanded coffeehouse associations betrayal backed apologizing thereby adjust pitcher
+wrecked commanding wont boulevard whipped singers rides crops reminder militia monsieur reviewed
+faint centres bake waves distress consequently correctly fortress complaint tributary blocked
+portions tortured bombing risking excellence pointless nest handing payment dumping mars cups plaza
+alibi unity struggling victories shiny scotia risked farms mummy nominations mint variant hose
+attacking hobby suspension fortunate installation fleischman graphics fitting estates curtain
+comments counseling acoustic rode destination puppet venues modeling surrender memo retreat
+irresponsible libraries humiliation quarterback hiya customs freakin berkeley felony collaborated
+choke gathered blackmailing syndrome appreciated dialogue tabloid recruited suspicion shanghai
+recovering neighbouring pledge psychological panicked saudi nursery moderate louder exhibit jeans
+innovation investigator depot homecoming binding frustrating brunswick buys situations busting
+certificate buff actively sleeve shakespeare irony editorial dope presentation declare ports autopsy
+relay workin nationalist torch methodist prick archives limb experts hysterical maintains goddamnit
+collegiate fetch bishops dimension maintaining crowded temporarily clip embassy climbing essex
+bonding wellington woah connects trusts reformed negotiate bengal lethal recalled iced inches
+fantasies doctrine deeds deemed bore legendary babysitter reconstruction questioned statements
+outrageous palestinian kiriakis meter insulted achievements grudge riders driveway interchange
+deserted spots definite auto beep accurate wires chorus suggestions dissolved searched missionary
+owed thai lend operators drunken demanding generations costanza failing conviction delayed bumped
+cork weigh nashville touches perceived tempted venezuela shout cult resolve emerging relate tomb
+poisoned abolished meals documented invitations gaining haunted canyon bogus episcopal autograph
+stored affects assists tolerate compiled stepping kerala spontaneous kilometers sleeps mosque
+probation grammy manny theorem fist unions spectacular segments hostages glacier heroin arrives
+havin theatrical habits circulation encouraging conferences consult chapters burgers displays
+boyfriends circular bailed authored baggage conductor watches fewer troubled dimensional torturing
+nationwide teasing liga sweetest yugoslavia qualities peer postpone vietnamese overwhelmed
+fellowship malkovich armies impulse regardless classy relating charging dynamic amazed politicians
+policeman mixture hypocrite serie humiliate somerset hideous imprisoned posts costumes beliefs
+bluffing beta betting layout bein independently bedtime electronics alcoholic provisions vegetable
+fastest tray logic suspicions headquartered spreading creates splendid challenged shrimp beaten
+shouting appeals pressed plains nooo protocol grieving graphic gladly accommodate fling iraqi
+eliminate midfielder cereal span aaah commentary sonofabitch freestyle paralyzed reflected lotta
+palestine locks lighting guaranteed burial dummy virtually despise backing dental prague briefing
+tribal bluff heir batteries identification whatta prototype sounding criteria servants dame presume
+arch handwriting tissue fainted footage dried extending allright procedures acknowledge
+predominantly whacked updated toxic rhythm reliable preliminary quicker cafe overwhelming disorder
+lining prevented harassing suburbs fatal discontinued endless retiring dolls oral convict followers
+whatcha extends unlikely massacre shutting journalists positively conquest overcome larvae goddam
+pronounced essence behaviour dose diversity diagnosis sustained cured addressed bully geographic
+ahold restrictions yearbook voiced tempting milwaukee shelf dialect prosecution quoted pouring grid
+possessed nationally greedy nearest wonders roster thorough twentieth spine separation rath indies
+psychiatric manages meaningless citing latte intervention jammed guidance ignored severely fiance
+migration evidently artwork contempt focusing compromised rivals cans trustees weekends varied urge
+enabled theft committees suing centered shipment skating scissors slavery responding cardinals
+proposition forcing noises tasks matching auckland hormones youtube hail argues grandchildren
+colored gently advisor smashed mumbai sexually requiring sentimental theological nicest registration
+manipulated refugees intern nineteenth handcuffs survivors framed runners errands colleagues
+entertaining priests crib contribute carriage variants barge workshop spends concentrated slipping
+creator seated lectures rubbing temples rely exploration reject requirement recommendation
+interactive reckon navigation headaches companion float perth embrace allegedly corners releasing
+whining citizenship sweating observation skipped stationed mountie motives sheep listens breed
+cristobel discovers cleaner encourage cheerleader kilometres balsom journals unnecessary performers
+stunning isle scent saskatchewan quartermaines hybrid pose hotels montega lancashire loosen dubbed
+info airfield hottest anchor haunt suburban gracious theoretical forgiving sussex errand anglican
+cakes stockholm blames permanently abortion upcoming sketch privately shifts receiver plotting
+optical perimeter highways pals congo mere colours mattered aggregate lonigan authorized
+interference repeatedly eyewitness varies enthusiasm fluid diapers innovative strongest transformed
+shaken praise punched convoy portal demanded catches discography backyard attraction terrorists
+export sabotage audiences organs ordained needy enlisted cuff occasional civilization westminster
+woof syrian heavyweight prank bosnia obnoxious consultant mates eventual hereby improving gabby
+aires faked wickets cellar epic whitelighter reactions void scandal strangle sour discrimination
+muffins buenos interfering patron demonic investors clearing conjunction boutique testament
+barrington construct terrace encountered smoked celebrity righty expanding quack georgian petey
+brands pact retain knot underwent ketchup algorithm disappearing foods cordy provision uptight orbit
+ticking transformation terrifying associates tease tactical swamp compact secretly varieties
+rejection stability reflection refuge realizing gathering rays moreover mentally manila marone
+configuration doubted gameplay deception discipline congressman entity cheesy comprising toto
+composers stalling skill scoop monitoring ribbon ruins immune museums expects sustainable destined
+aerial bets altered bathing codes appreciation voyage accomplice friedrich wander conflicts shoved
+storyline sewer travelling scroll conducting retire merit lasts indicating fugitive referendum
+freezer currency discount encounter cranky particles crank automobile clearance workshops bodyguard
+acclaimed anxiety inhabited accountant doctorate whoops cuban volunteered phenomenon talents dome
+stinking enrollment remotely tobacco garlic governance decency trend cord equally beds manufacture
+altogether hydrogen uniforms grande tremendous compensation popping download outa pianist observe
+grain lung shifted hangs neutral feelin evaluation dudes define donation cycling disguise seized
+curb array bites relatives antique motors toothbrush firms realistic varying predict automatically
+landlord restore hourglass nicknamed hesitate findings consolation governed babbling investigate
+tipped manitoba stranded administrator smartest vital repeating integral puke indonesian psst
+confusion paycheck publishers overreacted enable macho geographical juvenile inland grocery naming
+freshen civilians disposal reconnaissance cuffs indianapolis caffeine lecturer vanished deer
+unfinished tourists ripping exterior pinch rhode flattering bassist expenses symbols dinners scope
+colleague ammunition ciao yuan belthazor poets attorneys punjab woulda nursing whereabouts cent
+waitin developers truce estimates tripped presbyterian tasted nasa steer holdings poisoning generate
+manipulative renewed immature computing husbands cyprus heel arabia granddad duration delivering
+compounds condoms gastropod addict permit trashed valid raining touchdowns pasta facade needles
+interactions leaning mineral detector practiced coolest allegations batch consequence appointments
+goalkeeper almighty baronet vegetables copyright spark uprising perfection carved pains targeted
+momma competitors mole mentions meow sanctuary hairs fees getaway pursued cracking tampa compliments
+chronicle behold capabilities verge specified tougher specimens timer toll tapped accounting taped
+limestone specialty staged snooping upgraded shoots philosophical rendezvous streams pentagon guild
+leverage revolt jeopardize rainfall janitor supporter grandparents princeton forbidden terrain
+clueless hometown bidding probability ungrateful assembled unacceptable paulo tutor surrey serum
+voltage scuse developer pajamas destroyer mouths floors lure lineup irrational curve doom prevention
+cries potentially beautifully onwards arresting trips approaching imposed traitor hosting
+sympathetic striking smug strict smash admission rental apartments prostitute solely premonitions
+utility jumps proceeded inventory observations darlin euro committing incidents banging vinyl asap
+profession worms haven violated distant vent expelled traumatic rivalry traced runway sweaty torpedo
+shaft zones overboard shrine insight dimensions healed investigations grasp lithuania experiencing
+idaho crappy pursuit crab copenhagen chunk considerably awww locality stain wireless shack decrease
+reacted genes pronounce thermal poured deposits moms hindi marriages habitats jabez withdrawn
+handful biblical flipped monuments fireplace casting embarrassment plateau disappears thesis
+concussion managers bruises flooding brakes assassination twisting acknowledged swept interim summon
+inscription splitting guided sloppy pastor settling finale reschedule insects notch transported
+hooray activists grabbing marshal exquisite intensity disrespect airing thornhart cardiff straw
+proposals slapped lifestyle shipped prey shattered herald ruthless capitol refill aboriginal payroll
+measuring numb lasting mourning interpreted manly occurring hunk desired entertain drawings drift
+healthcare dreadful panels doorstep elimination confirmation oslo chops ghana appreciates blog vague
+sabha tires intent stressful superintendent stashed governors stash bankruptcy sensed preoccupied
+equity predictable disk noticing layers madly slovenia gunshot prussia dozens quartet dork mechanics
+confuse graduates cleaners politically charade monks chalk screenplay cappuccino nato bouquet
+absorbed amulet topped addiction petition bold warming morocco unlock exhibits satisfy canterbury
+sacrificed publish relaxing rankings lone crater blocking dominican blend enhanced blankets planes
+addicted lutheran yuck governmental hunger joins hamburger collecting greeting brussels greet
+unified gravy streak gram strategies dreamt flagship dice surfaces caution oval backpack archive
+agreeing etymology whale imprisonment taller instructor supervisor noting sacrifices remix phew
+opposing ounce servant irrelevant rotation gran width felon trans favorites maker farther synthesis
+fade excess erased tactics easiest snail convenience compassionate lighthouse cane sequences
+backstage cornwall agony plantation adores mythology veins performs tweek foundations thieves
+populated surgical horizontal strangely speedway stetson activated recital performer proposing
+diving productive conceived meaningful edmonton immunity subtropical hassle environments goddamned
+prompted frighten semifinals dearly caps cease bulk ambition treasury wage recreational unstable
+telegraph salvage continent richer portraits refusing relegation raging catholics pumping graph
+pressuring velocity mortals rulers lowlife endangered intimidated secular intentionally observer
+inspire learns forgave inquiry devotion idol despicable dictionary deciding certification dash
+estimate comfy cluster breach armenia bark observatory aaaah revived switching nadu swallowed
+consumers stove hypothesis screamed manuscripts scars contents russians arguments pounding editing
+poof trails pipes arctic pawn essays legit belfast invest acquire farewell promotional curtains
+undertaken civilized corridor caviar proceedings boost antarctic token millennium superstition
+labels supernatural delegates sadness vegetation recorder acclaim psyched directing motivated
+substance microwave outcome hallelujah diploma fraternity philosopher dryer malta cocoa albanian
+chewing vicinity acceptable degc unbelievably legends smiled regiments smelling consent simpler
+terrorist respectable scattered remarks presidents khasinau gravity indication orientation gutter
+deployment grabs duchy fulfill refuses flashlight estonia ellenor crowned blooded separately blink
+renovation blessings rises beware wilderness uhhh objectives turf agreements swings empress slips
+slopes shovel inclusion shocking equality puff decree mirrors ballot locking criticised heartless
+rochester fras recurring childish struggled cardiac disabled utterly henri tuscany poles ticked
+prussian stunned convert statesville bacteria sadly poorly purely sudan kiddin geological jerks
+wyoming hitch consistently flirt minimal fare withdrawal equals interviewed dismiss proximity
+christening repairs casket initiatives pakistani breakup republicans biting propaganda antibiotics
+viii accusation abstract abducted commercially witchcraft availability thread mechanisms runnin
+naples punching discussions paramedics underlying newest lens murdering proclaimed masks advised
+lawndale spelling initials auxiliary grampa attract choking lithuanian charms editors careless
+bushes accordance buns measurement bummed novelist shred ussr saves formats saddle councils rethink
+contestants regards indie precinct facebook persuade parishes meds barrier manipulating battalions
+llanfair sponsor leash consulting hearted terrorism guarantees implement fucks uganda disgrace
+crucial deposition unclear bookstore notion boil distinguish vitals collector veil attractions
+trespassing filipino sidewalk ecology sensible investments punishing capability overtime renovated
+optimistic iceland obsessing albania notify accredited mornin scouts jeopardy armor jaffa sculptor
+injection cognitive hilarious errors desires gaming confide condemned cautious successive yada
+consolidated baroque vindictive entries vial regulatory teeny reserved stroll treasurer sittin
+variables scrub arose rebuild technological posters rounded ordeal provider nuns rhine intimacy
+agrees inheritance accuracy exploded genera donate decreased distracting frankfurt despair ecuador
+crackers edges wildwind particle virtue rendered thoroughly calculated tails careers spicy faction
+sketches rifles sights americas sheer gaelic shaving portsmouth seize resides scarecrow merchants
+refreshing fiscal prosecute premises platter coin napkin draws misplaced presenter merchandise
+acceptance loony ceremonies jinx pollution heroic consensus frankenstein membrane ambitious
+brigadier syrup nonetheless solitary genres resemblance supervision reacting predicted premature
+magnitude lavery finite flashes differ cheque ancestry awright vale acquainted delegation wrapping
+removing untie proceeds salute placement realised emigrated priceless siblings partying molecules
+lightly payments lifting considers kasnoff demonstration insisting proportion glowing newer
+generator valve explosives achieving cutie confederation confronted continuously buts luxury blouse
+notre ballistic introducing antidote coordinates analyze charitable allowance squadrons adjourned
+disorders unto geometry understatement winnipeg tucked ulster touchy loans subconscious longtime
+screws receptor sarge preceding roommates belgrade rambaldi mandate offend wrestler nerd
+neighbourhood knives factories irresistible buddhism incapable imported hostility sectors goddammit
+protagonist fuse steep frat elaborate curfew prohibited blackmailed artifacts walkin prizes starve
+pupil sleigh cooperative sarcastic sovereign recess subspecies rebound carriers pinned allmusic
+parlor nationals outfits settings livin autobiography heartache neighborhoods haired analog
+fundraiser facilitate doorman voluntary discreet jointly dilucca newfoundland cracks organizing
+considerate raids climbed exercises catering nobel apophis machinery zoey baltic urine crop strung
+granite stitches dense sordid websites sark mandatory protector seeks phoned surrendered pets
+anthology hostess comedian flaw bombs flavor slot deveraux synopsis consumed critically
+confidentiality arcade bourbon marking straightened equations specials halls spaghetti indo prettier
+inaugurated powerless embarked playin speeds playground clause paranoia invention instantly
+premiership havoc likewise exaggerating presenting eavesdropping demonstrate doughnuts designers
+diversion organize deepest examined cutest comb bavaria bela troop behaving referee anyplace
+detection accessory zurich workout prairie translate rapper stuffing wingspan speeding eurovision
+slime luxembourg royalty slovakia polls inception marital disputed lurking mammals lottery
+entrepreneur imaginary makers greetings evangelical fairwinds yield elegant clergy elbow trademark
+credibility defunct credentials allocated claws depicting chopped volcanic bridal batted bedside
+conquered babysitting sculptures witty providers unforgivable reflects underworld armoured tempt
+locals tabs walt sophomore herzegovina selfless contracted secrecy entities restless sponsorship
+okey prominence movin flowing metaphor ethiopia messes marketed meltdown corporations lecter
+withdraw incoming carnegie gasoline induced diefenbaker investigated buckle portfolio admired
+flowering adjustment opinions warmth viewing throats classroom seduced donations queer bounded
+parenting perception noses leicester luckiest fruits graveyard charleston gifted academics footsteps
+statute dimeras complaints cynical smallest wedded deceased verbal petroleum unpredictable resolved
+tuned commanders stoop algebra slides southampton sinking modes rigged cultivation plumbing
+transmitter lingerie spelled hankey obtaining greed sizes everwood acre elope pageant dresser bats
+chauffeur abbreviated bulletin correspondence bugged barracks bouncing feast temptation tackles
+strangest raja slammed derives sarcasm geology pending disputes packages translations orderly
+counted obsessive constantinople murderers seating meteor macedonia inconvenience preventing glimpse
+accommodation froze homeland execute explored courageous invaded consulate provisional closes
+transform bosses sphere bees unsuccessfully amends missionaries wuss conservatives wolfram
+highlights wacky traces unemployed organisms testifying openly syringe dancers stew fossils startled
+absent sorrow monarchy sleazy combining shaky lanes screams stint rsquo dynamics remark chains poke
+missiles nutty screening mentioning module mend tribune inspiring generating impulsive miners
+housekeeper nottingham foam seoul fingernails unofficial conditioning owing baking linking whine
+rehabilitation thug citation starved louisville sniffing mollusk sedative depicts programmed
+differential picket zimbabwe paged kosovo hound recommendations homosexual responses homo pottery
+hips scorer forgets aided flipping exceptions flea dialects flatter telecommunications dwell defines
+dumpster elderly choo lunar assignments coupled ants flown vile unreasonable espn tossing thanked
+bordered steals fragments souvenir guidelines scratched gymnasium psychopath valued outs complexity
+obstruction papal obey presumably lump maternal insists challenging harass reunited gloat advancing
+filth comprised edgy uncertain didn favorable coroner twelfth confessing correspondent bruise
+nobility betraying livestock bailing expressway appealing chilean adebisi tide wrath researcher
+wandered emissions waist profits vain lengths traps accompanying stepfather witnessed poking itunes
+obligated drainage heavenly slope dilemma reinforced crazed feminist contagious sanskrit coaster
+develops cheering physicians bundle outlets vomit isbn thingy coordinator speeches averaged robbing
+termed raft occupy pumped diagnosed pillows yearly peep humanitarian packs prospect neglected
+spacecraft stems loneliness enacted intrude linux helluva ancestors gardener karnataka forresters
+constitute drooling immigrant betcha thriller vase ecclesiastical supermarket generals squat
+celebrations spitting enhance rhyme heating relieve advocated receipts evident racket advances
+pictured bombardment pause watershed overdue shuttle motivation wicket morgendorffer twitter
+kidnapper adds insect branded horns teaches feminine schemes eyeballs pension dumps advocacy
+disappointing conservatory crock cairo convertible varsity claw freshwater clamp providence canned
+seemingly cambias shells bathtub cuisine avanya specially artery peaks weep intensive warmer
+publishes suspense trilogy summoned skilled spiders nacional reiber unemployment raving destinations
+pushy parameters postponed verses ohhhh trafficking noooo determination mold infinite laughter
+savings incompetent alignment hugging linguistic groceries countryside drip dissolution
+communicating measurements auntie advantages adios licence wraps subfamily wiser highlands willingly
+modest weirdest regent timmih algeria thinner crest swelling teachings swat knockout steroids
+brewery sensitivity combine scrape conventions rehearse descended prophecy chassis ledge primitive
+justified fiji insults explicitly hateful cumberland handles uruguay doorway laboratories chatting
+bypass buyer elect buckaroo informal bedrooms preceded askin holocaust ammo tackle tutoring
+minneapolis subpoena quantity scratching securities privileges console pager doctoral mart religions
+intriguing commissioners idiotic expertise grape unveiled enlighten precise corrupt diplomat brunch
+standings bridesmaid infant barking disciplines applause sicily acquaintance endorsed wretched
+systematic superficial charted soak armored smoothly mild sensing lateral restraint townships posing
+hurling pleading prolific payoff invested oprah wartime nemo compatible morals galleries loaf moist
+jumpy battlefield ignorant decoration herbal convent hangin tubes germs terrestrial generosity
+nominee flashing requests doughnut delegate clumsy leased chocolates dubai captive polar behaved
+applying apologise addresses vanity munster stumbled sings preview commercials poisonous teamed
+perjury dances parental eleventh onboard midland mugged cedar minding flee linen sandstone knots
+snails interviewing inspection humour divide grind asset greasy themed goons comparable drastic
+paramount coop dairy comparing archaeology cocky intact clearer institutes bruised rectangular brag
+instances bind phases worthwhile reflecting whoop substantially vanquishing applies tabloids vacant
+sprung lacked spotlight copa sentencing coloured racist encounters provoke sponsors pining encoded
+overly possess locket revenues imply ucla impatient chaired hovering hotter enabling fest playwright
+endure stoke dots sociology doren tibetan debts frames crawled motto chained financing brit
+illustrations breaths gibraltar weirdo chateau warmed bolivia wand transmitted troubling enclosed
+persuaded strapped urged soaked folded skipping suffolk scrambled regulated rattle profound
+submarines musta myth mocking oriental misunderstand malaysian limousine effectiveness kacl narrowly
+hustle acute forensic sunk enthusiastic replied duct utilized drawers tasmania devastating
+consortium conquer quantities clarify gains chores parkway cheerleaders enlarged cheaper sided
+callin employers blushing adequate barging accordingly abused assumption yoga ballad wrecking mascot
+wits distances waffles peaking virginity saxony vibes projected uninvited affiliation unfaithful
+limitations teller metals strangled guatemala scheming scots ropes theaters rescuing kindergarten
+rave verb postcard employer differs morphine discharge lotion controller lads seasonal kidneys
+marching judgement guru itch campuses indefinitely avoided grenade vatican glamorous maori
+genetically excessive freud chartered discretion modifications delusions caves crate monetary
+competent sacramento bakery mixing argh institutional ahhhh celebrities wedge irrigation wager
+shapes unfit broadcaster tripping anthem torment attributes superhero demolition stirring offshore
+spinal specification sorority surveys seminar yugoslav scenery contributor rabble auditorium
+pneumonia lebanese perks capturing override airports ooooh classrooms mija chennai manslaughter
+paths mailed tendency lime determining lettuce lacking intimidate upgrade guarded sailors grieve
+detected grad kingdoms frustration sovereignty doorbell freely chinatown decorative authentic
+momentum arraignment scholarly annulled georges allergies gandhi wanta speculation verify
+transactions vegetarian undertook tighter interact telegram similarities stalk cove spared teammate
+shoo constituted satisfying painters saddam tends requesting madagascar pens partnerships
+overprotective afghan obstacles personalities notified attained nasedo rebounds grandchild masses
+genuinely synagogue flushed reopened fluids asylum floss embedded escaping imaging ditched catalogue
+cramp defenders corny taxonomy bunk fiber bitten afterward billions appealed bankrupt communists
+yikes lisbon wrists rica ultrasound judaism ultimatum adviser thirst batsman sniff ecological shakes
+commands salsa lgbt retrieve cooling reassuring accessed pumps wards neurotic shiva negotiating
+employs thirds monitors scenic millionaire worcester lydecker tallest limp contestant incriminating
+humanities hatchet economist gracias textile gordie constituencies fills motorway feeds tram
+doubting percussion decaf cloth biopsy leisure whiz voluntarily baden ventilator flags unpack
+resemble unload riots toad coined spooked sitcom snitch composite schillinger implies reassure
+daytime persuasive tanzania mystical penalties mysteries optional matrimony competitor mails
+excluded jock steering headline reversed explanations autonomy dispatch reviewer curly breakthrough
+cupid professionally condolences damages comrade pomeranian cassadines deputies bulb valleys
+bragging ventures awaits highlighted assaulted electorate ambush mapping adolescent shortened abort
+executives yank tertiary whit specimen vaguely launching undermine bibliography tying sank swamped
+pursuing stabbing binary slippers descendant slash marched sincerely natives sigh ideology setback
+turks secondly adolf rotting archdiocese precaution tribunal pcpd exceptional melting nigerian
+liaison preference hots fails hooking loading headlines comeback haha vacuum ganz favored fury alter
+felicity remnants fangs consecrated encouragement spectators earring trends dreidel patriarch dory
+feedback donut paved dictate sentences decorating councillor cocktails astronomy bumps advocates
+blueberry broader believable commentator backfired commissions backfire identifying apron revealing
+adjusting theatres vous incomplete vouch enables vitamins constituent ummm reformation tattoos tract
+slimy haiti sibling atmospheric shhhh screened renting explosive peculiar czechoslovakia parasite
+acids paddington symbolic marries subdivision mailbox liberals magically incorporate lovebirds
+challenger knocks erie informant filmmaker exits laps drazen kazakhstan distractions organizational
+disconnected evolutionary dinosaurs chemicals dashwood dedication crooked riverside conveniently
+fauna wink moths warped maharashtra underestimated annexed tacky shoving resembles seizure
+underwater reset garnered pushes timeline opener remake mornings suited mash educator invent
+hectares indulge automotive horribly feared hallucinating latvia festive finalist eyebrows narrator
+enjoys portable desperation airways dealers plaque darkest designing daph villagers boragora
+licensing belts flank bagel statues authorization struggles auditions deutsche agitated migrated
+wishful cellular wimp jacksonville vanish wimbledon unbearable defining tonic highlight suffice
+preparatory suction planets slaying cologne safest employ rocking frequencies relive detachment
+puttin readily prettiest libya noisy resign newlyweds halt nauseous helicopters misguided reef
+mildly landmarks midst collaborative liable irregular judgmental retaining indy helsinki hunted
+folklore givin weakened fascinated viscount elephants interred dislike professors deluded memorable
+decorate mega crummy repertoire contractions rowing carve dorsal bottled albeit bonded progressed
+bahamas operative unavailable coronation twenties liner trustworthy telugu surgeons domains
+stupidity philharmonic skies detect remorse bengali preferably synthetic pies tensions nausea atlas
+napkins dramatically mule paralympics mourn xbox melted shire mashed kiev inherit lengthy greatness
+sued golly notorious excused seas dumbo screenwriter drifting transfers delirious aquatic damaging
+pioneers cubicle unesco compelled radius comm abundant chooses tunnels checkup syndicated boredom
+inventor bandages accreditation alarms janeiro windshield exeter ceremonial whaddya omaha
+transparent cadet surprisingly predators sunglasses resided slit prose roar slavic reade precision
+prognosis abbot probe deity pitiful engaging persistent cambodia peas estonian nosy compliance
+nagging demonstrations morons protesters masterpiece reactor martinis commodore limbo successes
+liars chronicles irritating mare inclined extant hump listings hoynes minerals fiasco tonnes eatin
+parody cubans cultivated concentrating traders colorful pioneering clam supplement cider slovak
+brochure preparations barto collision bargaining partnered wiggle vocational welcoming atoms
+weighing malayalam vanquished welcomed stains documentation sooo curved snacks functioning smear
+presently sire formations resentment incorporates psychologist nazis pint botanical overhear nucleus
+morality ethical landingham greeks kisser metric hoot automated holling whereby handshake stance
+grilled europeans formality duet elevators disability depths purchasing confirms email boathouse
+telescope accidental displaced westbridge sodium wacko comparative ulterior processor thugs inning
+thighs precipitation tangled aesthetic stirred import snag coordination sling feud sleaze
+alternatively rumour mobility ripe tibet remarried regained puddle succeeding pins hierarchy
+perceptive apostolic miraculous catalog longing reproduction lockup inscriptions librarian vicar
+impressions clusters immoral posthumously hypothetically rican guarding loosely gourmet additions
+gabe photographic faxed nowadays extortion selective downright derivative digest keyboards cranberry
+guides bygones collectively buzzing affecting burying combines bikes operas weary networking taping
+decisive takeout terminated sweeping continuity stepmother finishes stale ancestor senor consul
+seaborn heated pros simulation pepperoni leipzig newborn incorporating ludicrous georgetown injected
+geeks circa forged forestry faults portrayal drue councillors dire advancement dief complained desi
+forewings deceiving confined caterer transaction calmed definitions budge reduces ankles televised
+vending typing rapids tribbiani phenomena belarus squared alps snowing landscapes shades quarterly
+sexist specifications rewrite commemorate regretted continuation raises isolation picky antenna
+orphan downstream mural patents misjudged ensuing miscarriage tended memorize saga leaking lifelong
+jitters columnist invade labeled interruption gymnastics illegally papua handicapped anticipated
+glitch demise gittes encompasses finer madras distraught antarctica dispose interval dishonest icon
+digs rams dads midlands cruelty ingredients circling priory canceling strengthen butterflies rouge
+belongings explicit barbrady gaza amusement aging alias securing zombies anthropology listeners
+unborn adaptations swearing underway stables vista squeezed malay sensational fortified resisting
+lightweight radioactive violations questionable concerto privileged financed portofino jesuit owning
+observers overlook trustee orson descriptions oddly nordic interrogate resistant imperative opted
+impeccable accepts hurtful prohibition hors andhra heap inflation graders negro glance wholly
+disgust imagery devious spur destruct instructed crazier gloucester countdown cycles chump middlesex
+cheeseburger destroyers burglar statewide berries evacuated ballroom hyderabad assumptions peasants
+annoyed mice allergy shipyard admirer coordinate admirable pitching activate colombian underpants
+exploring twit numbering tack compression strokes countess stool hiatus sham exceed scrap raced
+retarded archipelago resourceful traits remarkably soils refresh pressured vowel precautions android
+pointy facto nightclub angola mustache amino maui holders lace logistics hunh circuits hubby
+emergence flare kuwait dont partition dokey emeritus dangerously outcomes crushing submission
+clinging promotes choked barack chem negotiated cheerleading loaned checkbook stripped cashmere
+calmly excavations blush treatments believer fierce amazingly participant alas exports
+decommissioned toilets cameo tacos remarked stairwell residences spirited fuselage sewing mound
+rubbed undergo punches quarry protects node nuisance midwest motherfuckers specializing mingle
+occupies kynaston knack showcase kinkle molecule impose offs gullible modules godmother salon
+funniest exposition friggin revision folding peers fashions positioned eater hunters dysfunctional
+competes drool algorithms dripping reside ditto zagreb cruising calcium criticize uranium conceive
+silicon clone airs cedars counterpart caliber outlet brighter collectors blinded sufficiently
+birthdays canberra banquet inmates anticipate anatomy annoy ensuring whim curves whichever aviv
+volatile firearms veto basque vested volcano shroud thrust rests sheikh reindeer extensions
+quarantine installations pleases aluminum painless darker orphans sacked orphanage emphasized
+offence aligned obliged asserted negotiation pseudonym narcotics spanning mistletoe decorations
+meddling eighteenth manifest orbital lookit spatial lilah subdivided intrigued notation injustice
+decay homicidal macedonian gigantic amended exposing declining elves cyclist disturbance feat
+disastrous unusually depended commuter demented birthplace correction latitude cooped activation
+cheerful overhead buyers brownies finalists beverage whites basics encyclopedia arvin tenor weighs
+qatar upsets survives unethical complement swollen concentrations sweaters uncommon stupidest
+astronomical sensation bangalore scalpel pius props genome prescribed memoir pompous recruit
+objections prosecutor mushrooms modification mulwray paired manipulation container lured basilica
+internship arlington insignificant displacement inmate germanic incentive mongolia fulfilled
+proportional disagreement debates crypt matched cornered calcutta copied rows brightest tehran
+beethoven aerospace attendant prevalent amaze arise yogurt lowland wyndemere vocabulary spokesman
+tulsa supervised tactic advertisements stuffy clash respirator tunes pretends revelation polygraph
+wanderers pennies quarterfinals ordinarily fisheries olives steadily necks memoirs morally pastoral
+martyr renewable leftovers confluence joints acquiring hopping strips homey slogan hints upstream
+heartbroken scouting forge analyst florist practitioners firsthand turbine fiend strengthened dandy
+heavier crippled prehistoric corrected plural conniving excluding conditioner isles clears
+persecution chemo turin bubbly rotating bladder villain beeper hemisphere baptism unaware wiring
+arabs wench corpus weaknesses relied volunteering singular violating unanimous unlocked schooling
+tummy passive surrogate angles subid dominance stray instituted startle aria specifics outskirts
+slowing balanced scoot beginnings robbers financially rightful structured richest parachute qfxmjrie
+viewer puffs attitudes pierced subjected pencils escapes paralysis derbyshire makeover erosion
+luncheon addressing linksynergy styled jerky declaring jacuzzi originating hitched colts hangover
+adjusted fracture stained flock occurrence firemen fortifications disgusted baghdad darned nitrogen
+clams localities borrowing yemen banged galway wildest debris weirder lodz unauthorized victorious
+stunts pharmaceutical sleeves substances sixties unnamed shush dwelling shalt atop retro
+developmental quits activism pegged voter painfully refugee paging forested omelet relates memorized
+overlooking lawfully genocide jackets kannada intercept insufficient ingredient oversaw grownup
+partisan glued dioxide fulfilling recipients enchanted factions delusion mortality daring capped
+compelling expeditions carton receptors bridesmaids reorganized bribed prominently
+`, `
+love angel star blue black white green pink silver magic king prince lucky money fire storm snow
+moon sun sky forest rose lily daisy cherry apple lemon peach berry candy sugar coffee pizza cat
+kitty puppy tiger lion bear wolf fox eagle horse bunny panda monkey dragon shark snake bird fish
+mouse spring summer autumn winter friday sunday monday april forever mother teacher doctor player
+gamer ninja pirate wizard knight warrior soldier hunter killer ghost devil jesus christ faith grace
+glory spirit secret hello welcome super master beauty sexy lovely football soccer tennis golf hockey
+basket racing rocket computer server diamond crystal pearl ruby jade amber staple troubador guitar
+travel
+`);
+
+// 日本語のローマ字（訓令式・ヘボン式の揺れも一部含む）
+const ROMAJI = [
+  'sakura','hikari','yume','daisuki','himawari','hoshi','sora','umi','yuki','hana',
+  'tsuki','kaze','kokoro','mirai','kibou','egao','shiawase','namida','inochi','tomodachi',
+  'nihon','nippon','arigatou','arigato','konnichiwa','sayonara','ohayou','oyasumi','kawaii','suki',
+  'aishiteru','koi','ai','neko','inu','usagi','tori','kuma','kitsune','tanuki',
+  'sakana','ringo','ichigo','momo','mikan','ramen','sushi','tempura','onigiri','mochi',
+  'matcha','sake','gohan','sensei','senpai','kouhai','gakkou','kaisha','shigoto','kazoku',
+  'okaasan','otousan','haha','chichi','ani','imouto','otouto','oneesan','niisan','kodomo',
+  'akai','aoi','shiroi','kuroi','midori','murasaki','kiiro','kin','gin','niji',
+  'ganbare','ganbatte','ganbaru','genki','yasashii','tanoshii','ureshii','subarashii','saikou','daijoubu',
+  'haru','natsu','aki','fuyu','asa','hiru','yoru','kyou','ashita','mainichi',
+  'yama','kawa','mori','shima','sato','machi','hashi','tera','jinja','shiro',
+  'tenshi','akuma','kami','oni','ninja','samurai','shogun','bushido','katana','ronin',
+  'anime','manga','otaku','kaiju','totoro','anpanman','doraemon','pikachu','gundam','sailormoon'
+];
+
+// 地名（日本の都道府県・主要都市・地区と、海外の主要都市・国名）
+const PLACES = [
+  'tokyo','osaka','kyoto','nagoya','sapporo','yokohama','kobe','fukuoka','sendai','hiroshima',
+  'okinawa','hokkaido','nara','chiba','saitama','kanagawa','shibuya','shinjuku','ginza','akihabara',
+  'harajuku','ikebukuro','roppongi','asakusa','ueno','odaiba','kamakura','hakone','nikko','fuji',
+  'fujisan','kanazawa','niigata','nagano','shizuoka','kagoshima','kumamoto','nagasaki','okayama','matsuyama',
+  'takamatsu','kochi','tokushima','toyama','fukui','gifu','shiga','wakayama','tottori','shimane',
+  'yamaguchi','ehime','oita','miyazaki','saga','aomori','iwate','akita','yamagata','fukushima',
+  'ibaraki','tochigi','gunma','yamanashi','mie','hyogo','miyagi','kyushu','shikoku','honshu',
+  'japan','london','paris','newyork','berlin','rome','madrid','seoul','beijing','shanghai',
+  'hongkong','taipei','bangkok','singapore','sydney','hawaii','honolulu','boston','chicago','texas',
+  'california','florida','america','china','korea','france','england','germany','canada','italy',
+  'spain','brazil','mexico','russia','india','australia','europe','asia','africa','moscow'
+];
+
+// 名（英語圏の名と日本の名・姓）
+const NAMES = [
+  'michael','jennifer','jessica','ashley','amanda','daniel','david','james','john','robert',
+  'william','thomas','joshua','matthew','andrew','christopher','anthony','charlie','jordan','taylor',
+  'nicole','michelle','sarah','emily','hannah','elizabeth','samantha','lauren','rachel','stephanie',
+  'george','richard','joseph','kevin','brian','jason','justin','eric','steven','alex',
+  'alexander','benjamin','lucas','oliver','jack','harry','emma','olivia','sophia','isabella',
+  'anna','maria','julia','laura','linda','mary','lisa','karen','susan','kate',
+  'taro','hanako','haruto','yuto','sota','ren','hinata','minato','riku','sora',
+  'yui','aoi','mei','rin','yuna','hina','sakura','misaki','nanami','haruka',
+  'takumi','kenta','shota','daiki','yusuke','takuya','naoki','kazuki','ryota','kenji',
+  'hiroshi','takeshi','akira','makoto','satoshi','yuki','yuka','ayaka','kaori','yumi',
+  'mai','emi','mika','rina','saki','ayumi','tomoko','keiko','yoko','naoko',
+  'tanaka','suzuki','sato','takahashi','watanabe','ito','yamamoto','nakamura','kobayashi','kato',
+  'yoshida','yamada','sasaki','matsumoto','inoue','kimura','hayashi','shimizu','yamazaki','mori'
+];
+
+/** 辞書の一覧（照合順。同じ語が複数の辞書にあれば、推測回数の少ない方が使われる） */
+export const DICTIONARIES = [
+  {id:'common',  label:'よく使われるパスワード', words: COMMON},
+  {id:'english', label:'英単語',                 words: ENGLISH},
+  {id:'romaji',  label:'ローマ字の日本語',       words: ROMAJI},
+  {id:'places',  label:'地名',                   words: PLACES},
+  {id:'names',   label:'人名',                   words: NAMES}
+];
+
+/**
+ * ローマ字で綴った日本語の表記と読み（ローマ字の照合 matchRomaji で、どの語かを示すのに使う）
+ * キーはヘボン式・訓令式のローマ字（小文字）、値は [表記, 読み]
+ */
+export const JAPANESE_WORDS = {
+  sakura:['桜','さくら'], hikari:['光','ひかり'], yume:['夢','ゆめ'], daisuki:['大好き','だいすき'],
+  himawari:['向日葵','ひまわり'], hoshi:['星','ほし'], sora:['空','そら'], umi:['海','うみ'],
+  yuki:['雪','ゆき'], hana:['花','はな'], tsuki:['月','つき'], kaze:['風','かぜ'],
+  kokoro:['心','こころ'], mirai:['未来','みらい'], kibou:['希望','きぼう'], egao:['笑顔','えがお'],
+  shiawase:['幸せ','しあわせ'], namida:['涙','なみだ'], inochi:['命','いのち'], tomodachi:['友達','ともだち'],
+  nihon:['日本','にほん'], nippon:['日本','にっぽん'], arigatou:['ありがとう','ありがとう'], arigato:['ありがとう','ありがとう'],
+  konnichiwa:['こんにちは','こんにちは'], sayonara:['さようなら','さようなら'], ohayou:['おはよう','おはよう'], oyasumi:['おやすみ','おやすみ'],
+  kawaii:['可愛い','かわいい'], suki:['好き','すき'], aishiteru:['愛してる','あいしてる'], koi:['恋','こい'],
+  neko:['猫','ねこ'], inu:['犬','いぬ'], usagi:['兎','うさぎ'], tori:['鳥','とり'],
+  kuma:['熊','くま'], kitsune:['狐','きつね'], tanuki:['狸','たぬき'], sakana:['魚','さかな'],
+  ringo:['林檎','りんご'], ichigo:['苺','いちご'], momo:['桃','もも'], mikan:['蜜柑','みかん'],
+  ramen:['ラーメン','らーめん'], sushi:['寿司','すし'], onigiri:['おにぎり','おにぎり'], mochi:['餅','もち'],
+  sensei:['先生','せんせい'], senpai:['先輩','せんぱい'], kazoku:['家族','かぞく'], kodomo:['子供','こども'],
+  midori:['緑','みどり'], murasaki:['紫','むらさき'], niji:['虹','にじ'], genki:['元気','げんき'],
+  ganbare:['頑張れ','がんばれ'], ganbatte:['頑張って','がんばって'], haru:['春','はる'], natsu:['夏','なつ'],
+  aki:['秋','あき'], fuyu:['冬','ふゆ'], yoru:['夜','よる'], ashita:['明日','あした'],
+  yama:['山','やま'], kawa:['川','かわ'], mori:['森','もり'], shima:['島','しま'],
+  tenshi:['天使','てんし'], akuma:['悪魔','あくま'], kami:['神','かみ'], samurai:['侍','さむらい'],
+  katana:['刀','かたな'], ninja:['忍者','にんじゃ'], tokyo:['東京','とうきょう'], osaka:['大阪','おおさか'],
+  kyoto:['京都','きょうと'], nagoya:['名古屋','なごや'], sapporo:['札幌','さっぽろ'], yokohama:['横浜','よこはま'],
+  kobe:['神戸','こうべ'], fukuoka:['福岡','ふくおか'], sendai:['仙台','せんだい'], hiroshima:['広島','ひろしま'],
+  okinawa:['沖縄','おきなわ'], hokkaido:['北海道','ほっかいどう'], nara:['奈良','なら'], chiba:['千葉','ちば'],
+  saitama:['埼玉','さいたま'], shibuya:['渋谷','しぶや'], shinjuku:['新宿','しんじゅく'], fuji:['富士','ふじ'],
+  fujisan:['富士山','ふじさん'], kamakura:['鎌倉','かまくら'], taro:['太郎','たろう'], hanako:['花子','はなこ'],
+  tanaka:['田中','たなか'], suzuki:['鈴木','すずき'], sato:['佐藤','さとう'], takahashi:['高橋','たかはし'],
+  watanabe:['渡辺','わたなべ'], yamamoto:['山本','やまもと'], nakamura:['中村','なかむら'], kobayashi:['小林','こばやし'],
+  yamada:['山田','やまだ'], sasaki:['佐々木','ささき'], matsumoto:['松本','まつもと'], hayashi:['林','はやし']
+};
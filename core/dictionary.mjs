@@ -0,0 +1,197 @@
+/**
+ * KeyWalk Analyzer - 辞書語・leet 表記・日付の照合
+ *
+ * 組み込み辞書（core/dictionary-data.mjs）の語を、大文字小文字の違いと leet 表記の読み替え
+ * （@→a、0→o、4→a 等）を含めて照合する。年号（19xx/20xx）と日付（YYYYMMDD・MMDD・1990-05-12 等）も拾う。
+ * 照合結果は推測回数の見積もり（guess.mjs）と検出（analyzer.mjs）の両方で使う。DOM には一切触れない。
+ *
+ * 位置はいずれも入力をコードポイント単位に分けた文字位置 [start, end)（end は含まない）。
+ */
+
+import { DICTIONARIES } from './dictionary-data.mjs';
+
+/** 照合する語の最小文字数 */
+export const WORD_MIN_LENGTH = 3;
+
+/** leet 表記の読み替え（記号・数字 → 読み替え候補の英字） */
+export const LEET_TABLE = {
+  '@':'a', '4':'a', '0':'o', '1':'il', '!':'i', '|':'il', '3':'e',
+  '5':'s', '$':'s', '7':'t', '+':'t', '8':'b', '9':'g'
+};
+
+/** 年号とみなす範囲 */
+export const YEAR_RANGE = [1900, 2099];
+
+// ---- 辞書語 ----
+
+// 全辞書の語を1つのトライにまとめる（語の終わりの節に [辞書, 順位] を持たせる）。初回の照合時に作る
+let trie = null;
+function dictionaryTrie(){
+  if(trie) return trie;
+  trie = {next: new Map(), entries: null};
+  for(const d of DICTIONARIES){
+    d.words.forEach((w,i)=>{
+      if(w.length<WORD_MIN_LENGTH) return;
+      let node = trie;
+      for(const c of w){
+        if(!node.next.has(c)) node.next.set(c, {next: new Map(), entries: null});
+        node = node.next.get(c);
+      }
+      (node.entries ||= []).push({dictionary: d.id, dictionaryLabel: d.label, word: w, rank: i+1});
+    });
+  }
+  return trie;
+}
+
+/**
+ * 辞書語を照合する
+ *
+ * 各位置から読み替えの組み合わせごとにトライをたどり、辞書にある語をすべて返す（重なりあり）。
+ * 全文字が読み替え（数字・記号だけ）の一致は除く。
+ *
+ * @param {string} password - 対象の文字列
+ * @returns {Array<{type: 'word', dictionary: string, dictionaryLabel: string, word: string, rank: number,
+ *   text: string, start: number, end: number, leet: Array<{index: number, from: string, to: string}>}>}
+ *   rank は辞書内の順位（1始まり）、leet は読み替えた文字（index は文字位置）
+ */
+export function matchWords(password){
+  const chars = [...(password||'')];
+  const lower = chars.map(c=> c.toLowerCase());
+  const root = dictionaryTrie();
+  const out = [];
+  for(let i=0;i<chars.length;i++){
+    const stack = [{node: root, k: i, leet: []}];
+    while(stack.length){
+      const {node, k, leet} = stack.pop();
+      if(node.entries && leet.length<k-i){
+        const text = chars.slice(i, k).join('');
+        node.entries.forEach(e=> out.push({type:'word', ...e, text, start:i, end:k, leet}));
+      }
+      if(k>=chars.length) continue;
+      const c = lower[k];
+      const direct = node.next.get(c);
+      if(direct) stack.push({node: direct, k: k+1, leet});
+      for(const to of LEET_TABLE[c] || ''){
+        const via = node.next.get(to);
+        if(via) stack.push({node: via, k: k+1, leet: [...leet, {index:k, from:chars[k], to}]});
+      }
+    }
+  }
+  return out;
+}
+
+// ---- 年号・日付 ----
+
+const DAYS_IN_MONTH = [31,29,31,30,31,30,31,31,30,31,30,31];
+
+const isYear = y=> y>=YEAR_RANGE[0] && y<=YEAR_RANGE[1];
+// 2桁の年（50未満は2000年代、それ以外は1900年代とみなす）
+const fullYear = yy=> yy<50 ? 2000+yy : 1900+yy;
+
+function validDate(month, day){
+  return month>=1 && month<=12 && day>=1 && day<=DAYS_IN_MONTH[month-1];
+}
+
+// 区切りのない数字列の読み方（年・月・日の桁の並び）
+const DIGIT_FORMS = {
+  4: [[null,0,2], [null,2,0]],                       // MMDD・DDMM
+  6: [[0,2,4], [4,0,2], [4,2,0]],                    // YYMMDD・MMDDYY・DDMMYY
+  8: [[0,4,6], [4,0,2], [4,2,0]]                     // YYYYMMDD・MMDDYYYY・DDMMYYYY
+};
+
+function digitDates(s){
+  const out = [];
+  const ylen = s.length===8 ? 4 : 2;
+  for(const [yi, mi, di] of DIGIT_FORMS[s.length]){
+    const month = Number(s.slice(mi, mi+2)), day = Number(s.slice(di, di+2));
+    if(!validDate(month, day)) continue;
+    let year = null;
+    if(yi!==null){
+      year = Number(s.slice(yi, yi+ylen));
+      if(ylen===2) year = fullYear(year);
+      else if(!isYear(year)) continue;
+    }
+    out.push({year, month, day});
+  }
+  return out;
+}
+
+// 区切りのある日付（1990-05-12、12/05/1990、90.5.12 等）
+const SEPARATED = /^(\d{1,4})([-/.])(\d{1,2})\2(\d{1,4})/;
+
+function separatedDates(a, b, c){
+  const out = [];
+  const push = (y, month, day)=>{ if(validDate(month, day)) out.push({year:y, month, day}); };
+  if(a.length===4){
+    if(c.length<=2 && isYear(Number(a))) push(Number(a), Number(b), Number(c));
+  }else if(a.length<=2){
+    if(c.length===4){
+      if(!isYear(Number(c))) return out;
+      push(Number(c), Number(a), Number(b));
+      push(Number(c), Number(b), Number(a));
+    }else if(c.length<=2){
+      push(fullYear(Number(a)), Number(b), Number(c));
+      push(fullYear(Number(c)), Number(a), Number(b));
+      push(fullYear(Number(c)), Number(b), Number(a));
+    }
+  }
+  return out;
+}
+
+/**
+ * 年号と日付を照合する
+ *
+ * 年号は 19xx/20xx の4桁、日付は区切りなしの4・6・8桁（MMDD・YYMMDD・YYYYMMDD と月日・年の並べ替え）と、
+ * - / . で区切った表記。読み方が複数ある数字列は、読み方ごとに1件ずつ返す（重なりあり）。
+ *
+ * @param {string} password - 対象の文字列
+ * @returns {Array<{type: 'year'|'date', text: string, start: number, end: number,
+ *   year: number|null, month: number|null, day: number|null, separator: string}>}
+ *   月日だけの日付（MMDD）は year が null、年号は month・day が null
+ */
+export function matchDates(password){
+  const chars = [...(password||'')];
+  const n = chars.length;
+  const out = [];
+  const seen = new Set();
+  const push = (start, end, separator, {year, month=null, day=null})=>{
+    const id = `${start}:${end}:${year}:${month}:${day}`;
+    if(seen.has(id)) return;
+    seen.add(id);
+    out.push({type: month===null ? 'year' : 'date', text: chars.slice(start, end).join(''),
+      start, end, year, month, day, separator});
+  };
+  for(let i=0;i<n;i++){
+    for(const len of [4,6,8]){
+      if(i+len>n) break;
+      const s = chars.slice(i, i+len).join('');
+      if(!/^\d+$/.test(s)) break;
+      if(len===4 && isYear(Number(s))) push(i, i+4, '', {year: Number(s)});
+      digitDates(s).forEach(d=> push(i, i+len, '', d));
+    }
+    const m = SEPARATED.exec(chars.slice(i, i+10).join(''));
+    if(m && (!i || !/\d/.test(chars[i-1]))){
+      const [text, a, sep, b, c] = m;
+      separatedDates(a, b, c).forEach(d=> push(i, i+text.length, sep, d));
+    }
+  }
+  return out;
+}
+
+/**
+ * 重なりのない照合結果を選ぶ（検出の表示用）
+ *
+ * 長い一致を優先し、同じ長さなら score の小さいもの（辞書の順位など）を優先する。
+ *
+ * @param {Array<{start: number, end: number}>} matches - matchWords・matchDates の戻り値
+ * @param {(m: object) => number} [score] - 同じ長さの一致を比べる値（小さいほど優先）
+ * @returns {Array<object>} 選んだ一致（start の昇順）
+ */
+export function pickMatches(matches, score=()=>0){
+  const sorted = [...matches].sort((a,b)=> (b.end-b.start)-(a.end-a.start) || score(a)-score(b) || a.start-b.start);
+  const picked = [];
+  for(const m of sorted){
+    if(!picked.some(u=> m.start<u.end && u.start<m.end)) picked.push(m);
+  }
+  return picked.sort((a,b)=> a.start-b.start);
+}
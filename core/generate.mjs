@@ -0,0 +1,136 @@
+/**
+ * KeyWalk Analyzer - 歩き辞書・ルール生成
+ *
+ * 指定レイアウトの隣接グラフ（buildAdjGraph）をたどってキーボード歩きを列挙し、
+ * ワードリストと、接尾文字列を付け足す hashcat / John the Ripper 用ルールを作る。
+ * 許可された演習・監査での辞書作成を想定する。DOM には一切触れない。
+ */
+
+import { getCoordMap } from './layouts.mjs';
+import { buildAdjGraph } from './metrics.mjs';
+import { arrowOf } from './patterns.mjs';
+
+/** 歩きの向き（arrowOf と同じ8方位） */
+export const DIRECTIONS = ['→','↘','↓','↙','←','↖','↑','↗'];
+
+/** Shift の付け方 */
+export const SHIFT_MODES = {
+  none:      {label:'そのまま（qwer）'},
+  first:     {label:'先頭のみ Shift（Qwer）'},
+  all:       {label:'すべて Shift（QWER, !"#$）'},
+  alternate: {label:'交互に Shift（qWeR）'}
+};
+
+/** 生成する語数の上限（ブラウザーのメモリを圧迫しないため） */
+export const GEN_LIMIT = 100000;
+
+// 座標マップ → キーごとの {key, x, y, page, base, shift}（文字を入力しないキーは含まない）
+// T9 文字・フリックの文字は層の後に登録されるため、base・座標にはキー本来の文字（タップで入る文字）のものが入る
+// page はソフトウェアキーボードの面（別の面のキーは隣接しない）
+function keysOf(coordMap){
+  const keys = new Map();
+  for(const p of coordMap.values()){
+    if(!keys.has(p.key)) keys.set(p.key, {key:p.key, x:p.x, y:p.y, page:p.page, base:null, shift:null});
+    const k = keys.get(p.key);
+    if(p.layer==='base' && k.base===null) k.base = p.char;
+    if(p.layer==='shift' && k.shift===null) k.shift = p.char;
+  }
+  return [...keys.values()].filter(k=> k.base!==null);
+}
+
+// キー列を Shift の付け方に従って文字列にする（Shift 文字のないキーはそのまま）
+function spell(path, mode){
+  return path.map((k,i)=>{
+    const up = mode==='all' || (mode==='first' && i===0) || (mode==='alternate' && i%2===1);
+    return up && k.shift!==null ? k.shift : k.base;
+  }).join('');
+}
+
+/**
+ * キーボード歩きを列挙する
+ *
+ * 隣接キー（THRESH.adj_dist 以内）だけを、同じキーを再訪せずにたどる。
+ * 短い語から順に列挙し、limit に達した時点で打ち切る。
+ *
+ * @param {string} layout - レイアウト ID
+ * @param {{minLen?: number, maxLen?: number, starts?: string, directions?: string[],
+ *   maxTurns?: number, shifts?: string[], limit?: number}} [options]
+ *   minLen/maxLen: キー数（既定 4〜6）、starts: 開始キーの文字（空なら全キー）、
+ *   directions: 許可する向き（DIRECTIONS の部分集合）、maxTurns: 向きを変えてよい回数（既定 1）、
+ *   shifts: SHIFT_MODES のキー（既定 ['none']）、limit: 語数の上限（既定 GEN_LIMIT）
+ * @returns {{words: string[], truncated: boolean}} words: 重複を除いた語、truncated: 上限で打ち切ったか
+ */
+export function generateWalks(layout, {
+  minLen=4, maxLen=6, starts='', directions=DIRECTIONS, maxTurns=1, shifts=['none'], limit=GEN_LIMIT
+}={}){
+  const coordMap = getCoordMap(layout);
+  const keys = keysOf(coordMap);
+  const adj = buildAdjGraph(keys);
+  const allowed = new Set(directions);
+  const arrow = (a,b)=> arrowOf(keys[b].x-keys[a].x, keys[b].y-keys[a].y);
+
+  // 開始キー（入力文字を物理キーに解決。Shift 文字でも同じキー）
+  const startKeys = new Set([...starts].map(c=> coordMap.get(c)?.key).filter(Boolean));
+  const roots = keys.map((k,i)=>i).filter(i=> !startKeys.size || startKeys.has(keys[i].key));
+
+  const words = new Set();
+  const modes = shifts.filter(m=> m in SHIFT_MODES);
+  let truncated = false;
+
+  const visit = (path, used, dir, turns, len)=>{
+    if(truncated) return;
+    if(path.length===len){
+      const ks = path.map(i=> keys[i]);
+      for(const m of modes){
+        words.add(spell(ks, m));
+        if(words.size>=limit){ truncated = true; return; }
+      }
+      return;
+    }
+    const last = path[path.length-1];
+    for(const next of adj[last]){
+      if(used.has(next)) continue;
+      const d = arrow(last, next);
+      if(!allowed.has(d)) continue;
+      const t = dir!==null && d!==dir ? turns+1 : turns;
+      if(t>maxTurns) continue;
+      used.add(next); path.push(next);
+      visit(path, used, d, t, len);
+      path.pop(); used.delete(next);
+    }
+  };
+
+  for(let len=Math.max(1,minLen); len<=maxLen && !truncated; len++){
+    for(const r of roots) visit([r], new Set([r]), null, 0, len);
+  }
+  return {words: [...words], truncated};
+}
+
+/**
+ * 接尾文字列を付け足す hashcat ルールを作る（1行目は無変換 ':'）
+ *
+ * @param {string[]} suffixes - 付け足す文字列（collectSuffixes の結果など）
+ * @returns {string} ルールファイルの内容（例: '$2 $0 $2 $4'）
+ */
+export function hashcatRules(suffixes){
+  const append = s=> [...s].map(c=> c===' ' ? '$\\x20' : '$'+c).join(' ');
+  return [':', ...suffixes.filter(Boolean).map(append)].join('\n')+'\n';
+}
+
+/**
+ * 接尾文字列を付け足す John the Ripper ルールを作る（john.conf 形式のセクション）
+ *
+ * 文字列の付け足しには Az"…" を使う。ルールのプリプロセッサが解釈する [ ] \ はエスケープし、
+ * 区切り文字には文字列に含まれないものを選ぶ。
+ *
+ * @param {string[]} suffixes - 付け足す文字列
+ * @param {string} [name='KeyWalk'] - ルールセット名（john --rules=<name>）
+ * @returns {string} ルールファイルの内容
+ */
+export function johnRules(suffixes, name='KeyWalk'){
+  const append = s=>{
+    const q = ['"',"'",'/','|','#',','].find(c=> !s.includes(c));
+    return q ? `Az${q}${s.replace(/[[\]\\]/g, c=>'\\'+c)}${q}` : null;
+  };
+  return [`[List.Rules:${name}]`, ':', ...suffixes.filter(Boolean).map(append).filter(Boolean)].join('\n')+'\n';
+}
@@ -0,0 +1,255 @@
+/**
+ * KeyWalk Analyzer - 推測回数の見積もり
+ *
+ * パスワードを「歩き区間・辞書語・年号・日付・接尾の飾り・総当たり」に分解し、
+ * キーボード歩きを知っている攻撃者が何回目の推測で当てるかを概算する。
+ * 考え方は zxcvbn（Wheeler, 2016）の最小推測回数の分解に倣う。DOM には一切触れない。
+ */
+
+import { THRESH, isAdjacent } from './metrics.mjs';
+import { arrowOf } from './patterns.mjs';
+import { matchWords, matchDates } from './dictionary.mjs';
+
+/**
+ * 基準年（年号の推測回数は基準年からの隔たりで決まる）
+ * 実行時の年を使うと同じパスワードの推測回数・解読時間が年ごとに変わるため、固定する
+ */
+export const REFERENCE_YEAR = 2026;
+
+/** 年号1つあたりの最小推測回数（近い年でもこの範囲は試される） */
+const MIN_YEAR_SPACE = 20;
+
+/** 1年あたりの日付の数（月日の推測回数） */
+const DATE_SPACE = 366;
+
+/** 日付の区切り（- / .）の推測回数の倍率 */
+const DATE_SEPARATOR_FACTOR = 4;
+
+/** よく使われる接尾の飾り（頻出順） */
+export const COMMON_SUFFIXES = [
+  '1','!','123','12','1234','2','!!','0','01','11','7','?','.','99','69','#','@','$',
+  '13','21','22','23','1!','123!','!@#','12345','00','3','5','*'
+];
+
+/**
+ * 想定するハッシュ速度（回/秒）
+ * 解読時間 = 推測回数 ÷ 速度
+ */
+export const HASH_RATES = [
+  {id:'online_throttled', label:'オンライン（回数制限あり: 100回/時）', perSecond: 100/3600},
+  {id:'online',           label:'オンライン（制限なし: 10回/秒）',      perSecond: 10},
+  {id:'slow_hash',        label:'オフライン・低速ハッシュ（bcrypt 等: 1万回/秒）', perSecond: 1e4},
+  {id:'fast_hash',        label:'オフライン・高速ハッシュ（MD5/SHA-1・GPU: 100億回/秒）', perSecond: 1e10}
+];
+
+// 1文字あたりの総当たりの候補数（文字種で決める）
+function cardinality(ch){
+  if(/[0-9]/.test(ch)) return 10;
+  if(/[a-z]/.test(ch)) return 26;
+  if(/[A-Z]/.test(ch)) return 26;
+  if(/[\x21-\x7e]/.test(ch)) return 33;
+  return 100;
+}
+
+function binom(n, k){
+  if(k<0 || k>n) return 0;
+  let r=1; for(let i=1;i<=k;i++) r = r*(n-k+i)/i;
+  return r;
+}
+
+// 大文字・Shift 文字の混ぜ方の数（全部小文字なら1、先頭だけ・全部大文字なら2）
+function caseVariations(text){
+  const up = [...text].filter(c=> /[A-Z]/.test(c)).length;
+  const low = [...text].filter(c=> /[a-z]/.test(c)).length;
+  if(!up) return 1;
+  if(!low || /^[A-Z][^A-Z]*$/.test(text)) return 2;
+  let v=0; for(let i=1;i<=Math.min(up,low);i++) v += binom(up+low, i);
+  return v;
+}
+
+// ---- 配列の大きさ（歩きの推測回数の基礎） ----
+// 座標マップごとにキー数 S と平均隣接キー数 D を求めてキャッシュ
+// D は隣接判定の距離に依存するため、評価ポリシーで THRESH.adj_dist が変わったら求め直す
+const layoutStats = new WeakMap();
+function statsFor(coordMap){
+  const cached = layoutStats.get(coordMap);
+  if(cached && cached.adj===THRESH.adj_dist) return cached;
+  const keys = [...new Map([...coordMap.values()].map(p=>[p.key, p])).values()];
+  let deg = 0;
+  for(const a of keys) for(const b of keys) if(a!==b && isAdjacent(a,b)) deg++;
+  const st = {S: keys.length, D: keys.length ? Math.max(1, deg/keys.length) : 1, adj: THRESH.adj_dist};
+  layoutStats.set(coordMap, st);
+  return st;
+}
+
+/**
+ * 歩き区間の推測回数（zxcvbn の spatial モデル）
+ * 長さ L 以下・向きの変化 T 回以下の歩きを、開始キー S 通り × 各向き D 通りで数え上げる
+ *
+ * @param {number} L - 区間のキー数
+ * @param {number} T - 向きの区間数（方向転換の回数 + 1）
+ * @param {{S: number, D: number}} st - 配列のキー数と平均隣接キー数
+ * @returns {number} 推測回数
+ */
+function walkGuesses(L, T, {S, D}){
+  let g=0;
+  for(let i=2;i<=L;i++){
+    for(let j=1;j<=Math.min(T,i-1);j++) g += binom(i-1,j-1)*S*Math.pow(D,j);
+  }
+  return Math.max(g, 1);
+}
+
+// ---- 候補の列挙 ----
+// いずれも文字位置 [start, end) で表す
+
+function walkMatches(chars, points, patterns, coordMap, charIndex){
+  // 座標列の位置 → 文字位置（省略時は未マップ文字を飛ばして対応づける）
+  let pos = charIndex;
+  if(!pos){
+    pos = []; let j=0;
+    chars.forEach((ch,i)=>{ if(j<points.length && points[j].char===ch){ pos.push(i); j++; } });
+  }
+  const st = statsFor(coordMap);
+  return patterns.map(p=>{
+    const seg = points.slice(p.start, p.end+1);
+    let T=1;
+    for(let i=2;i<seg.length;i++){
+      const a = arrowOf(seg[i-1].x-seg[i-2].x, seg[i-1].y-seg[i-2].y);
+      const b = arrowOf(seg[i].x-seg[i-1].x, seg[i].y-seg[i-1].y);
+      if(a!==b) T++;
+    }
+    const text = chars.slice(pos[p.start], pos[p.end]+1).join('');
+    return {type:'walk', start:pos[p.start], end:pos[p.end]+1,
+      guesses: walkGuesses(seg.length, T, st)*caseVariations(text), label:p.label};
+  });
+}
+
+// 辞書語（組み込み辞書の順位 × 大文字の混ぜ方 × 2^(読み替え数)）
+function wordMatches(password){
+  return matchWords(password).map(m=> ({type:'word', start:m.start, end:m.end, word:m.word,
+    label:`辞書語（${m.dictionaryLabel}）`, guesses: m.rank*caseVariations(m.text)*Math.pow(2, m.leet.length)}));
+}
+
+// 年号・日付（基準年からの隔たり × 月日の数 × 区切りの有無）
+function dateMatches(password){
+  return matchDates(password).map(m=>{
+    const years = m.year===null ? 1 : Math.max(Math.abs(m.year-REFERENCE_YEAR), MIN_YEAR_SPACE);
+    const days = m.type==='date' ? DATE_SPACE : 1;
+    return {type:m.type, start:m.start, end:m.end,
+      guesses: years*days*(m.separator ? DATE_SEPARATOR_FACTOR : 1)};
+  });
+}
+
+function suffixMatches(chars){
+  const out = [];
+  const n = chars.length;
+  for(let i=n-1;i>=0 && i>=n-6 && !/[A-Za-z]/.test(chars[i]);i--){
+    const rank = COMMON_SUFFIXES.indexOf(chars.slice(i).join(''));
+    if(rank>=0) out.push({type:'suffix', start:i, end:n, guesses: rank+1});
+  }
+  return out;
+}
+
+const SEGMENT_LABEL = {word:'辞書語', year:'年号', date:'日付', suffix:'接尾の飾り', brute:'総当たり'};
+
+/**
+ * パスワードの推測回数を見積もる
+ *
+ * 候補（歩き区間・辞書語・年号・日付・接尾の飾り）と1文字ずつの総当たりから、
+ * 総推測回数 （区間数）! × Π（各区間の推測回数）（区間の並べ方も攻撃者は試す）が最小になる分解を
+ * DP で選ぶ。階乗の項は区間数で決まるため、zxcvbn と同じく区間数ごとに最小の積を求めてから比べる。
+ *
+ * @param {string} password - 対象の文字列
+ * @param {{points: Array, patterns: Array, coordMap: Map, charIndex?: number[]}} ctx - analyze() の座標列・形状パターン・座標マップ・
+ *   座標列の位置 → 文字位置（textToPoints の charIndex）
+ * @returns {{guesses: number, log10: number, bits: number,
+ *   segments: Array<{type: string, label: string, text: string, start: number, end: number, guesses: number}>}}
+ *   segments の start/end は文字位置（end は含まない）
+ */
+export function estimateGuesses(password, {points, patterns, coordMap, charIndex}){
+  const chars = [...(password||'')];
+  const n = chars.length;
+  if(!n) return {guesses:1, log10:0, bits:0, segments:[]};
+
+  const matches = [
+    ...walkMatches(chars, points, patterns, coordMap, charIndex),
+    ...wordMatches(password), ...dateMatches(password), ...suffixMatches(chars)
+  ].filter(m=> m.end>m.start);
+  const byEnd = Array.from({length:n+1}, ()=>[]);
+  for(const m of matches) byEnd[m.end].push(m);
+
+  // B[j]: 位置 j が総当たり区間の途中で終わる状態、M[j]: 候補区間で終わる状態（連続する総当たり文字は1区間にまとめる）
+  // どちらも区間数 k → {v: log2（積）の最小値, from: 直前の状態} の Map で、たどり着ける k だけを持つ（zxcvbn と同じ）
+  const B = Array.from({length:n+1}, ()=> new Map()), M = Array.from({length:n+1}, ()=> new Map());
+  const relax = (row, k, v, from)=>{ if(v<(row.get(k)?.v ?? Infinity)) row.set(k, {v, from}); };
+  M[0].set(0, {v:0});
+  for(let j=1;j<=n;j++){
+    const bits = Math.log2(cardinality(chars[j-1]));
+    for(const [k, e] of B[j-1]) relax(B[j], k, e.v+bits, 'B');
+    for(const [k, e] of M[j-1]) relax(B[j], k+1, e.v+bits, 'M');
+    for(const m of byEnd[j]){
+      const g = Math.log2(m.guesses);
+      for(const [k, e] of M[m.start]) relax(M[j], k+1, e.v+g, {m, prev:'M'});
+      for(const [k, e] of B[m.start]) relax(M[j], k+1, e.v+g, {m, prev:'B'});
+    }
+  }
+
+  // 区間数の階乗を加えて最小の状態を選ぶ
+  const logFact = [0];
+  for(let c=1;c<=n;c++) logFact[c] = logFact[c-1]+Math.log2(c);
+  let log2 = Infinity, k = 0, state = 'B';
+  for(const [st, row] of [['B', B[n]], ['M', M[n]]]){
+    for(const [c, e] of row) if(e.v+logFact[c]<log2){ log2 = e.v+logFact[c]; k = c; state = st; }
+  }
+
+  // 復元
+  const segments = [];
+  let j = n;
+  while(j>0){
+    if(state==='M'){
+      const {m, prev} = M[j].get(k).from;
+      segments.unshift({type:m.type, label:m.label || SEGMENT_LABEL[m.type],
+        text: chars.slice(m.start,m.end).join(''), start:m.start, end:m.end, guesses:m.guesses});
+      j = m.start; k--; state = prev;
+    }else{
+      let i = j;
+      while(B[i].get(k).from==='B') i--;
+      const start = i-1;
+      const text = chars.slice(start, j);
+      segments.unshift({type:'brute', label:SEGMENT_LABEL.brute, text:text.join(''), start, end:j,
+        guesses: text.reduce((g,c)=> g*cardinality(c), 1)});
+      j = start; k--; state = 'M';
+    }
+  }
+
+  return {guesses: Math.pow(2, log2), log10: log2*Math.LOG10E*Math.LN2, bits: log2, segments};
+}
+
+/**
+ * 推測回数から解読時間（秒）を求める
+ *
+ * @param {number} guesses - 推測回数
+ * @param {number} perSecond - ハッシュ速度（回/秒）
+ * @returns {number} 秒
+ */
+export function crackSeconds(guesses, perSecond){
+  return guesses / perSecond;
+}
+
+/**
+ * 秒数を日本語の目安に整形する（例: '3時間', '約12年', '数世紀以上'）
+ *
+ * @param {number} sec - 秒
+ * @returns {string}
+ */
+export function formatCrackTime(sec){
+  const MIN=60, HOUR=MIN*60, DAY=HOUR*24, MONTH=DAY*31, YEAR=DAY*365;
+  if(sec<1) return '一瞬';
+  if(sec<MIN) return `${Math.round(sec)}秒`;
+  if(sec<HOUR) return `${Math.round(sec/MIN)}分`;
+  if(sec<DAY) return `${Math.round(sec/HOUR)}時間`;
+  if(sec<MONTH) return `${Math.round(sec/DAY)}日`;
+  if(sec<YEAR) return `${Math.round(sec/MONTH)}か月`;
+  if(sec<100*YEAR) return `約${Math.round(sec/YEAR)}年`;
+  return '数世紀以上';
+}
@@ -0,0 +1,54 @@
+/**
+ * KeyWalk Analyzer - コアモジュール公開API
+ *
+ * DOM 非依存の分析エンジン。ブラウザーでは script.js から、
+ * Node では bin/keywalk.mjs やバッチスクリプトから import して利用する。
+ *
+ * @example
+ * import { analyze } from './core/index.mjs';
+ * const r = analyze('qwerty123', {layout: 'qwerty'});
+ * console.log(r.kds, r.label);
+ */
+
+export {
+  LAYERS, MAIN_PAGE, FLICK_OFFSET, registerLayout, unregisterLayout, hasLayout, getLayout, listLayouts, layoutPresets,
+  expandRows, buildGeometry, buildCoordMap, getCoordMap, pageSwitchCost, resolveKey, textToPoints, kanaStrokes
+} from './layouts.mjs';
+export { KEY_LAYOUTS, DEFAULT_PRESETS } from './layout-defs.mjs';
+export {
+  LAYOUT_FORMAT, CUSTOM_GROUP, LAYOUT_MAX_ROWS, LAYOUT_MAX_KEYS, layoutIdFor, validateLayout, exportLayout, importLayout,
+  parseKLE, parseRowsText, rowsToText, rowsToKeys, keysToRows
+} from './layout-io.mjs';
+export {
+  THRESH, dist, isAdjacent, totalLength, turns, adjRatio, DIRECTION_BINS, directionBin, directionEntropy, stepCV, knightRatio, modifierToggles, layerSwitches,
+  buildAdjGraph, adjacentWalkRanges, detectAdjacentWalks, createMetricState, repeatedNgrams, KDS_COMPONENTS, KDS_WEIGHTS, KDS_CUTOFFS, kdsBreakdown, kdsScore, kdsLabel
+} from './metrics.mjs';
+export {
+  POLICY_FORMAT, DEFAULT_POLICY, POLICY_FIELDS, validatePolicy, policyId, rulesId, setPolicy, resetPolicy, getPolicy, policyInfo,
+  exportPolicy, importPolicy
+} from './policy.mjs';
+export { checkCompliance } from './compliance.mjs';
+export { topN, summarizeSuffixes, collectSuffixes, summarizePrefixes, summarizeZones } from './profile.mjs';
+export { SHAPE_TOL, PATTERN_TYPES, arrowOf, classifyPatterns } from './patterns.mjs';
+export { PIN_REPEAT_MIN, detectPinLines, detectPinRepeats, classifyPinShape, analyzePin } from './pin.mjs';
+export { DIRECTIONS, SHIFT_MODES, GEN_LIMIT, generateWalks, hashcatRules, johnRules } from './generate.mjs';
+export { DICTIONARIES, JAPANESE_WORDS } from './dictionary-data.mjs';
+export { WORD_MIN_LENGTH, LEET_TABLE, YEAR_RANGE, matchWords, matchDates, pickMatches } from './dictionary.mjs';
+export { KANA_LAYOUT, ROMAJI_MIN_KANA, romajiToKana, matchRomaji, kanaToAscii } from './japanese.mjs';
+export {
+  REFERENCE_YEAR, COMMON_SUFFIXES, HASH_RATES, estimateGuesses, crackSeconds, formatCrackTime
+} from './guess.mjs';
+export { DETECTION_LABELS, KNOWN_PATTERNS, analyze, analyzeShape, createLiveAnalyzer, buildProfile } from './analyzer.mjs';
+export {
+  SHAPE_FORMAT, SHAPE_MAX_POINTS, SHAPE_COORD_MAX, SHAPE_MASK, SHAPE_TOKEN_RE, parseShape, parseShapeFile, shapeToPoints, formatShape
+} from './shape.mjs';
+export { INFER_MARGIN, inferLayout } from './infer.mjs';
+export { CANDIDATE_KINDS, CANDIDATE_LIMIT, predictCandidates, checkPredictability } from './candidates.mjs';
+export {
+  SIM_THRESHOLD, SIM_WEIGHTS, SIM_REASONS, levenshtein, skeleton, comparePasswords, clusterPasswords
+} from './similarity.mjs';
+export { COMPARE_METRICS, DETECTION_CHANGES, formatDelta, compareResults } from './compare.mjs';
+export { HIST_BIN, AUDIT_CUTOFFS, createAuditAggregator } from './audit.mjs';
+export {
+  REPORT_FORMAT, PASSWORD_MODES, REPORT_CANDIDATES, REPORT_METRICS, buildReport, reportToJSON, reportToCSV, reportToHTML
+} from './report.mjs';
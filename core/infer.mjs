@@ -0,0 +1,55 @@
+/**
+ * KeyWalk Analyzer - レイアウト推定
+ *
+ * 同じ入力を登録済みの全レイアウトで分析し、歩きとして最もよく説明できる
+ * （KDS・隣接比率が最も高い）レイアウトを推定する。
+ * Dvorak で打った `aoeuhtns` は QWERTY ではランダムに見えるが、Dvorak ではホーム段の歩きになる。
+ */
+
+import { listLayouts } from './layouts.mjs';
+import { analyze } from './analyzer.mjs';
+
+/** 1位と次点の平均 KDS の差がこれ未満なら「僅差（判別困難）」とする */
+export const INFER_MARGIN = 5;
+
+/**
+ * パスワード（またはパスワード群）の入力レイアウトを推定する
+ *
+ * 順位は (1) 文字の被覆率（未マップ文字が少ない順）、(2) 平均 KDS、(3) 平均隣接比率 の順で比べる。
+ * 未マップ文字は KDS のパターンフラグを増やすため、被覆率を先に比べて打てないレイアウトを下げる。
+ *
+ * @param {string|string[]} input - パスワード1件、またはパスワードの配列（空行は除外される）
+ * @param {{layouts?: string[]}} [options] - layouts: 候補のレイアウト ID（既定: 登録済みの全レイアウト）
+ * @returns {{
+ *   best: string|null, margin: number, close: boolean, ties: string[],
+ *   ranking: Array<{layout: string, name: string, kds: number, adjRatio: number, coverage: number}>
+ * }} best: 推定レイアウト、margin: 同点（ties）を除いた次点との平均 KDS の差、close: margin < INFER_MARGIN、
+ *   ties: best と指標がまったく同じレイアウト（例: どの配置でも同じ位置にあるキーしか使っていない）
+ */
+export function inferLayout(input, {layouts}={}){
+  const lines = (Array.isArray(input) ? input : [input]).filter(Boolean);
+  const names = new Map(listLayouts().map(l=>[l.id, l.name]));
+  const candidates = (layouts || [...names.keys()]).filter(id=> names.has(id));
+  if(!lines.length || !candidates.length) return {best:null, margin:0, close:true, ties:[], ranking:[]};
+
+  const total = lines.reduce((a,s)=> a+[...s].length, 0);
+  const ranking = candidates.map(layout=>{
+    let kds=0, adj=0, unknown=0;
+    for(const s of lines){
+      const r = analyze(s, {layout});
+      kds += r.kds; adj += r.metrics.adjRatio; unknown += r.unknown.length;
+    }
+    return {
+      layout, name: names.get(layout),
+      kds: kds/lines.length, adjRatio: adj/lines.length, coverage: 1-unknown/total
+    };
+  });
+  ranking.sort((a,b)=> (b.coverage-a.coverage) || (b.kds-a.kds) || (b.adjRatio-a.adjRatio));
+
+  const [top, second] = ranking;
+  const same = r => r.coverage===top.coverage && r.kds===top.kds && r.adjRatio===top.adjRatio;
+  const ties = ranking.slice(1).filter(same).map(r=> r.layout);
+  const rival = ranking.slice(1).find(r=> !same(r)) || second;
+  const margin = rival ? top.kds - rival.kds : 0;
+  return {best: top.layout, margin, close: margin < INFER_MARGIN, ties, ranking};
+}
@@ -0,0 +1,156 @@
+/**
+ * KeyWalk Analyzer - 日本語の入力（ローマ字・JIS かな配列）
+ *
+ * IME をオフにしたまま日本語をローマ字で打ったパスワード（sakura → さくら）を見つけ、
+ * どの語を綴っているかを返す。仮名で考えたパスワードをかな入力のキー位置で打つ場合は
+ * レイアウト 'jis_kana'（core/layout-defs.mjs）で分析し、かな入力オフで実際に入る文字列を kanaToAscii で求める。
+ * DOM には一切触れない。
+ */
+
+import { JAPANESE_WORDS } from './dictionary-data.mjs';
+import { buildGeometry, kanaStrokes } from './layouts.mjs';
+
+/** JIS かな配列のレイアウト ID */
+export const KANA_LAYOUT = 'jis_kana';
+
+/** ローマ字として検出する最小の仮名数 */
+export const ROMAJI_MIN_KANA = 3;
+
+// ローマ字 → ひらがな（ヘボン式・訓令式と、IME でよく使う綴り）
+const ROMAJI_KANA = {
+  a:'あ', i:'い', u:'う', e:'え', o:'お',
+  ka:'か', ki:'き', ku:'く', ke:'け', ko:'こ', kya:'きゃ', kyu:'きゅ', kyo:'きょ',
+  sa:'さ', shi:'し', si:'し', su:'す', se:'せ', so:'そ', sha:'しゃ', shu:'しゅ', sho:'しょ', sya:'しゃ', syu:'しゅ', syo:'しょ',
+  ta:'た', chi:'ち', ti:'ち', tsu:'つ', tu:'つ', te:'て', to:'と', cha:'ちゃ', chu:'ちゅ', cho:'ちょ', tya:'ちゃ', tyu:'ちゅ', tyo:'ちょ',
+  na:'な', ni:'に', nu:'ぬ', ne:'ね', no:'の', nya:'にゃ', nyu:'にゅ', nyo:'にょ',
+  ha:'は', hi:'ひ', fu:'ふ', hu:'ふ', he:'へ', ho:'ほ', hya:'ひゃ', hyu:'ひゅ', hyo:'ひょ', fa:'ふぁ', fi:'ふぃ', fe:'ふぇ', fo:'ふぉ',
+  ma:'ま', mi:'み', mu:'む', me:'め', mo:'も', mya:'みゃ', myu:'みゅ', myo:'みょ',
+  ya:'や', yu:'ゆ', yo:'よ',
+  ra:'ら', ri:'り', ru:'る', re:'れ', ro:'ろ', rya:'りゃ', ryu:'りゅ', ryo:'りょ',
+  wa:'わ', wo:'を',
+  ga:'が', gi:'ぎ', gu:'ぐ', ge:'げ', go:'ご', gya:'ぎゃ', gyu:'ぎゅ', gyo:'ぎょ',
+  za:'ざ', ji:'じ', zi:'じ', zu:'ず', ze:'ぜ', zo:'ぞ', ja:'じゃ', ju:'じゅ', jo:'じょ', zya:'じゃ', zyu:'じゅ', zyo:'じょ',
+  da:'だ', di:'ぢ', du:'づ', de:'で', do:'ど',
+  ba:'ば', bi:'び', bu:'ぶ', be:'べ', bo:'ぼ', bya:'びゃ', byu:'びゅ', byo:'びょ',
+  pa:'ぱ', pi:'ぴ', pu:'ぷ', pe:'ぺ', po:'ぽ', pya:'ぴゃ', pyu:'ぴゅ', pyo:'ぴょ'
+};
+
+const VOWEL_OR_Y = /[aiueoy]/;
+
+// 先頭から読めるだけ読む（読めた仮名と、読めた文字数）
+// 促音（子音の重ね・tch）は次の仮名と一緒に読めたときだけ数える
+function readRomaji(s){
+  let i = 0, kana = '';
+  let done = {length: 0, kana: ''};
+  while(i<s.length){
+    const c = s[i], next = s[i+1];
+    if(c!=='n' && c===next && /[bcdfghjkmpqrstvwxyz]/.test(c) || s.startsWith('tch', i)){
+      kana += 'っ'; i++;
+      continue;
+    }
+    if(c==='n' && !VOWEL_OR_Y.test(next ?? '')){
+      // 撥音: n'・nn（後ろが母音なら n 1文字分）・子音の前・末尾
+      i += next==='\'' || (next==='n' && !VOWEL_OR_Y.test(s[i+2] ?? '')) ? 2 : 1;
+      kana += 'ん';
+    }else{
+      const hit = [3,2,1].map(len=> s.slice(i, i+len)).find(k=> ROMAJI_KANA[k]);
+      if(!hit) break;
+      kana += ROMAJI_KANA[hit]; i += hit.length;
+    }
+    done = {length: i, kana};
+  }
+  return done;
+}
+
+/**
+ * ローマ字をひらがなにする
+ *
+ * @param {string} text - ローマ字（英字。大文字小文字は区別しない）
+ * @returns {string|null} ひらがな。全体をローマ字として読めない場合は null
+ */
+export function romajiToKana(text){
+  const s = String(text ?? '').toLowerCase();
+  if(!s) return null;
+  const r = readRomaji(s);
+  return r.length===s.length ? r.kana : null;
+}
+
+/**
+ * ローマ字で綴った日本語を照合する
+ *
+ * 英字の連続のうち、全体がローマ字として読めて仮名が ROMAJI_MIN_KANA 文字以上で、表（JAPANESE_WORDS）の
+ * 語を含むものを返す。英単語の多くもローマ字として読めてしまう（kitten → きってん）ため、表の語を含まない
+ * 連続は返さない。全体を読めない連続（英単語など）からは、表にある語だけを拾う。
+ * words は区間に含まれる表の語（重ならないもの、長い順に優先）。
+ *
+ * @param {string} password - 対象の文字列
+ * @returns {Array<{text: string, start: number, end: number, kana: string,
+ *   words: Array<{romaji: string, word: string, reading: string, start: number, end: number}>}>}
+ *   start/end は文字位置（end は含まない）
+ */
+export function matchRomaji(password){
+  const chars = [...(password||'')];
+  const out = [];
+  let i = 0;
+  while(i<chars.length){
+    if(!/[A-Za-z]/.test(chars[i])){ i++; continue; }
+    let j = i;
+    while(j<chars.length && /[A-Za-z]/.test(chars[j])) j++;
+    const run = chars.slice(i, j).join('');
+    const words = japaneseWords(run.toLowerCase(), i);
+    const kana = romajiToKana(run);
+    if(kana!==null && [...kana].length>=ROMAJI_MIN_KANA && words.length){
+      // 連続全体が表の1語なら、長音などを補った読みを使う（tokyo → とうきょう）
+      const whole = words.length===1 && words[0].start===i && words[0].end===j;
+      out.push({text: run, start: i, end: j, kana: whole ? words[0].reading : kana, words});
+    }else{
+      words.forEach(w=> out.push({text: chars.slice(w.start, w.end).join(''), start: w.start, end: w.end,
+        kana: w.reading, words: [w]}));
+    }
+    i = j;
+  }
+  return out;
+}
+
+// 英字の連続に含まれる表の語（長い語を優先して重ならないように選ぶ。offset は連続の文字位置）
+function japaneseWords(lower, offset){
+  const found = [];
+  for(let i=0;i<lower.length;i++){
+    for(let j=lower.length;j>i;j--){
+      const entry = JAPANESE_WORDS[lower.slice(i, j)];
+      if(entry) found.push({romaji: lower.slice(i, j), word: entry[0], reading: entry[1], start: offset+i, end: offset+j});
+    }
+  }
+  found.sort((a,b)=> (b.end-b.start)-(a.end-a.start) || a.start-b.start);
+  const picked = [];
+  for(const w of found){
+    if(!picked.some(u=> w.start<u.end && u.start<w.end)) picked.push(w);
+  }
+  return picked.sort((a,b)=> a.start-b.start);
+}
+
+// ---- JIS かな配列 ----
+
+/**
+ * 仮名の文字列を、かな入力オフの JIS キーボードで同じキーを押したときに入る文字列にする
+ * （例: 'さくら' → 'xho'。濁点・半濁点は ゛ / ゜ のキーを続けて押す。が → 't@'）
+ *
+ * @param {string} text - 仮名（ひらがな・カタカナ）の文字列
+ * @returns {string} 入力される文字列（かな配列にない文字はそのまま残す）
+ */
+export function kanaToAscii(text){
+  const kana = buildGeometry(KANA_LAYOUT).keys;
+  const jis = buildGeometry('jis').keys;
+  const at = k=> jis.find(j=> j.x===k.x && j.y===k.y);
+  let out = '';
+  for(const ch of String(text ?? '')){
+    const strokes = kanaStrokes(ch);
+    const keys = strokes.map(c=> kana.find(k=> k.char===c || k.shift===c));
+    if(keys.some(k=> !k)){ out += ch; continue; }
+    keys.forEach((k,i)=>{
+      const j = at(k);
+      out += (k.char===strokes[i] ? j.char : j.shift) ?? j.char;
+    });
+  }
+  return out;
+}
@@ -0,0 +1,376 @@
+/**
+ * KeyWalk Analyzer - 組み込みレイアウト定義
+ *
+ * 各レイアウトの物理配置（キー単位）と、UI のサンプル（プリセット）をまとめたデータ。
+ * core/layouts.mjs が読み込み時にレジストリへ登録する。
+ */
+
+/*
+ * レイアウト定義スキーマ（単位: キー幅 = 1u）
+ *
+ * name    … 表示名（レイアウト選択欄に表示）
+ * group   … 選択欄での分類（<optgroup> の見出し）
+ * kind    … 'keyboard'（既定）、'keypad'（テンキー。PIN 向けの形状チェックを行う）、
+ *            'touch'（スマートフォンのソフトウェアキーボード。pages で面を切り替える）
+ * rows    … 上段（数字列）から順に1u刻みで並ぶ行の配列。各行は左端 x=0 から
+ *            要素を順に敷き詰める。要素は次のいずれか:
+ *   'q'                    … 幅1uの文字キー（英字の Shift 層は大文字を自動補完）
+ *   '1!'                   … 幅1uの文字キー（1文字目が通常層、2文字目が Shift 層）
+ *   {c:'4', s:'$', a:'€'}  … 文字キー（c: 通常層、s: Shift 層、a: AltGr 層、w: 幅、h: 高さ、l: 表示ラベル）
+ *   {c:'2', t:'abc'}       … T9 文字を持つダイヤルキー（t の英字もこのキーに割り当てる）
+ *   {c:'あ', f:['い','う','え','お']} … フリック入力のキー（f: 左・上・右・下に払うと入る文字。ない方向は null）
+ *   {k:'Tab', w:1.5}       … 文字を入力しないキー（修飾キー等、ラベルのみ）
+ *   {k:'123', to:'num'}    … 面を切り替えるキー（to: 切り替え先の面の ID。最初の面は 'main'）
+ *   {gap:0.25}             … キーのない隙間
+ * 高さ2u以上のキー（テンキーの + や Enter）の下の行では、その位置を {gap:1} で空けるか行末に置く
+ * pageLabel … 最初の面（rows）の表示名（kind: 'touch' のみ）
+ * pages   … 切り替えて使う面 [{id, label, rows}]（kind: 'touch' のみ）。どの面も同じ画面の位置に表示される
+ * presets … サンプル文字列 {single:{...}, profile:{...}}。省略した項目は DEFAULT_PRESETS を使う
+ */
+
+// 修飾キー（US ANSI / ISO 共通の最下段）
+const ANSI_BOTTOM = [
+  {k:'Ctrl',w:1.25},{k:'Win',w:1.25},{k:'Alt',w:1.25},{k:'Space',w:6.25},
+  {k:'Alt',w:1.25},{k:'Win',w:1.25},{k:'Menu',w:1.25},{k:'Ctrl',w:1.25}
+];
+const ISO_BOTTOM = [
+  {k:'Ctrl',w:1.25},{k:'Win',w:1.25},{k:'Alt',w:1.25},{k:'Space',w:6.25},
+  {k:'AltGr',w:1.25},{k:'Win',w:1.25},{k:'Menu',w:1.25},{k:'Ctrl',w:1.25}
+];
+// US ANSI の数字列（Colemak / Workman も共通）
+const ANSI_NUMBER_ROW = ['`~','1!','2@','3#','4$','5%','6^','7&','8*','9(','0)','-_','=+',{k:'Back',w:2}];
+
+// JIS かな配列のキー（表示ラベルは英字の刻印と仮名。s は Shift で入る小書き・記号）
+const kana = (ascii, c, s)=> s===undefined ? {c, l:`${ascii} ${c}`} : {c, s, l:`${ascii} ${c}`};
+
+// フリック入力のキー（c: タップ、f: 左・上・右・下。l を省くとタップの文字を表示する）
+const flick = (c, f, l)=> l===undefined ? {c, f} : {c, f, l};
+
+// スマートフォンの QWERTY の文字の面（10列。中段は半キー、下段は1.5キー右から）
+const TOUCH_LETTERS = [
+  ['q','w','e','r','t','y','u','i','o','p'],
+  [{gap:0.5},'a','s','d','f','g','h','j','k','l',{gap:0.5}],
+  [{k:'⇧',w:1.5},'z','x','c','v','b','n','m',{k:'⌫',w:1.5}]
+];
+// フリック入力の各面の右端の列
+const flickRight = [{k:'⌫'}, {k:'空白'}, {k:'改行',h:2}];
+
+/**
+ * サンプルの既定値
+ * single: 単体分析タブ（walk1, walk2, common, dict, strong）
+ * profile: 癖プロファイルタブ（basic, year, keyboard, random）
+ */
+export const DEFAULT_PRESETS = {
+  single: {
+    walk1: 'qwerty123',          // 上段歩き
+    walk2: 'asdfgh',             // 中段直線
+    common: 'P@ssw0rd!',         // 一般的パターン
+    dict: 'Tr0ub4dor&3',         // 辞書+置換
+    strong: 'xK9#mQ2$vL'         // ランダム風
+  },
+  profile: {
+    basic: 'Password123\nWelcome2024\nAdmin123\nLogin2024\nAccess123',
+    year: 'Tokyo2023!\nOsaka2024!\nKyoto2022!\nNagoya2025!\nSapporo2021!',
+    keyboard: 'qwerty12\nasdfgh34\nzxcvbn56\nqazwsx78\nwsxedc90',
+    random: 'xK9#mQ2$vL\nR7@bN4!jX3\nM5&pW8*dF1\nT2#vK6@hL9\nY4$nC8!qZ7'
+  }
+};
+
+/**
+ * キーボードレイアウト定義
+ * メインブロックはいずれも幅15u × 5段。記号の Shift/AltGr 層はレイアウトごとに定義する
+ * 並び順がそのままレイアウト選択欄の順になる
+ */
+export const KEY_LAYOUTS = {
+  jis: {
+    name: 'JIS 109 (日本語)',
+    group: '日本語',
+    rows: [
+      [{k:'半/全'},'1!','2"','3#','4$','5%','6&','7\'','8(','9)','0','-=','^~',{c:'¥',s:'|'},{k:'Back'}],
+      [{k:'Tab',w:1.5},'q','w','e','r','t','y','u','i','o','p','@`','[{',{k:'Enter',w:1.5}],
+      [{k:'英数',w:1.75},'a','s','d','f','g','h','j','k','l',';+',':*',']}',{k:'Enter',w:1.25}],
+      [{k:'Shift',w:2.25},'z','x','c','v','b','n','m',',<','.>','/?',{c:'\\',s:'_',l:'\\ ろ'},{k:'Shift',w:1.75}],
+      [{k:'Ctrl',w:1.25},{k:'Win',w:1.25},{k:'Alt',w:1.25},{k:'無変換',w:1.25},{k:'Space',w:2.5},
+       {k:'変換',w:1.25},{k:'かな',w:1.25},{k:'Alt',w:1.25},{k:'Win',w:1.25},{k:'Menu',w:1.25},{k:'Ctrl',w:1.25}]
+    ],
+    presets: {
+      single: {walk2: 'asdfghjkl', dict: 'Sakura2024!'},
+      profile: {keyboard: 'qwertyui\nasdfghjk\nzxcvbnm\n1qaz2wsx\n3edc4rfv'}
+    }
+  },
+  jis_kana: {
+    name: 'JIS かな配列 (かな入力)',
+    group: '日本語',
+    // JIS 109 と同じ物理配置。仮名のパスワードを、かな入力のキー位置で打つ場合の経路を調べる
+    // 濁点・半濁点付きの仮名（が・ぱ）は清音のキーと ゛ / ゜ のキーの2打鍵になる（textToPoints が分ける）
+    rows: [
+      [{k:'半/全'},kana('1','ぬ'),kana('2','ふ'),kana('3','あ','ぁ'),kana('4','う','ぅ'),kana('5','え','ぇ'),kana('6','お','ぉ'),
+       kana('7','や','ゃ'),kana('8','ゆ','ゅ'),kana('9','よ','ょ'),kana('0','わ','を'),kana('-','ほ'),kana('^','へ'),kana('¥','ー'),{k:'Back'}],
+      [{k:'Tab',w:1.5},kana('Q','た'),kana('W','て'),kana('E','い','ぃ'),kana('R','す'),kana('T','か'),kana('Y','ん'),
+       kana('U','な'),kana('I','に'),kana('O','ら'),kana('P','せ'),kana('@','゛'),kana('[','゜','「'),{k:'Enter',w:1.5}],
+      [{k:'英数',w:1.75},kana('A','ち'),kana('S','と'),kana('D','し'),kana('F','は'),kana('G','き'),kana('H','く'),
+       kana('J','ま'),kana('K','の'),kana('L','り'),kana(';','れ'),kana(':','け'),kana(']','む','」'),{k:'Enter',w:1.25}],
+      [{k:'Shift',w:2.25},kana('Z','つ','っ'),kana('X','さ'),kana('C','そ'),kana('V','ひ'),kana('B','こ'),kana('N','み'),
+       kana('M','も'),kana(',','ね','、'),kana('.','る','。'),kana('/','め','・'),kana('\\','ろ'),{k:'Shift',w:1.75}],
+      [{k:'Ctrl',w:1.25},{k:'Win',w:1.25},{k:'Alt',w:1.25},{k:'無変換',w:1.25},{k:'Space',w:2.5},
+       {k:'変換',w:1.25},{k:'かな',w:1.25},{k:'Alt',w:1.25},{k:'Win',w:1.25},{k:'Menu',w:1.25},{k:'Ctrl',w:1.25}]
+    ],
+    presets: {
+      single: {walk1: 'たていすかん', walk2: 'ちとしはきく', common: 'さくら', dict: 'ぱすわーど', strong: 'ぬけむひよれ'},
+      profile: {
+        basic: 'さくら\nひまわり\nたなか\nすずき\nとうきょう',
+        year: 'さくら\nさくらさくら\nはるのひ\nなつのひ\nふゆのひ',
+        keyboard: 'たていすか\nちとしはき\nつさそひこ\nぬふあうえ\nたちつてと',
+        random: 'ぬけむひよれ\nほめそゆきへ\nろねふこをせ\nぃへらけまぬ\nゆそてむみほ'
+      }
+    }
+  },
+  qwerty: {
+    name: 'QWERTY (US ANSI)',
+    group: '英語',
+    rows: [
+      ANSI_NUMBER_ROW,
+      [{k:'Tab',w:1.5},'q','w','e','r','t','y','u','i','o','p','[{',']}',{c:'\\',s:'|',w:1.5}],
+      [{k:'Caps',w:1.75},'a','s','d','f','g','h','j','k','l',';:','\'"',{k:'Enter',w:2.25}],
+      [{k:'Shift',w:2.25},'z','x','c','v','b','n','m',',<','.>','/?',{k:'Shift',w:2.75}],
+      ANSI_BOTTOM
+    ]
+  },
+  iso: {
+    name: 'QWERTY (UK/ISO)',
+    group: '英語',
+    rows: [
+      [{c:'`',s:'¬',a:'¦'},'1!','2"',{c:'3',s:'£'},{c:'4',s:'$',a:'€'},'5%','6^','7&','8*','9(','0)','-_','=+',{k:'Back',w:2}],
+      [{k:'Tab',w:1.5},'q','w',{c:'e',a:'é'},'r','t','y',{c:'u',a:'ú'},{c:'i',a:'í'},{c:'o',a:'ó'},'p','[{',']}',{k:'Enter',w:1.5}],
+      [{k:'Caps',w:1.75},{c:'a',a:'á'},'s','d','f','g','h','j','k','l',';:','\'@','#~',{k:'Enter',w:1.25}],
+      [{k:'Shift',w:1.25},'\\|','z','x','c','v','b','n','m',',<','.>','/?',{k:'Shift',w:2.75}],
+      ISO_BOTTOM
+    ],
+    presets: {
+      single: {walk2: '\\zxcvbn'},      // 左Shift横の\キーから
+      profile: {
+        year: 'London2023!\nLeeds2024!\nBristol2022!\nOxford2025!\nYork2021!',
+        keyboard: 'qwerty12\nasdfgh34\n\\zxcvb56\nqazwsx78\nwsxedc90'
+      }
+    }
+  },
+  azerty: {
+    name: 'AZERTY (FR)',
+    group: '欧州',
+    rows: [
+      [{c:'²'},'&1',{c:'é',s:'2',a:'~'},{c:'"',s:'3',a:'#'},{c:'\'',s:'4',a:'{'},{c:'(',s:'5',a:'['},{c:'-',s:'6',a:'|'},
+       {c:'è',s:'7',a:'`'},{c:'_',s:'8',a:'\\'},{c:'ç',s:'9',a:'^'},{c:'à',s:'0',a:'@'},{c:')',s:'°',a:']'},{c:'=',s:'+',a:'}'},{k:'Back',w:2}],
+      [{k:'Tab',w:1.5},'a','z',{c:'e',a:'€'},'r','t','y','u','i','o','p',{c:'^',s:'¨'},{c:'$',s:'£',a:'¤'},{k:'Enter',w:1.5}],
+      [{k:'Caps',w:1.75},'q','s','d','f','g','h','j','k','l','m','ù%','*µ',{k:'Enter',w:1.25}],
+      [{k:'Shift',w:1.25},'<>','w','x','c','v','b','n',',?',';.',':/','!§',{k:'Shift',w:2.75}],
+      ISO_BOTTOM
+    ],
+    presets: {
+      single: {walk1: 'azerty123', walk2: 'qsdfgh', dict: 'Soleil2024!'},
+      profile: {
+        year: 'Paris2023!\nLyon2024!\nNice2022!\nLille2025!\nNantes2021!',
+        keyboard: 'azerty12\nqsdfgh34\nwxcvbn56\naqwzsx78\nedcrfv90'
+      }
+    }
+  },
+  qwertz: {
+    name: 'QWERTZ (DE)',
+    group: '欧州',
+    rows: [
+      [{c:'^',s:'°'},'1!',{c:'2',s:'"',a:'²'},{c:'3',s:'§',a:'³'},'4$','5%','6&',{c:'7',s:'/',a:'{'},{c:'8',s:'(',a:'['},
+       {c:'9',s:')',a:']'},{c:'0',s:'=',a:'}'},{c:'ß',s:'?',a:'\\'},{c:'´',s:'`'},{k:'Back',w:2}],
+      [{k:'Tab',w:1.5},{c:'q',a:'@'},'w',{c:'e',a:'€'},'r','t','z','u','i','o','p','ü',{c:'+',s:'*',a:'~'},{k:'Enter',w:1.5}],
+      [{k:'Caps',w:1.75},'a','s','d','f','g','h','j','k','l','ö','ä','#\'',{k:'Enter',w:1.25}],
+      [{k:'Shift',w:1.25},{c:'<',s:'>',a:'|'},'y','x','c','v','b','n',{c:'m',a:'µ'},',;','.:','-_',{k:'Shift',w:2.75}],
+      ISO_BOTTOM
+    ],
+    presets: {
+      single: {walk1: 'qwertz123', dict: 'Sommer2024!'},
+      profile: {
+        year: 'Berlin2023!\nMünchen2024!\nHamburg2022!\nKöln2025!\nDresden2021!',
+        keyboard: 'qwertz12\nasdfgh34\nyxcvbn56\nqaywsx78\nwsxedc90'
+      }
+    }
+  },
+  dvorak: {
+    name: 'Dvorak (US ANSI)',
+    group: '代替配列',
+    rows: [
+      ['`~','1!','2@','3#','4$','5%','6^','7&','8*','9(','0)','[{',']}',{k:'Back',w:2}],
+      [{k:'Tab',w:1.5},'\'"',',<','.>','p','y','f','g','c','r','l','/?','=+',{c:'\\',s:'|',w:1.5}],
+      [{k:'Caps',w:1.75},'a','o','e','u','i','d','h','t','n','s','-_',{k:'Enter',w:2.25}],
+      [{k:'Shift',w:2.25},';:','q','j','k','x','b','m','w','v','z',{k:'Shift',w:2.75}],
+      ANSI_BOTTOM
+    ],
+    presets: {
+      single: {walk1: '123456', walk2: 'aoeu'},   // 数字列 / ホームポジション
+      profile: {keyboard: 'aoeu\nhtns\n123456\npyfgcr\nqjkxbm'}
+    }
+  },
+  colemak: {
+    name: 'Colemak (US ANSI)',
+    group: '代替配列',
+    rows: [
+      ANSI_NUMBER_ROW,
+      [{k:'Tab',w:1.5},'q','w','f','p','g','j','l','u','y',';:','[{',']}',{c:'\\',s:'|',w:1.5}],
+      [{k:'Back',w:1.75},'a','r','s','t','d','h','n','e','i','o','\'"',{k:'Enter',w:2.25}],
+      [{k:'Shift',w:2.25},'z','x','c','v','b','k','m',',<','.>','/?',{k:'Shift',w:2.75}],
+      ANSI_BOTTOM
+    ],
+    presets: {
+      single: {walk1: 'qwfpgj123', walk2: 'arstdhneio'},   // 上段 / ホームポジション
+      profile: {keyboard: 'arstdh12\nneio34\nqwfpgj56\nzxcvbk78\nluy90'}
+    }
+  },
+  workman: {
+    name: 'Workman (US ANSI)',
+    group: '代替配列',
+    rows: [
+      ANSI_NUMBER_ROW,
+      [{k:'Tab',w:1.5},'q','d','r','w','b','j','f','u','p',';:','[{',']}',{c:'\\',s:'|',w:1.5}],
+      [{k:'Caps',w:1.75},'a','s','h','t','g','y','n','e','o','i','\'"',{k:'Enter',w:2.25}],
+      [{k:'Shift',w:2.25},'z','x','m','c','v','k','l',',<','.>','/?',{k:'Shift',w:2.75}],
+      ANSI_BOTTOM
+    ],
+    presets: {
+      single: {walk1: 'qdrwbj123', walk2: 'ashtgy'},
+      profile: {keyboard: 'ashtgy12\nneoi34\nqdrwbj56\nzxmcvk78\nfup90'}
+    }
+  },
+  numpad: {
+    name: 'テンキー (PC, 7-8-9 上段)',
+    group: 'テンキー',
+    kind: 'keypad',
+    rows: [
+      [{k:'Num'},'/','*','-'],
+      ['7','8','9',{c:'+',h:2}],
+      ['4','5','6'],
+      ['1','2','3',{k:'Enter',h:2}],
+      [{c:'0',w:2},'.']
+    ],
+    presets: {
+      single: {walk1: '8520', walk2: '1397', common: '1234', dict: '2846', strong: '5170'},
+      profile: {
+        basic: '1234\n0000\n1111\n1212\n7777',
+        year: '1990\n1985\n2001\n0815\n1225',
+        keyboard: '8520\n7410\n9630\n7539\n1357',
+        random: '5170\n8203\n6194\n3857\n9026'
+      }
+    }
+  },
+  phone: {
+    name: 'ダイヤルキー (電話・ATM, 1-2-3 上段 / T9)',
+    group: 'テンキー',
+    kind: 'keypad',
+    rows: [
+      ['1',{c:'2',t:'abc'},{c:'3',t:'def'}],
+      [{c:'4',t:'ghi'},{c:'5',t:'jkl'},{c:'6',t:'mno'}],
+      [{c:'7',t:'pqrs'},{c:'8',t:'tuv'},{c:'9',t:'wxyz'}],
+      ['*','0','#']
+    ],
+    presets: {
+      single: {walk1: '2580', walk2: '1397', common: '1234', dict: 'Adgjmptw', strong: '5170'},
+      profile: {
+        basic: '1234\n0000\n1111\n1212\n7777',
+        year: '1990\n1985\n2001\n0815\n1225',
+        keyboard: '2580\n1470\n3690\n1593\n7531',
+        random: '5170\n8203\n6194\n3857\n9026'
+      }
+    }
+  },
+  ios: {
+    name: 'iPhone (iOS, 英語 QWERTY)',
+    group: 'スマートフォン',
+    kind: 'touch',
+    // 数字・記号は 123 の面、さらに #+= の面。文字の面から #+= の面へは2回切り替える
+    pageLabel: 'ABC',
+    rows: [
+      ...TOUCH_LETTERS,
+      [{k:'123',to:'num',w:1.25},{k:'☺',w:1.25},{k:'space',w:5},{k:'return',w:2.5}]
+    ],
+    pages: [
+      {id: 'num', label: '123', rows: [
+        ['1','2','3','4','5','6','7','8','9','0'],
+        ['-','/',':',';','(',')','$','&','@','"'],
+        [{k:'#+=',to:'sym',w:1.5},{c:'.',w:1.4},{c:',',w:1.4},{c:'?',w:1.4},{c:'!',w:1.4},{c:'\'',w:1.4},{k:'⌫',w:1.5}],
+        [{k:'ABC',to:'main',w:1.25},{k:'☺',w:1.25},{k:'space',w:5},{k:'return',w:2.5}]
+      ]},
+      {id: 'sym', label: '#+=', rows: [
+        ['[',']','{','}','#','%','^','*','+','='],
+        ['_','\\','|','~','<','>','€','£','¥','•'],
+        [{k:'123',to:'num',w:1.5},{c:'.',w:1.4},{c:',',w:1.4},{c:'?',w:1.4},{c:'!',w:1.4},{c:'\'',w:1.4},{k:'⌫',w:1.5}],
+        [{k:'ABC',to:'main',w:1.25},{k:'☺',w:1.25},{k:'space',w:5},{k:'return',w:2.5}]
+      ]}
+    ],
+    presets: {
+      single: {walk1: 'qwertyuiop', walk2: 'asdfghjkl', dict: 'Sunshine2024!'},
+      profile: {keyboard: 'qwertyui\nasdfghjk\nzxcvbnm\n1234567890\nqazwsx'}
+    }
+  },
+  android: {
+    name: 'Android (Gboard, 英語 QWERTY)',
+    group: 'スマートフォン',
+    kind: 'touch',
+    // 文字の面にも , と . がある。数字・記号は ?123 の面、さらに =\< の面
+    pageLabel: 'ABC',
+    rows: [
+      ...TOUCH_LETTERS,
+      [{k:'?123',to:'num',w:1.5},',',{k:'☺'},{k:'space',w:4},'.',{k:'↵',w:1.5}]
+    ],
+    pages: [
+      {id: 'num', label: '?123', rows: [
+        ['1','2','3','4','5','6','7','8','9','0'],
+        ['@','#','$','_','&','-','+','(',')','/'],
+        [{k:'=\\<',to:'sym',w:1.5},'*','"','\'',':',';','!','?',{k:'⌫',w:1.5}],
+        [{k:'ABC',to:'main',w:1.5},',',{k:'☺'},{k:'space',w:4},'.',{k:'↵',w:1.5}]
+      ]},
+      {id: 'sym', label: '=\\<', rows: [
+        ['~','`','|','•','√','π','÷','×','¶','∆'],
+        ['£','¢','€','¥','^','°','=','{','}','\\'],
+        [{k:'?123',to:'num',w:1.5},'%','©','®','™','✓','[',']',{k:'⌫',w:1.5}],
+        [{k:'ABC',to:'main',w:1.5},'<',{k:'☺'},{k:'space',w:4},'>',{k:'↵',w:1.5}]
+      ]}
+    ],
+    presets: {
+      single: {walk1: 'qwertyuiop', walk2: 'asdfghjkl', dict: 'Sunshine2024!'},
+      profile: {keyboard: 'qwertyui\nasdfghjk\nzxcvbnm\n1234567890\nqazwsx'}
+    }
+  },
+  flick: {
+    name: 'フリック入力 (スマートフォン, 12キー)',
+    group: 'スマートフォン',
+    kind: 'touch',
+    // タップで各行の「あ段」、左・上・右・下に払うと「い・う・え・お段」。濁点・半濁点・小書きは「小゛゜」キー
+    // 英字は ABC の面（タップで1文字目、左・上・右で2〜4文字目）、数字は ☆123 の面
+    pageLabel: 'あいう',
+    rows: [
+      [{k:'↺'},flick('あ',['い','う','え','お']),flick('か',['き','く','け','こ']),flick('さ',['し','す','せ','そ']),flickRight[0]],
+      [{k:'←'},flick('た',['ち','つ','て','と']),flick('な',['に','ぬ','ね','の']),flick('は',['ひ','ふ','へ','ほ']),flickRight[1]],
+      [{k:'ABC',to:'abc'},flick('ま',['み','む','め','も']),flick('や',['（','ゆ','）','よ']),flick('ら',['り','る','れ','ろ']),flickRight[2]],
+      [{k:'☆123',to:'num'},flick('゛',[null,null,null,'゜'],'小゛゜'),flick('わ',['を','ん','ー',null]),flick('、',['。','？','！',null],'、。?!')]
+    ],
+    pages: [
+      {id: 'abc', label: 'ABC', rows: [
+        [{k:'↺'},flick('@',['#','/','&','_'],'@#/&_'),flick('a',['b','c',null,null],'ABC'),flick('d',['e','f',null,null],'DEF'),flickRight[0]],
+        [{k:'←'},flick('g',['h','i',null,null],'GHI'),flick('j',['k','l',null,null],'JKL'),flick('m',['n','o',null,null],'MNO'),flickRight[1]],
+        [{k:'あいう',to:'main'},flick('p',['q','r','s',null],'PQRS'),flick('t',['u','v',null,null],'TUV'),flick('w',['x','y','z',null],'WXYZ'),flickRight[2]],
+        [{k:'☆123',to:'num'},{k:'a/A'},flick('\'',['"','(',')',null],'\'"()'),flick('.',[',','?','!',null],'.,?!')]
+      ]},
+      {id: 'num', label: '☆123', rows: [
+        [{k:'↺'},flick('1',['☆','♪','→',null]),flick('2',['¥','$','€',null]),flick('3',['%','°','#',null]),flickRight[0]],
+        [{k:'←'},flick('4',['○','*','・',null]),flick('5',['+','×','÷',null]),flick('6',['<','=','>',null]),flickRight[1]],
+        [{k:'あいう',to:'main'},flick('7',['「','」',':',null]),flick('8',['〒','々','〆',null]),flick('9',['^','|','\\',null]),flickRight[2]],
+        [{k:'ABC',to:'abc'},flick('(',[')','[',']',null],'()[]'),flick('0',['～','…',null,null]),flick('.',[',','-','/',null],'.,-/')]
+      ]}
+    ],
+    presets: {
+      single: {walk1: 'あいうえお', walk2: 'あかさたなはまやら', common: 'さくら', dict: 'ぱすわーど', strong: 'ぬけむひよれ'},
+      profile: {
+        basic: 'さくら\nひまわり\nたなか\nすずき\nとうきょう',
+        year: 'さくら\nさくらさくら\nはるのひ\nなつのひ\nふゆのひ',
+        keyboard: 'あいうえお\nかきくけこ\nさしすせそ\nたちつてと\nなにぬねの',
+        random: 'ぬけむひよれ\nほめそゆきへ\nろねふこをせ\nぃへらけまぬ\nゆそてむみほ'
+      }
+    }
+  }
+};
@@ -0,0 +1,302 @@
+/**
+ * KeyWalk Analyzer - カスタムレイアウトの読み書き
+ *
+ * 利用者が作ったレイアウト定義の検証と JSON の書き出し・読み込み、
+ * 文字の行（テキスト）・キャンバス上のキー配置・keyboard-layout-editor.com（KLE）の JSON からの変換を行う。
+ * レジストリへの登録（registerLayout）と保存は呼び出し側が行う。DOM には一切触れない。
+ *
+ * JSON 形式（rows のスキーマは core/layout-defs.mjs と同じ）:
+ *   {"format": "keywalk-layout", "version": 1, "id": "custom-...", "name": "...", "kind": "keyboard", "rows": [...]}
+ *
+ * 行のテキスト形式（1行が1段。空行は無視）:
+ *   +0.5 asdfghjkl     先頭の +数値 はその段の左端の空き（u）
+ *   qwertyuiop         空白を含まない段は1文字が1キー
+ *   1! 2@ 3# 4$        空白を含む段は空白区切りの各語が1キー（2文字目は Shift 層）
+ */
+
+import { KEY_LAYOUTS } from './layout-defs.mjs';
+import { expandRows, autoShift } from './layouts.mjs';
+
+/** エクスポートする JSON の format 値 */
+export const LAYOUT_FORMAT = 'keywalk-layout';
+
+/** カスタムレイアウトの選択欄での分類 */
+export const CUSTOM_GROUP = 'カスタム';
+
+/** 段数の上限 */
+export const LAYOUT_MAX_ROWS = 12;
+
+/** キー数の上限（修飾キーを含む） */
+export const LAYOUT_MAX_KEYS = 200;
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const KEY_PROPS = new Set(['c', 's', 'a', 't', 'k', 'l', 'w', 'h', 'gap']);
+// 幅・高さ・隙間の上限（u）
+const SIZE_MAX = {w: 12, h: 4, gap: 24};
+const OFFSET_RE = /^\+(?:\d+(?:\.\d*)?|\.\d+)$/;
+
+const isChar = v=> typeof v==='string' && [...v].length===1 && !/\s/.test(v);
+// 配置の計算で出る浮動小数の誤差を落とす
+const round = v=> Math.round(v*1000)/1000;
+
+/**
+ * レイアウト名から ID を作る（同じ名前なら同じ ID）
+ *
+ * @param {string} name - レイアウト名
+ * @returns {string} 'custom-' と8桁の16進数（FNV-1a）
+ */
+export function layoutIdFor(name){
+  const s = String(name);
+  let h = 0x811c9dc5;
+  for(let i=0;i<s.length;i++){ h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return `custom-${(h>>>0).toString(16).padStart(8, '0')}`;
+}
+
+// 行要素1つを検証する（where はエラーメッセージの位置）
+function validateItem(item, where){
+  if(typeof item==='string'){
+    const cs = [...item];
+    if(!cs.length || cs.length>2 || cs.some(c=> /\s/.test(c))) throw new SyntaxError(`${where}: "${item}" はキーにできません（1〜2文字）`);
+    return item;
+  }
+  if(!item || typeof item!=='object' || Array.isArray(item)) throw new TypeError(`${where}: キーは文字列かオブジェクトにしてください`);
+  const out = {};
+  for(const [k, v] of Object.entries(item)){
+    if(!KEY_PROPS.has(k)) throw new TypeError(`${where}: 不明な項目 "${k}" があります`);
+    if(k in SIZE_MAX){
+      if(typeof v!=='number' || !(v>0) || v>SIZE_MAX[k]) throw new RangeError(`${where}: ${k} は 0 より大きく ${SIZE_MAX[k]} 以下の数値にしてください`);
+    }else if(k==='c'){
+      if(!isChar(v)) throw new TypeError(`${where}: c は空白以外の1文字にしてください`);
+    }else if(k==='s' || k==='a'){
+      if(v!==null && !isChar(v)) throw new TypeError(`${where}: ${k} は空白以外の1文字か null にしてください`);
+    }else if(typeof v!=='string' || !v){
+      throw new TypeError(`${where}: ${k} は空でない文字列にしてください`);
+    }
+    out[k] = v;
+  }
+  if(out.gap!==undefined){
+    if(Object.keys(out).length>1) throw new TypeError(`${where}: gap は他の項目と同時に指定できません`);
+    return out;
+  }
+  if(out.c===undefined && out.k===undefined) throw new TypeError(`${where}: c（文字）か k（ラベル）が必要です`);
+  return out;
+}
+
+/**
+ * レイアウト定義を検証し、登録できる形に整える
+ *
+ * @param {{id?: string, name: string, kind?: string, rows: Array<Array>}} def - レイアウト定義（id 省略時は名前から作る）
+ * @returns {{id: string, name: string, group: string, kind: string, rows: Array<Array>}}
+ * @throws {TypeError|SyntaxError} 形式が不正な場合
+ * @throws {RangeError} 組み込みと同じ ID、段数・キー数の超過、文字キーが2つ未満の場合
+ */
+export function validateLayout(def){
+  if(!def || typeof def!=='object' || Array.isArray(def)) throw new TypeError('レイアウトがオブジェクトではありません');
+  if(def.format!==undefined && def.format!==LAYOUT_FORMAT) throw new TypeError(`レイアウトの形式が違います: ${def.format}`);
+  const name = String(def.name ?? '').trim();
+  if(!name) throw new TypeError('レイアウト名がありません');
+  const id = def.id===undefined ? layoutIdFor(name) : String(def.id);
+  if(!ID_RE.test(id)) throw new TypeError(`レイアウト ID は英小文字・数字・-・_ の40文字以内にしてください: ${id}`);
+  if(Object.hasOwn(KEY_LAYOUTS, id)) throw new RangeError(`組み込みのレイアウトと同じ ID は使えません: ${id}`);
+  const kind = def.kind ?? 'keyboard';
+  if(kind!=='keyboard' && kind!=='keypad') throw new RangeError(`kind は keyboard か keypad にしてください: ${kind}`);
+
+  if(!Array.isArray(def.rows) || !def.rows.length || def.rows.some(r=> !Array.isArray(r))) throw new TypeError('rows は段（配列）の配列にしてください');
+  if(def.rows.length>LAYOUT_MAX_ROWS) throw new RangeError(`段数は${LAYOUT_MAX_ROWS}までです（${def.rows.length}）`);
+  const rows = def.rows.map((row,y)=> row.map((item,i)=> validateItem(item, `${y+1}段目の${i+1}番目`)));
+  const {keys} = expandRows(rows);
+  if(keys.length>LAYOUT_MAX_KEYS) throw new RangeError(`キーは${LAYOUT_MAX_KEYS}個までです（${keys.length}）`);
+  if(keys.filter(k=> k.char!==null).length<2) throw new RangeError('文字キーを2つ以上置いてください');
+  return {id, name, group: CUSTOM_GROUP, kind, rows};
+}
+
+/**
+ * レイアウト定義を JSON 文字列にする（段ごとに1行）
+ *
+ * @param {object} def - レイアウト定義（validateLayout で検証する）
+ * @returns {string}
+ */
+export function exportLayout(def){
+  const {id, name, kind, rows} = validateLayout(def);
+  const head = JSON.stringify({format: LAYOUT_FORMAT, version: 1, id, name, kind}, null, 2).slice(0, -2);
+  return `${head},\n  "rows": [\n${rows.map(r=> '    '+JSON.stringify(r)).join(',\n')}\n  ]\n}\n`;
+}
+
+// JSON として読む。KLE の「Raw data」（外側の [] がなく、項目名を引用符で囲まない形）も受け付ける
+function parseLooseJSON(text){
+  try{ return JSON.parse(text); }
+  catch(err){
+    const quoted = String(text).replace(/"(?:[^"\\]|\\.)*"|([{,]\s*)([A-Za-z_]\w*)(\s*:)/g,
+      (m, pre, key, post)=> key ? `${pre}"${key}"${post}` : m);
+    for(const src of [quoted, `[${quoted}]`]){
+      try{ return JSON.parse(src); }catch{ /* 次の形を試す */ }
+    }
+    throw err;
+  }
+}
+
+/**
+ * JSON 文字列からレイアウトを読み込む（登録はしない）
+ * keywalk-layout の JSON のほか、KLE の JSON（配列）も受け付ける
+ *
+ * @param {string} text - exportLayout の出力、または KLE の JSON / Raw data
+ * @returns {{id: string, name: string, group: string, kind: string, rows: Array<Array>}}
+ * @throws {SyntaxError|TypeError|RangeError} JSON として読めない、または validateLayout で不正な場合
+ */
+export function importLayout(text){
+  const data = parseLooseJSON(text);
+  if(Array.isArray(data)) return validateLayout(parseKLE(data));
+  if(data && typeof data==='object' && data.format===undefined) throw new TypeError(`format が "${LAYOUT_FORMAT}" ではありません`);
+  return validateLayout(data);
+}
+
+// KLE のキー1つ（凡例は改行区切りで 0: 左上, 1: 左下, 3: 右下）を行要素にする
+function kleKey(legend, w, h){
+  const labels = legend.split('\n').map(s=> s.replace(/<[^>]*>/g, '').trim());
+  const size = {...(w!==1 ? {w} : {}), ...(h!==1 ? {h} : {})};
+  const [top, bottom, , altgr] = labels;
+  const shown = labels.filter(Boolean);
+  let c = null, s = null;
+  if(isChar(top) && isChar(bottom)){ c = bottom; s = top; }
+  else if(shown.length===1 && isChar(shown[0])){
+    const lower = shown[0].toLowerCase();
+    c = isChar(lower) ? lower : shown[0];
+    s = c!==shown[0] ? shown[0] : null;
+  }
+  if(c===null) return {k: shown[0] || ' ', ...size};
+  const a = isChar(altgr) ? {a: altgr} : {};
+  if(!Object.keys(size).length && !a.a && s!==null) return c+s;
+  return {c, s, ...a, ...size};
+}
+
+/**
+ * KLE（keyboard-layout-editor.com）の JSON をレイアウト定義にする
+ * 配列の各要素が1段。段の途中の縦のずれ・回転・負の横位置は無視し、装飾キー（d）は隙間にする
+ *
+ * @param {Array} data - KLE の JSON（先頭にメタデータのオブジェクトがあれば name を使う）
+ * @returns {{name: string, rows: Array<Array>}}
+ * @throws {TypeError} 形式が不正な場合
+ */
+export function parseKLE(data){
+  if(!Array.isArray(data)) throw new TypeError('KLE の JSON は配列にしてください');
+  let name = 'KLE レイアウト';
+  const rows = [];
+  for(const row of data){
+    if(!Array.isArray(row)){
+      if(row && typeof row==='object' && typeof row.name==='string' && row.name.trim()) name = row.name.trim();
+      continue;
+    }
+    const out = [];
+    let props = {};
+    for(const item of row){
+      if(item && typeof item==='object'){ props = {...props, ...item}; continue; }
+      if(typeof item!=='string') throw new TypeError(`${rows.length+1}段目: KLE のキーは文字列にしてください`);
+      const {x=0, w=1, h=1, d=false} = props;
+      props = {};
+      if(x>0) out.push({gap: round(x)});
+      out.push(d ? {gap: w} : kleKey(item, w, h));
+    }
+    rows.push(out);
+  }
+  return {name, rows};
+}
+
+/**
+ * 行のテキスト形式を rows にする
+ *
+ * @param {string} text - 1行が1段のテキスト（モジュール冒頭の書式）
+ * @returns {Array<Array>} rows
+ * @throws {SyntaxError} キーにできない語がある、または段がない場合
+ */
+export function parseRowsText(text){
+  const lines = String(text ?? '').split(/\r?\n/).map(s=> s.trim()).filter(Boolean);
+  if(!lines.length) throw new SyntaxError('キーの段がありません');
+  return lines.map((line,y)=>{
+    const tokens = line.split(/\s+/);
+    const row = [];
+    if(OFFSET_RE.test(tokens[0])){
+      const gap = Number(tokens.shift().slice(1));
+      if(gap>0) row.push(validateItem({gap}, `${y+1}行目`));
+    }
+    const keys = tokens.length>1 ? tokens : [...(tokens[0] || '')];
+    for(const k of keys) row.push(validateItem(k, `${y+1}行目`));
+    return row;
+  });
+}
+
+/**
+ * rows を行のテキスト形式にする（幅1uの文字キーと段の左端の空きだけの場合）
+ *
+ * @param {Array<Array>} rows
+ * @returns {string|null} テキストで表せない要素（幅・AltGr・ラベル・途中の空きなど）があれば null
+ */
+export function rowsToText(rows){
+  const lines = [];
+  for(const row of rows){
+    const lead = row[0] && typeof row[0]==='object' && row[0].gap!==undefined ? row[0].gap : 0;
+    const keys = lead ? row.slice(1) : row;
+    if(keys.some(k=> typeof k!=='string') || (!keys.length && !lead)) return null;
+    const spaced = keys.some(k=> [...k].length>1) || OFFSET_RE.test(keys.join(''));
+    // 2文字のキーが1つだけの段は、空白がないため1文字ずつに読まれてしまう
+    if(spaced && keys.length===1) return null;
+    lines.push(`${lead ? `+${lead} ` : ''}${keys.join(spaced ? ' ' : '')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * rows をキーの配置（左上の座標つき）にする（キャンバスでの編集用）
+ *
+ * @param {Array<Array>} rows
+ * @returns {Array<{x: number, y: number, w: number, h: number, c: string|null, s: string|null, a: string|null,
+ *   t: string|null, l: string|null}>} c が null のキーは l がラベル
+ */
+export function rowsToKeys(rows){
+  return expandRows(rows).keys.map(k=>({
+    x: k.x, y: k.y, w: k.w, h: k.h, c: k.char, s: k.shift, a: k.altgr, t: k.t9,
+    l: k.char===null || k.label!==k.char.toUpperCase() ? k.label : null
+  }));
+}
+
+// キー配置1つを行要素にする（表せる場合は文字列の短い形にする）
+function compactKey({c, s=null, a=null, t=null, l=null, w=1, h=1}){
+  const size = {...(w!==1 ? {w: round(w)} : {}), ...(h!==1 ? {h: round(h)} : {})};
+  if(!c) return {k: l || ' ', ...size};
+  const plain = !Object.keys(size).length && !a && !t && !l;
+  if(plain && (s || null)===autoShift(c)) return c;
+  if(plain && s && isChar(s)) return c+s;
+  return {c, s: s || null, ...(a ? {a} : {}), ...(t ? {t} : {}), ...(l ? {l} : {}), ...size};
+}
+
+/**
+ * キーの配置を rows にする（y は段の番号に丸め、段ごとに x の順に並べて空きを gap で埋める）
+ *
+ * @param {Array<{x: number, y: number, w?: number, h?: number, c?: string|null, s?: string|null,
+ *   a?: string|null, t?: string|null, l?: string|null}>} keys - rowsToKeys と同じ形
+ * @returns {Array<Array>} rows
+ * @throws {RangeError} 座標が負、または同じ段でキーが重なる場合
+ */
+export function keysToRows(keys){
+  const byRow = new Map();
+  for(const k of keys){
+    const y = Math.round(k.y);
+    if(y<0 || k.x<0) throw new RangeError('キーの座標は 0 以上にしてください');
+    if(!byRow.has(y)) byRow.set(y, []);
+    byRow.get(y).push(k);
+  }
+  const height = byRow.size ? Math.max(...byRow.keys())+1 : 0;
+  const rows = [];
+  for(let y=0;y<height;y++){
+    const row = [];
+    let x = 0;
+    for(const k of (byRow.get(y) || []).sort((a,b)=> a.x-b.x)){
+      const gap = round(k.x-x);
+      if(gap<0) throw new RangeError(`${y+1}段目でキーが重なっています`);
+      if(gap>0) row.push({gap});
+      row.push(compactKey(k));
+      x = k.x+(k.w || 1);
+    }
+    rows.push(row);
+  }
+  return rows;
+}
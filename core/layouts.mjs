@@ -0,0 +1,334 @@
+/**
+ * KeyWalk Analyzer - キーボードレイアウトと座標変換
+ *
+ * DOM に依存しない純粋モジュール。
+ * ブラウザー（script.js）と Node（bin/keywalk.mjs）の双方から読み込む。
+ * レイアウトはレジストリで管理し、組み込み定義（core/layout-defs.mjs）は読み込み時に登録する。
+ */
+
+import { KEY_LAYOUTS, DEFAULT_PRESETS } from './layout-defs.mjs';
+
+/** 入力層（修飾キーの状態） */
+export const LAYERS = ['base', 'shift', 'altgr'];
+
+/** ソフトウェアキーボードで最初に表示される面（rows の面）の ID */
+export const MAIN_PAGE = 'main';
+
+/** フリック入力で、キーの中心から各方向の文字の位置までの距離（u） */
+export const FLICK_OFFSET = 0.3;
+
+// フリックの方向（レイアウト定義の f の順: 左・上・右・下）
+const FLICK_DIRS = [[-1,0], [0,-1], [1,0], [0,1]];
+
+// 小書きの仮名（フリック入力では元の仮名のあとに「小」キーを押す。Shift 層として扱う）
+const SMALL_KANA = {
+  'あ':'ぁ', 'い':'ぃ', 'う':'ぅ', 'え':'ぇ', 'お':'ぉ', 'つ':'っ', 'や':'ゃ', 'ゆ':'ゅ', 'よ':'ょ', 'わ':'ゎ'
+};
+
+// ============================================================
+// レイアウトレジストリ
+// ============================================================
+
+// id → 正規化済みレイアウト定義（登録順を保持）
+const registry = new Map();
+// id → 座標マップ（一括監査で毎回生成しないようキャッシュ。再登録時に破棄）
+const coordMapCache = new Map();
+// id → 面の切り替えに要る打鍵数の表（pageSwitchCost 用。再登録時に破棄）
+const switchCache = new Map();
+
+/**
+ * レイアウトをレジストリに登録する
+ * 同じ id で再登録すると定義を置き換える。スキーマは core/layout-defs.mjs を参照
+ *
+ * @param {string} id - レイアウト ID（例: 'azerty'）
+ * @param {{name?: string, group?: string, kind?: string, rows: Array<Array>,
+ *   pageLabel?: string, pages?: Array<{id: string, label: string, rows: Array<Array>}>,
+ *   presets?: {single?: Object, profile?: Object}}} def - レイアウト定義
+ * @returns {string} 登録した ID
+ */
+export function registerLayout(id, def){
+  if(typeof id !== 'string' || !id) throw new TypeError('レイアウト ID が不正です');
+  if(!def || !Array.isArray(def.rows) || !def.rows.length) throw new TypeError(`レイアウト "${id}" に rows がありません`);
+  if(def.pages!==undefined && (!Array.isArray(def.pages) || def.pages.some(p=> !p?.id || !Array.isArray(p.rows)))){
+    throw new TypeError(`レイアウト "${id}" の pages は {id, rows} の配列にしてください`);
+  }
+  registry.set(id, {
+    id, name: def.name || id, group: def.group || 'その他', kind: def.kind || 'keyboard',
+    rows: def.rows, pageLabel: def.pageLabel || '文字', pages: def.pages || [], presets: def.presets || {}
+  });
+  coordMapCache.delete(id);
+  switchCache.delete(id);
+  return id;
+}
+
+/**
+ * レイアウトをレジストリから外す（カスタムレイアウトの削除用）
+ * @param {string} id - レイアウト ID
+ * @returns {boolean} 登録されていたか
+ */
+export function unregisterLayout(id){
+  coordMapCache.delete(id);
+  switchCache.delete(id);
+  return registry.delete(id);
+}
+
+/**
+ * 登録済みのレイアウトか
+ * @param {string} id - レイアウト ID
+ * @returns {boolean}
+ */
+export function hasLayout(id){
+  return registry.has(id);
+}
+
+/**
+ * 登録済みレイアウトの定義を取得する
+ * @param {string} id - レイアウト ID
+ * @returns {{id: string, name: string, group: string, kind: string, rows: Array<Array>,
+ *   pageLabel: string, pages: Array<{id: string, label: string, rows: Array<Array>}>, presets: Object}|null}
+ */
+export function getLayout(id){
+  return registry.get(id) || null;
+}
+
+/**
+ * 登録済みレイアウトの一覧（登録順）
+ * @returns {Array<{id: string, name: string, group: string, kind: string}>}
+ */
+export function listLayouts(){
+  return [...registry.values()].map(({id, name, group, kind})=>({id, name, group, kind}));
+}
+
+/**
+ * レイアウトのサンプル文字列を既定値とマージして返す
+ *
+ * @param {string} id - レイアウト ID
+ * @param {'single'|'profile'} kind - 単体分析用 / 癖プロファイル用
+ * @returns {Object<string, string>} プリセット名 → サンプル文字列
+ */
+export function layoutPresets(id, kind){
+  const own = registry.get(id)?.presets?.[kind] || {};
+  return {...DEFAULT_PRESETS[kind], ...own};
+}
+
+for(const [id, def] of Object.entries(KEY_LAYOUTS)) registerLayout(id, def);
+
+// ============================================================
+// 座標変換
+// ============================================================
+
+/**
+ * 英字の Shift 層（大文字）を補完する。ß→SS のように2文字になるものは対象外
+ * @param {string} c - 通常層の文字
+ * @returns {string|null} 文字列で書いたキー（'q'）に補われる Shift 層の文字
+ */
+export function autoShift(c){
+  const up = c.toUpperCase();
+  return (up!==c && [...up].length===1) ? up : null;
+}
+
+// 行要素を {c, s, a, k, l, w} の形にそろえる
+function parseKey(item){
+  if(typeof item === 'string'){
+    const [c, s] = [...item];
+    return {c, s: s ?? autoShift(c)};
+  }
+  if(item.c!==undefined && item.s===undefined) return {...item, s: autoShift(item.c)};
+  return item;
+}
+
+/**
+ * 行の配列（レイアウト定義の rows）をキーの並びに展開する
+ * 各キーの左上座標・幅・中心座標をキー単位（u）で求める
+ *
+ * @param {Array<Array>} rows - レイアウト定義の rows
+ * @returns {{width: number, height: number,
+ *   keys: Array<{label: string, char: string|null, shift: string|null, altgr: string|null, t9: string|null,
+ *                flick: Array<string|null>|null, to: string|null,
+ *                x: number, y: number, w: number, h: number, cx: number, cy: number}>}}
+ *   flick: フリックで入る文字（左・上・右・下）、to: 押すと切り替わる面の ID（ソフトウェアキーボードの 123 キー等）
+ */
+export function expandRows(rows){
+  const keys = [];
+  let width = 0, height = rows.length;
+  rows.forEach((row,y)=>{
+    let x = 0;
+    for(const item of row){
+      const spec = parseKey(item);
+      if(spec.gap){ x += spec.gap; continue; }
+      const w = spec.w || 1, h = spec.h || 1;
+      const char = spec.c ?? null;
+      keys.push({
+        label: spec.l || spec.k || char.toUpperCase(),
+        char, shift: spec.s ?? null, altgr: spec.a ?? null, t9: spec.t ?? null,
+        flick: spec.f ?? null, to: spec.to ?? null,
+        x, y, w, h, cx:x+w/2, cy:y+h/2
+      });
+      x += w;
+      height = Math.max(height, y+h);
+    }
+    width = Math.max(width, x);
+  });
+  return {width, height, keys};
+}
+
+/**
+ * レイアウト定義を物理配置に展開する
+ *
+ * ソフトウェアキーボード（pages のあるレイアウト）は、面ごとのキーを pages に入れる。
+ * 面はどれも同じ画面の位置に表示されるため、座標は面ごとに左上を原点とする。
+ * keys は最初に表示される面（MAIN_PAGE）のキーで、面のあるレイアウトではキーに page を付ける。
+ *
+ * @param {string} layoutKey - レイアウト ID（未登録なら 'qwerty' として扱う）
+ * @returns {{id: string, name: string, kind: string, width: number, height: number, keys: Array,
+ *   pages: Array<{id: string, label: string, keys: Array}>}}
+ *   レイアウトの幾何情報（keys は expandRows と同じ形）。pages は面のないレイアウトでは空
+ */
+export function buildGeometry(layoutKey){
+  const def = registry.get(layoutKey) || registry.get('qwerty');
+  const main = expandRows(def.rows);
+  if(!def.pages.length) return {id:def.id, name:def.name, kind:def.kind, ...main, pages:[]};
+  const pages = [{id:MAIN_PAGE, label:def.pageLabel, rows:def.rows}, ...def.pages].map(p=>{
+    const {width, height, keys} = p.rows===def.rows ? main : expandRows(p.rows);
+    return {id:p.id, label:p.label || p.id, width, height, keys: keys.map(k=> ({...k, page:p.id}))};
+  });
+  return {
+    id:def.id, name:def.name, kind:def.kind,
+    width: Math.max(...pages.map(p=> p.width)), height: Math.max(...pages.map(p=> p.height)),
+    keys: pages[0].keys, pages: pages.map(({id, label, keys})=>({id, label, keys}))
+  };
+}
+
+/**
+ * キーボードレイアウトから座標マップを生成
+ * 入力される各文字から、押すキーの中心座標（キー単位）と必要な入力層を引けるようにする
+ * 同じ文字が複数の層に現れる場合は通常層 → Shift 層 → AltGr 層の順で優先する
+ * T9 文字（電話のダイヤルキー上の英字）は小文字を通常層、大文字を Shift 層として最後に割り当てる
+ * ソフトウェアキーボードでは最初の面から順に割り当て、各点に面の ID（page）を付ける。
+ * フリックで入る文字はキーの中心から FLICK_OFFSET だけその方向にずらした位置とし、
+ * その大文字・小書きの仮名を Shift 層として同じ位置に割り当てる
+ *
+ * @param {string} layoutKey - レイアウト ID
+ * @returns {Map<string, {x: number, y: number, key: string, w: number, char: string, layer: string, page?: string}>}
+ *   文字→座標のマップ（key は通常層の文字で表したキー名、layer は 'base' | 'shift' | 'altgr'、
+ *   page はソフトウェアキーボードの面の ID。面のないレイアウトでは付けない）
+ */
+export function buildCoordMap(layoutKey){
+  const map = new Map();
+  const geo = buildGeometry(layoutKey);
+  const pages = geo.pages.length ? geo.pages : [{id:null, keys:geo.keys}];
+  const field = {base:'char', shift:'shift', altgr:'altgr'};
+  const put = (ch, k, layer, page, x=k.cx, y=k.cy)=>{
+    if(ch && !map.has(ch)) map.set(ch, {x, y, key:k.char, w:k.w, char:ch, layer, ...(page ? {page} : {})});
+  };
+  for(const {id, keys} of pages){
+    const chars = keys.filter(k=> k.char!==null);
+    for(const layer of LAYERS){
+      for(const k of chars) put(k[field[layer]], k, layer, id);
+    }
+    for(const k of chars){
+      for(const c of (k.t9 || '')){
+        put(c, k, 'base', id);
+        put(autoShift(c), k, 'shift', id);
+      }
+    }
+    for(const k of chars.filter(k=> k.flick)){
+      [k.char, ...k.flick].forEach((c, i)=>{
+        if(!c) return;
+        const [dx, dy] = i ? FLICK_DIRS[i-1] : [0, 0];
+        const x = k.cx+dx*FLICK_OFFSET, y = k.cy+dy*FLICK_OFFSET;
+        put(c, k, 'base', id, x, y);
+        put(autoShift(c) ?? SMALL_KANA[c], k, 'shift', id, x, y);
+      });
+    }
+  }
+  return map;
+}
+
+/**
+ * ソフトウェアキーボードの面を切り替えるのに要る打鍵数を返す関数を作る
+ *
+ * 各面の切り替えキー（to のあるキー）をたどる最短の打鍵数（例: iOS の文字 → #+= は 123・#+= の2回）。
+ * 面の ID が null・undefined なら最初の面（MAIN_PAGE）とみなす。
+ *
+ * @param {string} layoutKey - レイアウト ID
+ * @returns {(from: string|null, to: string|null) => number} 打鍵数（たどれない面の組は 1）
+ */
+export function pageSwitchCost(layoutKey){
+  if(!switchCache.has(layoutKey)){
+    const pages = buildGeometry(layoutKey).pages;
+    const table = new Map();
+    for(const start of pages){
+      const dist = new Map([[start.id, 0]]);
+      const queue = [start.id];
+      while(queue.length){
+        const id = queue.shift();
+        for(const k of pages.find(p=> p.id===id)?.keys || []){
+          if(k.to && !dist.has(k.to)){ dist.set(k.to, dist.get(id)+1); queue.push(k.to); }
+        }
+      }
+      table.set(start.id, dist);
+    }
+    switchCache.set(layoutKey, table);
+  }
+  const table = switchCache.get(layoutKey);
+  return (from, to)=> table.get(from ?? MAIN_PAGE)?.get(to ?? MAIN_PAGE) ?? 1;
+}
+
+/**
+ * 座標マップをキャッシュ付きで取得する
+ *
+ * @param {string} layoutKey - レイアウト ID
+ * @returns {Map} buildCoordMap の戻り値（共有されるため変更しないこと）
+ */
+export function getCoordMap(layoutKey){
+  if(!coordMapCache.has(layoutKey)) coordMapCache.set(layoutKey, buildCoordMap(layoutKey));
+  return coordMapCache.get(layoutKey);
+}
+
+/**
+ * 文字をレイアウト上のキー名（通常層の文字）に解決する
+ *
+ * @param {string} ch - 1文字
+ * @param {Map} coordMap - buildCoordMap の戻り値
+ * @returns {string|null} キー名。未マップなら null
+ */
+export function resolveKey(ch, coordMap){
+  const p = coordMap.get(ch);
+  return p ? p.key : null;
+}
+
+// ---- 入力 → 座標列変換 ----
+// charIndex は座標列の位置 → 入力の文字位置（コードポイント単位。1文字が複数打鍵になる場合は同じ位置が続く）
+export function textToPoints(text, coordMap){
+  const pts = [], unknown=[], charIndex=[];
+  let i = 0;
+  for(const ch of (text||'')){
+    const at = i++;
+    if(ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r'){ unknown.push(ch); continue; }
+    const p = coordMap.get(ch);
+    if(p){ pts.push(p); charIndex.push(at); continue; }
+    // かな配列: 濁点付きの仮名・カタカナは打鍵列に分けて引く
+    const strokes = kanaStrokes(ch);
+    const ps = strokes.map(c=> coordMap.get(c));
+    if((strokes.length>1 || strokes[0]!==ch) && ps.every(Boolean)){
+      ps.forEach(q=>{ pts.push(q); charIndex.push(at); });
+      continue;
+    }
+    unknown.push(ch);
+  }
+  return {points:pts, unknown, charIndex};
+}
+
+/**
+ * 仮名1文字をかな入力の打鍵列に分ける（カタカナはひらがなに、濁点・半濁点付きは清音 + ゛ / ゜）
+ *
+ * @param {string} ch - 1文字
+ * @returns {string[]} 打鍵ごとの文字（仮名でなければ [ch]）
+ */
+export function kanaStrokes(ch){
+  const code = ch.codePointAt(0);
+  if(!(code>=0x3041 && code<=0x30FF)) return [ch];
+  const hira = code>=0x30A1 && code<=0x30F6 ? String.fromCodePoint(code-0x60) : ch;
+  return [...hira.normalize('NFD')].map(c=> c==='\u3099' ? '゛' : c==='\u309A' ? '゜' : c);
+}
@@ -0,0 +1,289 @@
+/**
+ * KeyWalk Analyzer - 幾何メトリクスとパターン検出
+ *
+ * 座標列（textToPoints の戻り値）だけを入力とする純粋関数群。
+ */
+
+/**
+ * 分析しきい値（ABCE仕様準拠）
+ * 評価ポリシー（core/policy.mjs の setPolicy）で値が置き換わるため、参照は呼び出し時に行う
+ */
+export const THRESH = {
+  adj_dist: 1.30,               // 隣接判定: キー中心間の距離しきい値（キー単位u、斜め隣の最大1.25uを含む）
+  knight_tol: 0.30,             // ナイトムーブ判定: 2:1 / 1:2 移動からの許容誤差（キー単位u）
+  entropy_bad: 1.50,            // 方向エントロピー低判定しきい値（0-3、低いほど単調）
+  stepcv_bad: 0.25,             // ステップCV低判定しきい値（低いほど移動距離が均一）
+  high_adj_ratio: 0.70          // 高隣接比率しきい値（70%以上でキーボード歩き）
+};
+
+// ---- 幾何ヘルパ ----
+// 座標はすべてキー単位（1u = 標準キー1個分の幅）
+// ソフトウェアキーボードの別の面（page）のキーは同じ位置にあっても隣接・ナイトムーブとみなさない（間に切り替えキーを押す）
+export const dist = (a,b)=> Math.hypot(a.x-b.x, a.y-b.y);
+const samePage = (a,b)=> a.page===b.page;
+export const isAdjacent = (a,b)=> samePage(a,b) && dist(a,b) <= THRESH.adj_dist;
+export function totalLength(pts){ let s=0; for(let i=1;i<pts.length;i++) s+=dist(pts[i],pts[i-1]); return s; }
+export function turns(pts){
+  let t=0; for(let i=2;i<pts.length;i++){
+    const v1={x:pts[i-1].x-pts[i-2].x,y:pts[i-1].y-pts[i-2].y};
+    const v2={x:pts[i].x-pts[i-1].x,y:pts[i].y-pts[i-1].y};
+    const den=(Math.hypot(v1.x,v1.y)*Math.hypot(v2.x,v2.y)||1);
+    const ang=Math.acos(((v1.x*v2.x+v1.y*v2.y)/den));
+    if(isFinite(ang) && Math.abs(ang)>0.6) t++;
+  } return t;
+}
+export function adjRatio(pts){
+  if(pts.length<=1) return 0;
+  let a=0; for(let i=1;i<pts.length;i++){
+    if(isAdjacent(pts[i],pts[i-1])) a++;
+  }
+  return a/(pts.length-1);
+}
+/** 方向ビン（directionBin の戻り値）の表示名。y は下向きのため 2 が上、6 が下 */
+export const DIRECTION_BINS = ['←','↖','↑','↗','→','↘','↓','↙'];
+/**
+ * 1打鍵の移動を8方位のビンに量子化する（directionEntropy と同じ区切り）
+ *
+ * @param {{x: number, y: number}} a - 移動元
+ * @param {{x: number, y: number}} b - 移動先
+ * @returns {number} 0〜7（DIRECTION_BINS の位置）。同じキーなら -1
+ */
+export function directionBin(a, b){
+  const dx=b.x-a.x, dy=b.y-a.y;
+  if(dx===0 && dy===0) return -1;
+  const ang=Math.atan2(dy,dx); // -pi..pi
+  return Math.round(((ang+Math.PI)/(2*Math.PI))*8)%8;
+}
+export function directionEntropy(pts){
+  if(pts.length<=1) return 0;
+  const bins=new Array(8).fill(0);
+  for(let i=1;i<pts.length;i++){
+    const dir=directionBin(pts[i-1], pts[i]);
+    if(dir>=0) bins[dir]++;
+  }
+  return binsEntropy(bins);
+}
+// 方位ごとの件数からシャノンエントロピーを求める（最大 ~3）
+function binsEntropy(bins){
+  const n=bins.reduce((s,v)=>s+v,0); if(!n) return 0;
+  let H=0; for(const v of bins){ if(v>0){ const p=v/n; H -= p*Math.log2(p); } }
+  return H;
+}
+export function stepCV(pts){
+  // 平均と偏差平方和は Welford 法で1歩ずつ更新する（逐次計算の createMetricState と同じ手順で同じ値になる）
+  let n=0, mean=0, m2=0;
+  for(let i=1;i<pts.length;i++) [n, mean, m2] = welford(n, mean, m2, dist(pts[i],pts[i-1]));
+  return cvOf(n, mean, m2);
+}
+const welford = (n, mean, m2, v)=>{ const d=v-mean, m=mean+d/(n+1); return [n+1, m, m2+d*(v-m)]; };
+const cvOf = (n, mean, m2)=> (n===0 || mean===0) ? 0 : Math.sqrt(m2/n)/mean;
+export function knightRatio(pts){
+  if(pts.length<=1) return 0;
+  let k=0; for(let i=1;i<pts.length;i++){
+    const dx=Math.abs(pts[i].x-pts[i-1].x), dy=Math.abs(pts[i].y-pts[i-1].y);
+    // キー幅・行間隔ともに1uなので、2:1 / 1:2 の移動を行のずれ込みで判定
+    const near=(a,b)=>Math.abs(a-b)<=THRESH.knight_tol;
+    if(samePage(pts[i],pts[i-1]) && ((near(dx,2) && near(dy,1)) || (near(dx,1) && near(dy,2)))) k++;
+  }
+  return k/(pts.length-1);
+}
+
+// ---- 修飾キー（Shift/AltGr）の切り替え回数 ----
+// 通常層から打ち始め、入力層が変わるたびに1回と数える（最後の解放は数えない）
+export function modifierToggles(pts){
+  let t=0, prev='base';
+  for(const p of pts){
+    const layer = p.layer || 'base';
+    if(layer!==prev) t++;
+    prev = layer;
+  }
+  return t;
+}
+
+// ---- ソフトウェアキーボードの面（文字・123・#+= 等）の切り替え回数 ----
+// 最初の面から打ち始め、面が変わるたびに切り替えキーを押す回数（cost の戻り値）を足す。面のない座標列は 0
+export function layerSwitches(pts, cost=()=>1){
+  let t=0, prev=null;
+  for(const p of pts){
+    const page = p.page ?? null;
+    if(page!==prev && (prev!==null || page!==null)) t += cost(prev, page);
+    prev = page;
+  }
+  return t;
+}
+
+// ---- グラフ駆動の歩き検出（レイアウト非依存 A1） ----
+export function buildAdjGraph(points){
+  // 頂点はインデックス、隣接は閾値内
+  const adj=Array.from({length:points.length},()=>[]);
+  for(let i=0;i<points.length;i++){
+    for(let j=i+1;j<points.length;j++){
+      if(isAdjacent(points[i],points[j])){ adj[i].push(j); adj[j].push(i); }
+    }
+  }
+  return adj;
+}
+/**
+ * 隣接する打鍵が続く区間（3キー以上）の位置を求める
+ *
+ * @param {Array<{x: number, y: number}>} points - 座標列
+ * @returns {Array<{start: number, end: number}>} 座標列上の位置（end を含む）
+ */
+export function adjacentWalkRanges(points){
+  const res=[];
+  let run=[];
+  const flush=()=>{ if(run.length>=3) res.push({start:run[0], end:run[run.length-1]}); run=[]; };
+  for(let i=1;i<points.length;i++){
+    if(isAdjacent(points[i],points[i-1])){
+      if(!run.length) run.push(i-1);
+      run.push(i);
+    }else flush();
+  }
+  flush();
+  return res;
+}
+export function detectAdjacentWalks(chars, points){
+  // 連続的な入力において、隣接辺が3〜5個以上つながる部分列を抽出
+  return adjacentWalkRanges(points).map(r=> chars.slice(r.start, r.end+1));
+}
+
+// ---- 逐次計算（ライブ分析） ----
+/**
+ * 座標列のメトリクスを1打鍵ずつ更新する状態を作る
+ *
+ * 打鍵ごとに累積値（距離の和・方向転換・隣接・方位の件数・Welford 法の平均と偏差平方和・
+ * 歩きの区間など）を積み、truncate(n) で先頭 n 打鍵の状態に戻す。
+ * 末尾への追加と削除は O(1) で、metrics() の値は各バッチ関数（totalLength など）と一致する。
+ * 隣接・ナイトムーブの判定は push 時の THRESH を使うため、評価ポリシーを変えたら作り直す。
+ *
+ * @returns {{push: (p: object) => void, truncate: (n: number) => void, readonly points: object[],
+ *   metrics: () => {length: number, turns: number, adjRatio: number, entropy: number, stepCV: number,
+ *     knightRatio: number, modifierToggles: number, walkRanges: Array<{start: number, end: number}>}}}
+ */
+export function createMetricState(){
+  const pts=[];
+  // states[i]: i+1 打鍵目までの累積
+  const states=[];
+  const near=(a,b)=>Math.abs(a-b)<=THRESH.knight_tol;
+
+  function push(p){
+    const i=pts.length;
+    const prev=states[i-1];
+    const layer=p.layer || 'base';
+    if(!prev){
+      pts.push(p);
+      states.push({len:0, turns:0, adj:0, knight:0, mods: layer!=='base' ? 1 : 0, layer,
+        bins:new Array(8).fill(0), n:0, mean:0, m2:0, runStart:-1, ranges:[]});
+      return;
+    }
+    const a=pts[i-1];
+    const st={...prev, layer};
+    st.len += dist(p,a);
+    if(i>=2){
+      const b=pts[i-2];
+      const v1={x:a.x-b.x,y:a.y-b.y}, v2={x:p.x-a.x,y:p.y-a.y};
+      const den=(Math.hypot(v1.x,v1.y)*Math.hypot(v2.x,v2.y)||1);
+      const ang=Math.acos(((v1.x*v2.x+v1.y*v2.y)/den));
+      if(isFinite(ang) && Math.abs(ang)>0.6) st.turns++;
+    }
+    const adjacent=isAdjacent(p,a);
+    if(adjacent) st.adj++;
+    const dx=Math.abs(p.x-a.x), dy=Math.abs(p.y-a.y);
+    if(samePage(p,a) && ((near(dx,2) && near(dy,1)) || (near(dx,1) && near(dy,2)))) st.knight++;
+    if(layer!==prev.layer) st.mods++;
+    const dir=directionBin(a,p);
+    if(dir>=0){ st.bins=prev.bins.slice(); st.bins[dir]++; }
+    [st.n, st.mean, st.m2] = welford(prev.n, prev.mean, prev.m2, dist(p,a));
+    // 歩きの区間（adjacentWalkRanges と同じ判定。閉じた区間だけを ranges に持つ）
+    if(adjacent){ if(prev.runStart<0) st.runStart=i-1; }
+    else{
+      if(prev.runStart>=0 && i-1-prev.runStart+1>=3) st.ranges=[...prev.ranges, {start:prev.runStart, end:i-1}];
+      st.runStart=-1;
+    }
+    pts.push(p);
+    states.push(st);
+  }
+
+  function truncate(n){
+    pts.length=Math.min(pts.length, n);
+    states.length=pts.length;
+  }
+
+  function metrics(){
+    const st=states[pts.length-1];
+    if(!st) return {length:0, turns:0, adjRatio:0, entropy:0, stepCV:0, knightRatio:0, modifierToggles:0, walkRanges:[]};
+    const steps=pts.length-1;
+    const open = st.runStart>=0 && pts.length-1-st.runStart+1>=3 ? [{start:st.runStart, end:pts.length-1}] : [];
+    return {
+      length: st.len, turns: st.turns,
+      adjRatio: steps ? st.adj/steps : 0,
+      entropy: binsEntropy(st.bins),
+      stepCV: cvOf(st.n, st.mean, st.m2),
+      knightRatio: steps ? st.knight/steps : 0,
+      modifierToggles: st.mods,
+      walkRanges: [...st.ranges, ...open]
+    };
+  }
+
+  return {push, truncate, metrics, get points(){ return pts; }};
+}
+
+// ---- 既知/反復パターン（A4） ----
+export function repeatedNgrams(str, minN=2, maxN=4){
+  const s=str.toLowerCase(); const out=new Set();
+  for(let n=minN;n<=maxN;n++){
+    const freq=new Map();
+    for(let i=0;i<=s.length-n;i++){
+      const g=s.slice(i,i+n);
+      if(/\s/.test(g)) continue;
+      freq.set(g,(freq.get(g)||0)+1);
+    }
+    for(const [g,c] of freq.entries()) if(c>=3) out.add(`${g}×${c}`);
+  }
+  return Array.from(out);
+}
+
+// ---- KDS（B1） ----
+/** KDS の構成要素 */
+export const KDS_COMPONENTS = [
+  {id:'normAdj',      label:'隣接キー比率'},
+  {id:'lowH',         label:'方向エントロピーの低さ'},
+  {id:'straightFlag', label:'直線的な移動'},
+  {id:'patternFlag',  label:'リスク要因の検出'},
+  {id:'lowCV',        label:'ステップ長の単調さ'}
+];
+/** 構成要素ごとの重み（合計 1。評価ポリシーで置き換わる） */
+export const KDS_WEIGHTS = {normAdj:0.30, lowH:0.25, straightFlag:0.20, patternFlag:0.15, lowCV:0.10};
+/** kdsLabel の区切り（この値以上で「注意」「要改善」。評価ポリシーで置き換わる） */
+export const KDS_CUTOFFS = [40, 60];
+/**
+ * KDS の内訳（構成要素ごとの値と寄与点）
+ *
+ * @param {{adj: number, H: number, turns: number, len: number, cv: number, patterns: string[]}} m
+ * @returns {Array<{id: string, label: string, weight: number, value: number, points: number}>}
+ *   value: 0〜1 に正規化した値、points: weight × value × 100（丸める前の寄与点）
+ */
+export function kdsBreakdown({adj, H, turns, len, cv, patterns}){
+  const values = {
+    normAdj: Math.min(1, adj/THRESH.high_adj_ratio),
+    lowH: Math.max(0, (THRESH.entropy_bad - H)/THRESH.entropy_bad),
+    straightFlag: (len>=4 && turns<=1) ? 1 : 0,
+    patternFlag: (patterns.length>0) ? 1 : 0,
+    lowCV: Math.max(0, (THRESH.stepcv_bad - cv)/THRESH.stepcv_bad)
+  };
+  return KDS_COMPONENTS.map(({id, label})=>{
+    const weight = KDS_WEIGHTS[id];
+    return {id, label, weight, value:values[id], points:100*weight*values[id]};
+  });
+}
+/**
+ * KDS（0〜100）
+ *
+ * @param {object|Array<{weight: number, value: number}>} m - kdsBreakdown の引数、または算出済みの内訳
+ * @returns {number}
+ */
+export function kdsScore(m){
+  const parts = Array.isArray(m) ? m : kdsBreakdown(m);
+  return Math.round(100*parts.reduce((s,c)=> s + c.weight*c.value, 0));
+}
+export const kdsLabel = v => (v>=KDS_CUTOFFS[1]?'要改善': (v>=KDS_CUTOFFS[0]?'注意':'良好'));
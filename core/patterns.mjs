@@ -0,0 +1,174 @@
+/**
+ * KeyWalk Analyzer - 形状パターン分類
+ *
+ * 座標列を形ごとの区間に分け、各区間に名前（横歩き・縦歩き・並行パターン等）を付ける。
+ * Chou et al. (2012) の AP フレームワークに倣い、隣接キーを順にたどる A 系（Adjacent）と、
+ * 同じ形を位置をずらして繰り返す P 系（Parallel）に分類する。DOM には一切触れない。
+ */
+
+import { isAdjacent } from './metrics.mjs';
+
+/** 同じ形とみなす移動ベクトルの許容誤差（キー単位u。行ごとの段差 0.25〜0.5u を吸収） */
+export const SHAPE_TOL = 0.30;
+
+/** パターン種別（label: 表示名、family: 'A' 隣接系 / 'P' 並行系） */
+export const PATTERN_TYPES = {
+  row:      {label:'横歩き',       family:'A'},   // qwerty
+  reverse:  {label:'逆方向歩き',   family:'A'},   // ytrewq
+  column:   {label:'縦歩き',       family:'A'},   // 1qaz
+  diagonal: {label:'斜め歩き',     family:'A'},   // zse4（列と逆向きに傾く）
+  snake:    {label:'スネーク',     family:'A'},   // qwerfdsa（折り返して逆向きに戻る）
+  zigzag:   {label:'ノコギリ',     family:'A'},   // q2w3e4r（上下を交互に進む）
+  parallel: {label:'並行パターン', family:'P'},   // 1qaz2wsx, qazwsx（縦の形を横に並べる）
+  shifted:  {label:'形の平行移動', family:'P'}    // zxcvbnasdfgh（同じ形を別の位置で繰り返す）
+};
+
+// 直線区間の向き → 種別と矢印（y は下向き）
+const STROKES = {
+  E:  {type:'row',      direction:'→'},
+  W:  {type:'reverse',  direction:'←'},
+  S:  {type:'column',   direction:'↓'},
+  N:  {type:'column',   direction:'↑'},
+  SW: {type:'diagonal', direction:'↙'},
+  NE: {type:'diagonal', direction:'↗'}
+};
+const OPPOSITE = {E:'W', W:'E', S:'N', N:'S', SW:'NE', NE:'SW'};
+
+/**
+ * 移動ベクトルを8方位の矢印で表す
+ * 行の段差（0.25〜0.5u）程度の横ずれは縦移動として扱う
+ *
+ * @param {number} dx - 横移動（キー単位u）
+ * @param {number} dy - 縦移動（キー単位u、下向きが正）
+ * @returns {string} '→' '↘' '↓' '↙' '←' '↖' '↑' '↗' のいずれか
+ */
+export function arrowOf(dx, dy){
+  const h = Math.abs(dx) < Math.max(0.6, Math.abs(dy)*0.5) ? 0 : Math.sign(dx);
+  const v = Math.abs(dy) < Math.max(0.5, Math.abs(dx)*0.5) ? 0 : Math.sign(dy);
+  return [['↖','↑','↗'],['←','・','→'],['↙','↓','↘']][v+1][h+1];
+}
+
+// 隣接する1打鍵の向き（隣接でない、または同じキーなら null）
+// 段差のある配列では列（1qaz）は下へ行くほど右にずれるため、逆向きのずれを斜めとする
+function stepKind(a, b){
+  const dx=b.x-a.x, dy=b.y-a.y;
+  if((dx===0 && dy===0) || !isAdjacent(a,b)) return null;
+  if(Math.abs(dy)<0.5) return dx>0 ? 'E' : 'W';
+  if(dy>0) return dx>=0 ? 'S' : 'SW';
+  return dx<=0 ? 'N' : 'NE';
+}
+
+const sameVec = (a,b)=> Math.abs(a.x-b.x)<=SHAPE_TOL && Math.abs(a.y-b.y)<=SHAPE_TOL;
+const vec = (a,b)=> ({x:b.x-a.x, y:b.y-a.y});
+
+// 同じ向きの打鍵が2回以上続く区間（3キー以上）: {kind, start, end}（end は最後のキーの位置）
+function findStrokes(kinds){
+  const out=[]; let a=0;
+  for(let i=1;i<=kinds.length;i++){
+    if(i<kinds.length && kinds[i] && kinds[i]===kinds[a]) continue;
+    if(kinds[a] && i-a>=2) out.push({kind:kinds[a], start:a, end:i});
+    a=i;
+  }
+  return out;
+}
+
+// 位置 s から始まる「同じ形 × 一定のずらし」の繰り返しのうち、最も長く覆うもの
+// 形は L キー（L=2 のときは3回以上の繰り返しに限る）で、形の中の打鍵はすべて隣接
+function matchRepeat(points, kinds, s){
+  let best = null;
+  for(let L=2; s+2*L<=points.length; L++){
+    if(kinds.slice(s, s+L-1).some(k=>!k)) break;
+    const shape = []; for(let i=s;i<s+L-1;i++) shape.push(vec(points[i], points[i+1]));
+    const shift = vec(points[s], points[s+L]);
+    if(Math.abs(shift.x)<=SHAPE_TOL && Math.abs(shift.y)<=SHAPE_TOL) continue;   // 単なる反復は n-gram で扱う
+
+    let k = 1;
+    for(let c=s+L; c+L<=points.length; c+=L){
+      if(!sameVec(vec(points[c-L], points[c]), shift)) break;
+      let ok = true;
+      for(let i=0;i<L-1 && ok;i++) ok = !!kinds[c+i] && sameVec(vec(points[c+i], points[c+i+1]), shape[i]);
+      if(!ok) break;
+      k++;
+    }
+    if(k<2 || (L===2 && k<3)) continue;
+    const end = s+L*k-1;
+    // 全体が1本の直線になるもの（qwerty = qwe + rty）や、前後の直線を途中で切るもの（qwe|rty123）は直線区間として扱う
+    if(kinds.slice(s, end).every(x=> x===kinds[s])) continue;
+    if((s>0 && kinds[s-1] && kinds[s-1]===kinds[s]) || (kinds[end] && kinds[end]===kinds[end-1])) continue;
+    // 直線の形を同じ向きにずらしただけのもの（aoeu + htns）は、間の空いた直線区間として扱う
+    const k0 = kinds[s];
+    if(kinds.slice(s, s+L-1).every(x=> x===k0) && arrowOf(shift.x, shift.y)===STROKES[k0].direction) continue;
+    // つなぎ目も含めて途切れずに歩けるもの（q2w3e4r, qawsedrf）はノコギリ・スネークとして扱う
+    if(kinds.slice(s, end).every(Boolean)) continue;
+    if(!best || L*k > best.L*best.k) best = {L, k, shape, shift, end};
+  }
+  return best;
+}
+
+/**
+ * 座標列を形状パターンに分類する
+ *
+ * 優先順位は P 系（並行パターン・形の平行移動）→ スネーク → ノコギリ → 直線区間（横・逆方向・縦・斜め）。
+ * 先に採用した区間と重なるものは採用しない。
+ *
+ * @param {Array<{x: number, y: number, char: string}>} points - 座標列（textToPoints の戻り値）
+ * @returns {Array<{type: string, label: string, family: string, start: number, end: number,
+ *   text: string, direction: string}>} 区間の一覧（start 順）。start/end は座標列上の位置（end を含む）、
+ *   direction は進む向き（P 系は形をずらす向き、スネークは折り返しの向き）
+ */
+export function classifyPatterns(points){
+  const kinds = [];
+  for(let i=1;i<points.length;i++) kinds.push(stepKind(points[i-1], points[i]));
+
+  const out = [];
+  const used = new Array(points.length).fill(false);
+  const free = (a,b)=> used.slice(a,b+1).every(u=>!u);
+  const take = (type, start, end, direction)=>{
+    const t = PATTERN_TYPES[type];
+    out.push({type, label:t.label, family:t.family, start, end,
+      text: points.slice(start,end+1).map(p=>p.char).join(''), direction});
+    used.fill(true, start, end+1);
+  };
+
+  // P 系: 同じ形の繰り返し。縦の形を横に並べたものが並行パターン（1qaz2wsx）、それ以外は形の平行移動
+  for(let s=0; s+4<=points.length; ){
+    const m = matchRepeat(points, kinds, s);
+    if(!m){ s++; continue; }
+    const vertical = m.shape.every(v=> Math.abs(v.y)>=0.5) && Math.abs(m.shift.y)<0.5;
+    take(vertical ? 'parallel' : 'shifted', s, m.end, arrowOf(m.shift.x, m.shift.y));
+    s = m.end+1;
+  }
+
+  // スネーク: 直線区間が1打鍵の折り返しをはさんで逆向きに続く（qwer → f → dsa）
+  const strokes = findStrokes(kinds);
+  for(let i=0;i<strokes.length;){
+    let j = i;
+    while(j+1<strokes.length && strokes[j+1].start===strokes[j].end+1 &&
+          kinds[strokes[j].end] && strokes[j+1].kind===OPPOSITE[strokes[j].kind]) j++;
+    const a = strokes[i].start, b = strokes[j].end;
+    if(j>i && free(a,b)){
+      const turn = vec(points[strokes[i].end], points[strokes[i].end+1]);
+      take('snake', a, b, arrowOf(turn.x, turn.y));
+    }
+    i = j+1;
+  }
+
+  // ノコギリ: 上下を交互に、同じ横方向へ進む隣接打鍵が3回以上続く
+  for(let i=0;i<kinds.length;){
+    let j = i;
+    const sx = Math.sign(points[i+1].x-points[i].x);
+    const zig = t=> kinds[t] && Math.abs(points[t+1].y-points[t].y)>=0.5 && Math.sign(points[t+1].x-points[t].x)===sx;
+    if(sx!==0 && zig(i)){
+      while(j+1<kinds.length && zig(j+1) && Math.sign(points[j+2].y-points[j+1].y)===-Math.sign(points[j+1].y-points[j].y)) j++;
+    }
+    if(j-i+1>=3 && free(i, j+1)) take('zigzag', i, j+1, sx>0 ? '→' : '←');
+    i = j+1;
+  }
+
+  // 直線区間
+  for(const st of strokes){
+    if(free(st.start, st.end)) take(STROKES[st.kind].type, st.start, st.end, STROKES[st.kind].direction);
+  }
+
+  return out.sort((a,b)=> a.start-b.start);
+}
@@ -0,0 +1,107 @@
+/**
+ * KeyWalk Analyzer - PIN（テンキー）向け形状チェック
+ *
+ * 3×3 の数字ブロック（1〜9）上で覚えやすい形をなぞる入力を検出する。
+ * 座標はキー単位のため、PC テンキー（7-8-9 上段）と電話・ATM（1-2-3 上段）の
+ * どちらでも同じ判定がそのまま使える。DOM には一切触れない。
+ */
+
+// 座標比較の許容誤差（キー単位）
+const EPS = 1e-6;
+const near = (a, b)=> Math.abs(a-b) < EPS;
+
+/** 同じ数字がこの回数以上続いたら「連続」とみなす */
+export const PIN_REPEAT_MIN = 3;
+
+// 移動ベクトルの向きを日本語で表す
+function lineDir(dx, dy){
+  if(near(dy,0)) return '横';
+  if(near(dx,0)) return '縦';
+  return '斜め';
+}
+
+/**
+ * 一直線の並びを検出する（同じ移動ベクトルが2回以上続く区間。例: 123, 159, 2580 の 258）
+ *
+ * @param {Array<{x: number, y: number, key: string}>} points - 座標列
+ * @returns {Array<{keys: string, dir: string}>} keys: 区間のキー名の連結、dir: '横' | '縦' | '斜め'
+ */
+export function detectPinLines(points){
+  const steps = [];
+  for(let i=1;i<points.length;i++) steps.push([points[i].x-points[i-1].x, points[i].y-points[i-1].y]);
+  const still = d => near(d[0],0) && near(d[1],0);
+  const same = (d,e)=> near(d[0],e[0]) && near(d[1],e[1]);
+
+  const out = [];
+  let a = 0;   // 現在の区間の最初のステップ
+  for(let i=1;i<=steps.length;i++){
+    if(i<steps.length && !still(steps[i]) && same(steps[i], steps[a])) continue;
+    if(i-a>=2 && !still(steps[a])){
+      out.push({keys: points.slice(a,i+1).map(p=>p.key).join(''), dir: lineDir(...steps[a])});
+    }
+    a = i;
+  }
+  return out;
+}
+
+/**
+ * 同じ数字の連続を検出する（例: 0000 の "0000"、1119 の "111"）
+ *
+ * @param {Array<{key: string}>} points - 座標列
+ * @returns {string[]} 連続区間（キー名の連結）
+ */
+export function detectPinRepeats(points){
+  const out = [];
+  let run = 1;
+  for(let i=1;i<=points.length;i++){
+    if(i<points.length && points[i].key===points[i-1].key){ run++; continue; }
+    if(run>=PIN_REPEAT_MIN) out.push(points[i-1].key.repeat(run));
+    run = 1;
+  }
+  return out;
+}
+
+/**
+ * 数字ブロック全体の形（四隅・十字・X字）を判定する
+ *
+ * 四隅: 使ったキーがすべて 1/3/7/9 の角で、3つ以上の角を使う（例: 1397）
+ * 十字: 中央 5 の上下左右 4キー（2/4/6/8）をすべて使い、ほかは 5 のみ（例: 2846, 25846）
+ * X字:  中央 5 と四隅をすべて使い、ほかのキーを使わない（例: 15937）
+ *
+ * @param {Array<{x: number, y: number, key: string}>} points - 座標列
+ * @param {Map} coordMap - buildCoordMap の戻り値（1〜9 の位置を引く）
+ * @returns {'corners'|'plus'|'x'|null} 該当する形。数字ブロックがないレイアウトでは null
+ */
+export function classifyPinShape(points, coordMap){
+  const center = coordMap.get('5');
+  const block = ['1','2','3','4','6','7','8','9'].map(c=> coordMap.get(c));
+  if(!center || block.some(p=>!p)) return null;
+
+  const used = new Set(points.map(p=>p.key));
+  const rel = p => [Math.round(p.x-center.x), Math.round(p.y-center.y)];
+  const corners = block.filter(p=>{ const [dx,dy]=rel(p); return dx!==0 && dy!==0; }).map(p=>p.key);
+  const edges   = block.filter(p=>{ const [dx,dy]=rel(p); return (dx===0) !== (dy===0); }).map(p=>p.key);
+  const only = allowed => [...used].every(k=> allowed.includes(k));
+
+  if(only(corners) && corners.filter(k=>used.has(k)).length>=3) return 'corners';
+  if(only([...edges, center.key]) && edges.every(k=>used.has(k))) return 'plus';
+  if(only([...corners, center.key]) && used.has(center.key) && corners.every(k=>used.has(k))) return 'x';
+  return null;
+}
+
+/**
+ * テンキー入力の PIN 向けチェックをまとめて行う
+ *
+ * @param {Array<{x: number, y: number, key: string}>} points - 座標列
+ * @param {Map} coordMap - buildCoordMap の戻り値
+ * @returns {{lines: Array<{keys: string, dir: string}>, repeats: string[],
+ *   shape: 'corners'|'plus'|'x'|null, distinct: number}} distinct: 使った数字キーの種類数
+ */
+export function analyzePin(points, coordMap){
+  return {
+    lines: detectPinLines(points),
+    repeats: detectPinRepeats(points),
+    shape: points.length>=3 ? classifyPinShape(points, coordMap) : null,
+    distinct: new Set(points.map(p=>p.key)).size
+  };
+}
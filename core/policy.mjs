@@ -0,0 +1,186 @@
+/**
+ * KeyWalk Analyzer - 評価ポリシー
+ *
+ * 分析しきい値（THRESH）・KDS の重み（KDS_WEIGHTS）・判定の区切り（KDS_CUTOFFS）を
+ * 名前付きのポリシーとしてまとめて切り替える。値はモジュールの状態を置き換えるため、
+ * Web Worker など別のスレッドでは setPolicy を改めて呼ぶ。パスワード規則（rules）は分析には使わず、
+ * checkCompliance（core/compliance.mjs）が合否の判定に使う。DOM には一切触れない。
+ *
+ * JSON 形式:
+ *   {"format": "keywalk-policy", "version": 1, "name": "...",
+ *    "thresh": {...}, "weights": {...}, "cutoffs": [注意, 要改善], "rules": {...}}
+ */
+
+import { THRESH, KDS_WEIGHTS, KDS_CUTOFFS } from './metrics.mjs';
+
+/** エクスポートする JSON の format 値 */
+export const POLICY_FORMAT = 'keywalk-policy';
+
+/** 既定のポリシー（ABCE 仕様 v1.1 の値） */
+export const DEFAULT_POLICY = Object.freeze({
+  name: '既定（ABCE v1.1）',
+  thresh: Object.freeze({...THRESH}),
+  weights: Object.freeze({...KDS_WEIGHTS}),
+  cutoffs: Object.freeze([...KDS_CUTOFFS]),
+  rules: Object.freeze({minLength:8, maxKds:59, maxWalk:3, noYearSuffix:true, minEntropy:1.5})
+});
+
+/**
+ * 編集できる項目（group: ポリシー内の区分、key: 項目名。cutoffs は配列の位置）
+ * min/max は検証にも使う。type: 'bool' の項目は true / false
+ */
+export const POLICY_FIELDS = [
+  {group:'thresh',  key:'adj_dist',       label:'隣接判定の距離（u）',         min:0.5, max:3,   step:0.05},
+  {group:'thresh',  key:'knight_tol',     label:'ナイトムーブの許容誤差（u）', min:0,   max:1,   step:0.05},
+  {group:'thresh',  key:'entropy_bad',    label:'方向エントロピー低の上限',    min:0,   max:3,   step:0.05},
+  {group:'thresh',  key:'stepcv_bad',     label:'ステップCV低の上限',          min:0,   max:2,   step:0.01},
+  {group:'thresh',  key:'high_adj_ratio', label:'高隣接比率のしきい値',        min:0.05, max:1,  step:0.05},
+  {group:'weights', key:'normAdj',        label:'重み: 隣接キー比率',          min:0,   max:1,   step:0.05},
+  {group:'weights', key:'lowH',           label:'重み: 方向エントロピーの低さ', min:0,  max:1,   step:0.05},
+  {group:'weights', key:'straightFlag',   label:'重み: 直線的な移動',          min:0,   max:1,   step:0.05},
+  {group:'weights', key:'patternFlag',    label:'重み: リスク要因の検出',      min:0,   max:1,   step:0.05},
+  {group:'weights', key:'lowCV',          label:'重み: ステップ長の単調さ',    min:0,   max:1,   step:0.05},
+  {group:'cutoffs', key:0,                label:'「注意」とする KDS',          min:1,   max:100, step:1},
+  {group:'cutoffs', key:1,                label:'「要改善」とする KDS',        min:1,   max:100, step:1},
+  {group:'rules',   key:'minLength',      label:'最小の長さ（文字）',          min:0,   max:128, step:1},
+  {group:'rules',   key:'maxKds',         label:'KDS の上限',                  min:0,   max:100, step:1},
+  {group:'rules',   key:'maxWalk',        label:'歩きの長さの上限（キー）',    min:2,   max:64,  step:1},
+  {group:'rules',   key:'noYearSuffix',   label:'末尾の年号・日付を禁止',      type:'bool'},
+  {group:'rules',   key:'minEntropy',     label:'方向エントロピーの下限',      min:0,   max:3,   step:0.05}
+];
+
+// 重みの合計と 1 との許容差
+const WEIGHT_SUM_TOL = 0.001;
+
+let current = {...clonePolicy(DEFAULT_POLICY), id: policyId(DEFAULT_POLICY), rulesId: rulesId(DEFAULT_POLICY.rules)};
+
+function clonePolicy(p){
+  return {name: p.name, thresh: {...p.thresh}, weights: {...p.weights}, cutoffs: [...p.cutoffs], rules: {...p.rules}};
+}
+
+/**
+ * ポリシーを検証し、省略された項目を既定値で補った新しいオブジェクトを返す
+ *
+ * @param {object} p - ポリシー（name, thresh, weights, cutoffs, rules。項目の省略可）
+ * @returns {{name: string, thresh: object, weights: object, cutoffs: number[], rules: object}}
+ * @throws {TypeError} 形式が不正な場合
+ * @throws {RangeError} 値が範囲外、重みの合計が 1 でない、区切りの大小が逆の場合
+ */
+export function validatePolicy(p){
+  if(!p || typeof p!=='object' || Array.isArray(p)) throw new TypeError('ポリシーがオブジェクトではありません');
+  if(p.format!==undefined && p.format!==POLICY_FORMAT) throw new TypeError(`ポリシーの形式が違います: ${p.format}`);
+  const name = String(p.name ?? '').trim();
+  if(!name) throw new TypeError('ポリシー名がありません');
+
+  const out = clonePolicy({...DEFAULT_POLICY, name});
+  for(const f of POLICY_FIELDS){
+    const src = p[f.group];
+    if(src===undefined) continue;
+    if(typeof src!=='object' || src===null) throw new TypeError(`${f.group} がオブジェクトではありません`);
+    if(src[f.key]===undefined) continue;
+    if(f.type==='bool'){
+      if(typeof src[f.key]!=='boolean') throw new TypeError(`${f.label} は true か false で指定してください`);
+      out[f.group][f.key] = src[f.key];
+      continue;
+    }
+    const v = Number(src[f.key]);
+    if(!Number.isFinite(v)) throw new TypeError(`${f.label} が数値ではありません`);
+    if(v<f.min || v>f.max) throw new RangeError(`${f.label} は ${f.min}〜${f.max} の範囲で指定してください（${v}）`);
+    out[f.group][f.key] = v;
+  }
+  const sum = Object.values(out.weights).reduce((s,v)=> s+v, 0);
+  if(Math.abs(sum-1)>WEIGHT_SUM_TOL) throw new RangeError(`重みの合計が 1 になるようにしてください（現在 ${sum.toFixed(2)}）`);
+  if(out.cutoffs[0]>=out.cutoffs[1]) throw new RangeError('「注意」の KDS は「要改善」より小さくしてください');
+  return out;
+}
+
+// 8桁の16進数の FNV-1a
+function fnv1a(s){
+  let h = 0x811c9dc5;
+  for(let i=0;i<s.length;i++){ h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return (h>>>0).toString(16).padStart(8, '0');
+}
+
+/**
+ * ポリシーの値から短い識別子を求める（名前は含めない。同じ値なら同じ ID）
+ * パスワード規則（rules）は KDS に影響しないため含めず、rulesId で別に識別する
+ * （規則だけが違うポリシーは同じ KDS を出し、同じ ID で rulesId だけが違う）
+ *
+ * @param {{thresh: object, weights: object, cutoffs: number[]}} p
+ * @returns {string} 8桁の16進数（FNV-1a）
+ */
+export function policyId(p){
+  return fnv1a(JSON.stringify([
+    POLICY_FIELDS.filter(f=> f.group!=='cutoffs' && f.group!=='rules').map(f=> p[f.group][f.key]), p.cutoffs
+  ]));
+}
+
+/**
+ * パスワード規則の値から短い識別子を求める（checkCompliance の合否がどの規則によるかを記録する）
+ *
+ * @param {object} rules - ポリシーの rules
+ * @returns {string} 8桁の16進数（FNV-1a）
+ */
+export function rulesId(rules){
+  return fnv1a(JSON.stringify(POLICY_FIELDS.filter(f=> f.group==='rules').map(f=> rules[f.key])));
+}
+
+/**
+ * 分析に使うポリシーを切り替える（THRESH・KDS_WEIGHTS・KDS_CUTOFFS を置き換える）
+ *
+ * @param {object} p - ポリシー（validatePolicy で検証する）
+ * @returns {{name: string, id: string, rulesId: string}} 設定したポリシーの名前と ID
+ */
+export function setPolicy(p){
+  const v = validatePolicy(p);
+  Object.assign(THRESH, v.thresh);
+  Object.assign(KDS_WEIGHTS, v.weights);
+  KDS_CUTOFFS.splice(0, KDS_CUTOFFS.length, ...v.cutoffs);
+  current = {...v, id: policyId(v), rulesId: rulesId(v.rules)};
+  return policyInfo();
+}
+
+/** 既定のポリシーに戻す */
+export function resetPolicy(){
+  return setPolicy(DEFAULT_POLICY);
+}
+
+/**
+ * 現在のポリシー（コピー）
+ * @returns {{name: string, thresh: object, weights: object, cutoffs: number[], rules: object}}
+ */
+export function getPolicy(){
+  return clonePolicy(current);
+}
+
+/**
+ * 分析結果に記録するポリシーの名前と ID（rulesId はパスワード規則の ID）
+ * @returns {{name: string, id: string, rulesId: string}}
+ */
+export function policyInfo(){
+  return {name: current.name, id: current.id, rulesId: current.rulesId};
+}
+
+/**
+ * ポリシーを JSON 文字列にする
+ *
+ * @param {object} [p] - 省略時は現在のポリシー
+ * @returns {string}
+ */
+export function exportPolicy(p=getPolicy()){
+  const v = validatePolicy(p);
+  return JSON.stringify({format: POLICY_FORMAT, version: 1, ...v}, null, 2)+'\n';
+}
+
+/**
+ * JSON 文字列からポリシーを読み込む（設定はしない）
+ *
+ * @param {string} text - exportPolicy の出力
+ * @returns {{name: string, thresh: object, weights: object, cutoffs: number[], rules: object}}
+ * @throws {SyntaxError|TypeError|RangeError} JSON として読めない、または validatePolicy で不正な場合
+ */
+export function importPolicy(text){
+  const p = JSON.parse(text);
+  if(p && typeof p==='object' && p.format===undefined) throw new TypeError(`format が "${POLICY_FORMAT}" ではありません`);
+  return validatePolicy(p);
+}
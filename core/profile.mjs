@@ -0,0 +1,67 @@
+/**
+ * KeyWalk Analyzer - 癖プロファイル抽出ヘルパ
+ *
+ * 複数パスワードから接頭・接尾習慣やゾーン偏りを集計する純粋関数群。
+ */
+
+// ---- Traits helpers ----
+export function topN(m, n){ return Array.from(m.entries()).sort((a,b)=>b[1]-a[1]).slice(0,n); }
+// 接尾習慣の判定パターン（summarizeSuffixes / collectSuffixes で共有）
+const SUFFIX_PATTERNS = [
+  [/20(?:[1-2]\d)$|202[0-5]$/,'年号'], // 2010-2025程度
+  [/\d{2,}$/,'数字連続'],
+  [/!+$/,'!連続'],
+  [/\?+$/,'?連続'],
+  [/[-_.]{2,}$/,'記号(-_.)連続']
+];
+export function summarizeSuffixes(lines){
+  const out=[]; for(const [re,name] of SUFFIX_PATTERNS){
+    const c=lines.filter(s=>re.test(s)).length; if(c>0) out.push(`${name}×${c}`);
+  }
+  return out;
+}
+/**
+ * summarizeSuffixes と同じパターンで、実際の接尾文字列を件数順に集める
+ * （例: ['2024', 3], ['!!', 2]。ルール生成で末尾に付ける文字列として使う）
+ *
+ * @param {string[]} lines - パスワード群
+ * @returns {Array<[string, number]>} [接尾文字列, 件数] の配列（件数の多い順）
+ */
+export function collectSuffixes(lines){
+  const m=new Map();
+  for(const s of lines){
+    const found=new Set();   // 同じ行で複数のパターンに当たった文字列は1件と数える
+    for(const [re] of SUFFIX_PATTERNS){ const hit=s.match(re); if(hit) found.add(hit[0]); }
+    for(const x of found) m.set(x, (m.get(x)||0)+1);
+  }
+  return topN(m, m.size);
+}
+export function summarizePrefixes(lines){
+  const pat = [
+    [/^[A-Z][a-z]{2,}/,'先頭: 大→小連続'],
+    [/^[A-Z]{2,}/,'先頭: 大文字連続'],
+    [/^[a-z]{2,}/,'先頭: 小文字連続']
+  ];
+  const out=[];
+  for(const [re,name] of pat){
+    const c=lines.filter(s=>re.test(s)).length; if(c>0) out.push(`${name}×${c}`);
+  }
+  // テンプレ例: Letters+Digits+Punct
+  const tmpl = /^[A-Za-z]+[0-9]+[!?.]+$/;
+  const tc = lines.filter(s=>tmpl.test(s)).length;
+  if(tc>0) out.push(`テンプレ(英+数+記号)×${tc}`);
+  return out;
+}
+export function summarizeZones(points){
+  if(!points.length) return {left:0,right:0,top:0,mid:0,bottom:0};
+  const xs=points.map(p=>p.x), ys=points.map(p=>p.y);
+  const midx=(Math.min(...xs)+Math.max(...xs))/2;
+  const yMin=Math.min(...ys), yMax=Math.max(...ys);
+  const yT=yMin+(yMax-yMin)/3, yB=yMin+2*(yMax-yMin)/3;
+  let L=0,R=0,T=0,M=0,B=0;
+  for(const p of points){
+    if(p.x<=midx) L++; else R++;
+    if(p.y<=yT) T++; else if(p.y<=yB) M++; else B++;
+  }
+  const n=points.length; return {left:L/n,right:R/n,top:T/n,mid:M/n,bottom:B/n};
+}
@@ -0,0 +1,317 @@
+/**
+ * KeyWalk Analyzer - 分析レポート
+ *
+ * 単体分析・癖プロファイルの結果を1つのレポートにまとめ、自己完結した HTML（印刷して PDF にもできる）・
+ * JSON・CSV に書き出す。パスワードは「そのまま」「伏せ字」「ハッシュ」から選べ、伏せ字・ハッシュでは
+ * パスワードの一部を含む項目（経路の画像、歩き・定番パターンの文字列、バイグラム、候補など）を省く。
+ * DOM には一切触れない（キャンバスの画像は呼び出し側が data URL で渡す）。
+ */
+
+import { SIM_REASONS } from './similarity.mjs';
+import { CANDIDATE_KINDS } from './candidates.mjs';
+
+/** JSON の format 値 */
+export const REPORT_FORMAT = 'keywalk-report';
+
+/**
+ * パスワードの扱い
+ * hash はレポートごとに作る乱数のソルト付き SHA-256 の先頭 16 桁。ソルトは保存しないため、
+ * 同じレポート内で同じパスワードかどうかは分かるが、辞書攻撃で元に戻すことはできない。
+ */
+export const PASSWORD_MODES = [
+  {id:'plain', label:'そのまま'},
+  {id:'mask',  label:'伏せ字（文字数のみ）'},
+  {id:'hash',  label:'ハッシュ（ソルト付き SHA-256）'}
+];
+
+/** レポートに載せる候補の件数 */
+export const REPORT_CANDIDATES = 20;
+
+/** 単体分析のメトリクスの表示名と書式 */
+export const REPORT_METRICS = [
+  {key:'unique',          label:'ユニーク鍵数',     fmt: v=> String(v)},
+  {key:'length',          label:'総移動距離',       fmt: v=> `${v.toFixed(1)}u`},
+  {key:'turns',           label:'方向転換回数',     fmt: v=> String(v)},
+  {key:'adjRatio',        label:'隣接キー比率',     fmt: v=> `${(v*100).toFixed(0)}%`},
+  {key:'entropy',         label:'方向エントロピー', fmt: v=> v.toFixed(2)},
+  {key:'stepCV',          label:'ステップCV',       fmt: v=> v.toFixed(2)},
+  {key:'knightRatio',     label:'ナイトムーブ比率', fmt: v=> `${(v*100).toFixed(0)}%`},
+  {key:'modifierToggles', label:'修飾キー切替',     fmt: v=> String(v)},
+  {key:'layerSwitches',   label:'レイヤー切替',     fmt: v=> String(v)}
+];
+
+// 入力文字列を表示文に含む検出（伏せ字・ハッシュでは種類と件数だけにする）
+const CONCEALED_DETECTIONS = {
+  unmapped: '非対象/未マップの文字', known: '定番パターン', walk: '連続隣接（歩き）',
+  ngram: '反復n-gram', pin_line: '一直線の並び', pin_repeat: '同じ数字の連続',
+  dictionary: '辞書語', date: '年号・日付', romaji: 'ローマ字の日本語'
+};
+
+const MASK_CHAR = '•';
+const HASH_DIGITS = 16;
+
+// パスワードを選んだ扱いに変換する関数を作る（ハッシュは非同期のため、使う値を先に求めておく）
+async function concealer(mode, values){
+  if(mode==='plain') return s=> s;
+  if(mode==='mask') return s=> MASK_CHAR.repeat([...s].length);
+  const salt = globalThis.crypto.getRandomValues(new Uint8Array(16));
+  const enc = new TextEncoder();
+  const map = new Map();
+  for(const s of new Set(values)){
+    const bytes = enc.encode(s);
+    const buf = new Uint8Array(salt.length+bytes.length);
+    buf.set(salt); buf.set(bytes, salt.length);
+    const digest = new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', buf));
+    map.set(s, 'sha256:'+[...digest].map(b=> b.toString(16).padStart(2,'0')).join('').slice(0, HASH_DIGITS));
+  }
+  return s=> map.get(s);
+}
+
+/**
+ * 分析結果からレポートを作る
+ *
+ * single は analyze の戻り値、profile は buildProfile の戻り値。clusters・predictability・candidates は
+ * 同じパスワード群に対する clusterPasswords・checkPredictability・predictCandidates の戻り値（省略可）。
+ * images の single / profile はキャンバスの PNG（data URL）。伏せ字・ハッシュでは経路から入力を
+ * 復元できるため、単体分析の画像は載せない。癖プロファイルの画像は全件の集計として載せるので、
+ * 伏せ字・ハッシュではキー間の遷移（バイグラムが分かる）を描かずに渡すこと。
+ *
+ * @param {{single?: object|null, profile?: object|null, clusters?: object|null, predictability?: object|null,
+ *   candidates?: object[]|null, images?: {single?: string, profile?: string}}} input
+ * @param {{passwords?: string, now?: Date}} [options] - passwords: PASSWORD_MODES の id（既定 'plain'）
+ * @returns {Promise<object>} レポート（format: REPORT_FORMAT）
+ * @throws {RangeError} passwords が不正な場合
+ * @throws {TypeError} single・profile のどちらもない場合
+ */
+export async function buildReport({single=null, profile=null, clusters=null, predictability=null, candidates=null, images={}}={},
+  {passwords='plain', now=new Date()}={}){
+  if(!PASSWORD_MODES.some(m=> m.id===passwords)) throw new RangeError(`パスワードの扱いが不正です: ${passwords}`);
+  if(!single && !profile) throw new TypeError('レポートに含める分析結果がありません');
+
+  const plain = passwords==='plain';
+  const conceal = await concealer(passwords, [
+    ...(single ? [single.password] : []),
+    ...(clusters ? clusters.lines : []),
+    ...(predictability ? predictability.hits.map(h=> h.password) : [])
+  ]);
+
+  const report = {format: REPORT_FORMAT, version: 1, generated: now.toISOString(), passwords, single: null, profile: null};
+
+  if(single){
+    report.single = {
+      password: conceal(single.password),
+      layout: single.layout, policy: single.policy,
+      kds: single.kds, label: single.label,
+      metrics: {...single.metrics},
+      breakdown: single.breakdown.map(b=> ({id:b.id, label:b.label, weight:b.weight, value:b.value, points:b.points})),
+      detections: single.detections.map(d=> ({
+        type: d.type, level: d.level,
+        text: plain || !CONCEALED_DETECTIONS[d.type] ? d.text : `${CONCEALED_DETECTIONS[d.type]}（${d.spans.length}か所）`
+      })),
+      patterns: single.patterns.map(p=> ({
+        type: p.type, label: p.label, family: p.family, direction: p.direction, start: p.start, end: p.end,
+        ...(plain ? {text: p.text} : {})
+      })),
+      guess: single.guess && {
+        bits: single.guess.bits, log10: single.guess.log10,
+        // 区間ごとの推測回数は辞書内の順位・基準年からの隔たりそのもので、文字列を伏せても語や年を戻せるため plain でだけ出す
+        segments: single.guess.segments.map(g=> ({type:g.type, label:g.label, ...(plain ? {guesses:g.guesses, text:g.text} : {})}))
+      },
+      image: plain ? images.single || null : null
+    };
+  }
+
+  if(profile){
+    report.profile = {
+      layout: profile.layout, count: profile.count, policy: profile.policy,
+      metrics: {...profile.metrics}, zones: {...profile.zones},
+      topKeys: profile.topKeys,
+      topBigrams: plain ? profile.topBigrams : null,
+      suffixes: profile.suffixes, prefixes: profile.prefixes,
+      clusters: clusters ? clusters.clusters.map(c=> ({
+        members: c.members.map(i=> conceal(clusters.lines[i])), counter: c.counter, kinds: c.kinds
+      })) : [],
+      predictability: predictability ? {
+        total: predictability.total, ratio: predictability.ratio,
+        hits: predictability.hits.map(h=> ({
+          password: conceal(h.password), rank: h.rank, kind: h.kind,
+          reason: plain ? h.reason : CANDIDATE_KINDS[h.kind].label
+        }))
+      } : null,
+      candidates: plain && candidates ? candidates.slice(0, REPORT_CANDIDATES).map(c=> ({password:c.password, label:c.label, reason:c.reason})) : [],
+      image: images.profile || null
+    };
+  }
+  return report;
+}
+
+/**
+ * レポートを JSON 文字列にする（画像は含めない）
+ * @param {object} report - buildReport の戻り値
+ * @returns {string}
+ */
+export function reportToJSON(report){
+  return JSON.stringify(report, (k,v)=> k==='image' ? undefined : v, 2)+'\n';
+}
+
+// RFC 4180 形式のエスケープ
+function csvCell(v){
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g,'""')}"` : s;
+}
+
+/**
+ * レポートを CSV にする（section, item, value の縦持ち。画像は含めない）
+ * @param {object} report - buildReport の戻り値
+ * @returns {string}
+ */
+export function reportToCSV(report){
+  const rows = [['section','item','value']];
+  const add = (section, item, value)=> rows.push([section, item, value]);
+  add('report', 'generated', report.generated);
+  add('report', 'passwords', report.passwords);
+
+  const s = report.single;
+  if(s){
+    add('single', 'password', s.password);
+    add('single', 'layout', s.layout);
+    add('single', 'policy', s.policy.name);
+    add('single', 'policy_id', s.policy.id);
+    add('single', 'rules_id', s.policy.rulesId);
+    add('single', 'kds', s.kds);
+    add('single', 'label', s.label);
+    REPORT_METRICS.forEach(m=> add('single', `metric.${m.key}`, s.metrics[m.key]));
+    s.breakdown.forEach(b=> add('single', `breakdown.${b.id}`, b.points));
+    s.detections.forEach(d=> add('single', `detection.${d.level}`, d.text));
+    s.patterns.forEach(p=> add('single', 'pattern', `${p.label} ${p.direction} ${p.start+1}-${p.end+1}${p.text!==undefined ? ' '+p.text : ''}`));
+    add('single', 'guess_bits', s.guess ? s.guess.bits : '');
+  }
+
+  const p = report.profile;
+  if(p){
+    add('profile', 'layout', p.layout);
+    add('profile', 'count', p.count);
+    add('profile', 'policy', p.policy.name);
+    add('profile', 'policy_id', p.policy.id);
+    add('profile', 'rules_id', p.policy.rulesId);
+    Object.entries(p.metrics).forEach(([k,v])=> add('profile', `metric.${k}`, v));
+    Object.entries(p.zones).forEach(([k,v])=> add('profile', `zone.${k}`, v));
+    p.topKeys.forEach(([k,c])=> add('profile', 'top_key', `${k}×${c}`));
+    (p.topBigrams || []).forEach(([g,c])=> add('profile', 'top_bigram', `${g}×${c}`));
+    p.suffixes.forEach(x=> add('profile', 'suffix', x));
+    p.prefixes.forEach(x=> add('profile', 'prefix', x));
+    p.clusters.forEach((c,i)=> add('profile', `cluster.${i+1}`, c.members.join(' / ')));
+    if(p.predictability){
+      add('profile', 'predictable', `${p.predictability.hits.length}/${p.predictability.total}`);
+      p.predictability.hits.forEach(h=> add('profile', 'predicted', `${h.password} #${h.rank} ${h.reason}`));
+    }
+    p.candidates.forEach(c=> add('profile', 'candidate', c.password));
+  }
+  return rows.map(r=> r.map(csvCell).join(',')).join('\n')+'\n';
+}
+
+const escapeHtml = s=> String(s).replace(/[&<>"']/g, c=> ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+const list = items=> items.length ? `<ul>${items.map(x=> `<li>${escapeHtml(x)}</li>`).join('')}</ul>` : '<p class="muted">該当なし</p>';
+const table = rows=> `<table>${rows.map(([k,v])=> `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join('')}</table>`;
+const image = (src, alt)=> src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}">` : '';
+
+// 印刷（PDF）でも読みやすいよう、背景色に頼らない配色にする
+const REPORT_CSS = `
+body{font-family:system-ui,-apple-system,'Hiragino Sans','Noto Sans JP',sans-serif;color:#222;max-width:960px;margin:24px auto;padding:0 16px;line-height:1.6}
+h1{font-size:22px;border-bottom:2px solid #222;padding-bottom:6px}
+h2{font-size:18px;margin-top:28px;border-bottom:1px solid #999}
+h3{font-size:15px;margin:18px 0 6px}
+table{border-collapse:collapse;margin:6px 0}
+th,td{border:1px solid #bbb;padding:3px 10px;text-align:left;font-size:13px}
+th{background:#f2f2f2;font-weight:600}
+ul{margin:4px 0;padding-left:1.4em}
+img{max-width:100%;border:1px solid #bbb;margin:8px 0}
+.kds{font-size:20px;font-weight:700}
+.muted{color:#666;font-size:13px}
+section{break-inside:avoid-page}
+@media print{body{margin:0;max-width:none}h2{break-after:avoid}}
+`;
+
+/**
+ * レポートを自己完結した HTML にする（画像は data URL のまま埋め込む。スクリプトは含めない）
+ * @param {object} report - buildReport の戻り値
+ * @returns {string}
+ */
+export function reportToHTML(report){
+  const mode = PASSWORD_MODES.find(m=> m.id===report.passwords);
+  const parts = [];
+  parts.push(`<h1>KeyWalk Analyzer 分析レポート</h1>`);
+  parts.push(`<p class="muted">作成日時: ${escapeHtml(report.generated)} ／ パスワードの表示: ${escapeHtml(mode.label)}${
+    report.passwords==='plain' ? '' : '（パスワードの一部を含む項目は省略）'}</p>`);
+
+  const s = report.single;
+  if(s){
+    parts.push(`<section><h2>単体分析</h2>`);
+    parts.push(table([
+      ['パスワード', s.password], ['レイアウト', s.layout], ['評価ポリシー', `${s.policy.name}（ID ${s.policy.id}・規則 ID ${s.policy.rulesId}）`],
+      ['推定推測回数', s.guess ? `約 2^${s.guess.bits.toFixed(1)} 回（10^${s.guess.log10.toFixed(1)}）` : '-（形状データ）']
+    ]));
+    parts.push(`<p class="kds">KDS ${s.kds}（${escapeHtml(s.label)}）</p>`);
+    parts.push(`<h3>KDS の内訳</h3>`);
+    parts.push(`<table><tr><th>要素</th><th>重み</th><th>値</th><th>点</th></tr>${s.breakdown.map(b=>
+      `<tr><td>${escapeHtml(b.label)}</td><td>${b.weight.toFixed(2)}</td><td>${b.value.toFixed(2)}</td><td>${b.points.toFixed(1)}</td></tr>`).join('')}</table>`);
+    parts.push(`<h3>詳細指標</h3>`);
+    parts.push(table(REPORT_METRICS.map(m=> [m.label, m.fmt(s.metrics[m.key])])));
+    parts.push(`<h3>検出パターン</h3>`);
+    parts.push(list(s.detections.map(d=> `${d.level==='bad' ? '⚠ ' : '✓ '}${d.text}`)));
+    parts.push(`<h3>形状パターン</h3>`);
+    parts.push(list(s.patterns.map(p=> `[${p.family}] ${p.label}${p.text!==undefined ? ` "${p.text}"` : ''} ${p.direction}（${p.start+1}〜${p.end+1}打鍵目）`)));
+    parts.push(image(s.image, 'キーボード上の経路'));
+    parts.push(`</section>`);
+  }
+
+  const p = report.profile;
+  if(p){
+    const pct = v=> `${(v*100).toFixed(0)}%`;
+    parts.push(`<section><h2>癖プロファイル</h2>`);
+    parts.push(table([
+      ['件数', p.count], ['レイアウト', p.layout], ['評価ポリシー', `${p.policy.name}（ID ${p.policy.id}・規則 ID ${p.policy.rulesId}）`],
+      ['平均隣接比率', pct(p.metrics.avgAdj)], ['平均方向転換', p.metrics.avgTurns.toFixed(1)],
+      ['平均移動距離', p.metrics.avgLength.toFixed(1)], ['使用キー数', p.metrics.uniqueKeys]
+    ]));
+    parts.push(`<h3>抽出された癖</h3>`);
+    const z = p.zones;
+    parts.push(list([
+      ...(p.topKeys.length ? [`よく使うキー: ${p.topKeys.map(([k,c])=> `${k.toUpperCase()}×${c}`).join(' ')}`] : []),
+      ...(p.topBigrams && p.topBigrams.length ? [`頻出バイグラム: ${p.topBigrams.map(([g,c])=> `${g}×${c}`).join(', ')}`] : []),
+      ...(p.suffixes.length ? [`接尾パターン: ${p.suffixes.join(', ')}`] : []),
+      ...(p.prefixes.length ? [`接頭パターン: ${p.prefixes.join(', ')}`] : []),
+      `ゾーン偏り: 左${pct(z.left)} / 右${pct(z.right)}, 上${pct(z.top)} / 中${pct(z.mid)} / 下${pct(z.bottom)}`
+    ]));
+    parts.push(image(p.image, '使用頻度ヒートマップ'));
+    parts.push(`<h3>類似・使い回しクラスター</h3>`);
+    parts.push(list(p.clusters.map((c,i)=>
+      `クラスター${i+1}（${c.members.length}件）: ${c.members.join(', ')} — ${c.kinds.map(k=> SIM_REASONS[k]).join('・') || SIM_REASONS.edit}`)));
+    if(p.predictability && p.predictability.total>=2){
+      parts.push(`<h3>予測しやすさ</h3>`);
+      parts.push(list([
+        `予測的中: ${p.predictability.hits.length}/${p.predictability.total}件（${pct(p.predictability.ratio)}）`,
+        ...p.predictability.hits.map(h=> `${h.password} は${h.rank}位で予測（${h.reason}）`)
+      ]));
+    }
+    if(p.candidates.length){
+      parts.push(`<h3>次に選びそうな候補（上位${p.candidates.length}件）</h3>`);
+      parts.push(list(p.candidates.map((c,i)=> `${i+1}. ${c.password} [${c.label}] ${c.reason}`)));
+    }
+    parts.push(`</section>`);
+  }
+
+  return `<!doctype html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline'">
+<title>KeyWalk Analyzer 分析レポート</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,135 @@
+/**
+ * KeyWalk Analyzer - 形状データ（文字を含まない入力）
+ *
+ * 平文のパスワードを扱えない監査向けに、キーの座標列や差分（移動量）の列だけを読み込む。
+ * 点には文字の代わりに伏せ字（SHAPE_MASK）と、座標ごとの識別子（私用領域の1文字）を入れるため、
+ * 分析の途中でも元の文字は現れない。DOM には一切触れない。
+ *
+ * 1行の書式（空白区切り。1行が1パスワード）:
+ *   x,y        キー中心の座標（u 単位。座標マップの x / y と同じ）
+ *   >dx,dy     直前のキーからの移動量（先頭には使えない）
+ *   :layer     末尾に付けると入力層（shift / altgr。省略時 base）
+ *   例: 1.75,1.5 >1,0 >1,0 >1,0:shift
+ *
+ * ファイル（JSON）:
+ *   {"format": "keywalk-shape", "version": 1, "layout": "jis", "items": ["1.75,1.5 >1,0 ...", ...]}
+ * JSON 以外のテキストは1行1件として読む（空行と # で始まる行は無視）。
+ */
+
+import { LAYERS, hasLayout } from './layouts.mjs';
+
+/** ファイル（JSON）の format 値 */
+export const SHAPE_FORMAT = 'keywalk-shape';
+
+/** 1件あたりの打鍵数の上限 */
+export const SHAPE_MAX_POINTS = 256;
+
+/** 座標の絶対値の上限（u） */
+export const SHAPE_COORD_MAX = 64;
+
+/** 文字の代わりに表示する伏せ字 */
+export const SHAPE_MASK = '•';
+
+// 座標ごとの識別子（私用領域の文字。分析結果を返す前に伏せ字に置き換える）
+const TOKEN_BASE = 0xE000;
+/** 識別子の文字にマッチする正規表現 */
+export const SHAPE_TOKEN_RE = /[\uE000-\uF8FF]/g;
+
+const NUM = '[+-]?(?:\\d+(?:\\.\\d*)?|\\.\\d+)';
+const TOKEN = new RegExp(`^(>)?(${NUM}),(${NUM})(?::([a-z]+))?$`);
+
+// 座標の表記ゆれ（浮動小数の誤差）で別のキーにならないよう丸める
+const round = v=> Math.round(v*1e6)/1e6;
+
+/**
+ * 形状データ1件を読む
+ *
+ * @param {string} line - 1行の形状データ
+ * @returns {Array<{x: number, y: number, layer: string}>} 座標列
+ * @throws {SyntaxError} 書式が不正な場合
+ * @throws {RangeError} 入力層が不明、座標が範囲外、打鍵数が上限を超える場合
+ */
+export function parseShape(line){
+  const tokens = String(line ?? '').trim().split(/\s+/).filter(Boolean);
+  if(!tokens.length) throw new SyntaxError('形状データが空です');
+  if(tokens.length>SHAPE_MAX_POINTS) throw new RangeError(`打鍵数は${SHAPE_MAX_POINTS}までです（${tokens.length}）`);
+
+  const out = [];
+  tokens.forEach((tok,i)=>{
+    const m = TOKEN.exec(tok);
+    if(!m) throw new SyntaxError(`${i+1}番目の "${tok}" を読めません（x,y または >dx,dy の形式）`);
+    const [, rel, a, b, layer='base'] = m;
+    if(!LAYERS.includes(layer)) throw new RangeError(`${i+1}番目の入力層 "${layer}" は ${LAYERS.join(' / ')} のいずれかにしてください`);
+    if(rel && !i) throw new SyntaxError('先頭は移動量（>dx,dy）ではなく座標（x,y）にしてください');
+    const prev = out[i-1];
+    const x = round(rel ? prev.x+Number(a) : Number(a));
+    const y = round(rel ? prev.y+Number(b) : Number(b));
+    if(Math.abs(x)>SHAPE_COORD_MAX || Math.abs(y)>SHAPE_COORD_MAX){
+      throw new RangeError(`${i+1}番目の座標 (${x}, ${y}) が範囲外です（±${SHAPE_COORD_MAX}u）`);
+    }
+    out.push({x, y, layer});
+  });
+  return out;
+}
+
+/**
+ * 形状データのファイル（JSON または1行1件のテキスト）を読む
+ *
+ * @param {string} text - ファイルの内容
+ * @returns {{layout: string|null, items: Array<Array<{x: number, y: number, layer: string}>>}}
+ *   layout は JSON で指定された場合のみ
+ * @throws {SyntaxError|TypeError|RangeError} JSON として読めない、形式が違う、または parseShape で不正な場合
+ *   （メッセージの先頭に何件目かを付ける）
+ */
+export function parseShapeFile(text){
+  const src = String(text ?? '');
+  let layout = null, lines;
+  if(src.trimStart().startsWith('{')){
+    const data = JSON.parse(src);
+    if(data.format!==SHAPE_FORMAT) throw new TypeError(`format が "${SHAPE_FORMAT}" ではありません`);
+    if(!Array.isArray(data.items) || data.items.some(s=> typeof s!=='string')) throw new TypeError('items は文字列の配列にしてください');
+    if(data.layout!==undefined){
+      if(!hasLayout(data.layout)) throw new RangeError(`不明なレイアウトです: ${data.layout}`);
+      layout = data.layout;
+    }
+    lines = data.items;
+  }else{
+    lines = src.split(/\r?\n/).map(s=> s.trim()).filter(s=> s && !s.startsWith('#'));
+  }
+  if(!lines.length) throw new SyntaxError('形状データがありません');
+  const items = lines.map((line,i)=>{
+    try{ return parseShape(line); }
+    catch(err){ err.message = `${i+1}件目: ${err.message}`; throw err; }
+  });
+  return {layout, items};
+}
+
+/**
+ * 座標列を分析用の点に変換する（char は伏せ字、key は座標ごとの識別子）
+ *
+ * @param {Array<{x: number, y: number, layer?: string}>} shape - parseShape の戻り値
+ * @returns {Array<{x: number, y: number, key: string, w: number, char: string, layer: string}>}
+ */
+export function shapeToPoints(shape){
+  const ids = new Map();
+  return shape.map(({x, y, layer='base'})=>{
+    const id = `${round(x)},${round(y)}`;
+    if(!ids.has(id)) ids.set(id, String.fromCodePoint(TOKEN_BASE+ids.size));
+    return {x, y, key: ids.get(id), w: 1, char: SHAPE_MASK, layer};
+  });
+}
+
+/**
+ * 座標列を形状データの1行にする（他システムでの書き出しや、サンプルの作成用）
+ *
+ * @param {Array<{x: number, y: number, layer?: string}>} points - 座標列（textToPoints の points など）
+ * @param {{relative?: boolean}} [options] - relative: 2打鍵目以降を移動量（>dx,dy）で書く
+ * @returns {string}
+ */
+export function formatShape(points, {relative=false}={}){
+  return points.map((p,i)=>{
+    const layer = p.layer && p.layer!=='base' ? `:${p.layer}` : '';
+    if(relative && i) return `>${round(p.x-points[i-1].x)},${round(p.y-points[i-1].y)}${layer}`;
+    return `${round(p.x)},${round(p.y)}${layer}`;
+  }).join(' ');
+}
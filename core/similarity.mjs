@@ -0,0 +1,175 @@
+/**
+ * KeyWalk Analyzer - パスワード間の類似度と使い回しクラスター
+ *
+ * 同一利用者のパスワードを2件ずつ比べ、編集距離・飾りを除いた共通の語・
+ * 位置をずらした同じ歩きの形・骨格（Aaaaa0000!）・数字だけの更新（カウンター）を判定する。
+ * 類似度がしきい値以上の組をつないでクラスターにまとめる。DOM には一切触れない。
+ */
+
+import { getCoordMap, textToPoints } from './layouts.mjs';
+import { classifyPatterns, SHAPE_TOL } from './patterns.mjs';
+
+/** この類似度以上の組を同じクラスターとみなす */
+export const SIM_THRESHOLD = 0.6;
+
+/** 判定ごとの類似度（複数に当たった場合は最大値に、追加の1件ごとに 0.1 を加える） */
+export const SIM_WEIGHTS = {
+  counter:  0.95,   // Pass01 / Pass02（数字だけが少し違う）
+  base:     0.9,    // Tokyo2023! / tokyo99（飾りを除くと同じ語）
+  shape:    0.8,    // qwer1 / asdf1（同じ形の歩きを別の位置で打つ）
+  skeleton: 0.5     // Tokyo2023! / Osaka1999?（文字種の並びが同じ）
+};
+
+/** 判定の表示名 */
+export const SIM_REASONS = {
+  counter: 'カウンター更新', base: '共通の語', shape: '歩きの形が同じ', skeleton: '骨格が同じ', edit: '編集距離が近い'
+};
+
+// カウンターとみなす数字の差の上限
+const COUNTER_MAX_STEP = 10;
+
+/**
+ * 編集距離（Levenshtein 距離。挿入・削除・置換をそれぞれ1と数える）
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b){
+  const s=[...a], t=[...b];
+  let prev = Array.from({length:t.length+1}, (_,j)=>j);
+  for(let i=1;i<=s.length;i++){
+    const cur=[i];
+    for(let j=1;j<=t.length;j++){
+      cur[j] = Math.min(prev[j]+1, cur[j-1]+1, prev[j-1]+(s[i-1]===t[j-1] ? 0 : 1));
+    }
+    prev=cur;
+  }
+  return prev[t.length];
+}
+
+/**
+ * 文字種の骨格（大文字 A・小文字 a・数字 0・その他 !）
+ *
+ * @param {string} s
+ * @returns {string} 例: 'Tokyo2023!' → 'Aaaaa0000!'
+ */
+export function skeleton(s){
+  return [...s].map(c=> /[A-Z]/.test(c) ? 'A' : /[a-z]/.test(c) ? 'a' : /[0-9]/.test(c) ? '0' : '!').join('');
+}
+
+// 比較用の特徴（1件ごとに一度だけ求める）
+function features(s, coordMap){
+  const {points} = textToPoints(s, coordMap);
+  const shapes = classifyPatterns(points).map(p=>{
+    const seg = points.slice(p.start, p.end+1);
+    return {text:p.text, start:seg[0].key, steps: seg.slice(1).map((q,i)=> ({x:q.x-seg[i].x, y:q.y-seg[i].y}))};
+  });
+  return {
+    s,
+    base: s.replace(/[^A-Za-z]+$/, '').toLowerCase(),
+    skeleton: skeleton(s),
+    template: s.replace(/\d+/g, '#'),
+    numbers: s.match(/\d+/g) || [],
+    shapes
+  };
+}
+
+// 同じ形を別の位置で打った歩きの組（なければ null）
+function sharedShape(fa, fb){
+  for(const a of fa.shapes){
+    for(const b of fb.shapes){
+      if(a.start===b.start || a.steps.length!==b.steps.length) continue;
+      if(a.steps.every((v,i)=> Math.abs(v.x-b.steps[i].x)<=SHAPE_TOL && Math.abs(v.y-b.steps[i].y)<=SHAPE_TOL)) return [a.text, b.text];
+    }
+  }
+  return null;
+}
+
+// 数字の部分だけが少し違うか（数字の並びの位置と個数が同じで、1か所だけ差が COUNTER_MAX_STEP 以内）
+function isCounter(fa, fb){
+  if(fa.template!==fb.template || fa.s===fb.s) return false;
+  const diff = fa.numbers.map((n,i)=> Number(fb.numbers[i])-Number(n)).filter(d=> d!==0);
+  return diff.length===1 && Math.abs(diff[0])<=COUNTER_MAX_STEP;
+}
+
+function compareFeatures(fa, fb){
+  const len = Math.max([...fa.s].length, [...fb.s].length);
+  const edit = len ? 1 - levenshtein(fa.s, fb.s)/len : 1;
+  const hits = [];
+  if(isCounter(fa, fb)) hits.push('counter');
+  if(fa.base.length>=3 && fa.base===fb.base) hits.push('base');
+  const shape = sharedShape(fa, fb);
+  if(shape) hits.push('shape');
+  if(fa.skeleton===fb.skeleton) hits.push('skeleton');
+
+  const scores = [edit, ...hits.map(h=> SIM_WEIGHTS[h])];
+  const top = Math.max(...scores);
+  const extra = hits.length - (hits.some(h=> SIM_WEIGHTS[h]===top) ? 1 : 0);
+  const score = Math.min(1, top + 0.1*extra);
+
+  const reasons = hits.map(h=> h==='shape' ? `${SIM_REASONS.shape}（"${shape[0]}" / "${shape[1]}"）` : SIM_REASONS[h]);
+  if(edit>=SIM_THRESHOLD) reasons.push(`${SIM_REASONS.edit}（${levenshtein(fa.s, fb.s)}文字差）`);
+  return {score: Math.round(score*100)/100, edit: Math.round(edit*100)/100, kinds: hits, reasons};
+}
+
+/**
+ * 2件のパスワードの類似度を求める
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {{layout?: string}} [options] - layout: 歩きの形の比較に使うレイアウト（既定 'jis'）
+ * @returns {{score: number, edit: number, kinds: string[], reasons: string[]}}
+ *   score: 0〜1、edit: 編集距離による類似度、kinds: 当たった判定（SIM_WEIGHTS のキー）、reasons: 表示用の理由
+ */
+export function comparePasswords(a, b, {layout='jis'}={}){
+  const coordMap = getCoordMap(layout);
+  return compareFeatures(features(a, coordMap), features(b, coordMap));
+}
+
+/**
+ * パスワード群の類似度行列と、使い回しクラスターを求める
+ *
+ * 類似度が threshold 以上の組をつなぎ（Union-Find）、2件以上のまとまりをクラスターとする。
+ * クラスター内にカウンター更新の組があれば counter: true とする。
+ *
+ * @param {string[]} lines - 同一利用者のパスワード群
+ * @param {{layout?: string, threshold?: number}} [options] - threshold 既定 SIM_THRESHOLD
+ * @returns {{lines: string[], matrix: number[][],
+ *   pairs: Array<{a: number, b: number, score: number, kinds: string[], reasons: string[]}>,
+ *   clusters: Array<{members: number[], counter: boolean, kinds: string[]}>}}
+ *   pairs はしきい値以上の組（類似度の高い順）、clusters は件数の多い順
+ */
+export function clusterPasswords(lines, {layout='jis', threshold=SIM_THRESHOLD}={}){
+  const list = (lines || []).map(s=>String(s).trim()).filter(Boolean);
+  const coordMap = getCoordMap(layout);
+  const feats = list.map(s=> features(s, coordMap));
+  const n = list.length;
+
+  const matrix = Array.from({length:n}, (_,i)=> Array.from({length:n}, (_,j)=> i===j ? 1 : 0));
+  const pairs = [];
+  const parent = list.map((_,i)=>i);
+  const find = i=> parent[i]===i ? i : (parent[i] = find(parent[i]));
+
+  for(let i=0;i<n;i++){
+    for(let j=i+1;j<n;j++){
+      const r = compareFeatures(feats[i], feats[j]);
+      matrix[i][j] = matrix[j][i] = r.score;
+      if(r.score>=threshold){
+        pairs.push({a:i, b:j, score:r.score, kinds:r.kinds, reasons:r.reasons});
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+
+  const groups = new Map();
+  list.forEach((_,i)=>{ const g=find(i); if(!groups.has(g)) groups.set(g, []); groups.get(g).push(i); });
+  const clusters = [...groups.values()].filter(m=> m.length>=2).map(members=>{
+    const inner = pairs.filter(p=> members.includes(p.a));
+    const kinds = [...new Set(inner.flatMap(p=> p.kinds))];
+    return {members, counter: kinds.includes('counter'), kinds};
+  }).sort((a,b)=> b.members.length-a.members.length || a.members[0]-b.members[0]);
+
+  pairs.sort((a,b)=> b.score-a.score || a.a-b.a || a.b-b.b);
+  return {lines: list, matrix, pairs, clusters};
+}
@@ -14,50 +14,23 @@
  *
  * アーキテクチャ:
  * - クライアントサイド完結（データ送信なし）
+ * - 分析エンジンは core/（DOM 非依存の ES Module）、本ファイルは UI 制御のみ
  * - Canvas API による可視化
- * - ローカルストレージ（テーマ設定のみ）
+ * - ローカルストレージ（テーマ設定・ハッシュ速度・評価ポリシー・カスタムレイアウトのみ）
  */
 
-// ============================================================
-// 定数定義
-// ============================================================
-
-/**
- * キーボードレイアウト定義
- * QWERTY、JIS（簡易版）、Dvorak に対応
- */
-const KEY_LAYOUTS = {
-  qwerty: [
-    ['`','1','2','3','4','5','6','7','8','9','0','-','='],
-    ['q','w','e','r','t','y','u','i','o','p','[',']','\\'],
-    ['a','s','d','f','g','h','j','k','l',';','\''],
-    ['z','x','c','v','b','n','m',',','.','/']
-  ],
-  // 主要キー中心の簡易JIS
-  jis: [
-    ['`','1','2','3','4','5','6','7','8','9','0','-','^','\\'],
-    ['q','w','e','r','t','y','u','i','o','p','@','['],
-    ['a','s','d','f','g','h','j','k','l',';',':',']'],
-    ['z','x','c','v','b','n','m',',','.','/','_']
-  ],
-  dvorak: [
-    ['`','1','2','3','4','5','6','7','8','9','0','[',']'],
-    ["'",',','.','p','y','f','g','c','r','l','/','='],
-    ['a','o','e','u','i','d','h','t','n','s','-'],
-    [';','q','j','k','x','b','m','w','v','z']
-  ]
-};
-
-/**
- * 分析しきい値（ABCE仕様準拠）
- */
-const THRESH = {
-  adj_dx: 60,                   // 隣接判定: x方向の距離しきい値（ピクセル）
-  adj_dy: 36,                   // 隣接判定: y方向の距離しきい値（ピクセル）
-  entropy_bad: 1.50,            // 方向エントロピー低判定しきい値（0-3、低いほど単調）
-  stepcv_bad: 0.25,             // ステップCV低判定しきい値（低いほど移動距離が均一）
-  high_adj_ratio: 0.70          // 高隣接比率しきい値（70%以上でキーボード歩き）
-};
+import {
+  buildGeometry, registerLayout, unregisterLayout, getLayout, listLayouts, hasLayout, layoutPresets, analyze, analyzeShape, createLiveAnalyzer, buildProfile,
+  parseShape, parseShapeFile, formatShape, inferLayout, kdsLabel, AUDIT_CUTOFFS,
+  HASH_RATES, crackSeconds, formatCrackTime, COMMON_SUFFIXES, collectSuffixes,
+  DIRECTIONS, SHIFT_MODES, GEN_LIMIT, generateWalks, hashcatRules, johnRules,
+  predictCandidates, checkPredictability, clusterPasswords, SIM_THRESHOLD, SIM_REASONS, DETECTION_CHANGES, compareResults,
+  DIRECTION_BINS, directionBin, dist, adjacentWalkRanges,
+  DEFAULT_POLICY, POLICY_FIELDS, validatePolicy, setPolicy, getPolicy, exportPolicy, importPolicy,
+  checkCompliance, PASSWORD_MODES, buildReport, reportToJSON, reportToCSV, reportToHTML,
+  CUSTOM_GROUP, LAYOUT_MAX_ROWS, validateLayout, exportLayout, importLayout, parseRowsText, rowsToText, rowsToKeys, keysToRows,
+  KANA_LAYOUT, kanaToAscii
+} from './core/index.mjs';
 
 // ============================================================
 // DOM要素の取得
@@ -67,6 +40,14 @@ const canvas = document.getElementById('keyboard-canvas');   // 単体分析用
 const pcanvas = document.getElementById('profile-canvas');   // プロファイル分析用キャンバス
 const ctx = canvas.getContext('2d');                         // 単体分析用コンテキスト
 const pctx = pcanvas.getContext('2d');                       // プロファイル用コンテキスト
+const acanvas = document.getElementById('audit-canvas');     // 一括監査用キャンバス（ヒストグラム）
+const actx = acanvas.getContext('2d');                       // 一括監査用コンテキスト
+const lcanvas = document.getElementById('layout-canvas');    // レイアウト編集用キャンバス
+const lctx = lcanvas.getContext('2d');                       // レイアウト編集用コンテキスト
+const ccanvasA = document.getElementById('compare-canvas-a'); // 比較用キャンバス（A。重ねて表示では両方）
+const ccanvasB = document.getElementById('compare-canvas-b'); // 比較用キャンバス（B）
+const cctxA = ccanvasA.getContext('2d');                      // 比較用コンテキスト（A）
+const cctxB = ccanvasB.getContext('2d');                      // 比較用コンテキスト（B）
 
 // ============================================================
 // Canvas 設定・描画関数
@@ -91,574 +72,1771 @@ function setupCanvas(cvs){
   return context;
 }
 
+// 選択欄の「自動判定」の値
+const AUTO_LAYOUT = 'auto';
+
+// ソフトウェアキーボードの面（文字・123・#+= 等）は横に並べて1枚に描き、各面の上に面の名前を書く
+// 打鍵の座標は面ごとの座標のため、描くときに offsets（面の ID → ずらし幅 u）を足す
+const PAGE_GAP = 0.75, PAGE_TITLE = 0.6;
+const NO_OFFSET = {dx:0, dy:0};
+
 /**
- * キーボードレイアウトから座標マップを生成
- * 各キーの物理的な位置（x, y座標）を計算
+ * buildGeometry の戻り値を描画用の配置にする（面のないレイアウトはそのまま）
  *
- * @param {string} layoutKey - レイアウト名（'qwerty', 'jis', 'dvorak'）
- * @returns {Map<string, {x: number, y: number, key: string}>} キー→座標のマップ
+ * @param {object} geo - buildGeometry の戻り値
+ * @returns {object} geo に offsets・titles を加え、keys を全部の面のキー（ずらし済み）にしたもの
  */
-function buildCoordMap(layoutKey){
-  const layout = KEY_LAYOUTS[layoutKey] || KEY_LAYOUTS.qwerty;
-  const map = new Map();
-  const rowY = 70, rowGap = 78, keyW = 70, keyGap = 8;
-  layout.forEach((row,rIdx)=>{
-    const rowOffset = (rIdx===1? 24 : (rIdx===2? 48 : (rIdx===3? 24: 0))); // 中段右寄せ風
-    row.forEach((k,cIdx)=>{
-      const x = 16 + rowOffset + cIdx*(keyW+keyGap);
-      const y = rowY + rIdx*rowGap;
-      map.set(String(k).toLowerCase(), {x,y,key:k});
-    });
+function sheetOf(geo){
+  if(!geo.pages.length) return {...geo, offsets:{}, titles:[]};
+  const offsets = {}, titles = [], keys = [];
+  geo.pages.forEach((p,i)=>{
+    const dx = i*(geo.width+PAGE_GAP), dy = PAGE_TITLE;
+    offsets[p.id] = {dx, dy};
+    titles.push({label:p.label, x:dx+geo.width/2, y:PAGE_TITLE/2});
+    for(const k of p.keys) keys.push({...k, x:k.x+dx, y:k.y+dy, cx:k.cx+dx, cy:k.cy+dy});
   });
-  // 数字列フォールバック（未定義を補う）
-  '1234567890'.split('').forEach((d,i)=>{ if(!map.has(d)) map.set(d,{x:16+i*(keyW+keyGap),y:16,key:d}); });
-  return map;
+  return {...geo, width:geo.pages.length*(geo.width+PAGE_GAP)-PAGE_GAP, height:geo.height+PAGE_TITLE, keys, offsets, titles};
 }
 
-// 初期レイアウト
-let coordMap = buildCoordMap('jis');
+// 表示中のレイアウト（キー単位の幾何情報）とキャンバスへの写像
+let geometry = sheetOf(buildGeometry('jis'));
+let view = fitView(geometry);
+
+/**
+ * キー単位の座標をキャンバス座標（CSSピクセル）へ写像する変換を求める
+ * レイアウト全体が 1100×420 の描画領域に収まるよう縦横同倍率で拡大し、中央に配置
+ *
+ * @param {{width: number, height: number}} geo - buildGeometry の戻り値
+ * @returns {{scale: number, ox: number, oy: number}} 1u あたりのピクセル数とオフセット
+ */
+function fitView(geo){
+  const W = 1100, H = 420, pad = 20;
+  const scale = Math.min((W-2*pad)/geo.width, (H-2*pad)/geo.height);
+  return {scale, ox:(W-geo.width*scale)/2, oy:(H-geo.height*scale)/2};
+}
+// 打鍵の座標を、描画用の配置 geo（sheetOf の戻り値）と写像 v でキャンバス座標にする
+function pointToPx(p, geo, v){
+  const o = geo.offsets[p.page] || NO_OFFSET;
+  return {x: v.ox + (p.x+o.dx)*v.scale, y: v.oy + (p.y+o.dy)*v.scale};
+}
+const toPx = p => pointToPx(p, geometry, view);
+
+// レイアウトを切り替えてキーボードを再描画（自動判定のときは分析するまで現在の配置のまま）
+function useLayout(layout){
+  if(layout!==AUTO_LAYOUT){
+    geometry = sheetOf(buildGeometry(layout));
+    view = fitView(geometry);
+  }
+  drawKeyboards();
+}
 
-// キーボード描画（両キャンバス）
-function drawKeyboards(){
-  const targets = [
-    {c:ctx,w:canvas.width,h:canvas.height},
-    {c:pctx,w:pcanvas.width,h:pcanvas.height}
-  ];
+// キーボード描画（既定は両キャンバス。経路の再生では単体分析のキャンバスだけを、レイアウト編集では編集中の配置を描く）
+function drawKeyboards(targets=[
+  {c:ctx,w:canvas.width,h:canvas.height},
+  {c:pctx,w:pcanvas.width,h:pcanvas.height}
+], geo=geometry, v=view){
   const isLight = document.documentElement.getAttribute('data-theme') === 'light';
   const keyBg = isLight ? 'rgba(0,102,204,0.1)' : 'rgba(0,240,255,0.08)';
   const keyStroke = isLight ? 'rgba(0,102,204,0.5)' : 'rgba(0,240,255,0.4)';
   const keyText = isLight ? '#0066cc' : '#00f0ff';
   const shadowColor = isLight ? 'rgba(0,102,204,0.4)' : 'rgba(0,240,255,0.8)';
+  const gap = 3;
 
   for(const t of targets){
     t.c.clearRect(0,0,t.w,t.h);
-    t.c.font = 'bold 13px "Orbitron", monospace';
-    for(const [k,p] of coordMap.entries()){
-      // キー背景（ネオングロー）- 正方形
+    for(const k of geo.keys){
+      const x = v.ox + k.x*v.scale + gap, y = v.oy + k.y*v.scale + gap;
+      const w = k.w*v.scale - 2*gap, h = k.h*v.scale - 2*gap;
+      // 文字を入力しないキー（修飾キー等）は控えめに描く
+      t.c.globalAlpha = k.char===null ? 0.45 : 1;
+
+      // キー背景（ネオングロー）
       t.c.shadowBlur = 10;
       t.c.shadowColor = shadowColor;
       t.c.fillStyle = keyBg;
-      t.c.fillRect(p.x-8,p.y-32,70,64);
+      t.c.fillRect(x,y,w,h);
 
       // キー枠
       t.c.strokeStyle = keyStroke;
       t.c.lineWidth = 1;
-      t.c.strokeRect(p.x-8,p.y-32,70,64);
+      t.c.strokeRect(x,y,w,h);
 
-      // キーテキスト
+      // キーテキスト（中央寄せ）
+      t.c.font = k.char===null ? 'bold 10px "Orbitron", monospace' : 'bold 13px "Orbitron", monospace';
       t.c.shadowBlur = 5;
       t.c.shadowColor = shadowColor;
       t.c.fillStyle = keyText;
-      t.c.fillText(k.toUpperCase(), p.x+14, p.y+6);
+      t.c.fillText(k.label, x+w/2-t.c.measureText(k.label).width/2, y+h/2+5);
 
+      // Shift 層（左上）・AltGr 層（右下）の文字。英字の大文字は省略
+      t.c.font = '10px "Orbitron", monospace';
       t.c.shadowBlur = 0;
-    }
-  }
-}
-
-// ---- Shift 記号の逆写像（E2） ----
-function shiftUnmap(ch){
-  const map = {
-    '!':'1','@':'2','#':'3','$':'4','%':'5','^':'6','&':'7','*':'8','(':'9',')':'0',
-    '~':'`','_':'-','+':'=','{':'[','}':']','|':'\\',':':';','"':'\'','<':',','>':'.','?':'/'
-  };
-  return map[ch] || null;
-}
+      if(k.shift && k.shift!==k.label) t.c.fillText(k.shift, x+5, y+13);
+      if(k.altgr) t.c.fillText(k.altgr, x+w-5-t.c.measureText(k.altgr).width, y+h-6);
+      // ダイヤルキーの T9 文字（下中央）
+      if(k.t9){
+        const t9 = k.t9.toUpperCase();
+        t.c.fillText(t9, x+w/2-t.c.measureText(t9).width/2, y+h-6);
+      }
+      // フリックで入る文字（払う向きの縁。ラベルが ABC などの場合は省略）
+      if(k.flick && k.label===k.char){
+        const [left, up, right, down] = k.flick;
+        if(left) t.c.fillText(left, x+4, y+h/2+4);
+        if(up) t.c.fillText(up, x+w/2-t.c.measureText(up).width/2, y+12);
+        if(right) t.c.fillText(right, x+w-4-t.c.measureText(right).width, y+h/2+4);
+        if(down) t.c.fillText(down, x+w/2-t.c.measureText(down).width/2, y+h-4);
+      }
 
-// ---- 入力 → 座標列変換 ----
-function textToPoints(text){
-  const pts = [], unknown=[];
-  const lower = (text||'').toLowerCase();
-  for(const ch of lower){
-    if(ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r'){ unknown.push(ch); continue; }
-    let k = coordMap.has(ch) ? ch : shiftUnmap(ch);
-    if(k && coordMap.has(k)){ pts.push(coordMap.get(k)); }
-    else { unknown.push(ch); }
+      t.c.shadowBlur = 0;
+      t.c.globalAlpha = 1;
+    }
+    // ソフトウェアキーボードの面の名前
+    t.c.font = 'bold 12px "Orbitron", monospace';
+    t.c.fillStyle = keyText;
+    for(const s of geo.titles || []){
+      t.c.fillText(s.label, v.ox+s.x*v.scale-t.c.measureText(s.label).width/2, v.oy+s.y*v.scale+4);
+    }
   }
-  return {points:pts, unknown};
 }
 
 // ---- 描画：単体経路 ----
-function plotPath(points,mode){
-  if(!points.length) return;
+/**
+ * 打鍵の経路を単体分析のキャンバスに描く
+ *
+ * @param {Array} keyPoints - 座標列（analyze の points）
+ * @param {string} mode - 'path'（線と点）または 'dots'（点のみ）
+ * @param {{walkSteps?: Set<number>, current?: number, highlight?: Set<number>,
+ *   c?: CanvasRenderingContext2D, toPx?: Function, color?: string}} [opts]
+ *   walkSteps: 歩きの区間に含まれる移動（移動先の位置）、current: 再生中の打鍵の位置、
+ *   highlight: 検出パターンに該当する打鍵の位置（座標列上）、
+ *   c・toPx: 描く先のコンテキストと座標の写像（既定は単体分析のキャンバス）、color: 経路と点の色（比較の重ね表示用）
+ * ソフトウェアキーボードで面を切り替えた移動は、経路の線を切って面の間を細い破線で結ぶ
+ */
+function plotPath(keyPoints,mode,opts={}){
+  if(!keyPoints.length) return;
+  const c = opts.c || ctx;
+  const points = keyPoints.map(opts.toPx || toPx);
   const isLight = document.documentElement.getAttribute('data-theme') === 'light';
-  const pathColor = isLight ? '#0066cc' : '#00f0ff';
+  const pathColor = opts.color || (isLight ? '#0066cc' : '#00f0ff');
   const startColor = isLight ? '#00aa33' : '#39ff14';
-  const pointColor = isLight ? '#cc0099' : '#ff00e5';
+  const pointColor = opts.color || (isLight ? '#cc0099' : '#ff00e5');
   const coreColor = isLight ? '#ffffff' : '#ffffff';
   const numBg = isLight ? '#f0f4ff' : '#0a0e27';
-
-  ctx.lineWidth = 5; ctx.lineJoin='round'; ctx.lineCap='round';
+  const modColor = isLight ? '#b38800' : '#ffea00';
+  const walkColor = isLight ? '#d35400' : '#ff9f1c';
+  const hlColor = isLight ? '#bb0022' : '#ff073a';
+  const walkSteps = opts.walkSteps || new Set();
+  const inWalk = i=> walkSteps.has(i) || walkSteps.has(i+1);
+  const highlight = opts.highlight || new Set();
+  const switched = i=> keyPoints[i].page!==keyPoints[i-1].page;
+
+  c.lineWidth = 5; c.lineJoin='round'; c.lineCap='round';
   if(mode==='path'){
     // ネオングロー経路
-    ctx.shadowBlur = 20;
-    ctx.shadowColor = pathColor;
-    ctx.strokeStyle = pathColor;
-    ctx.globalAlpha = 0.6;
-    ctx.beginPath();
-    ctx.moveTo(points[0].x+27, points[0].y);
-    for(let i=1;i<points.length;i++) ctx.lineTo(points[i].x+27, points[i].y);
-    ctx.stroke();
-    ctx.globalAlpha = 1;
+    c.shadowBlur = 20;
+    c.shadowColor = pathColor;
+    c.strokeStyle = pathColor;
+    c.globalAlpha = 0.6;
+    c.beginPath();
+    c.moveTo(points[0].x, points[0].y);
+    for(let i=1;i<points.length;i++) c[switched(i) ? 'moveTo' : 'lineTo'](points[i].x, points[i].y);
+    c.stroke();
+    c.globalAlpha = 1;
 
     // 内側の明るいライン
-    ctx.shadowBlur = 10;
-    ctx.lineWidth = 2;
-    ctx.strokeStyle = isLight ? '#0066cc' : '#ffffff';
-    ctx.beginPath();
-    ctx.moveTo(points[0].x+27, points[0].y);
-    for(let i=1;i<points.length;i++) ctx.lineTo(points[i].x+27, points[i].y);
-    ctx.stroke();
-    ctx.shadowBlur = 0;
+    c.shadowBlur = 10;
+    c.lineWidth = 2;
+    c.strokeStyle = isLight ? '#0066cc' : '#ffffff';
+    c.beginPath();
+    c.moveTo(points[0].x, points[0].y);
+    for(let i=1;i<points.length;i++) c[switched(i) ? 'moveTo' : 'lineTo'](points[i].x, points[i].y);
+    c.stroke();
+
+    // 面の切り替え
+    c.lineWidth = 1.5;
+    c.shadowBlur = 0;
+    c.strokeStyle = pathColor;
+    c.globalAlpha = 0.6;
+    c.setLineDash([4, 6]);
+    for(let i=1;i<points.length;i++){
+      if(!switched(i)) continue;
+      c.beginPath();
+      c.moveTo(points[i-1].x, points[i-1].y);
+      c.lineTo(points[i].x, points[i].y);
+      c.stroke();
+    }
+    c.setLineDash([]);
+    c.globalAlpha = 1;
+
+    // 歩きの区間を別の色で重ねる
+    c.lineWidth = 5;
+    c.shadowBlur = 15;
+    c.shadowColor = walkColor;
+    c.strokeStyle = walkColor;
+    for(let i=1;i<points.length;i++){
+      if(!walkSteps.has(i)) continue;
+      c.beginPath();
+      c.moveTo(points[i-1].x, points[i-1].y);
+      c.lineTo(points[i].x, points[i].y);
+      c.stroke();
+    }
+    c.shadowBlur = 0;
+  }
+  // 検出パターンに該当する区間（連続して該当する打鍵の間）
+  if(highlight.size){
+    c.lineWidth = 7;
+    c.shadowBlur = 20;
+    c.shadowColor = hlColor;
+    c.strokeStyle = hlColor;
+    for(let i=1;i<points.length;i++){
+      if(!highlight.has(i) || !highlight.has(i-1) || switched(i)) continue;
+      c.beginPath();
+      c.moveTo(points[i-1].x, points[i-1].y);
+      c.lineTo(points[i].x, points[i].y);
+      c.stroke();
+    }
+    c.shadowBlur = 0;
   }
   // キーポイント
   for(let i=0;i<points.length;i++){
     const p = points[i];
     const isStart = i===0;
+    const fill = isStart ? startColor : inWalk(i) ? walkColor : pointColor;
+
+    // 検出パターンに該当する打鍵・再生中の打鍵は外側に太いリングを付ける
+    if(highlight.has(i)){
+      c.shadowBlur = 20;
+      c.shadowColor = hlColor;
+      c.strokeStyle = hlColor;
+      c.lineWidth = 3;
+      c.beginPath();
+      c.arc(p.x,p.y,18,0,Math.PI*2);
+      c.stroke();
+    }
+    if(i===opts.current){
+      c.shadowBlur = 20;
+      c.shadowColor = pathColor;
+      c.strokeStyle = pathColor;
+      c.lineWidth = 3;
+      c.beginPath();
+      c.arc(p.x,p.y,20,0,Math.PI*2);
+      c.stroke();
+    }
 
     // 外側グロー
-    ctx.shadowBlur = 15;
-    ctx.shadowColor = isStart? startColor : pointColor;
-    ctx.beginPath();
-    ctx.fillStyle = isStart? startColor : pointColor;
-    ctx.arc(p.x+27,p.y,10,0,Math.PI*2);
-    ctx.fill();
+    c.shadowBlur = 15;
+    c.shadowColor = fill;
+    c.beginPath();
+    c.fillStyle = fill;
+    c.arc(p.x,p.y,10,0,Math.PI*2);
+    c.fill();
+
+    // Shift/AltGr が必要な文字は外周にリングを付ける
+    if(keyPoints[i].layer && keyPoints[i].layer!=='base'){
+      c.shadowBlur = 10;
+      c.shadowColor = modColor;
+      c.strokeStyle = modColor;
+      c.lineWidth = 2;
+      c.beginPath();
+      c.arc(p.x,p.y,14,0,Math.PI*2);
+      c.stroke();
+    }
 
     // 内側コア
-    ctx.shadowBlur = 5;
-    ctx.beginPath();
-    ctx.fillStyle = coreColor;
-    ctx.arc(p.x+27,p.y,6,0,Math.PI*2);
-    ctx.fill();
+    c.shadowBlur = 5;
+    c.beginPath();
+    c.fillStyle = coreColor;
+    c.arc(p.x,p.y,6,0,Math.PI*2);
+    c.fill();
 
     // 番号
-    ctx.shadowBlur = 0;
-    ctx.fillStyle=numBg;
-    ctx.font = 'bold 11px "Orbitron", monospace';
+    c.shadowBlur = 0;
+    c.fillStyle=numBg;
+    c.font = 'bold 11px "Orbitron", monospace';
     const text = String(i+1);
-    const metrics = ctx.measureText(text);
-    ctx.fillText(text, p.x+27-metrics.width/2, p.y+4);
-  }
-  ctx.shadowBlur = 0;
-}
-
-// ---- 幾何ヘルパ ----
-const dist = (a,b)=> Math.hypot(a.x-b.x, a.y-b.y);
-function totalLength(pts){ let s=0; for(let i=1;i<pts.length;i++) s+=dist(pts[i],pts[i-1]); return s; }
-function turns(pts){
-  let t=0; for(let i=2;i<pts.length;i++){
-    const v1={x:pts[i-1].x-pts[i-2].x,y:pts[i-1].y-pts[i-2].y};
-    const v2={x:pts[i].x-pts[i-1].x,y:pts[i].y-pts[i-1].y};
-    const den=(Math.hypot(v1.x,v1.y)*Math.hypot(v2.x,v2.y)||1);
-    const ang=Math.acos(((v1.x*v2.x+v1.y*v2.y)/den));
-    if(isFinite(ang) && Math.abs(ang)>0.6) t++;
-  } return t;
-}
-function adjRatio(pts){
-  if(pts.length<=1) return 0;
-  let a=0; for(let i=1;i<pts.length;i++){
-    const dx=Math.abs(pts[i].x-pts[i-1].x), dy=Math.abs(pts[i].y-pts[i-1].y);
-    if(dx<=THRESH.adj_dx && dy<=THRESH.adj_dy) a++;
-  }
-  return a/(pts.length-1);
-}
-function directionEntropy(pts){
-  if(pts.length<=1) return 0;
-  const bins=new Array(8).fill(0);
-  for(let i=1;i<pts.length;i++){
-    const dx=pts[i].x-pts[i-1].x, dy=pts[i].y-pts[i-1].y;
-    if(dx===0 && dy===0) continue;
-    const ang=Math.atan2(dy,dx); // -pi..pi
-    // 8方位に量子化（E=0,NE=1,...）
-    const dir = Math.round(((ang+Math.PI)/(2*Math.PI))*8)%8;
-    bins[dir]++;
-  }
-  const n=bins.reduce((s,v)=>s+v,0); if(!n) return 0;
-  let H=0; for(const v of bins){ if(v>0){ const p=v/n; H -= p*Math.log2(p); } }
-  return H; // 最大 ~3
-}
-function stepCV(pts){
-  const arr=[]; for(let i=1;i<pts.length;i++) arr.push(dist(pts[i],pts[i-1]));
-  if(arr.length===0) return 0;
-  const mean = arr.reduce((s,v)=>s+v,0)/arr.length;
-  if(mean===0) return 0;
-  const varc = arr.reduce((s,v)=>s+(v-mean)*(v-mean),0)/arr.length;
-  return Math.sqrt(varc)/mean;
-}
-function knightRatio(pts){
-  if(pts.length<=1) return 0;
-  let k=0; for(let i=1;i<pts.length;i++){
-    const dx=Math.abs(pts[i].x-pts[i-1].x), dy=Math.abs(pts[i].y-pts[i-1].y);
-    // 格子間隔を概ね keyW+gap=~68px, rowGap=~78px と想定、近似で2:1/1:2を判定
-    const near=(a,b,eps)=>Math.abs(a-b)<=12; // 許容
-    if( (near(dx, 2*68) && near(dy, 1*78)) || (near(dx, 1*68) && near(dy, 2*78)) ) k++;
-  }
-  return k/(pts.length-1);
-}
-
-// ---- グラフ駆動の歩き検出（レイアウト非依存 A1） ----
-function buildAdjGraph(points){
-  // 頂点はインデックス、隣接は閾値内
-  const adj=Array.from({length:points.length},()=>[]);
-  for(let i=0;i<points.length;i++){
-    for(let j=i+1;j<points.length;j++){
-      const dx=Math.abs(points[j].x-points[i].x), dy=Math.abs(points[j].y-points[i].y);
-      if(dx<=THRESH.adj_dx && dy<=THRESH.adj_dy){ adj[i].push(j); adj[j].push(i); }
-    }
-  }
-  return adj;
-}
-function detectAdjacentWalks(chars, points){
-  // 連続的な入力において、隣接辺が3〜5個以上つながる部分列を抽出
-  const res=[];
-  let run=[];
-  for(let i=1;i<points.length;i++){
-    const dx=Math.abs(points[i].x-points[i-1].x), dy=Math.abs(points[i].y-points[i-1].y);
-    const isAdj = (dx<=THRESH.adj_dx && dy<=THRESH.adj_dy);
-    if(isAdj){
-      if(!run.length) run.push(i-1);
-      run.push(i);
-    }else{
-      if(run.length>=3){ // 長さ3以上
-        const s=run[0], e=run[run.length-1];
-        res.push(chars.slice(s,e+1));
-      }
-      run=[];
-    }
+    const metrics = c.measureText(text);
+    c.fillText(text, p.x-metrics.width/2, p.y+4);
   }
-  if(run.length>=3) res.push(chars.slice(run[0], run[run.length-1]+1));
-  return res;
+  c.shadowBlur = 0;
 }
 
-// ---- 既知/反復パターン（A4） ----
-function repeatedNgrams(str, minN=2, maxN=4){
-  const s=str.toLowerCase(); const out=new Set();
-  for(let n=minN;n<=maxN;n++){
-    const freq=new Map();
-    for(let i=0;i<=s.length-n;i++){
-      const g=s.slice(i,i+n);
-      if(/\s/.test(g)) continue;
-      freq.set(g,(freq.get(g)||0)+1);
-    }
-    for(const [g,c] of freq.entries()) if(c>=3) out.add(`${g}×${c}`);
+// ---- 描画：プロファイルのヒートマップ・遷移 ----
+// 使用回数の色スケール（少 → 多）。凡例のグラデーションにも同じ色を使う
+const HEAT_STOPS = ['#1e3cff','#00f0ff','#39ff14','#ffea00','#ff073a'];
+const TRANSITION_MAX = 40;   // 描く遷移の上限（回数の多い順）
+
+// 0〜1 の値を色スケール上の色にする
+function heatColor(t){
+  const n = HEAT_STOPS.length-1;
+  const seg = Math.min(n-1, Math.floor(t*n)), f = t*n-seg;
+  const [a,b] = [HEAT_STOPS[seg], HEAT_STOPS[seg+1]].map(h=> [1,3,5].map(i=> parseInt(h.slice(i,i+2),16)));
+  return `rgb(${a.map((v,i)=> Math.round(v+(b[i]-v)*f)).join(',')})`;
+}
+
+// キーごとに使用回数の色で塗り、ラベルと回数を重ねる
+function drawHeatmap(prof){
+  const counts = new Map(prof.keyFrequency);
+  const max = prof.keyFrequency.length ? prof.keyFrequency[0][1] : 0;
+  const gap = 3;
+
+  for(const k of geometry.keys){
+    const c = counts.get(k.char);
+    if(!c) continue;
+    const x = view.ox + k.x*view.scale + gap, y = view.oy + k.y*view.scale + gap;
+    const w = k.w*view.scale - 2*gap, h = k.h*view.scale - 2*gap;
+    const color = heatColor(max>1 ? (c-1)/(max-1) : 1);
+
+    pctx.globalAlpha = 0.75;
+    pctx.shadowBlur = 15; pctx.shadowColor = color;
+    pctx.fillStyle = color;
+    pctx.fillRect(x,y,w,h);
+    pctx.globalAlpha = 1; pctx.shadowBlur = 0;
+
+    pctx.fillStyle = '#0a0e27';
+    pctx.font = 'bold 13px "Orbitron", monospace';
+    pctx.fillText(k.label, x+w/2-pctx.measureText(k.label).width/2, y+h/2+5);
+    pctx.font = 'bold 10px "Orbitron", monospace';
+    const cnt = String(c);
+    pctx.fillText(cnt, x+w-4-pctx.measureText(cnt).width, y+h-5);
   }
-  return Array.from(out);
+
+  // 凡例
+  document.getElementById('heat-legend').hidden = !max;
+  document.getElementById('heat-bar').style.background = `linear-gradient(90deg, ${HEAT_STOPS.join(', ')})`;
+  setText('heat-max', max);
 }
 
-// ---- KDS（B1） ----
-function kdsScore({adj, H, turns, len, cv, patterns}){
-  const normAdj = Math.min(1, adj/THRESH.high_adj_ratio);          // 0..1
-  const lowH = Math.max(0, (THRESH.entropy_bad - H)/THRESH.entropy_bad);
-  const straightFlag = (len>=4 && turns<=1) ? 1 : 0;
-  const patternFlag = (patterns.length>0) ? 1 : 0;
-  const lowCV = Math.max(0, (THRESH.stepcv_bad - cv)/THRESH.stepcv_bad);
+// キー間の遷移を矢印で描く（太さ = 回数。逆向きの遷移がある組は左右にずらす）
+function drawTransitions(prof){
+  const isLight = document.documentElement.getAttribute('data-theme') === 'light';
+  const color = isLight ? '#cc0099' : '#ff00e5';
+  const centers = new Map(geometry.keys.filter(k=> k.char!==null).map(k=> [k.char, toPx({x:k.cx, y:k.cy})]));
+  const list = prof.transitions.slice(0, TRANSITION_MAX);
+  const max = list.length ? list[0].count : 0;
+  const ids = new Set(list.map(t=> `${t.from}\u0000${t.to}`));
+  const r = 14;   // キー中心から離す距離（ラベルを隠さない）
+
+  pctx.strokeStyle = color; pctx.fillStyle = color;
+  pctx.shadowBlur = 10; pctx.shadowColor = color;
+  pctx.lineCap = 'round';
+  for(const t of list){
+    const a = centers.get(t.from), b = centers.get(t.to);
+    if(!a || !b) continue;
+    const dx = b.x-a.x, dy = b.y-a.y, len = Math.hypot(dx,dy);
+    if(len<=2*r) continue;
+    const ux = dx/len, uy = dy/len;
+    const off = ids.has(`${t.to}\u0000${t.from}`) ? 5 : 0;
+    const sx = a.x+ux*r-uy*off, sy = a.y+uy*r+ux*off;
+    const ex = b.x-ux*r-uy*off, ey = b.y-uy*r+ux*off;
+    const lw = 1.5 + 6*t.count/max, head = 6+lw;
+
+    pctx.globalAlpha = 0.5 + 0.4*t.count/max;
+    pctx.lineWidth = lw;
+    pctx.beginPath(); pctx.moveTo(sx,sy); pctx.lineTo(ex-ux*head*0.8, ey-uy*head*0.8); pctx.stroke();
+    pctx.beginPath();
+    pctx.moveTo(ex,ey);
+    pctx.lineTo(ex-ux*head-uy*head*0.6, ey-uy*head+ux*head*0.6);
+    pctx.lineTo(ex-ux*head+uy*head*0.6, ey-uy*head-ux*head*0.6);
+    pctx.closePath(); pctx.fill();
+  }
+  pctx.globalAlpha = 1; pctx.shadowBlur = 0;
+}
 
-  const score =
-    0.30*normAdj +
-    0.25*lowH +
-    0.20*straightFlag +
-    0.15*patternFlag +
-    0.10*lowCV;
+// ---- レイアウト自動判定 ----
+/**
+ * 選択欄の値から分析に使うレイアウトを決める
+ * 「自動判定」なら入力を全レイアウトで分析して推定結果を使う
+ *
+ * @param {string} selected - 選択欄の値
+ * @param {string|string[]} input - パスワード、またはパスワードの配列
+ * @returns {{layout: string, inferred: Object|null}} inferred は inferLayout の戻り値（自動判定時のみ）
+ */
+function resolveLayout(selected, input){
+  if(selected!==AUTO_LAYOUT) return {layout:selected, inferred:null};
+  const inferred = inferLayout(input);
+  return {layout: inferred.best || 'jis', inferred};
+}
 
-  return Math.round(100*score);
+// 推定結果（上位5件と次点との差）を表示。自動判定でなければ欄ごと隠す
+function renderInference(boxId, listId, inf){
+  const box = document.getElementById(boxId);
+  const ul = document.getElementById(listId); ul.innerHTML='';
+  box.hidden = !inf;
+  if(!inf || !inf.best) return;
+
+  const best = inf.ranking[0];
+  if(inf.close) addLi(ul, `推定: ${best.name}（次点との差 KDS ${inf.margin.toFixed(1)}、僅差のため判別困難）`, 'bad');
+  else addLi(ul, `推定: ${best.name}（次点との差 KDS +${inf.margin.toFixed(1)}）`);
+  if(inf.ties.length){
+    const names = inf.ranking.filter(r=> inf.ties.includes(r.layout)).map(r=> r.name);
+    addLi(ul, `同点: ${names.join(', ')}（指標が同じ）`);
+  }
+  if(kdsLabel(Math.round(best.kds))==='良好') addLi(ul, 'どのレイアウトでも歩きの特徴が弱く、推定の信頼度は低い', 'bad');
+  inf.ranking.slice(0,5).forEach((r,i)=>{
+    addLi(ul, `${i+1}. ${r.name} — KDS ${r.kds.toFixed(0)} / 隣接 ${(r.adjRatio*100).toFixed(0)}% / 打鍵可能 ${(r.coverage*100).toFixed(0)}%`);
+  });
 }
-const kdsLabel = v => (v>=60?'要改善': (v>=40?'注意':'良好'));
 
 // ---- 単体分析 ----
-function analyzeSingle(){
-  const layout = document.getElementById('layout').value;
+/**
+ * 入力欄のパスワードを分析して表示する
+ * @param {{live?: boolean}} [options] - live: 入力中の分析（createLiveAnalyzer で前回の計算を使い回す）
+ */
+function analyzeSingle({live=false}={}){
   const mode   = document.getElementById('mode').value;
   const raw    = document.getElementById('pwd').value || '';
+  const shapeInput = document.getElementById('input-kind').value==='shape';
 
-  coordMap = buildCoordMap(layout);
-  drawKeyboards();
-
-  const chars = raw.split('');
-  const {points, unknown} = textToPoints(raw);
-  plotPath(points, mode);
-
-  const uniq = new Set(chars.map(c=> (shiftUnmap(c.toLowerCase())||c.toLowerCase()))).size;
-  const len  = totalLength(points);
-  const trn  = turns(points);
-  const adjR = adjRatio(points);
-  const H    = directionEntropy(points);
-  const cv   = stepCV(points);
-  const kRat = knightRatio(points);
-
-  setText('m-unique', uniq);
-  setText('m-length', Math.round(len));
-  setText('m-turns', trn);
-  setText('m-adj', (adjR*100).toFixed(0)+'%');
-  setText('m-dirh', H.toFixed(2));
-  setText('m-cv', cv.toFixed(2));
-  setText('m-knight', (kRat*100).toFixed(0)+'%');
-
-  // パターン検出
+  // 形状データは文字がないためレイアウトを推定できない（自動判定ならファイルの指定か JIS）
+  let shape = null;
+  if(shapeInput){
+    try{ shape = parseShape(raw); setShapeStatus(''); }
+    catch(err){ setShapeStatus(err.message, 'bad'); resetSingle(); return; }
+  }
+  const selected = document.getElementById('layout').value;
+  const {layout, inferred} = shapeInput
+    ? {layout: selected===AUTO_LAYOUT ? (shapeLayout || 'jis') : selected, inferred: null}
+    : resolveLayout(selected, raw);
+
+  useLayout(layout);
+  renderInference('infer-single', 'infer-list', inferred);
+
+  const romaji = document.getElementById('romaji').checked;
+  const r = shapeInput ? analyzeShape(shape, {layout})
+    : live ? liveAnalyzerFor(layout, romaji).update(raw) : analyze(raw, {layout, romaji});
+  showKanaTyped(shapeInput || layout!==KANA_LAYOUT ? null : raw);
+  plotPath(r.points, mode);
+  loadPlayback(r.points);
+
+  const m = r.metrics;
+  setText('m-unique', m.unique);
+  setText('m-length', m.length.toFixed(1));
+  setText('m-turns', m.turns);
+  setText('m-adj', (m.adjRatio*100).toFixed(0)+'%');
+  setText('m-dirh', m.entropy.toFixed(2));
+  setText('m-cv', m.stepCV.toFixed(2));
+  setText('m-knight', (m.knightRatio*100).toFixed(0)+'%');
+  setText('m-mods', m.modifierToggles);
+  setText('m-layers', m.layerSwitches);
+
+  // 形状パターン（打鍵順の番号はキャンバスの表示と同じ1始まり）
+  const plist = document.getElementById('p-list'); plist.innerHTML='';
+  r.patterns.forEach(p=> addLi(plist, `[${p.family}] ${p.label} "${p.text}" ${p.direction}（${p.start+1}〜${p.end+1}打鍵目）`));
+  if(!r.patterns.length && raw.length>0) addLi(plist, '該当なし', 'empty');
+
+  // パターン検出（該当する文字があれば、カーソルを合わせるとキャンバスと入力文字列で強調）
   const dlist = document.getElementById('d-list'); dlist.innerHTML='';
-  let hasPattern = false;
+  r.detections.forEach(d=>{
+    addLi(dlist, d.text, d.level);
+    if(!d.spans.length) return;
+    const li = dlist.lastChild;
+    li.tabIndex = 0;
+    const on = ()=> highlightDetection(d), off = ()=> highlightDetection(null);
+    li.addEventListener('mouseenter', on); li.addEventListener('focus', on);
+    li.addEventListener('mouseleave', off); li.addEventListener('blur', off);
+  });
 
-  if(unknown.length){
-    addLi(dlist, `非対象/未マップ：${unknown.map(s=>JSON.stringify(s)).join(' ')}`, 'bad');
-    hasPattern = true;
+  // パターンなしの場合
+  if(!r.detections.length && raw.length>0){
+    const li = document.createElement('li');
+    li.className = 'empty';
+    li.textContent = 'パターンなし（良好）';
+    dlist.appendChild(li);
   }
 
-  // 既知キーワード
-  const sLower = raw.toLowerCase();
-  ['qwerty','asdf','zxcv','1234','password','pass','admin'].forEach(k=>{
-    if(sLower.includes(k)){ addLi(dlist, `定番パターン: "${k}"`, 'bad'); hasPattern = true; }
-  });
+  // KDS と内訳
+  setText('m-kds', `${r.kds}（${r.label}）`);
+  showPolicy('single-policy', r.policy);
+  lastSingle = r;
+  renderBreakdown(r);
 
-  // 連続隣接（レイアウト非依存）
-  const walks = detectAdjacentWalks(chars, points);
-  if(walks.length){ addLi(dlist, `連続隣接（歩き）: ${walks.map(w=>`"${w.join('')}"`).join(', ')}`, 'bad'); hasPattern = true; }
+  // 推測回数（区間の内訳と、選択中のハッシュ速度での解読時間）
+  lastGuess = r.guess;
+  renderGuess();
+  const glist = document.getElementById('g-list'); glist.innerHTML='';
+  if(!r.guess) addLi(glist, '形状データでは見積もれません（辞書語・年号・日付の判定に文字が必要）', 'empty');
+  else r.guess.segments.forEach(g=> addLi(glist, `${g.label} "${g.text}" — 約${formatCount(g.guesses)}回`));
 
-  // 直線優勢
-  if(chars.length>=4 && trn<=1){ addLi(dlist, '長い直線的な移動（方向転換が少ない）', 'bad'); hasPattern = true; }
+  renderCompliance(raw.length ? checkCompliance(r) : null);
+}
 
-  // 高隣接
-  if(chars.length>=6 && adjR>THRESH.high_adj_ratio){ addLi(dlist, '高い隣接比率（キーボード歩き）', 'bad'); hasPattern = true; }
+// パスワード規則の合否（満たさない規則には書き換えの提案を子項目で添える。null で空にする）
+function renderCompliance(c){
+  const clist = document.getElementById('c-list'); clist.innerHTML='';
+  if(!c) return;
+  for(const x of c.rules){
+    const mark = x.pass===null ? '−' : x.pass ? '✓' : '✗';
+    addLi(clist, `${mark} ${x.label}: ${x.detail}`, x.pass===null ? '' : x.pass ? 'good' : 'bad');
+    if(!x.suggestions.length) continue;
+    const ul = document.createElement('ul');
+    x.suggestions.forEach(s=> addLi(ul, s));
+    clist.lastChild.appendChild(ul);
+  }
+}
 
-  // 反復 n-gram
-  const reps = repeatedNgrams(raw,2,4);
-  if(reps.length){ addLi(dlist, `反復n-gram: ${reps.join(', ')}`, 'bad'); hasPattern = true; }
+// ---- 形状データの入力 ----
+let shapeLayout = null;   // 読み込んだ JSON で指定されたレイアウト
 
-  // 方向エントロピー低
-  if(H<THRESH.entropy_bad){ addLi(dlist, `方向エントロピー低 (H=${H.toFixed(2)})`, 'bad'); hasPattern = true; }
+function setShapeStatus(text, level){
+  const el = document.getElementById('shape-status');
+  el.textContent = text;
+  el.className = `small${level ? ' '+level : ''}`;
+}
+
+// 入力の種類を切り替える（入力欄は空にする。形状データでは文字列のサンプルを隠す）
+function setInputKind(kind){
+  const shapeInput = kind==='shape';
+  document.getElementById('shape-input').hidden = !shapeInput;
+  document.querySelector('#tab-single .preset-group').hidden = shapeInput;
+  const pwd = document.getElementById('pwd');
+  pwd.placeholder = shapeInput ? '例: 1.75,1.5 >1,0 >1,0 >1,0:shift' : '例: qwerty123!';
+  pwd.value = '';
+  shapeLayout = null;
+  setShapeStatus('');
+  resetSingle();
+  useLayout(document.getElementById('layout').value);
+}
 
-  // ステップ単調
-  if(cv<THRESH.stepcv_bad){ addLi(dlist, `ステップ長が単調 (CV=${cv.toFixed(2)})`, 'bad'); hasPattern = true; }
+// 形状データのファイルを読み込み、1件目を分析する
+function loadShapeFile(text){
+  const file = parseShapeFile(text);
+  shapeLayout = file.layout;
+  if(file.layout) document.getElementById('layout').value = file.layout;
+  document.getElementById('pwd').value = formatShape(file.items[0]);
+  analyzeSingle();
+  setShapeStatus(file.items.length>1
+    ? `${file.items.length}件中1件目を読み込みました（まとめて分析するには CLI の --shape を使ってください）`
+    : '読み込みました', 'good');
+}
 
-  // ナイトムーブ（特徴）
-  if(kRat>=0.20){ addLi(dlist, `ナイトムーブ比率が高い (${(kRat*100).toFixed(0)}%)`, 'good'); hasPattern = true; }
+// 選択中のレイアウトのサンプル（歩き①）を移動量の形式で入れる
+function fillShapeExample(){
+  const selected = document.getElementById('layout').value;
+  const layout = selected===AUTO_LAYOUT ? 'jis' : selected;
+  const {points} = analyze(layoutPresets(layout, 'single').walk1 || '', {layout});
+  shapeLayout = null;
+  document.getElementById('pwd').value = formatShape(points, {relative:true});
+  analyzeSingle();
+}
 
-  // パターンなしの場合
-  if(!hasPattern && chars.length>0){
+// JIS かな配列で分析したとき、かな入力オフで同じキーを押すと入る文字列を示す（null で隠す）
+function showKanaTyped(raw){
+  const el = document.getElementById('kana-typed');
+  el.hidden = !raw;
+  el.textContent = raw ? `かな入力オフで同じキーを押すと入る文字列: ${kanaToAscii(raw)}` : '';
+}
+
+// ---- 入力中の分析 ----
+let liveAnalyzer = null;   // レイアウトを変えたら作り直す
+let liveFrame = 0;
+
+function liveAnalyzerFor(layout, romaji){
+  if(!liveAnalyzer || liveAnalyzer.layout!==layout || liveAnalyzer.romaji!==romaji) liveAnalyzer = createLiveAnalyzer({layout, romaji});
+  return liveAnalyzer;
+}
+
+// 連続した入力は次の描画フレームでまとめて1回だけ分析する
+function scheduleLiveAnalysis(){
+  if(!document.getElementById('live').checked || liveFrame) return;
+  liveFrame = requestAnimationFrame(()=>{
+    liveFrame = 0;
+    if(document.getElementById('pwd').value) analyzeSingle({live:true});
+    else{ resetSingle(); useLayout(document.getElementById('layout').value); }
+  });
+}
+
+// ---- KDS の内訳と該当文字の強調 ----
+let lastSingle = null;   // 直近の単体分析の結果（検出パターンの強調で使う）
+
+// 文字位置が区間のいずれかに含まれるか
+const inSpans = (i, spans)=> spans.some(s=> i>=s.start && i<=s.end);
+
+function renderBreakdown(r){
+  const ul = document.getElementById('kds-parts'); ul.innerHTML='';
+  for(const c of r.breakdown){
     const li = document.createElement('li');
-    li.className = 'empty';
-    li.textContent = 'パターンなし（良好）';
-    dlist.appendChild(li);
+    const name = document.createElement('span');
+    name.textContent = c.label;
+    const bar = document.createElement('div');
+    bar.className = 'kds-bar';
+    bar.title = `値 ${c.value.toFixed(2)} × 重み ${Math.round(c.weight*100)}%`;
+    const fill = document.createElement('span');
+    fill.style.width = `${(c.value*100).toFixed(0)}%`;
+    bar.appendChild(fill);
+    const pts = document.createElement('span');
+    pts.className = 'pts';
+    pts.textContent = `+${c.points.toFixed(1)} / ${Math.round(c.weight*100)}点`;
+    li.append(name, bar, pts);
+    ul.appendChild(li);
   }
 
-  // KDS
-  const patternsForKDS = Array.from(dlist.querySelectorAll('li.bad')).map(li=>li.textContent);
-  const kds = kdsScore({adj:adjR, H, turns:trn, len:chars.length, cv, patterns:patternsForKDS});
-  const label = kdsLabel(kds);
-  setText('m-kds', `${kds}（${label}）`);
+  // 入力文字列（リスク要因の文字を強調）
+  const box = document.getElementById('kds-text'); box.innerHTML='';
+  const bad = r.detections.filter(d=> d.level==='bad');
+  [...r.password].forEach((ch,i)=>{
+    const span = document.createElement('span');
+    span.textContent = /\s/.test(ch) ? '␣' : ch;
+    const hits = bad.filter(d=> inSpans(i, d.spans));
+    if(hits.length){
+      span.className = hits.some(d=> d.type==='unmapped') ? 'hl unmapped' : 'hl';
+      span.title = hits.map(d=> d.text).join('\n');
+    }
+    box.appendChild(span);
+  });
 }
 
-// ---- プロファイル ----
-function analyzeProfile(){
-  const layout = document.getElementById('profile-layout').value;
-  coordMap = buildCoordMap(layout);
-  drawKeyboards();
+// 検出パターンの該当箇所をキャンバスと入力文字列で強調する（null で解除）
+function highlightDetection(d){
+  if(!lastSingle) return;
+  const spans = d ? d.spans : [];
+  document.querySelectorAll('#kds-text span').forEach((el,i)=> el.classList.toggle('active', inSpans(i, spans)));
+
+  // 経路全体を表示した状態に戻してから描く（再生中なら止める）
+  loadPlayback(lastSingle.points);
+  const highlight = new Set();
+  lastSingle.charIndex.forEach((c,i)=>{ if(inSpans(c, spans)) highlight.add(i); });
+  renderPlaybackFrame(lastSingle.points, {highlight});
+}
 
-  const lines = (document.getElementById('pwds').value || '')
-    .split(/\n+/).map(s=>s.trim()).filter(Boolean);
+// ---- 経路の再生 ----
+const PLAYBACK_INTERVAL = 700;   // 速度 1.0× での1打鍵あたりの表示時間（ms）
+// points: 再生する座標列、geometry: 分析時のレイアウト、walkSteps: 歩きの区間に含まれる移動、step: 表示中の打鍵
+const playback = {points:[], geometry:null, walkSteps:new Set(), step:-1, timer:null};
+
+// 単体分析の結果を再生対象にする（最初は経路全体を表示した状態）
+function loadPlayback(points){
+  pausePlayback();
+  playback.points = points;
+  playback.geometry = geometry;
+  playback.walkSteps = new Set();
+  for(const r of adjacentWalkRanges(points)){
+    for(let i=r.start+1;i<=r.end;i++) playback.walkSteps.add(i);
+  }
+  playback.step = points.length-1;
+  setPlaybackEnabled(points.length>0);
+  setText('pb-step', points.length ? `全${points.length}打鍵 — ▶ で1打鍵目から再生` : '-');
+}
 
-  const traitsUL = document.getElementById('traits-list'); traitsUL.innerHTML='';
-  if(!lines.length){ addLi(traitsUL, '入力がありません','bad'); resetProfileMetrics(); return; }
-
-  const used = new Set(); const keyFreq=new Map(); const bigram=new Map();
-  let totalAdj=0,totalTurns=0,totalLen=0;
-  const heatPts=[];
-
-  for(const line of lines){
-    const {points} = textToPoints(line);
-    points.forEach(p=>{ heatPts.push(p); });
-    // metrics per line
-    totalLen += totalLength(points);
-    totalTurns += turns(points);
-    totalAdj += adjRatio(points);
-    // used keys & freq
-    for(const ch of line.toLowerCase()){
-      const k = coordMap.has(ch) ? ch : shiftUnmap(ch);
-      if(k && coordMap.has(k)){
-        used.add(k);
-        keyFreq.set(k,(keyFreq.get(k)||0)+1);
-      }
+function resetPlayback(){
+  pausePlayback();
+  Object.assign(playback, {points:[], geometry:null, walkSteps:new Set(), step:-1});
+  setPlaybackEnabled(false);
+  setText('pb-step', '-');
+}
+
+function setPlaybackEnabled(on){
+  ['pb-back','pb-play','pb-fwd'].forEach(id=> document.getElementById(id).disabled = !on);
+}
+
+// 単体分析のキャンバスだけを描き直す
+// 他のタブでレイアウトを切り替えていても、分析時の配置に戻して描く
+function renderPlaybackFrame(points, opts){
+  if(geometry!==playback.geometry){ geometry = playback.geometry; view = fitView(geometry); }
+  drawKeyboards([{c:ctx,w:canvas.width,h:canvas.height}]);
+  plotPath(points, document.getElementById('mode').value, opts);
+}
+
+// 表示中の打鍵までの経路と、その打鍵の向き・距離を表示する
+function renderPlaybackStep(){
+  const {points, step} = playback;
+  renderPlaybackFrame(points.slice(0, step+1), {walkSteps:playback.walkSteps, current:step});
+
+  const p = points[step];
+  let text = `${step+1}/${points.length}打鍵目 "${p.char}"`;
+  if(step===0) text += ' — 開始キー';
+  else{
+    const bin = directionBin(points[step-1], p);
+    text += bin<0 ? ' — 向き: 同じキー（ビンなし）' : ` — 向き: ${DIRECTION_BINS[bin]}（ビン${bin}）`;
+    text += ` / 距離: ${dist(points[step-1], p).toFixed(2)}u`;
+    if(playback.walkSteps.has(step)) text += ' / 歩きの区間';
+    if(points[step-1].page!==p.page){
+      const pageLabel = id=> playback.geometry.pages.find(q=> q.id===id)?.label ?? id;
+      text += ` / レイヤー切替: ${pageLabel(points[step-1].page)} → ${pageLabel(p.page)}`;
     }
-    // bigrams
-    for(let i=0;i<line.length-1;i++){
-      const g=line.slice(i,i+2).toLowerCase();
-      if(/\s/.test(g)) continue;
-      bigram.set(g,(bigram.get(g)||0)+1);
+  }
+  setText('pb-step', text);
+}
+
+function stepPlayback(delta){
+  pausePlayback();
+  const next = Math.min(playback.points.length-1, Math.max(0, playback.step+delta));
+  if(next===playback.step || !playback.points.length) return;
+  playback.step = next;
+  renderPlaybackStep();
+}
+
+function togglePlayback(){
+  if(playback.timer!==null){ pausePlayback(); return; }
+  if(!playback.points.length) return;
+  // 最後まで表示していれば最初から
+  playback.step = playback.step>=playback.points.length-1 ? 0 : playback.step+1;
+  renderPlaybackStep();
+  setPlayButton(true);
+  scheduleNextStep();
+}
+
+function scheduleNextStep(){
+  if(playback.step>=playback.points.length-1){ pausePlayback(); return; }
+  const speed = Number(document.getElementById('pb-speed').value) || 1;
+  playback.timer = setTimeout(()=>{
+    playback.step++;
+    renderPlaybackStep();
+    scheduleNextStep();
+  }, PLAYBACK_INTERVAL/speed);
+}
+
+function pausePlayback(){
+  if(playback.timer!==null){ clearTimeout(playback.timer); playback.timer = null; }
+  setPlayButton(false);
+}
+
+function setPlayButton(playing){
+  const btn = document.getElementById('pb-play');
+  btn.textContent = playing ? '❚❚ 一時停止' : '▶ 再生';
+  btn.setAttribute('aria-label', playing ? '一時停止' : '再生');
+}
+
+// ---- 推測回数 ----
+const HASH_RATE_KEY = 'hashRate';
+let lastGuess = null;   // 直近の単体分析の推測回数（ハッシュ速度の切替で再表示）
+
+// 回数を桁に応じて表示する（1万未満はそのまま、以上は 10^n 表記）
+function formatCount(n){
+  return n<1e4 ? String(Math.round(n)) : `10^${Math.log10(n).toFixed(1)}`;
+}
+
+function renderGuess(){
+  if(!lastGuess){ setText('m-guess','-'); setText('m-crack','-'); return; }
+  const rate = HASH_RATES.find(h=> h.id===document.getElementById('hash-rate').value) || HASH_RATES[0];
+  setText('m-guess', `2^${lastGuess.bits.toFixed(1)}`);
+  setText('m-crack', `約${formatCount(lastGuess.guesses)}回 / 解読時間: ${formatCrackTime(crackSeconds(lastGuess.guesses, rate.perSecond))}`);
+}
+
+// ハッシュ速度の選択欄（前回の選択を復元）
+function populateHashRates(){
+  const sel = document.getElementById('hash-rate');
+  for(const h of HASH_RATES){
+    const o = document.createElement('option');
+    o.value = h.id; o.textContent = h.label;
+    sel.appendChild(o);
+  }
+  const saved = localStorage.getItem(HASH_RATE_KEY);
+  sel.value = HASH_RATES.some(h=> h.id===saved) ? saved : 'fast_hash';
+}
+
+// ---- 比較 ----
+// 重ねて表示での A・B の経路の色（テーマ別）
+const COMPARE_COLORS = {
+  a: {dark:'#00f0ff', light:'#0066cc'},
+  b: {dark:'#ff00e5', light:'#cc0099'}
+};
+// サンプル（旧 → 新パスワード、同じ入力を別のレイアウトで）
+const COMPARE_PRESETS = {
+  update:  {a:'qwerty2024!', layoutA:'qwerty', b:'Tq8#mZ2vL!', layoutB:'qwerty'},
+  layouts: {a:'aoeuhtns',    layoutA:'qwerty', b:'aoeuhtns',   layoutB:'dvorak'}
+};
+// 指標の差の判定（compareResults の verdict）の説明
+const COMPARE_VERDICTS = {better:'B の方が良い', worse:'B の方が悪い', same:'変化なし', neutral:'良し悪しは決まらない'};
+let lastCompare = null;   // 直近の比較 {a, b, diff}（表示方法・テーマの切替で再描画）
+
+// A・B の入力をそれぞれのレイアウトで分析して比べる
+function analyzeCompare(){
+  const input = id=> document.getElementById(`cmp-${id}`).value || '';
+  if(!input('a') || !input('b')){ setText('cmp-status', 'A と B の両方を入力してください'); return; }
+  setText('cmp-status', '');
+  const side = id=> analyze(input(id), {layout: resolveLayout(document.getElementById(`cmp-layout-${id}`).value, input(id)).layout});
+  const a = side('a'), b = side('b');
+  lastCompare = {a, b, diff: compareResults(a, b)};
+  renderCompare();
+}
+
+/**
+ * 比較のキャンバスを描く（比較前は選択中のレイアウトのキーボードだけ）
+ * 並べて表示では A・B をそれぞれのレイアウトに、重ねて表示では A のレイアウトに両方の経路を色分けして描く
+ */
+function drawCompare(){
+  const overlay = document.getElementById('cmp-view').value==='overlay';
+  document.getElementById('compare-canvases').classList.toggle('overlay', overlay);
+  const theme = document.documentElement.getAttribute('data-theme')==='light' ? 'light' : 'dark';
+  const layoutOf = id=>{
+    if(lastCompare) return lastCompare[id].layout;
+    const v = document.getElementById(`cmp-layout-${id}`).value;
+    return v===AUTO_LAYOUT ? 'jis' : v;
+  };
+  const sheets = {a: sheetOf(buildGeometry(layoutOf('a'))), b: sheetOf(buildGeometry(layoutOf('b')))};
+  const caption = id=> `${id.toUpperCase()}: ${lastCompare ? `"${lastCompare[id].password}" — ` : ''}${getLayout(layoutOf(id)).name}`;
+
+  if(overlay){
+    // 写像は両方の配置が収まる大きさで求める（B の経路は B のレイアウトでのキーの位置）
+    const v = fitView({width: Math.max(sheets.a.width, sheets.b.width), height: Math.max(sheets.a.height, sheets.b.height)});
+    drawKeyboards([{c:cctxA, w:ccanvasA.width, h:ccanvasA.height}], sheets.a, v);
+    for(const id of lastCompare ? ['a','b'] : []){
+      plotPath(lastCompare[id].points, 'path', {c:cctxA, toPx: p=> pointToPx(p, sheets[id], v), color: COMPARE_COLORS[id][theme]});
     }
+    setText('cmp-caption-a', `${caption('a')}（シアン） / ${caption('b')}（マゼンタ）`);
+    return;
   }
+  [{id:'a', c:cctxA, cvs:ccanvasA}, {id:'b', c:cctxB, cvs:ccanvasB}].forEach(({id, c, cvs})=>{
+    const v = fitView(sheets[id]);
+    drawKeyboards([{c, w:cvs.width, h:cvs.height}], sheets[id], v);
+    if(lastCompare) plotPath(lastCompare[id].points, 'path', {c, toPx: p=> pointToPx(p, sheets[id], v)});
+    setText(`cmp-caption-${id}`, caption(id));
+  });
+}
 
-  // heatmap（ネオングロー）
-  const isLight = document.documentElement.getAttribute('data-theme') === 'light';
-  const heatColor = isLight ? '#0066cc' : '#00f0ff';
-  const heatFill = isLight ? 'rgba(0,102,204,0.3)' : 'rgba(0,240,255,0.3)';
+// 指標の差の表と検出パターンの差を表示する
+function renderCompare(){
+  drawCompare();
+  const {a, diff} = lastCompare;
+  showPolicy('compare-policy', a.policy);
+
+  const table = document.getElementById('cmp-metrics'); table.innerHTML='';
+  const head = table.insertRow();
+  ['指標','A','B','差（B − A）'].forEach(t=>{ const th=document.createElement('th'); th.textContent=t; head.appendChild(th); });
+  for(const m of diff.metrics){
+    const row = table.insertRow();
+    const th = document.createElement('th'); th.className='row-head'; th.textContent=m.label;
+    row.appendChild(th);
+    row.insertCell().textContent = m.text.a;
+    row.insertCell().textContent = m.text.b;
+    const cell = row.insertCell();
+    cell.textContent = m.text.delta; cell.className = m.verdict; cell.title = COMPARE_VERDICTS[m.verdict];
+  }
 
-  for(const p of heatPts){
-    pctx.shadowBlur = 25;
-    pctx.shadowColor = heatColor;
-    pctx.fillStyle = heatFill;
-    pctx.beginPath();
-    pctx.arc(p.x+27,p.y,18,0,Math.PI*2);
-    pctx.fill();
+  // 悪い検出が消えた・良い検出が増えたものは改善、その逆は悪化として色を付ける
+  const ul = document.getElementById('cmp-detections'); ul.innerHTML='';
+  const label = id=> DETECTION_CHANGES.find(c=> c.id===id).label;
+  for(const d of diff.detections){
+    const level = (d.a || d.b).level;
+    if(d.change==='changed') addLi(ul, `${label('changed')}: ${d.a.text} → ${d.b.text}`);
+    else if(d.change==='same') addLi(ul, `${label('same')}: ${d.a.text}`);
+    else{
+      const improved = (d.change==='removed')===(level==='bad');
+      addLi(ul, `${label(d.change)}: ${(d.a || d.b).text}`, improved ? 'good' : 'bad');
+    }
   }
-  pctx.shadowBlur = 0;
+  if(!diff.detections.length) addLi(ul, 'A・B ともパターンなし', 'empty');
+}
+
+function resetCompare(){
+  lastCompare = null;
+  setText('cmp-status', '');
+  showPolicy('compare-policy', null);
+  document.getElementById('cmp-metrics').innerHTML='';
+  document.getElementById('cmp-detections').innerHTML='';
+  drawCompare();
+}
+
+// ---- プロファイル ----
+function analyzeProfile(){
+  const lines = (document.getElementById('pwds').value || '')
+    .split(/\n+/).map(s=>s.trim()).filter(Boolean);
+  const {layout, inferred} = resolveLayout(document.getElementById('profile-layout').value, lines);
+
+  useLayout(layout);
+  renderInference('infer-profile', 'profile-infer-list', inferred);
 
-  const n=lines.length;
-  const avgAdj = (totalAdj/n)||0, avgTurns=(totalTurns/n)||0, avgLen=(totalLen/n)||0;
-  setText('pm-adj', (avgAdj*100).toFixed(0)+'%');
-  setText('pm-turns', avgTurns.toFixed(1));
-  setText('pm-length', Math.round(avgLen));
-  setText('pm-uniq', used.size);
+  const traitsUL = document.getElementById('traits-list'); traitsUL.innerHTML='';
+  if(!lines.length){ addLi(traitsUL, '入力がありません','bad'); resetProfileMetrics(); resetClusters(); resetCandidates(); lastProfile = null; return; }
+
+  const prof = buildProfile(lines, {layout});
+
+  // 使用頻度ヒートマップ（＋キー間の遷移）
+  drawHeatmap(prof);
+  const showTransitions = document.getElementById('profile-transitions').checked;
+  if(showTransitions) drawTransitions(prof);
+  document.getElementById('heat-arrow-note').hidden = !showTransitions;
+
+  const pm = prof.metrics;
+  showPolicy('profile-policy', prof.policy);
+  setText('pm-adj', (pm.avgAdj*100).toFixed(0)+'%');
+  setText('pm-turns', pm.avgTurns.toFixed(1));
+  setText('pm-length', pm.avgLength.toFixed(1));
+  setText('pm-uniq', pm.uniqueKeys);
 
   // Traits
-  const topKeys = topN(keyFreq,8).map(([k,v])=>`${k.toUpperCase()}×${v}`);
+  const topKeys = prof.topKeys.map(([k,v])=>`${k.toUpperCase()}×${v}`);
   if(topKeys.length) addHtml(traitsUL, `よく使うキー: ${topKeys.map(s=>`<span class="kpill">${s}</span>`).join(' ')}`);
 
-  const topBi = topN(bigram,5).map(([g,v])=>`${g}×${v}`);
+  const topBi = prof.topBigrams.map(([g,v])=>`${g}×${v}`);
   if(topBi.length) addLi(traitsUL, `頻出バイグラム: ${topBi.join(', ')}`);
 
   // 接尾（年号・数字連続・記号連続）
-  const suf = summarizeSuffixes(lines);
-  if(suf.length) addLi(traitsUL, `接尾パターン: ${suf.join(', ')}`);
+  if(prof.suffixes.length) addLi(traitsUL, `接尾パターン: ${prof.suffixes.join(', ')}`);
 
   // 接頭（先頭大→小/大連続/小連続）＋テンプレ
-  const pre = summarizePrefixes(lines);
-  if(pre.length) addLi(traitsUL, `接頭パターン: ${pre.join(', ')}`);
+  if(prof.prefixes.length) addLi(traitsUL, `接頭パターン: ${prof.prefixes.join(', ')}`);
 
   // ゾーン偏り
-  const zones = summarizeZones(heatPts);
+  const zones = prof.zones;
   addLi(traitsUL, `ゾーン偏り: 左${(zones.left*100).toFixed(0)}% / 右${(zones.right*100).toFixed(0)}%, 上${(zones.top*100).toFixed(0)}% / 中${(zones.mid*100).toFixed(0)}% / 下${(zones.bottom*100).toFixed(0)}%`);
+
+  const clusters = renderClusters(lines, layout);
+  const predictability = renderCandidates(lines, layout);
+  lastProfile = {profile: prof, clusters, predictability, candidates: lastCandidates, geometry};
+}
+
+// ---- 類似・使い回しクラスター ----
+const MATRIX_MAX = 30;   // 行列に表示する件数の上限
+
+// クラスターと類似度行列を表示し、clusterPasswords の結果を返す
+function renderClusters(lines, layout){
+  const res = clusterPasswords(lines, {layout});
+  const q = i=> `"${res.lines[i]}"`;
+
+  const cUL = document.getElementById('cluster-list'); cUL.innerHTML='';
+  res.clusters.forEach((c,k)=>{
+    const kinds = c.kinds.map(x=> SIM_REASONS[x]).join('・');
+    addLi(cUL, `クラスター${k+1}（${c.members.length}件）: ${c.members.map(q).join(', ')} — ${kinds || SIM_REASONS.edit}`, c.counter ? 'bad' : '');
+  });
+  if(!res.clusters.length) addLi(cUL, '類似したパスワードの組はありません', 'empty');
+  res.pairs.slice(0,10).forEach(p=> addLi(cUL, `${q(p.a)} ↔ ${q(p.b)} ${(p.score*100).toFixed(0)}%: ${p.reasons.join(' / ')}`));
+
+  // 類似度行列（しきい値以上は赤、未満は類似度に応じた濃さのシアン）
+  const table = document.getElementById('sim-matrix'); table.innerHTML='';
+  const n = Math.min(res.lines.length, MATRIX_MAX);
+  if(n<2) return res;
+  const head = table.insertRow();
+  head.appendChild(document.createElement('th'));
+  for(let j=0;j<n;j++){ const th=document.createElement('th'); th.textContent=j+1; head.appendChild(th); }
+  for(let i=0;i<n;i++){
+    const row = table.insertRow();
+    const th = document.createElement('th'); th.className='row-head';
+    const name = res.lines[i];
+    th.textContent = `${i+1}. ${name.length>16 ? name.slice(0,15)+'…' : name}`; th.title = name;
+    row.appendChild(th);
+    for(let j=0;j<n;j++){
+      const v = res.matrix[i][j], cell = row.insertCell();
+      cell.textContent = i===j ? '-' : (v*100).toFixed(0);
+      if(i===j) continue;
+      cell.style.backgroundColor = v>=SIM_THRESHOLD ? `rgba(255,7,58,${(0.3+0.5*v).toFixed(2)})` : `rgba(0,240,255,${(0.4*v).toFixed(2)})`;
+      const pair = res.pairs.find(p=> (p.a===Math.min(i,j) && p.b===Math.max(i,j)));
+      cell.title = `${name} ↔ ${res.lines[j]}: ${(v*100).toFixed(0)}%${pair ? ' — '+pair.reasons.join(' / ') : ''}`;
+    }
+  }
+  if(res.lines.length>MATRIX_MAX) addLi(cUL, `類似度行列は先頭${MATRIX_MAX}件のみ表示しています`, 'empty');
+  return res;
+}
+function resetClusters(){
+  document.getElementById('cluster-list').innerHTML='';
+  document.getElementById('sim-matrix').innerHTML='';
+}
+
+// ---- 次に選びそうな候補 ----
+let lastCandidates = [];   // 保存ボタン用
+
+// 候補と予測的中を表示し、checkPredictability の結果を返す
+function renderCandidates(lines, layout){
+  lastCandidates = predictCandidates(lines, {layout});
+  const pred = checkPredictability(lines, {layout});
+
+  const sUL = document.getElementById('cand-summary'); sUL.innerHTML='';
+  if(pred.total>=2){
+    addLi(sUL, `予測的中: ${pred.hits.length}/${pred.total}件（${(pred.ratio*100).toFixed(0)}%）`, pred.hits.length ? 'bad' : 'good');
+    pred.hits.forEach(h=> addLi(sUL, `"${h.password}" は${h.rank}位で予測（${h.reason}）`, 'bad'));
+  }
+
+  const cUL = document.getElementById('cand-list'); cUL.innerHTML='';
+  lastCandidates.slice(0,20).forEach((c,i)=> addLi(cUL, `${i+1}. "${c.password}" [${c.label}] ${c.reason}`));
+  if(!lastCandidates.length) addLi(cUL, '該当なし', 'empty');
+  document.getElementById('dl-candidates').disabled = !lastCandidates.length;
+  return pred;
+}
+function resetCandidates(){
+  lastCandidates = [];
+  document.getElementById('cand-summary').innerHTML='';
+  document.getElementById('cand-list').innerHTML='';
+  document.getElementById('dl-candidates').disabled = true;
+}
+
+// ---- 一括監査 ----
+let auditWorker = null;   // 実行中の Web Worker
+let lastAudit = null;     // 直近の監査結果（再描画用）
+
+function startAudit(){
+  const file = document.getElementById('audit-file').files[0];
+  const layout = document.getElementById('audit-layout').value;
+  const romaji = document.getElementById('audit-romaji').checked;
+  resetAudit();
+  if(!file){ addLi(document.getElementById('audit-walks'), 'ファイルが選択されていません', 'bad'); return; }
+
+  if(auditWorker) auditWorker.terminate();
+  auditWorker = new Worker(new URL('./core/audit-worker.mjs', import.meta.url), {type:'module'});
+  setAuditRunning(true);
+
+  auditWorker.addEventListener('message', e=>{
+    const msg = e.data;
+    if(msg.type==='progress'){
+      const ratio = msg.size? msg.bytes/msg.size : 1;
+      document.getElementById('audit-progress-fill').style.width = `${(ratio*100).toFixed(1)}%`;
+      setText('audit-progress-text', `${(ratio*100).toFixed(0)}% 読み込み済み（${msg.total.toLocaleString()}件）`);
+    }else if(msg.type==='done'){
+      finishAudit();
+      document.getElementById('audit-progress-fill').style.width = '100%';
+      setText('audit-progress-text', `完了（${msg.result.total.toLocaleString()}件）`);
+      renderAudit(msg.result);
+    }else if(msg.type==='error'){
+      finishAudit();
+      setText('audit-progress-text', `エラー: ${msg.message}`);
+    }
+  });
+  // Worker のレジストリには組み込みのレイアウトしかないため、カスタムレイアウトは定義を渡す
+  const def = getLayout(layout);
+  auditWorker.postMessage({type:'start', file, layout, layoutDef: def.group===CUSTOM_GROUP ? def : null, policy: getPolicy(), romaji});
+}
+
+function cancelAudit(){
+  if(!auditWorker) return;
+  auditWorker.postMessage({type:'cancel'});
+  finishAudit();
+  setText('audit-progress-text', '中止しました');
+}
+
+function finishAudit(){
+  if(auditWorker){ auditWorker.terminate(); auditWorker = null; }
+  setAuditRunning(false);
+}
+
+function setAuditRunning(running){
+  document.getElementById('analyze-audit').disabled = running;
+  document.getElementById('cancel-audit').disabled = !running;
+}
+
+function renderAudit(res){
+  lastAudit = res;
+  showPolicy('audit-policy', res.policy);
+  setText('am-cut-warn', res.cutoffs[0]); setText('am-cut-bad', res.cutoffs[1]);
+  setText('am-total', res.total.toLocaleString());
+  setText('am-avg', res.avgKds.toFixed(1));
+  setText('am-over40', `${(res.over40.ratio*100).toFixed(1)}%（${res.over40.count.toLocaleString()}）`);
+  setText('am-over60', `${(res.over60.ratio*100).toFixed(1)}%（${res.over60.count.toLocaleString()}）`);
+
+  const walksUL = document.getElementById('audit-walks'); walksUL.innerHTML='';
+  res.topWalks.forEach(([w,c])=> addLi(walksUL, `"${w}" ×${c.toLocaleString()}`));
+  if(!res.topWalks.length) addLi(walksUL, '検出なし', 'empty');
+
+  const knownUL = document.getElementById('audit-known'); knownUL.innerHTML='';
+  res.topKnown.forEach(([k,c])=> addLi(knownUL, `"${k}" ×${c.toLocaleString()}`));
+  if(!res.topKnown.length) addLi(knownUL, '検出なし', 'empty');
+
+  drawHistogram(res);
+}
+
+// KDS 分布ヒストグラム（ビンごとに kdsLabel の色分け）
+function drawHistogram(res){
+  const isLight = document.documentElement.getAttribute('data-theme') === 'light';
+  const axisColor = isLight ? 'rgba(0,102,204,0.5)' : 'rgba(0,240,255,0.4)';
+  const textColor = isLight ? '#0066cc' : '#00f0ff';
+  // 色分けは集計時のポリシーの区切りで行う（ビンの開始値で判定）
+  const cut = res.cutoffs || AUDIT_CUTOFFS;
+  const bandColor = from => from>=cut[1] ? (isLight ? '#bb0022' : '#ff073a')
+    : (from>=cut[0] ? (isLight ? '#b38800' : '#ffea00') : (isLight ? '#008822' : '#39ff14'));
+
+  actx.clearRect(0,0,acanvas.width,acanvas.height);
+  const left = 70, right = 1070, top = 30, bottom = 360;
+  const maxCount = Math.max(1, ...res.histogram.map(b=>b.count));
+  const barW = (right-left)/res.histogram.length;
+
+  // 軸
+  actx.strokeStyle = axisColor; actx.lineWidth = 1;
+  actx.beginPath(); actx.moveTo(left,top); actx.lineTo(left,bottom); actx.lineTo(right,bottom); actx.stroke();
+
+  actx.font = 'bold 12px "Orbitron", monospace';
+  res.histogram.forEach((b,i)=>{
+    const h = (bottom-top)*b.count/maxCount;
+    const x = left + i*barW + 6;
+    const color = bandColor(b.from);
+    actx.shadowBlur = 15; actx.shadowColor = color;
+    actx.fillStyle = color; actx.globalAlpha = 0.75;
+    actx.fillRect(x, bottom-h, barW-12, h);
+    actx.globalAlpha = 1; actx.shadowBlur = 0;
+
+    actx.fillStyle = textColor;
+    const label = `${b.from}-${b.to}`;
+    actx.fillText(label, x+(barW-12)/2-actx.measureText(label).width/2, bottom+22);
+    if(b.count){
+      const cnt = b.count.toLocaleString();
+      actx.fillText(cnt, x+(barW-12)/2-actx.measureText(cnt).width/2, bottom-h-8);
+    }
+  });
+  actx.fillStyle = textColor;
+  actx.fillText('KDS', right-30, bottom+44);
+  actx.fillText('件数', left-50, top+4);
+}
+
+function resetAudit(){
+  ['am-total','am-avg','am-over40','am-over60'].forEach(id=> setText(id,'-'));
+  showPolicy('audit-policy', null);
+  document.getElementById('audit-walks').innerHTML='';
+  document.getElementById('audit-known').innerHTML='';
+  document.getElementById('audit-progress-fill').style.width = '0%';
+  setText('audit-progress-text', '-');
+  actx.clearRect(0,0,acanvas.width,acanvas.height);
+  lastAudit = null;
+}
+
+// ---- 辞書生成 ----
+let lastGen = null;   // 直近の生成結果 {layout, words, suffixes}（保存ボタン用）
+
+// 向き・Shift のチェックボックスを組み立てる（向きは全方向、Shift は「そのまま」を既定で選択）
+function populateGenOptions(){
+  const addCheck = (groupId, value, text, checked)=>{
+    const label = document.createElement('label'); label.className = 'small';
+    const box = document.createElement('input');
+    box.type = 'checkbox'; box.value = value; box.checked = checked;
+    label.append(box, text);
+    document.getElementById(groupId).appendChild(label);
+  };
+  DIRECTIONS.forEach(d=> addCheck('gen-directions', d, d, true));
+  Object.entries(SHIFT_MODES).forEach(([id, m])=> addCheck('gen-shifts', id, m.label, id==='none'));
+}
+function checkedValues(groupId){
+  return [...document.querySelectorAll(`#${groupId} input:checked`)].map(el=> el.value);
+}
+
+function runGenerate(){
+  const num = (id, lo, hi)=> Math.min(hi, Math.max(lo, parseInt(document.getElementById(id).value, 10) || lo));
+  const minLen = num('gen-min', 2, 12), maxLen = Math.max(minLen, num('gen-max', 2, 12));
+  const layout = document.getElementById('gen-layout').value;
+  const {words, truncated} = generateWalks(layout, {
+    minLen, maxLen,
+    starts: document.getElementById('gen-starts').value.trim(),
+    directions: checkedValues('gen-directions'),
+    maxTurns: num('gen-turns', 0, 6),
+    shifts: checkedValues('gen-shifts')
+  });
+
+  // 接尾文字列（抽出元が空ならよく使われる飾りで代用）
+  const samples = (document.getElementById('gen-samples').value || '').split(/\n+/).map(s=>s.trim()).filter(Boolean);
+  const found = collectSuffixes(samples);
+  const suffixes = samples.length ? found.map(([sfx])=> sfx) : COMMON_SUFFIXES.slice();
+  lastGen = {layout, words, suffixes};
+
+  setText('gm-words', words.length.toLocaleString()+(truncated ? `（上限 ${GEN_LIMIT.toLocaleString()} で打ち切り）` : ''));
+  setText('gm-rules', suffixes.length.toLocaleString());
+
+  const sUL = document.getElementById('gen-suffixes'); sUL.innerHTML='';
+  if(samples.length) found.forEach(([sfx,c])=> addLi(sUL, `"${sfx}" ×${c}`));
+  else addLi(sUL, `よく使われる接尾の飾り: ${suffixes.join(' ')}`, 'empty');
+  if(samples.length && !found.length) addLi(sUL, '検出なし', 'empty');
+
+  const pUL = document.getElementById('gen-preview'); pUL.innerHTML='';
+  words.slice(0,100).forEach(w=> addLi(pUL, w));
+  if(!words.length) addLi(pUL, '該当なし（向き・Shift を1つ以上選択してください）', 'empty');
+
+  ['dl-wordlist','dl-hashcat','dl-john'].forEach(id=> document.getElementById(id).disabled = !words.length);
+}
+
+// テキストをファイルとして保存させる（Blob URL はクリック後に解放）
+function downloadText(filename, text, type='text/plain'){
+  const url = URL.createObjectURL(new Blob([text], {type}));
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(()=> URL.revokeObjectURL(url), 0);
+}
+
+// ---- レポート ----
+let lastProfile = null;   // 直近の癖プロファイル {profile, clusters, predictability, candidates, geometry}
+
+function setReportStatus(text, level){
+  const el = document.getElementById('report-status');
+  el.textContent = text;
+  el.className = `small report-status${level ? ' '+level : ''}`;
+}
+
+// レポートに含められる分析結果の一覧
+function renderReportContents(){
+  const ul = document.getElementById('report-contents'); ul.innerHTML='';
+  const r = lastSingle, p = lastProfile;
+  addLi(ul, r ? `単体分析: KDS ${r.kds}（${r.label}）・${r.layout}・ポリシー ${r.policy.name}` : '単体分析: 未分析', r ? '' : 'empty');
+  addLi(ul, p ? `癖プロファイル: ${p.profile.count}件・${p.profile.layout}・ポリシー ${p.profile.policy.name}` : '癖プロファイル: 未分析', p ? '' : 'empty');
+}
+
+// 結果を描き直してキャンバスを PNG にする（他のタブの分析でキャンバスが描き直されている場合があるため）
+// transitions: キー間の遷移も描く（バイグラムが分かるため、パスワードを伏せる場合は描かない）
+function captureCanvases({single, profile}, {transitions=false}={}){
+  const images = {};
+  const current = geometry;
+  if(single){
+    renderPlaybackFrame(single.points, {});
+    loadPlayback(single.points);
+    images.single = canvas.toDataURL('image/png');
+  }
+  if(profile){
+    geometry = profile.geometry; view = fitView(geometry);
+    drawKeyboards([{c:pctx,w:pcanvas.width,h:pcanvas.height}]);
+    drawHeatmap(profile.profile);
+    if(transitions) drawTransitions(profile.profile);
+    images.profile = pcanvas.toDataURL('image/png');
+  }
+  geometry = current; view = fitView(geometry);
+  return images;
+}
+
+/**
+ * レポートを作って保存・印刷する
+ * @param {'html'|'print'|'json'|'csv'} kind
+ */
+async function exportReport(kind){
+  const single = document.getElementById('report-single').checked ? lastSingle : null;
+  const profile = document.getElementById('report-profile').checked ? lastProfile : null;
+  if(!single && !profile){
+    setReportStatus('レポートに含める分析結果がありません。単体分析または癖プロファイルで分析してください。', 'bad');
+    return;
+  }
+  const passwords = document.getElementById('report-passwords').value;
+  const plain = passwords==='plain';
+  const withImages = (kind==='html' || kind==='print') && document.getElementById('report-images').checked;
+  try{
+    // パスワードを伏せる場合、経路の画像は入力を復元できるため作らない
+    const images = withImages ? captureCanvases({single: plain ? single : null, profile},
+      {transitions: plain && document.getElementById('profile-transitions').checked}) : {};
+    const report = await buildReport({
+      single, profile: profile?.profile, clusters: profile?.clusters, predictability: profile?.predictability,
+      candidates: profile?.candidates, images
+    }, {passwords});
+
+    if(kind==='html') downloadText('keywalk-report.html', reportToHTML(report), 'text/html');
+    else if(kind==='json') downloadText('keywalk-report.json', reportToJSON(report), 'application/json');
+    else if(kind==='csv') downloadText('keywalk-report.csv', reportToCSV(report), 'text/csv');
+    else printReport(reportToHTML(report));
+    setReportStatus(kind==='print' ? '印刷ダイアログを開きました（保存先に「PDF に保存」を選ぶと PDF になります）。' : 'レポートを保存しました。', 'good');
+  }catch(err){
+    setReportStatus(err.message, 'bad');
+  }
 }
 
-// ---- Traits helpers ----
-function topN(m, n){ return Array.from(m.entries()).sort((a,b)=>b[1]-a[1]).slice(0,n); }
-function summarizeSuffixes(lines){
-  const pat = [
-    [/20(?:[1-2]\d)$|202[0-5]$/,'年号'], // 2010-2025程度
-    [/\d{2,}$/,'数字連続'],
-    [/!+$/,'!連続'],
-    [/\?+$/,'?連続'],
-    [/[-_.]{2,}$/,'記号(-_.)連続']
-  ];
-  const out=[]; for(const [re,name] of pat){
-    const c=lines.filter(s=>re.test(s)).length; if(c>0) out.push(`${name}×${c}`);
-  }
-  return out;
-}
-function summarizePrefixes(lines){
-  const pat = [
-    [/^[A-Z][a-z]{2,}/,'先頭: 大→小連続'],
-    [/^[A-Z]{2,}/,'先頭: 大文字連続'],
-    (/^[a-z]{2,}/,'先頭: 小文字連続')
-  ];
-  const out=[];
-  for(const p of pat){
-    const re = Array.isArray(p)? p[0]:p; const name = Array.isArray(p)? p[1]:'';
-    const c=lines.filter(s=>re.test(s)).length; if(c>0) out.push(`${name}×${c}`);
-  }
-  // テンプレ例: Letters+Digits+Punct
-  const tmpl = /^[A-Za-z]+[0-9]+[!?.]+$/;
-  const tc = lines.filter(s=>tmpl.test(s)).length;
-  if(tc>0) out.push(`テンプレ(英+数+記号)×${tc}`);
-  return out;
-}
-function summarizeZones(points){
-  if(!points.length) return {left:0,right:0,top:0,mid:0,bottom:0};
-  const xs=points.map(p=>p.x), ys=points.map(p=>p.y);
-  const midx=(Math.min(...xs)+Math.max(...xs))/2;
-  const yMin=Math.min(...ys), yMax=Math.max(...ys);
-  const yT=yMin+(yMax-yMin)/3, yB=yMin+2*(yMax-yMin)/3;
-  let L=0,R=0,T=0,M=0,B=0;
-  for(const p of points){
-    if(p.x<=midx) L++; else R++;
-    if(p.y<=yT) T++; else if(p.y<=yB) M++; else B++;
-  }
-  const n=points.length; return {left:L/n,right:R/n,top:T/n,mid:M/n,bottom:B/n};
+// 見えない iframe にレポートを読み込んで印刷する（印刷後に取り除く）
+function printReport(html){
+  const frame = document.createElement('iframe');
+  frame.className = 'report-frame';
+  frame.setAttribute('aria-hidden', 'true');
+  frame.addEventListener('load', ()=>{
+    const win = frame.contentWindow;
+    win.addEventListener('afterprint', ()=> frame.remove());
+    win.focus();
+    win.print();
+  }, {once:true});
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
+
+function initReport(){
+  const sel = document.getElementById('report-passwords');
+  for(const m of PASSWORD_MODES){
+    const o = document.createElement('option');
+    o.value = m.id; o.textContent = m.label;
+    sel.appendChild(o);
+  }
+  sel.value = 'mask';
+  renderReportContents();
 }
 
 // ---- UI wiring ----
+// ---- 評価ポリシー ----
+const POLICY_STORE_KEY = 'policies';   // 保存済みのポリシー（配列）
+const POLICY_ACTIVE_KEY = 'policy';    // 適用中のポリシー名
+const POLICY_GROUPS = {thresh:'しきい値', weights:'KDS の重み（合計 1）', cutoffs:'判定の区切り', rules:'パスワード規則'};
+
+// 分析結果を出したポリシーを表示する（null で隠す）
+function showPolicy(id, info){
+  const el = document.getElementById(id);
+  el.hidden = !info;
+  el.textContent = info ? `評価ポリシー: ${info.name}（ID ${info.id}・規則 ID ${info.rulesId}）` : '';
+}
+
+// 保存済みのポリシー（壊れた項目は読み飛ばす）
+function loadPolicies(){
+  let list;
+  try{ list = JSON.parse(localStorage.getItem(POLICY_STORE_KEY) || '[]'); }catch{ return []; }
+  if(!Array.isArray(list)) return [];
+  return list.flatMap(p=>{ try{ return [validatePolicy(p)]; }catch{ return []; } });
+}
+
+function buildPolicyFields(){
+  const box = document.getElementById('policy-fields'); box.innerHTML='';
+  for(const [group, title] of Object.entries(POLICY_GROUPS)){
+    const fs = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = title;
+    fs.appendChild(legend);
+    for(const f of POLICY_FIELDS.filter(f=> f.group===group)){
+      const label = document.createElement('label');
+      label.className = 'small';
+      label.textContent = f.label;
+      const input = document.createElement('input');
+      if(f.type==='bool') Object.assign(input, {type:'checkbox', id:`pf-${f.group}-${f.key}`});
+      else{
+        Object.assign(input, {type:'number', id:`pf-${f.group}-${f.key}`, min:f.min, max:f.max, step:f.step});
+        input.addEventListener('input', updateWeightSum);
+      }
+      label.appendChild(input);
+      fs.appendChild(label);
+    }
+    box.appendChild(fs);
+  }
+}
+
+function fillPolicyForm(p){
+  document.getElementById('policy-name').value = p.name;
+  for(const f of POLICY_FIELDS){
+    const input = document.getElementById(`pf-${f.group}-${f.key}`);
+    input[f.type==='bool' ? 'checked' : 'value'] = p[f.group][f.key];
+  }
+  updateWeightSum();
+}
+
+function readPolicyForm(){
+  const p = {name: document.getElementById('policy-name').value, thresh:{}, weights:{}, cutoffs:[], rules:{}};
+  for(const f of POLICY_FIELDS){
+    const input = document.getElementById(`pf-${f.group}-${f.key}`);
+    p[f.group][f.key] = f.type==='bool' ? input.checked : Number(input.value);
+  }
+  return p;
+}
+
+function updateWeightSum(){
+  const sum = POLICY_FIELDS.filter(f=> f.group==='weights')
+    .reduce((s,f)=> s + (Number(document.getElementById(`pf-${f.group}-${f.key}`).value) || 0), 0);
+  const el = document.getElementById('policy-weight-sum');
+  el.textContent = `重みの合計: ${sum.toFixed(2)}`;
+  el.className = Math.abs(sum-1)>0.001 ? 'small bad' : 'small';
+}
+
+function populatePolicySelect(active){
+  const sel = document.getElementById('policy-select'); sel.innerHTML='';
+  for(const p of [DEFAULT_POLICY, ...loadPolicies()]){
+    const opt = document.createElement('option');
+    opt.value = p.name; opt.textContent = p.name;
+    sel.appendChild(opt);
+  }
+  sel.value = active;
+}
+
+function setPolicyStatus(text, level){
+  const el = document.getElementById('policy-status');
+  el.textContent = text;
+  el.className = `small policy-status${level ? ' '+level : ''}`;
+}
+
+// ポリシーを適用する（以降の分析から使われる。表示中の結果はそのまま）
+function applyPolicy(p){
+  const info = setPolicy(p);
+  localStorage.setItem(POLICY_ACTIVE_KEY, info.name);
+  fillPolicyForm(getPolicy());
+  populatePolicySelect(info.name);
+  setPolicyStatus(`「${info.name}」（ID ${info.id}・規則 ID ${info.rulesId}）を適用しました。以降の分析に使われます。`, 'good');
+}
+
+// 保存済みに追加して適用する（同じ名前は置き換え。既定のポリシーは上書きしない）
+function savePolicy(p){
+  const v = validatePolicy(p);
+  if(v.name===DEFAULT_POLICY.name) throw new RangeError('既定のポリシーは上書きできません。別の名前を付けてください');
+  const list = loadPolicies().filter(x=> x.name!==v.name);
+  list.push(v);
+  localStorage.setItem(POLICY_STORE_KEY, JSON.stringify(list));
+  applyPolicy(v);
+}
+
+function initPolicy(){
+  buildPolicyFields();
+  const name = localStorage.getItem(POLICY_ACTIVE_KEY);
+  const saved = loadPolicies().find(p=> p.name===name);
+  if(saved) setPolicy(saved);
+  fillPolicyForm(getPolicy());
+  populatePolicySelect(getPolicy().name);
+}
+
+// ---- レイアウト編集 ----
+const LAYOUT_STORE_KEY = 'layouts';   // 保存済みのカスタムレイアウト（配列）
+const LE_SNAP = 0.25;                 // キーを置く・動かす刻み（u）
+const LE_MIN = {width:16, height:6};  // 編集キャンバスに最低限見せる広さ（u）
+
+// 編集中の配置（keys は rowsToKeys の形。id は保存済みを開いたとき・インポートしたときのみ）
+const editor = {id:null, keys:[], selected:-1, view:null, drag:null};
+
+// 保存済みのカスタムレイアウト（壊れた項目は読み飛ばす）
+function loadCustomLayouts(){
+  let list;
+  try{ list = JSON.parse(localStorage.getItem(LAYOUT_STORE_KEY) || '[]'); }catch{ return []; }
+  if(!Array.isArray(list)) return [];
+  return list.flatMap(l=>{ try{ return [validateLayout(l)]; }catch{ return []; } });
+}
+
+function setLayoutStatus(text, level){
+  const el = document.getElementById('le-status');
+  el.textContent = text;
+  el.className = `small policy-status${level ? ' '+level : ''}`;
+}
+
+function populateLayoutEditorSelects(active=''){
+  const sel = document.getElementById('le-select'); sel.innerHTML='';
+  const blank = document.createElement('option');
+  blank.value = ''; blank.textContent = '（新規）';
+  sel.appendChild(blank);
+  for(const l of loadCustomLayouts()){
+    const opt = document.createElement('option');
+    opt.value = l.id; opt.textContent = l.name;
+    sel.appendChild(opt);
+  }
+  sel.value = active;
+
+  const base = document.getElementById('le-base');
+  const prev = base.value;
+  base.innerHTML = '';
+  for(const l of listLayouts()){
+    const opt = document.createElement('option');
+    opt.value = l.id; opt.textContent = l.name;
+    base.appendChild(opt);
+  }
+  base.value = hasLayout(prev) ? prev : 'jis';
+}
+
+// 編集中の配置を描画用の幾何情報にする（保存前の重なりを許すため rows を経由しない）
+function editorGeometry(){
+  const keys = editor.keys.map(k=>({
+    label: k.l || (k.c ? k.c.toUpperCase() : ''), char: k.c || null, shift: k.c ? k.s : null,
+    altgr: k.c ? k.a : null, t9: k.t, x: k.x, y: k.y, w: k.w, h: k.h
+  }));
+  return {
+    keys,
+    width: Math.max(0, ...keys.map(k=> k.x+k.w)),
+    height: Math.max(0, ...keys.map(k=> k.y+k.h))
+  };
+}
+
+// 表示範囲は配置より一回り広くとる（ドラッグ中は動かさない）
+function refreshEditorView(){
+  const geo = editorGeometry();
+  editor.view = fitView({width: Math.max(LE_MIN.width, geo.width+2), height: Math.max(LE_MIN.height, geo.height+1)});
+}
+
+function drawLayoutEditor(){
+  const w = lcanvas.width, h = lcanvas.height, v = editor.view;
+  drawKeyboards([{c:lctx, w, h}], editorGeometry(), v);
+  const isLight = document.documentElement.getAttribute('data-theme') === 'light';
+
+  // 段の区切り（キーは段の番号の位置に置かれる）
+  lctx.strokeStyle = isLight ? 'rgba(0,102,204,0.15)' : 'rgba(0,240,255,0.12)';
+  lctx.lineWidth = 1;
+  lctx.setLineDash([4, 6]);
+  for(let y=0; y<=LAYOUT_MAX_ROWS; y++){
+    const py = v.oy + y*v.scale;
+    if(py>420) break;
+    lctx.beginPath(); lctx.moveTo(v.ox, py); lctx.lineTo(1100-v.ox, py); lctx.stroke();
+  }
+  lctx.setLineDash([]);
+
+  const k = editor.keys[editor.selected];
+  if(k){
+    lctx.strokeStyle = isLight ? '#cc0099' : '#ff00e5';
+    lctx.lineWidth = 3;
+    lctx.shadowBlur = 12; lctx.shadowColor = lctx.strokeStyle;
+    lctx.strokeRect(v.ox + k.x*v.scale + 1, v.oy + k.y*v.scale + 1, k.w*v.scale - 2, k.h*v.scale - 2);
+    lctx.shadowBlur = 0;
+  }
+}
+
+// 同じ段の他のキーと重なるか（高さ2u以上のキーの下の段は見ない）
+function keyOverlaps(x, y, w, skip){
+  return editor.keys.some((o,i)=> i!==skip && o.y===y && x < o.x+o.w-1e-6 && o.x < x+w-1e-6);
+}
+
+// 編集中の配置を行のテキストに反映する（テキストで表せない配置では空にする）
+function syncRowsText(){
+  let text = null;
+  try{ text = rowsToText(keysToRows(editor.keys)); }catch{ /* 重なりがあるときは表せない */ }
+  document.getElementById('le-rows').value = text ?? '';
+}
+
+function selectEditorKey(i){
+  editor.selected = i;
+  const k = editor.keys[i];
+  for(const f of ['c','s','a','l','w']){
+    const el = document.getElementById(`le-key-${f}`);
+    el.disabled = !k;
+    el.value = k ? (k[f] ?? '') : '';
+  }
+  document.getElementById('le-key-delete').disabled = !k;
+  setText('le-key-pos', k ? `${k.y+1}段目・左端 ${k.x}u` : 'キーを選ぶか、空いた場所をクリックして置いてください');
+  drawLayoutEditor();
+}
+
+function editorChanged(){
+  refreshEditorView();
+  syncRowsText();
+  selectEditorKey(editor.selected);
+}
+
+// レイアウト定義（または null で空の配置）を編集欄に入れる
+function loadIntoEditor(def){
+  editor.id = def?.id ?? null;
+  editor.keys = def ? rowsToKeys(def.rows) : [];
+  editor.selected = -1;
+  document.getElementById('le-name').value = def?.name ?? '';
+  document.getElementById('le-kind').value = def?.kind ?? 'keyboard';
+  editorChanged();
+}
+
+function readEditor(){
+  return {
+    ...(editor.id ? {id: editor.id} : {}),
+    name: document.getElementById('le-name').value,
+    kind: document.getElementById('le-kind').value,
+    rows: keysToRows(editor.keys)
+  };
+}
+
+// キャンバス上の位置（u）
+function editorPoint(e){
+  const rect = lcanvas.getBoundingClientRect(), v = editor.view;
+  const px = (e.clientX-rect.left)*1100/rect.width, py = (e.clientY-rect.top)*420/rect.height;
+  return {x: (px-v.ox)/v.scale, y: (py-v.oy)/v.scale};
+}
+
+const snapUnit = v=> Math.max(0, Math.round(v/LE_SNAP)*LE_SNAP);
+
+function onEditorPointerDown(e){
+  const p = editorPoint(e);
+  const hit = editor.keys.findIndex(k=> p.x>=k.x && p.x<k.x+k.w && p.y>=k.y && p.y<k.y+k.h);
+  if(hit>=0){
+    editor.drag = {dx: p.x-editor.keys[hit].x};
+    lcanvas.setPointerCapture?.(e.pointerId);
+    selectEditorKey(hit);
+    return;
+  }
+  const x = snapUnit(p.x-0.5), y = Math.floor(p.y);
+  if(p.x<0 || y<0 || y>=LAYOUT_MAX_ROWS) return;
+  if(keyOverlaps(x, y, 1, -1)){ setLayoutStatus('ほかのキーと重なる位置には置けません', 'bad'); return; }
+  editor.keys.push({x, y, w:1, h:1, c:'', s:null, a:null, t:null, l:null});
+  editor.selected = editor.keys.length-1;
+  editorChanged();
+  document.getElementById('le-key-c').focus();
+}
+
+function onEditorPointerMove(e){
+  const k = editor.keys[editor.selected];
+  if(!editor.drag || !k) return;
+  const p = editorPoint(e);
+  const x = snapUnit(p.x-editor.drag.dx), y = Math.min(LAYOUT_MAX_ROWS-1, Math.max(0, Math.floor(p.y)));
+  if((x===k.x && y===k.y) || keyOverlaps(x, y, k.w, editor.selected)) return;
+  Object.assign(k, {x, y});
+  selectEditorKey(editor.selected);
+}
+
+function onEditorPointerUp(){
+  if(!editor.drag) return;
+  editor.drag = null;
+  editorChanged();
+}
+
+// 矢印キーで選択中のキーを動かし、Delete で削除する
+function onEditorKeyDown(e){
+  const k = editor.keys[editor.selected];
+  if(!k) return;
+  if(e.key==='Delete' || e.key==='Backspace'){ e.preventDefault(); deleteEditorKey(); return; }
+  const move = {ArrowLeft:[-LE_SNAP,0], ArrowRight:[LE_SNAP,0], ArrowUp:[0,-1], ArrowDown:[0,1]}[e.key];
+  if(!move) return;
+  e.preventDefault();
+  const x = Math.max(0, k.x+move[0]), y = Math.min(LAYOUT_MAX_ROWS-1, Math.max(0, k.y+move[1]));
+  if(keyOverlaps(x, y, k.w, editor.selected)) return;
+  Object.assign(k, {x, y});
+  editorChanged();
+}
+
+function deleteEditorKey(){
+  if(editor.selected<0) return;
+  editor.keys.splice(editor.selected, 1);
+  editor.selected = -1;
+  editorChanged();
+}
+
+// 選択中のキーの欄を編集したとき（文字は1文字目だけを使う。幅は重なる場合は戻す）
+function onEditorKeyField(field, value){
+  const k = editor.keys[editor.selected];
+  if(!k) return;
+  if(field==='w'){
+    const w = Math.round(Number(value)/LE_SNAP)*LE_SNAP;
+    if(!(w>0) || w>12) return;
+    if(keyOverlaps(k.x, k.y, w, editor.selected)){ setLayoutStatus('幅を広げるとほかのキーと重なります', 'bad'); return; }
+    k.w = w;
+  }else if(field==='l'){
+    k.l = value.trim() || null;
+  }else{
+    const ch = [...value.trim()][0] ?? '';
+    k[field] = field==='c' ? ch : (ch || null);
+  }
+  refreshEditorView();
+  syncRowsText();
+  drawLayoutEditor();
+}
+
+// 保存・削除したレイアウトを各タブの選択欄と表示に反映する
+function layoutsChanged(active){
+  populateLayoutSelects();
+  populateLayoutEditorSelects(active);
+  liveAnalyzer = null;
+  useLayout(document.getElementById('layout').value);
+  // 比較に使ったレイアウトが削除されたら比較をやめる
+  if(lastCompare && !(hasLayout(lastCompare.a.layout) && hasLayout(lastCompare.b.layout))) resetCompare();
+  else drawCompare();
+}
+
+// 保存済みに追加して登録する（同じ ID は置き換え）
+function saveCustomLayout(){
+  const v = validateLayout(readEditor());
+  const list = loadCustomLayouts().filter(l=> l.id!==v.id);
+  list.push(v);
+  localStorage.setItem(LAYOUT_STORE_KEY, JSON.stringify(list));
+  registerLayout(v.id, v);
+  editor.id = v.id;
+  layoutsChanged(v.id);
+  setLayoutStatus(`「${v.name}」（ID ${v.id}）を保存しました。各タブのレイアウト選択欄から使えます。`, 'good');
+}
+
+function deleteCustomLayout(){
+  const id = document.getElementById('le-select').value;
+  if(!id) throw new RangeError('削除する保存済みのレイアウトを選んでください');
+  const name = getLayout(id)?.name ?? id;
+  localStorage.setItem(LAYOUT_STORE_KEY, JSON.stringify(loadCustomLayouts().filter(l=> l.id!==id)));
+  unregisterLayout(id);
+  layoutsChanged('');
+  loadIntoEditor(null);
+  setLayoutStatus(`「${name}」を削除しました。`, 'good');
+}
+
+// 保存済みのカスタムレイアウトをレジストリに登録する（選択欄を作る前に呼ぶ）
+function registerCustomLayouts(){
+  for(const l of loadCustomLayouts()) registerLayout(l.id, l);
+}
+
+// インポートしたファイルを編集欄に入れる（保存するまでは登録しない）
+function loadLayoutFile(text){
+  const def = importLayout(text);
+  loadIntoEditor(def);
+  document.getElementById('le-select').value = '';
+  setLayoutStatus(`「${def.name}」を読み込みました。保存すると分析に使えます。`, 'good');
+}
+
+function initLayoutEditor(){
+  setupCanvas(lcanvas);
+  populateLayoutEditorSelects();
+  loadIntoEditor(null);
+}
+
 function setText(id, val){ const el=document.getElementById(id); if(el) el.textContent=val; }
 function addLi(ul, text, cls){ const li=document.createElement('li'); li.textContent=text; if(cls) li.className=cls; ul.appendChild(li); }
 function addHtml(ul, html){ const li=document.createElement('li'); li.innerHTML=html; ul.appendChild(li); }
 
 function resetSingle(){
   setText('m-unique','-'); setText('m-length','-'); setText('m-turns','-'); setText('m-adj','-');
-  setText('m-dirh','-'); setText('m-cv','-'); setText('m-knight','-'); setText('m-kds','-');
+  setText('m-dirh','-'); setText('m-cv','-'); setText('m-knight','-'); setText('m-mods','-'); setText('m-layers','-'); setText('m-kds','-');
+  lastGuess = null; renderGuess();
+  lastSingle = null;
+  showPolicy('single-policy', null);
+  showKanaTyped(null);
+  resetPlayback();
+  document.getElementById('kds-parts').innerHTML='';
+  document.getElementById('kds-text').innerHTML='';
   document.getElementById('d-list').innerHTML='';
+  document.getElementById('p-list').innerHTML='';
+  document.getElementById('g-list').innerHTML='';
+  renderCompliance(null);
+  document.getElementById('infer-single').hidden = true;
 }
 function resetProfileMetrics(){
   ['pm-adj','pm-turns','pm-length','pm-uniq'].forEach(id=> setText(id,'-'));
 }
 
-// プリセットデータ（レイアウト別）
-const PRESETS_SINGLE = {
-  'qwerty': {
-    'walk1': 'qwerty123',        // QWERTY上段歩き
-    'walk2': 'asdfgh',           // QWERTY中段直線
-    'common': 'P@ssw0rd!',       // 一般的パターン
-    'dict': 'Tr0ub4dor&3',       // 辞書+置換
-    'strong': 'xK9#mQ2$vL'       // ランダム風
-  },
-  'jis': {
-    'walk1': 'qwerty123',        // JIS上段歩き
-    'walk2': 'asdfghjkl',        // JIS中段歩き
-    'common': 'P@ssw0rd!',       // 一般的パターン
-    'dict': 'Sakura2024!',       // 日本語由来
-    'strong': 'xK9#mQ2$vL'       // ランダム風
-  },
-  'dvorak': {
-    'walk1': '123456',           // 数字列
-    'walk2': 'aoeu',             // Dvorakホームポジション
-    'common': 'P@ssw0rd!',       // 一般的パターン
-    'dict': 'Tr0ub4dor&3',       // 辞書+置換
-    'strong': 'xK9#mQ2$vL'       // ランダム風
-  }
-};
+// ---- レイアウト選択欄（レジストリから生成） ----
+const LAYOUT_SELECTS = ['layout','cmp-layout-a','cmp-layout-b','profile-layout','audit-layout','gen-layout'];
+// 「自動判定」を先頭に置く選択欄（一括監査は件数が多いため、辞書生成は判定する入力がないため対象外）
+const AUTO_SELECTS = ['layout','cmp-layout-a','cmp-layout-b','profile-layout'];
 
-const PRESETS_PROFILE = {
-  'qwerty': {
-    'basic': 'Password123\nWelcome2024\nAdmin123\nLogin2024\nAccess123',
-    'year': 'Tokyo2023!\nOsaka2024!\nKyoto2022!\nNagoya2025!\nSapporo2021!',
-    'keyboard': 'qwerty12\nasdfgh34\nzxcvbn56\nqazwsx78\nwsxedc90',
-    'random': 'xK9#mQ2$vL\nR7@bN4!jX3\nM5&pW8*dF1\nT2#vK6@hL9\nY4$nC8!qZ7'
-  },
-  'jis': {
-    'basic': 'Password123\nWelcome2024\nAdmin123\nLogin2024\nAccess123',
-    'year': 'Tokyo2023!\nOsaka2024!\nKyoto2022!\nNagoya2025!\nSapporo2021!',
-    'keyboard': 'qwertyui\nasdfghjk\nzxcvbnm\n1qaz2wsx\n3edc4rfv',
-    'random': 'xK9#mQ2$vL\nR7@bN4!jX3\nM5&pW8*dF1\nT2#vK6@hL9\nY4$nC8!qZ7'
-  },
-  'dvorak': {
-    'basic': 'Password123\nWelcome2024\nAdmin123\nLogin2024\nAccess123',
-    'year': 'Tokyo2023!\nOsaka2024!\nKyoto2022!\nNagoya2025!\nSapporo2021!',
-    'keyboard': 'aoeu\nhtns\n123456\npyfgcr\nqjkxbm',
-    'random': 'xK9#mQ2$vL\nR7@bN4!jX3\nM5&pW8*dF1\nT2#vK6@hL9\nY4$nC8!qZ7'
+/**
+ * 登録済みレイアウトから各タブの選択欄を組み立てる（group ごとに <optgroup>）
+ * 既存の選択値は、まだ登録されていれば維持する
+ */
+function populateLayoutSelects(){
+  const groups = new Map();
+  for(const l of listLayouts()){
+    if(!groups.has(l.group)) groups.set(l.group, []);
+    groups.get(l.group).push(l);
   }
-};
+  for(const id of LAYOUT_SELECTS){
+    const sel = document.getElementById(id);
+    const prev = sel.value;
+    sel.innerHTML = '';
+    if(AUTO_SELECTS.includes(id)){
+      const opt = document.createElement('option');
+      opt.value = AUTO_LAYOUT; opt.textContent = '自動判定';
+      sel.appendChild(opt);
+    }
+    for(const [group, items] of groups){
+      const og = document.createElement('optgroup');
+      og.label = group;
+      for(const l of items){
+        const opt = document.createElement('option');
+        opt.value = l.id; opt.textContent = l.name;
+        og.appendChild(opt);
+      }
+      sel.appendChild(og);
+    }
+    if(prev && (hasLayout(prev) || (prev===AUTO_LAYOUT && AUTO_SELECTS.includes(id)))) sel.value = prev;
+    else sel.value = 'jis';
+  }
+}
 
 function bind(){
   // タブ
-  const btnSingle = document.getElementById('tabbtn-single');
-  const btnProfile= document.getElementById('tabbtn-profile');
-  const paneSingle= document.getElementById('tab-single');
-  const paneProfile=document.getElementById('tab-profile');
-  btnSingle.addEventListener('click',()=>{
-    btnSingle.classList.add('active');btnSingle.setAttribute('aria-selected','true');
-    btnProfile.classList.remove('active');btnProfile.setAttribute('aria-selected','false');
-    paneSingle.classList.add('active');paneProfile.classList.remove('active');
-  });
-  btnProfile.addEventListener('click',()=>{
-    btnProfile.classList.add('active');btnProfile.setAttribute('aria-selected','true');
-    btnSingle.classList.remove('active');btnSingle.setAttribute('aria-selected','false');
-    paneProfile.classList.add('active');paneSingle.classList.remove('active');
+  const tabs = ['single','compare','profile','audit','generate','policy','layout','report'].map(name=>({
+    btn: document.getElementById(`tabbtn-${name}`),
+    pane: document.getElementById(`tab-${name}`)
+  }));
+  tabs.forEach(tab=>{
+    tab.btn.addEventListener('click',()=>{
+      tabs.forEach(t=>{
+        const on = t===tab;
+        t.btn.classList.toggle('active', on); t.btn.setAttribute('aria-selected', String(on));
+        t.pane.classList.toggle('active', on);
+      });
+    });
   });
 
   // レイアウト切替
-  document.getElementById('layout').addEventListener('change', e=>{ coordMap=buildCoordMap(e.target.value); drawKeyboards(); });
-  document.getElementById('profile-layout').addEventListener('change', e=>{ coordMap=buildCoordMap(e.target.value); drawKeyboards(); });
+  document.getElementById('layout').addEventListener('change', e=>{ lastSingle = null; resetPlayback(); useLayout(e.target.value); });
+  document.getElementById('profile-layout').addEventListener('change', e=>{ lastProfile = null; useLayout(e.target.value); });
 
   // 単体
-  document.getElementById('analyze').addEventListener('click', analyzeSingle);
+  document.getElementById('analyze').addEventListener('click', ()=> analyzeSingle());
+  document.getElementById('pwd').addEventListener('input', scheduleLiveAnalysis);
+  document.getElementById('live').addEventListener('change', scheduleLiveAnalysis);
+  document.getElementById('romaji').addEventListener('change', ()=>{
+    if(lastSingle && document.getElementById('input-kind').value==='text') analyzeSingle();
+  });
+  document.getElementById('hash-rate').addEventListener('change', e=>{
+    localStorage.setItem(HASH_RATE_KEY, e.target.value);
+    renderGuess();
+  });
+  document.getElementById('pb-play').addEventListener('click', togglePlayback);
+  document.getElementById('pb-back').addEventListener('click', ()=> stepPlayback(-1));
+  document.getElementById('pb-fwd').addEventListener('click', ()=> stepPlayback(1));
+  document.getElementById('pb-speed').addEventListener('input', e=>{
+    setText('pb-speed-val', `${Number(e.target.value).toFixed(1)}×`);
+  });
+  document.getElementById('input-kind').addEventListener('change', e=> setInputKind(e.target.value));
+  document.getElementById('shape-example').addEventListener('click', fillShapeExample);
+  document.getElementById('shape-file').addEventListener('change', e=>{
+    const file = e.target.files[0];
+    if(!file) return;
+    file.text().then(loadShapeFile)
+      .catch(err=> setShapeStatus(`読み込めません: ${err.message}`, 'bad'))
+      .finally(()=>{ e.target.value = ''; });
+  });
   document.getElementById('clear').addEventListener('click', ()=>{
-    document.getElementById('pwd').value=''; resetSingle();
-    coordMap = buildCoordMap(document.getElementById('layout').value); drawKeyboards();
+    document.getElementById('pwd').value=''; resetSingle(); setShapeStatus('');
+    useLayout(document.getElementById('layout').value);
   });
 
   // 単体プリセット（レイアウト別）
@@ -666,18 +1844,48 @@ function bind(){
     btn.addEventListener('click', ()=>{
       const preset = btn.getAttribute('data-preset');
       const layout = document.getElementById('layout').value;
-      const presetData = PRESETS_SINGLE[layout];
-      document.getElementById('pwd').value = presetData ? (presetData[preset] || '') : '';
+      document.getElementById('pwd').value = layoutPresets(layout, 'single')[preset] || '';
       analyzeSingle();
     });
   });
 
+  // 比較
+  document.getElementById('analyze-compare').addEventListener('click', analyzeCompare);
+  document.getElementById('clear-compare').addEventListener('click', ()=>{
+    document.getElementById('cmp-a').value=''; document.getElementById('cmp-b').value='';
+    resetCompare();
+  });
+  document.getElementById('cmp-view').addEventListener('change', drawCompare);
+  ['cmp-layout-a','cmp-layout-b'].forEach(id=> document.getElementById(id).addEventListener('change', ()=>{
+    if(lastCompare) analyzeCompare(); else drawCompare();
+  }));
+  document.querySelectorAll('.preset-btn-compare').forEach(btn=>{
+    btn.addEventListener('click', ()=>{
+      const p = COMPARE_PRESETS[btn.getAttribute('data-preset')];
+      document.getElementById('cmp-a').value = p.a; document.getElementById('cmp-layout-a').value = p.layoutA;
+      document.getElementById('cmp-b').value = p.b; document.getElementById('cmp-layout-b').value = p.layoutB;
+      analyzeCompare();
+    });
+  });
+
   // プロファイル
   document.getElementById('analyze-profile').addEventListener('click', analyzeProfile);
+  document.getElementById('profile-transitions').addEventListener('change', ()=>{
+    if(document.getElementById('pwds').value.trim()) analyzeProfile();
+  });
   document.getElementById('clear-profile').addEventListener('click', ()=>{
     document.getElementById('pwds').value=''; resetProfileMetrics();
-    coordMap = buildCoordMap(document.getElementById('profile-layout').value); drawKeyboards();
+    lastProfile = null;
+    useLayout(document.getElementById('profile-layout').value);
     document.getElementById('traits-list').innerHTML='';
+    document.getElementById('infer-profile').hidden = true;
+    document.getElementById('heat-legend').hidden = true;
+    showPolicy('profile-policy', null);
+    resetClusters();
+    resetCandidates();
+  });
+  document.getElementById('dl-candidates').addEventListener('click', ()=>{
+    if(lastCandidates.length) downloadText('keywalk-candidates.txt', lastCandidates.map(c=> c.password).join('\n')+'\n');
   });
 
   // プロファイルプリセット（レイアウト別）
@@ -685,11 +1893,107 @@ function bind(){
     btn.addEventListener('click', ()=>{
       const preset = btn.getAttribute('data-preset');
       const layout = document.getElementById('profile-layout').value;
-      const presetData = PRESETS_PROFILE[layout];
-      document.getElementById('pwds').value = presetData ? (presetData[preset] || '') : '';
+      document.getElementById('pwds').value = layoutPresets(layout, 'profile')[preset] || '';
       analyzeProfile();
     });
   });
+
+  // 一括監査
+  document.getElementById('analyze-audit').addEventListener('click', startAudit);
+  document.getElementById('cancel-audit').addEventListener('click', cancelAudit);
+
+  // 辞書生成
+  document.getElementById('generate').addEventListener('click', runGenerate);
+  document.getElementById('gen-from-profile').addEventListener('click', ()=>{
+    document.getElementById('gen-samples').value = document.getElementById('pwds').value;
+  });
+  document.getElementById('dl-wordlist').addEventListener('click', ()=>{
+    if(lastGen) downloadText(`keywalk-${lastGen.layout}.txt`, lastGen.words.join('\n')+'\n');
+  });
+  document.getElementById('dl-hashcat').addEventListener('click', ()=>{
+    if(lastGen) downloadText('keywalk-suffix.rule', hashcatRules(lastGen.suffixes));
+  });
+  document.getElementById('dl-john').addEventListener('click', ()=>{
+    if(lastGen) downloadText('keywalk-suffix.conf', johnRules(lastGen.suffixes));
+  });
+
+  // 評価ポリシー
+  const policyAction = fn=> ()=>{
+    try{ fn(); }catch(err){ setPolicyStatus(`エラー: ${err.message}`, 'bad'); }
+  };
+  document.getElementById('policy-select').addEventListener('change', policyAction(()=>{
+    const name = document.getElementById('policy-select').value;
+    applyPolicy([DEFAULT_POLICY, ...loadPolicies()].find(p=> p.name===name) || DEFAULT_POLICY);
+  }));
+  document.getElementById('policy-apply').addEventListener('click', policyAction(()=> savePolicy(readPolicyForm())));
+  document.getElementById('policy-reset').addEventListener('click', policyAction(()=> applyPolicy(DEFAULT_POLICY)));
+  document.getElementById('policy-delete').addEventListener('click', policyAction(()=>{
+    const name = document.getElementById('policy-select').value;
+    if(name===DEFAULT_POLICY.name) throw new RangeError('既定のポリシーは削除できません');
+    localStorage.setItem(POLICY_STORE_KEY, JSON.stringify(loadPolicies().filter(p=> p.name!==name)));
+    applyPolicy(DEFAULT_POLICY);
+    setPolicyStatus(`「${name}」を削除し、既定のポリシーに戻しました。`, 'good');
+  }));
+  document.getElementById('policy-export').addEventListener('click', policyAction(()=>{
+    const p = readPolicyForm();
+    downloadText(`keywalk-policy-${p.name.replace(/[\\/:*?"<>|\s]+/g, '_')}.json`, exportPolicy(p));
+  }));
+  document.getElementById('policy-import').addEventListener('change', e=>{
+    const file = e.target.files[0];
+    if(!file) return;
+    file.text().then(text=> savePolicy(importPolicy(text)))
+      .catch(err=> setPolicyStatus(`読み込めません: ${err.message}`, 'bad'))
+      .finally(()=>{ e.target.value = ''; });
+  });
+
+  // レイアウト編集
+  const layoutAction = fn=> ()=>{
+    try{ fn(); }catch(err){ setLayoutStatus(`エラー: ${err.message}`, 'bad'); }
+  };
+  document.getElementById('le-select').addEventListener('change', e=>{
+    loadIntoEditor(e.target.value ? loadCustomLayouts().find(l=> l.id===e.target.value) : null);
+    setLayoutStatus('-');
+  });
+  document.getElementById('le-copy').addEventListener('click', ()=>{
+    const def = getLayout(document.getElementById('le-base').value);
+    loadIntoEditor({name: `${def.name} のコピー`, kind: def.kind, rows: def.rows});
+    document.getElementById('le-select').value = '';
+    setLayoutStatus(`「${def.name}」を複製しました。名前を変えて保存してください。`);
+  });
+  lcanvas.addEventListener('pointerdown', onEditorPointerDown);
+  lcanvas.addEventListener('pointermove', onEditorPointerMove);
+  lcanvas.addEventListener('pointerup', onEditorPointerUp);
+  lcanvas.addEventListener('pointercancel', onEditorPointerUp);
+  lcanvas.addEventListener('keydown', onEditorKeyDown);
+  for(const f of ['c','s','a','l','w']){
+    document.getElementById(`le-key-${f}`).addEventListener('input', e=> onEditorKeyField(f, e.target.value));
+  }
+  document.getElementById('le-key-delete').addEventListener('click', deleteEditorKey);
+  document.getElementById('le-from-rows').addEventListener('click', layoutAction(()=>{
+    editor.keys = rowsToKeys(parseRowsText(document.getElementById('le-rows').value));
+    editor.selected = -1;
+    editorChanged();
+  }));
+  document.getElementById('le-save').addEventListener('click', layoutAction(saveCustomLayout));
+  document.getElementById('le-delete').addEventListener('click', layoutAction(deleteCustomLayout));
+  document.getElementById('le-export').addEventListener('click', layoutAction(()=>{
+    const def = readEditor();
+    downloadText(`keywalk-layout-${def.name.trim().replace(/[\\/:*?"<>|\s]+/g, '_')}.json`, exportLayout(def));
+  }));
+  document.getElementById('le-import').addEventListener('change', e=>{
+    const file = e.target.files[0];
+    if(!file) return;
+    file.text().then(loadLayoutFile)
+      .catch(err=> setLayoutStatus(`読み込めません: ${err.message}`, 'bad'))
+      .finally(()=>{ e.target.value = ''; });
+  });
+
+  // レポート
+  document.getElementById('tabbtn-report').addEventListener('click', renderReportContents);
+  document.getElementById('report-html').addEventListener('click', ()=> exportReport('html'));
+  document.getElementById('report-print').addEventListener('click', ()=> exportReport('print'));
+  document.getElementById('report-json').addEventListener('click', ()=> exportReport('json'));
+  document.getElementById('report-csv').addEventListener('click', ()=> exportReport('csv'));
 }
 
 // テーマ切り替え
@@ -706,12 +2010,15 @@ function initTheme(){
 
     // Canvas再描画
     drawKeyboards();
+    drawLayoutEditor();
+    drawCompare();
     const activeTab = document.querySelector('.tab-pane.active');
     if(activeTab && activeTab.id === 'tab-single' && document.getElementById('pwd').value){
       analyzeSingle();
     } else if(activeTab && activeTab.id === 'tab-profile' && document.getElementById('pwds').value){
       analyzeProfile();
     }
+    if(lastAudit) drawHistogram(lastAudit);
   });
 }
 
@@ -787,8 +2094,18 @@ function initTooltips(){
   initTheme();
   setupCanvas(canvas);
   setupCanvas(pcanvas);
-  coordMap = buildCoordMap('jis');
-  drawKeyboards();
+  setupCanvas(acanvas);
+  setupCanvas(ccanvasA);
+  setupCanvas(ccanvasB);
+  registerCustomLayouts();
+  populateLayoutSelects();
+  populateHashRates();
+  populateGenOptions();
+  initPolicy();
+  initReport();
+  initLayoutEditor();
+  useLayout(document.getElementById('layout').value);
+  drawCompare();
   bind();
   initAccordions();
   initTooltips();
@@ -800,7 +2117,13 @@ function initTooltips(){
     resizeTimer = setTimeout(()=>{
       setupCanvas(canvas);
       setupCanvas(pcanvas);
+      setupCanvas(acanvas);
+      setupCanvas(lcanvas);
+      setupCanvas(ccanvasA);
+      setupCanvas(ccanvasB);
       drawKeyboards();
+      drawLayoutEditor();
+      drawCompare();
       // 現在の分析結果を再描画
       const activeTab = document.querySelector('.tab-pane.active');
       if(activeTab && activeTab.id === 'tab-single' && document.getElementById('pwd').value){
@@ -808,6 +2131,7 @@ function initTooltips(){
       } else if(activeTab && activeTab.id === 'tab-profile' && document.getElementById('pwds').value){
         analyzeProfile();
       }
+      if(lastAudit) drawHistogram(lastAudit);
     }, 150);
   });
 })();
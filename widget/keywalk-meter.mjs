@@ -0,0 +1,192 @@
+/**
+ * KeyWalk Analyzer - 埋め込み用パスワード強度メーター
+ *
+ * 会員登録画面などのパスワード欄に付ける <keywalk-meter> カスタム要素。
+ * 入力のたびにキーボード依存スコア（KDS）と推測回数の見積もりを更新して表示する。
+ * 分析は core/ の createLiveAnalyzer をそのまま使い、ブラウザー内で完結する（送信・保存なし）。
+ *
+ * 配置: widget/ と core/ を同じ階層に置き、ページから本ファイルを読み込む。
+ *   <script type="module" src="/keywalk/widget/keywalk-meter.mjs"></script>
+ *   <input type="password" id="new-password" autocomplete="new-password">
+ *   <keywalk-meter for="new-password" layout="jis" rate="slow_hash"></keywalk-meter>
+ *
+ * 属性:
+ *   for    - 監視する入力欄の id（省略時は analyze(value) を呼んで更新する）
+ *   layout - キーボードレイアウト名（既定 'jis'）
+ *   rate   - 解読時間の想定ハッシュ速度（HASH_RATES の id。既定 'slow_hash'）
+ *
+ * イベント:
+ *   keywalk-change - 更新のたびに発生。detail は {kds, label, bits, crackTime, issues}
+ *                    （パスワードもその一部も含めない。issues は検出の種類の固定の名前）。空欄になったときの detail は null
+ *
+ * 色は CSS カスタムプロパティ（--keywalk-good / --keywalk-warn / --keywalk-bad /
+ * --keywalk-track）で変えられる。スタイルは Constructable Stylesheet で適用するため、
+ * style-src に 'unsafe-inline' のないページでも使える。
+ */
+
+import {
+  createLiveAnalyzer, hasLayout, HASH_RATES, crackSeconds, formatCrackTime, KDS_CUTOFFS, DETECTION_LABELS
+} from '../core/index.mjs';
+
+const DEFAULT_LAYOUT = 'jis';
+const DEFAULT_RATE = 'slow_hash';
+// 表示するリスク要因の件数
+const MAX_ISSUES = 2;
+
+const CSS = `
+:host { display: block; font: inherit; font-size: 0.85em; margin-top: 0.35em;
+  --keywalk-good: #2e9d5b; --keywalk-warn: #d9a400; --keywalk-bad: #d64545; --keywalk-track: rgba(127,127,127,0.25); }
+:host([hidden]) { display: none; }
+.track { height: 6px; border-radius: 3px; background: var(--keywalk-track); overflow: hidden; }
+.fill { height: 100%; width: 0; border-radius: 3px; transition: width 0.15s, background-color 0.15s; }
+.fill.good { background: var(--keywalk-good); }
+.fill.warn { background: var(--keywalk-warn); }
+.fill.bad  { background: var(--keywalk-bad); }
+.status { margin-top: 0.25em; }
+.issues { margin: 0.15em 0 0; padding-left: 1.2em; opacity: 0.85; }
+.issues:empty { display: none; }
+`;
+
+// 共有のスタイルシート（Constructable Stylesheet が使えないブラウザーでは <style> を入れる）
+let sheet = null;
+function applyStyles(root){
+  if('adoptedStyleSheets' in root && typeof CSSStyleSheet==='function' && 'replaceSync' in CSSStyleSheet.prototype){
+    if(!sheet){ sheet = new CSSStyleSheet(); sheet.replaceSync(CSS); }
+    root.adoptedStyleSheets = [sheet];
+  }else{
+    const style = document.createElement('style');
+    style.textContent = CSS;
+    root.appendChild(style);
+  }
+}
+
+// KDS の判定（良好/注意/要改善）を表示の色分けに対応させる
+const levelOf = kds => kds>=KDS_CUTOFFS[1] ? 'bad' : (kds>=KDS_CUTOFFS[0] ? 'warn' : 'good');
+
+export class KeywalkMeter extends HTMLElement {
+  static get observedAttributes(){ return ['for', 'layout', 'rate']; }
+
+  constructor(){
+    super();
+    const root = this.attachShadow({mode: 'open'});
+    applyStyles(root);
+    this._track = document.createElement('div');
+    this._track.className = 'track';
+    this._track.setAttribute('role', 'meter');
+    this._track.setAttribute('aria-label', 'キーボード依存スコア');
+    this._track.setAttribute('aria-valuemin', '0');
+    this._track.setAttribute('aria-valuemax', '100');
+    this._fill = document.createElement('div');
+    this._fill.className = 'fill';
+    this._track.appendChild(this._fill);
+    this._status = document.createElement('div');
+    this._status.className = 'status';
+    this._status.setAttribute('aria-live', 'polite');
+    this._issues = document.createElement('ul');
+    this._issues.className = 'issues';
+    root.append(this._track, this._status, this._issues);
+
+    this._analyzer = null;
+    this._input = null;
+    this._frame = 0;
+    this._result = null;
+    this._onInput = ()=> this._schedule();
+  }
+
+  connectedCallback(){ this._bind(); this._schedule(); }
+  disconnectedCallback(){ this._unbind(); }
+
+  attributeChangedCallback(name){
+    if(!this.isConnected) return;
+    if(name==='for') this._bind();
+    if(name==='layout') this._analyzer = null;
+    this._schedule();
+  }
+
+  /** 直近の分析結果（analyze と同じ形式。空欄なら null） */
+  get result(){ return this._result; }
+
+  /**
+   * 値を直接渡して更新する（for 属性を使わない場合）
+   * @param {string} value - パスワード
+   * @returns {object|null} 分析結果
+   */
+  analyze(value){
+    const raw = String(value ?? '');
+    if(!raw){ this._render(null); return null; }
+    const r = this._liveAnalyzer().update(raw);
+    this._render(r);
+    return r;
+  }
+
+  _liveAnalyzer(){
+    const attr = this.getAttribute('layout');
+    const layout = attr && hasLayout(attr) ? attr : DEFAULT_LAYOUT;
+    if(!this._analyzer || this._analyzer.layout!==layout) this._analyzer = createLiveAnalyzer({layout});
+    return this._analyzer;
+  }
+
+  _bind(){
+    this._unbind();
+    const id = this.getAttribute('for');
+    const input = id ? this.getRootNode().getElementById?.(id) ?? document.getElementById(id) : null;
+    if(!input) return;
+    this._input = input;
+    input.addEventListener('input', this._onInput);
+  }
+
+  _unbind(){
+    if(this._input) this._input.removeEventListener('input', this._onInput);
+    this._input = null;
+    if(this._frame){ cancelAnimationFrame(this._frame); this._frame = 0; }
+  }
+
+  // 連続した入力は次の描画フレームでまとめて1回だけ分析する
+  _schedule(){
+    if(!this._input || this._frame) return;
+    this._frame = requestAnimationFrame(()=>{
+      this._frame = 0;
+      if(this._input) this.analyze(this._input.value);
+    });
+  }
+
+  _render(r){
+    this._result = r;
+    this._issues.replaceChildren();
+    if(!r){
+      this._fill.className = 'fill';
+      this._fill.style.width = '0';
+      this._track.removeAttribute('aria-valuenow');
+      this._track.removeAttribute('aria-valuetext');
+      this._status.textContent = '';
+      this.dispatchEvent(new CustomEvent('keywalk-change', {detail: null, bubbles: true, composed: true}));
+      return;
+    }
+
+    const level = levelOf(r.kds);
+    this._fill.className = `fill ${level}`;
+    // KDS は高いほど危険なので、バーは「強さ」（100 - KDS）の長さで表す（最低でも少し見せる）
+    this._fill.style.width = `${Math.max(4, 100-r.kds)}%`;
+    this._track.setAttribute('aria-valuenow', String(r.kds));
+    this._track.setAttribute('aria-valuetext', `KDS ${r.kds}（${r.label}）`);
+
+    const rate = HASH_RATES.find(h=> h.id===this.getAttribute('rate')) || HASH_RATES.find(h=> h.id===DEFAULT_RATE);
+    const crackTime = formatCrackTime(crackSeconds(r.guess.guesses, rate.perSecond));
+    this._status.textContent = `${r.label}（KDS ${r.kds}）・解読の目安 ${crackTime}`;
+
+    // 検出の text は入力の一部を含むため、種類ごとの固定の名前だけを出す
+    const issues = r.detections.filter(d=> d.level==='bad').map(d=> DETECTION_LABELS[d.type]);
+    issues.slice(0, MAX_ISSUES).forEach(text=>{
+      const li = document.createElement('li');
+      li.textContent = text;
+      this._issues.appendChild(li);
+    });
+
+    this.dispatchEvent(new CustomEvent('keywalk-change', {
+      detail: {kds: r.kds, label: r.label, bits: r.guess.bits, crackTime, issues},
+      bubbles: true, composed: true
+    }));
+  }
+}
+
+if(!customElements.get('keywalk-meter')) customElements.define('keywalk-meter', KeywalkMeter);